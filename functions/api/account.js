@@ -0,0 +1,96 @@
+// functions/api/account.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const cors = require('cors')({ origin: true });
+
+const { getAuthenticatedUser } = require('../utils/auth');
+const { collectUserData, deleteUserData } = require('../utils/account');
+
+// ==================================================================
+// 16. [API] 사용자 데이터 내보내기 API (JSON 파일 다운로드)
+// ==================================================================
+const exportUserData = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'GET') {
+            return response.status(405).send('Only GET requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const archive = await collectUserData(user.uid);
+
+            const fileName = `igeul-export-${user.uid}-${archive.exportedAt.slice(0, 10)}.json`;
+            response.set('Content-Type', 'application/json; charset=utf-8');
+            response.set('Content-Disposition', `attachment; filename="${fileName}"`);
+            response.status(200).send(JSON.stringify(archive, null, 2));
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Export API 에러:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+// ==================================================================
+// 17. [API] 사용자 데이터 삭제 API (선택적으로 계정까지 삭제)
+// ==================================================================
+const deleteUserAccount = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST' && request.method !== 'DELETE') {
+            return response.status(405).send('Only POST or DELETE requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const { deleteAuthAccount = false } = request.body || {};
+
+            if (typeof deleteAuthAccount !== 'boolean') {
+                return response.status(400).json({ status: 'error', message: 'deleteAuthAccount는 boolean이어야 합니다.' });
+            }
+
+            const removed = await deleteUserData(user.uid);
+
+            // 인증 계정을 삭제하면 onUserDeleted 트리거가 한 번 더 실행되지만, 이미 지워진 데이터는 건너뜀
+            if (deleteAuthAccount) {
+                await admin.auth().deleteUser(user.uid);
+            }
+
+            response.status(200).json({
+                status: 'success',
+                authAccountDeleted: deleteAuthAccount,
+                removed: removed,
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Account deletion API 에러:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+// ==================================================================
+// 18. [Trigger] 인증 계정 삭제 시 사용자 데이터 정리
+// ==================================================================
+const onUserDeleted = functions.auth.user().onDelete(async (user) => {
+    try {
+        const removed = await deleteUserData(user.uid);
+        functions.logger.info(`[User ID: ${user.uid}] 계정 삭제에 따른 데이터 정리 완료:`, removed);
+    } catch (error) {
+        console.error(`[User ID: ${user.uid}] 계정 삭제에 따른 데이터 정리 실패:`, error);
+        throw error;
+    }
+});
+
+module.exports = {
+    exportUserData,
+    deleteUserAccount,
+    onUserDeleted
+};
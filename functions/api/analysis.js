@@ -0,0 +1,63 @@
+// functions/api/analysis.js
+const functions = require('firebase-functions');
+const cors = require('cors')({ origin: true });
+
+const { getAuthenticatedUser } = require('../utils/auth');
+const { analyzeParagraphs } = require('../utils/analysis');
+const { getReadabilityThresholds, isSimplificationDisabled } = require('../utils/readingProfile');
+const { DEFAULT_READING_PROFILE, loadUserProfile } = require('../utils/profileSchema');
+
+// ==================================================================
+// 25. [API] 텍스트 난이도 분석 API (LLM 호출 없음)
+// ==================================================================
+const analyzeText = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST') {
+            return response.status(405).send('Only POST requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const { paragraphs } = request.body;
+
+            if (!Array.isArray(paragraphs) || paragraphs.length === 0
+                || paragraphs.some(p => !p || typeof p.text !== 'string')) {
+                return response.status(400).send('Invalid request data.');
+            }
+
+            // 프로필이 없으면 기본 읽기 프로필 기준으로 분석
+            const userProfile = await loadUserProfile(user.uid);
+            const readingProfile = (userProfile && userProfile.readingProfile) || DEFAULT_READING_PROFILE;
+            const thresholds = getReadabilityThresholds(readingProfile);
+            const result = analyzeParagraphs(paragraphs, thresholds);
+
+            const flaggedCount = result.flaggedParagraphIds.length;
+            const shouldSimplify = !isSimplificationDisabled(readingProfile) && flaggedCount > 0;
+
+            response.status(200).json({
+                status: 'success',
+                readingProfile: readingProfile,
+                thresholds: thresholds,
+                ...result,
+                recommendation: {
+                    shouldSimplify: shouldSimplify,
+                    message: shouldSimplify
+                        ? `${paragraphs.length}개 문단 중 ${flaggedCount}개 문단이 읽기 프로필 기준보다 어려워요.`
+                        : '읽기 프로필 기준보다 어려운 문단이 없어요.',
+                },
+            });
+
+        } catch (error) {
+            console.error("Text analysis failed:", error);
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+module.exports = {
+    analyzeText
+};
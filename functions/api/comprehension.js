@@ -0,0 +1,322 @@
+// functions/api/comprehension.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const cors = require('cors')({ origin: true });
+
+const { RateLimitError, getRateLimitedUser } = require('../utils/rateLimit');
+const { loadJobParagraphs } = require('../utils/jobParts');
+const {
+    READING_MODES,
+    validateQuestionCounts,
+    generateQuizQuestions,
+    validateAnswers,
+    gradeQuiz
+} = require('../utils/comprehension');
+const { getArticleKey } = require('../utils/history');
+const { getJobExpiresAt } = require('../utils/retention');
+const { toExportable } = require('../utils/account');
+const { buildCacheKey, getCachedResult, setCachedResult } = require('../utils/cache');
+
+const db = admin.firestore();
+
+const getScoresCollection = (userId) => db.collection('users').doc(userId).collection('comprehensionScores');
+
+/**
+ * 퀴즈를 만들 글을 요청에서 읽음 (paragraphs를 직접 보내거나, 본인의 순화 작업 jobId를 보냄)
+ * 순화 작업에서 만들 때도 원문과 순화문을 읽은 점수를 비교할 수 있도록 원문 문단으로 문항을 만듦
+ * @param {object} body - 요청 본문
+ * @param {string} userId - 사용자 UID
+ * @returns {Promise<{ error?: {status: number, message: string}, paragraphs?: Array, jobId?: string|null, title?: string|null }>}
+ */
+const loadQuizSource = async ({ paragraphs, jobId, title }, userId) => {
+    if ((paragraphs === undefined) === (jobId === undefined)) {
+        return { error: { status: 400, message: 'paragraphs와 jobId 중 하나만 보내야 합니다.' } };
+    }
+
+    if (paragraphs !== undefined) {
+        if (!Array.isArray(paragraphs) || paragraphs.length === 0
+            || paragraphs.some(p => !p || typeof p.text !== 'string')) {
+            return { error: { status: 400, message: 'Invalid request data.' } };
+        }
+        return { paragraphs, jobId: null, title: typeof title === 'string' ? title : null };
+    }
+
+    const jobSnap = await db.collection('simplificationJobs').doc(String(jobId)).get();
+    if (!jobSnap.exists) {
+        return { error: { status: 404, message: '해당 작업을 찾을 수 없습니다.' } };
+    }
+    const job = jobSnap.data();
+    if (job.userId !== userId) {
+        return { error: { status: 403, message: '접근 권한이 없습니다.' } };
+    }
+    const { paragraphs: jobParagraphs } = await loadJobParagraphs(jobSnap.id, job);
+    return { paragraphs: jobParagraphs, jobId: jobSnap.id, title: job.title || null };
+};
+
+/**
+ * 문항을 응답 형식으로 변환 (문단 순서 → 문단 ID, 정답, 채점 기준, 해설은 채점 결과에서만 반환)
+ * @param {object} question - 저장된 문항
+ * @param {Array<{id: *}>} paragraphs - 퀴즈를 만든 문단 배열
+ */
+const toQuestionResponse = (question, paragraphs) => {
+    const { paragraphIndexes, answer, rubric, explanation, ...rest } = question;
+    return {
+        ...rest,
+        paragraphIds: paragraphIndexes.map(index => (paragraphs[index].id === undefined ? null : paragraphs[index].id)),
+    };
+};
+
+/**
+ * 퀴즈와 읽은 글의 종류마다 점수 문서 하나만 둠 (같은 퀴즈를 다시 풀어 점수를 올릴 수 없도록)
+ * readingMode를 정해 만든 퀴즈는 그 readingMode로만 채점하므로 문서도 하나뿐
+ * @param {string} userId - 사용자 UID
+ * @param {string} quizId - 퀴즈 ID
+ * @param {string} readingMode - 'original' | 'simplified'
+ */
+const getScoreRef = (userId, quizId, readingMode) => getScoresCollection(userId).doc(`${quizId}_${readingMode}`);
+
+/**
+ * 같은 글에 대해 원문, 순화문을 읽고 받은 첫 점수를 비교
+ * 새 퀴즈를 만들어 다시 풀면 이미 아는 내용이 점수에 섞이므로 글과 읽은 글의 종류마다 처음 받은 점수만 비교
+ * 원문, 순화문 퀴즈는 readingMode마다 따로 만들므로 한쪽 채점 결과로 본 정답이 다른 쪽 점수에 섞이지 않음
+ * 사용자별 점수 문서는 많지 않으므로 articleKey로만 조회하고 첫 점수는 메모리에서 고름 (복합 색인 불필요)
+ * @param {string} userId - 사용자 UID
+ * @param {string} articleKey - 글 키 (getArticleKey)
+ */
+const buildScoreComparison = async (userId, articleKey) => {
+    const snapshot = await getScoresCollection(userId)
+        .where('articleKey', '==', articleKey)
+        .select('readingMode', 'ratio', 'quizId', 'gradedAt')
+        .get();
+
+    const gradedAtMs = doc => (doc.get('gradedAt') ? doc.get('gradedAt').toMillis() : 0);
+    const first = {};
+    READING_MODES.forEach((mode) => {
+        const doc = snapshot.docs
+            .filter(scoreDoc => scoreDoc.get('readingMode') === mode)
+            .sort((a, b) => gradedAtMs(a) - gradedAtMs(b))[0];
+        first[mode] = doc
+            ? { scoreId: doc.id, quizId: doc.get('quizId'), ratio: doc.get('ratio'), gradedAt: toExportable(doc.get('gradedAt') || null) }
+            : null;
+    });
+
+    return {
+        ...first,
+        // 순화문을 읽었을 때 정답률이 얼마나 달라졌는지 (둘 다 있을 때만)
+        ratioChange: first.original && first.simplified
+            ? Math.round((first.simplified.ratio - first.original.ratio) * 1000) / 1000
+            : null,
+    };
+};
+
+// ==================================================================
+// 32. [API] 내용 이해 확인 퀴즈 생성 API (객관식, 참/거짓, 서술형)
+// - body: paragraphs 또는 jobId (본인의 순화 작업), title (선택, paragraphs로 만들 때),
+//         readingMode ('original' | 'simplified', 원문과 순화문 중 무엇을 읽고 풀 퀴즈인지),
+//         counts ({ multipleChoice, trueFalse, shortAnswer }, 기본 3 / 2 / 1, 유형별 최대 10)
+// - 정답, 채점 기준, 해설은 응답에 넣지 않고 채점 결과에서만 반환
+// - 한 읽기 방식에서 정답을 본 문항으로 다른 읽기 방식 점수를 받지 않도록 퀴즈와 캐시를 사용자와 readingMode마다 따로 둠
+// ==================================================================
+const generateComprehensionQuiz = functions.runWith({ secrets: ["OPENAI_API_KEY"], timeoutSeconds: 120 }).https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST') {
+            return response.status(405).send('Only POST requests are allowed.');
+        }
+
+        try {
+            const user = await getRateLimitedUser(request, 'generateComprehensionQuiz');
+            const source = await loadQuizSource(request.body, user.uid);
+            if (source.error) {
+                return response.status(source.error.status).json({ status: 'error', message: source.error.message });
+            }
+
+            const { readingMode } = request.body;
+            if (!READING_MODES.includes(readingMode)) {
+                return response.status(400).json({ status: 'error', message: `readingMode는 ${READING_MODES.join(', ')} 중 하나여야 합니다.` });
+            }
+
+            const { errors, value: counts } = validateQuestionCounts(request.body.counts);
+            if (errors.length > 0) {
+                return response.status(400).json({
+                    status: 'error',
+                    message: 'Invalid counts.',
+                    errors: errors
+                });
+            }
+
+            const { paragraphs } = source;
+            const cacheKey = buildCacheKey('generateComprehensionQuiz', {
+                paragraphs,
+                options: { counts, readingMode, userId: user.uid },
+            });
+            const cachedResult = await getCachedResult('generateComprehensionQuiz', cacheKey);
+            const questions = cachedResult
+                ? cachedResult.questions
+                : await generateQuizQuestions(paragraphs, counts, user.uid);
+
+            if (questions.length === 0) {
+                return response.status(500).json({ status: 'error', message: '문항을 생성하지 못했습니다. 다시 시도해주세요.' });
+            }
+            if (!cachedResult) {
+                await setCachedResult('generateComprehensionQuiz', cacheKey, { questions });
+            }
+
+            // 채점할 때 정답을 다시 만들지 않도록 문항과 정답을 함께 저장
+            const quizRef = await db.collection('comprehensionQuizzes').add({
+                userId: user.uid,
+                jobId: source.jobId,
+                title: source.title,
+                articleKey: getArticleKey(paragraphs.map(p => p.text).join('\n\n')),
+                paragraphIds: paragraphs.map(p => (p.id === undefined ? null : p.id)),
+                readingMode: readingMode,
+                counts: counts,
+                questions: questions,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                expiresAt: getJobExpiresAt('comprehensionQuizzes'),
+            });
+
+            response.status(200).json({
+                status: 'success',
+                cached: Boolean(cachedResult),
+                quizId: quizRef.id,
+                readingMode: readingMode,
+                jobId: source.jobId,
+                title: source.title,
+                questions: questions.map(question => toQuestionResponse(question, paragraphs)),
+            });
+
+        } catch (error) {
+            console.error("API call failed or processing error in generateComprehensionQuiz:", error);
+            if (error instanceof RateLimitError) {
+                response.set('Retry-After', String(error.retryAfter));
+                response.status(429).json({ status: "error", message: error.message, retryAfter: error.retryAfter, limit: error.details });
+            } else if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+// ==================================================================
+// 33. [API] 내용 이해 확인 퀴즈 채점 API (객관식, 참/거짓은 정답 비교, 서술형은 채점 기준에 따라 LLM 채점)
+// - body: quizId, answers ([{ questionId, answer }]; 객관식은 보기 번호, 참/거짓은 boolean, 서술형은 문자열),
+//         readingMode (선택, 퀴즈를 만들 때 정한 값과 같아야 함)
+// - 퀴즈마다 한 번만 채점 (이미 채점했으면 409)
+// - readingMode 없이 만든 이전 퀴즈는 요청의 readingMode로 채점하되, 한 읽기 방식으로 채점해 정답을 본 뒤에는 다른 읽기 방식으로 채점하지 않음 (409)
+// - 점수는 users/{uid}/comprehensionScores에 저장하고, 같은 글의 원문/순화문 첫 점수 비교를 함께 반환
+// ==================================================================
+const gradeComprehensionQuiz = functions.runWith({ secrets: ["OPENAI_API_KEY"], timeoutSeconds: 120 }).https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST') {
+            return response.status(405).send('Only POST requests are allowed.');
+        }
+
+        try {
+            const user = await getRateLimitedUser(request, 'gradeComprehensionQuiz');
+            const { quizId, answers, readingMode } = request.body;
+
+            if (!quizId) {
+                return response.status(400).json({ status: 'error', message: 'quizId가 필요합니다.' });
+            }
+
+            const quizSnap = await db.collection('comprehensionQuizzes').doc(String(quizId)).get();
+            if (!quizSnap.exists) {
+                return response.status(404).json({ status: 'error', message: '해당 퀴즈를 찾을 수 없습니다.' });
+            }
+            const quiz = quizSnap.data();
+            if (quiz.userId !== user.uid) {
+                return response.status(403).json({ status: 'error', message: '접근 권한이 없습니다.' });
+            }
+
+            if (quiz.readingMode && readingMode !== undefined && readingMode !== quiz.readingMode) {
+                return response.status(400).json({ status: 'error', message: `이 퀴즈는 readingMode '${quiz.readingMode}'로 만든 퀴즈입니다.` });
+            }
+            if (!quiz.readingMode && !READING_MODES.includes(readingMode)) {
+                return response.status(400).json({ status: 'error', message: `readingMode는 ${READING_MODES.join(', ')} 중 하나여야 합니다.` });
+            }
+            const mode = quiz.readingMode || readingMode;
+
+            const { errors, value } = validateAnswers(answers, quiz.questions);
+            if (errors.length > 0) {
+                return response.status(400).json({
+                    status: 'error',
+                    message: 'Invalid answers.',
+                    errors: errors
+                });
+            }
+
+            const scoreRef = getScoreRef(user.uid, quizSnap.id, mode);
+            if ((await scoreRef.get()).exists) {
+                return response.status(409).json({ status: 'error', message: '이미 채점한 퀴즈입니다.', scoreId: scoreRef.id });
+            }
+            if (!quiz.readingMode) {
+                // 이전 퀴즈는 다른 읽기 방식으로 이미 채점해 정답을 봤다면 비교 점수로 쓸 수 없음
+                const otherScoreRefs = READING_MODES.filter(other => other !== mode).map(other => getScoreRef(user.uid, quizSnap.id, other));
+                const otherScoreSnaps = await Promise.all(otherScoreRefs.map(ref => ref.get()));
+                const gradedSnap = otherScoreSnaps.find(snap => snap.exists);
+                if (gradedSnap) {
+                    return response.status(409).json({ status: 'error', message: '다른 읽기 방식으로 채점해 정답을 확인한 퀴즈입니다. 새 퀴즈를 만들어주세요.', scoreId: gradedSnap.id });
+                }
+            }
+
+            const result = await gradeQuiz(quiz.questions, value, user.uid);
+            try {
+                // 동시에 들어온 채점 요청 중 하나만 저장 (문서가 이미 있으면 create가 실패)
+                await scoreRef.create({
+                    quizId: quizSnap.id,
+                    jobId: quiz.jobId || null,
+                    title: quiz.title || null,
+                    articleKey: quiz.articleKey,
+                    readingMode: mode,
+                    score: result.score,
+                    maxScore: result.maxScore,
+                    ratio: result.ratio,
+                    byType: result.byType,
+                    items: result.items.map(({ questionId, type, answer, score }) => ({ questionId, type, answer, score })),
+                    gradedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+            } catch (error) {
+                // 6: ALREADY_EXISTS
+                if (error.code === 6) {
+                    return response.status(409).json({ status: 'error', message: '이미 채점한 퀴즈입니다.', scoreId: scoreRef.id });
+                }
+                throw error;
+            }
+
+            const paragraphIds = quiz.paragraphIds || [];
+            response.status(200).json({
+                status: 'success',
+                scoreId: scoreRef.id,
+                quizId: quizSnap.id,
+                readingMode: mode,
+                score: result.score,
+                maxScore: result.maxScore,
+                ratio: result.ratio,
+                byType: result.byType,
+                items: result.items.map((item) => {
+                    const question = quiz.questions.find(q => q.id === item.questionId);
+                    return { ...item, paragraphIds: question.paragraphIndexes.map(index => (paragraphIds[index] === undefined ? null : paragraphIds[index])) };
+                }),
+                comparison: await buildScoreComparison(user.uid, quiz.articleKey),
+            });
+
+        } catch (error) {
+            console.error("API call failed or processing error in gradeComprehensionQuiz:", error);
+            if (error instanceof RateLimitError) {
+                response.set('Retry-After', String(error.retryAfter));
+                response.status(429).json({ status: "error", message: error.message, retryAfter: error.retryAfter, limit: error.details });
+            } else if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+module.exports = {
+    generateComprehensionQuiz,
+    gradeComprehensionQuiz
+};
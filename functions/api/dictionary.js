@@ -2,222 +2,303 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const crypto = require('crypto');
-const { OpenAI } = require('openai');
 const cors = require('cors')({ origin: true });
 
 const { getAuthenticatedUser } = require('../utils/auth');
+const { RateLimitError, enforceRateLimit } = require('../utils/rateLimit');
+const { createChatCompletion } = require('../utils/llm');
+const { searchGoogle } = require('../utils/search');
+const { addTermsToVocabulary } = require('../utils/vocabulary');
+const { ALLOWED_TOPICS, loadUserProfile } = require('../utils/profileSchema');
+const { getJobExpiresAt } = require('../utils/retention');
+const { runJob } = require('../utils/jobQueue');
+const { chunkParagraphsFor, mapWithConcurrency } = require('../utils/chunking');
+const { buildCacheKey, getCachedResult, setCachedResult } = require('../utils/cache');
+const { READING_ACTIVITY, recordReadingActivity } = require('../utils/history');
 
 const db = admin.firestore();
 
+// 단어사전 하나에 담을 최대 단어 수 (긴 글은 조각별로 추출한 뒤 전체 순위로 자름)
+const MAX_DICTIONARY_TERMS = 15;
+
 /**
- * 백그라운드에서 단어사전 생성을 처리하는 내부 함수
- * @param {string} jobId - Firestore 문서 ID
- * @param {string} text - 분석할 원문 텍스트
+ * 단어사전 결과를 사용자의 읽기 기록과 통계에 반영 (기록 실패가 요청이나 작업을 실패시키지 않도록 함)
+ * @param {string} userId - 사용자 UID
+ * @param {object} params
+ * @param {string|null} params.jobId - 작업 ID
+ * @param {string|null} params.title - 글 제목
+ * @param {string} params.text - 원문 전체 텍스트
+ * @param {Array<{term: string, tag: string}>} params.terms - 단어사전 결과
  */
-const processDictionaryJob = async (jobId, text) => {
-    const jobRef = db.collection('dictionaryJobs').doc(jobId);
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    const googleCseApiKey = process.env.GOOGLE_CSE_API_KEY;
-    const googleCseCx = process.env.GOOGLE_CSE_CX;
-
+const recordDictionaryHistory = async (userId, { jobId, title, text, terms }) => {
     try {
-        // --- [수정 1] 사용자 프로필 정보 조회 ---
-        const jobDoc = await jobRef.get();
-        const jobData = jobDoc.data();
-        const userId = jobData.userId;
-        const userProfileSnap = await db.collection('users').doc(userId).get();
-        const userProfile = userProfileSnap.exists ? userProfileSnap.data() : { knownTopics: [] };
-
-        let knownTopics = userProfile.knownTopics || [];
-        // 사용자의 관심 주제(knownTopics)가 비어있는 경우, 모든 주제 목록을 기본값으로 사용
-        if (!knownTopics || knownTopics.length === 0) {
-            console.warn(`[Job ID: ${jobId}] User ID ${userId} has no knownTopics. Falling back to all topics for better extraction and tagging.`);
-            knownTopics = ['정치', '경제', '사회', '생활/문화', 'IT', '과학'];
-        }
-        const availableTags = [...new Set([...knownTopics, '일반'])]; // 중복 제거 포함
+        await recordReadingActivity(userId, {
+            type: READING_ACTIVITY.DICTIONARY,
+            jobId: jobId,
+            title: title,
+            originalText: text,
+            terms: terms,
+        });
+    } catch (error) {
+        console.warn(`[User ID: ${userId}] 읽기 기록 저장 실패:`, error);
+    }
+};
 
-        // 1. OpenAI API를 호출하여 어려운 단어와 주제 단어를 태그와 함께 추출
-        const wordExtractionPrompt = `
-            너는 한국어 어휘 분석 전문가야. 주어진 텍스트에서 아래 기준에 부합하는 단어를 합쳐 최대 15개까지만 추출해줘.
+/**
+ * 단어사전 작업 문서를 생성 (문서가 생성되면 onDictionaryJobCreated 트리거가 실제 작업을 처리)
+ * 결과를 함께 넘기면(캐시된 결과) 완료된 작업으로 만들어 트리거가 다시 처리하지 않음
+ * @param {object} params
+ * @param {string} params.userId - 사용자 UID
+ * @param {string} params.title - 글 제목
+ * @param {string} params.text - 원문 전체 텍스트
+ * @param {string} params.cacheKey - buildCacheKey로 만든 키
+ * @param {Array<object>} [params.result] - 이미 만든 단어사전 (캐시된 결과로 응답할 때)
+ * @returns {Promise<string>} 생성된 작업 ID
+ */
+const createDictionaryJob = async ({ userId, title, text, cacheKey, result }) => {
+    const jobId = crypto.randomBytes(16).toString('hex');
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    await db.collection('dictionaryJobs').doc(jobId).set({
+        userId: userId,
+        ...(result
+            ? { status: 'completed', cached: true, result: result, termCount: result.length, completedAt: now }
+            : { status: 'processing' }),
+        attempts: 0,
+        title: typeof title === 'string' ? title : null,
+        text: text,
+        cacheKey: cacheKey,
+        createdAt: now,
+        expiresAt: getJobExpiresAt('dictionaryJobs'),
+    });
+    return jobId;
+};
 
-            ## 추출 원칙 (가장 중요)
-            - **원본 형태 유지:** 텍스트에 나타난 단어의 형태를 그대로 유지해야 해. 예를 들어, '개인정보보호법'이라는 단어가 있다면, '정보보호'나 '개인정보'처럼 임의로 분해하거나 일반화해서는 안 돼.
+/**
+ * 텍스트 조각 하나에서 어려운 단어와 주제 단어를 태그, 점수와 함께 추출
+ * @param {string} text - 분석할 텍스트 조각
+ * @param {string[]} knownTopics - 사용자의 관심 주제
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @returns {Promise<Array<{word: string, tag: string, score: number}>>}
+ */
+const extractTermsFromChunk = async (text, knownTopics, userId) => {
+    const availableTags = [...new Set([...knownTopics, '일반'])]; // 중복 제거 포함
 
-            ## 추출 기준
-            1.  **고급 어휘:** 일상 대화에서는 자주 쓰이지 않는 학술적, 기술적, 또는 한자 기반의 명사. (예: '온톨로지', '변증법', '개인정보보호법')
-            2.  **전문 용어:** 사용자의 관심 주제와 관련된 특정 분야의 용어. 약어(Acronym)를 포함해. (예: 'GPU', 'AI', 'M&A')
+    const wordExtractionPrompt = `
+        너는 한국어 어휘 분석 전문가야. 주어진 텍스트에서 아래 기준에 부합하는 단어를 합쳐 최대 ${MAX_DICTIONARY_TERMS}개까지만 추출해줘.
 
-            ## 제외 기준 (매우 중요)
-            - **'스멀스멀', '반갑다'와 같은 의성어, 의태어, 일반적인 형용사, 동사는 절대로 추출하지 마.**
-            - **'경영은 전쟁과 같다'와 같은 비유적 표현이나 문장은 추출하지 마.**
-            - '심각한 논쟁', '분석적 사고'처럼, 각 단어의 의미를 조합하여 뜻을 쉽게 유추할 수 있는 일반적인 명사구는 절대로 추출하지 마.
+        ## 추출 원칙 (가장 중요)
+        - **원본 형태 유지:** 텍스트에 나타난 단어의 형태를 그대로 유지해야 해. 예를 들어, '개인정보보호법'이라는 단어가 있다면, '정보보호'나 '개인정보'처럼 임의로 분해하거나 일반화해서는 안 돼.
 
-            ## 사용자의 관심 주제: [${knownTopics.join(', ')}]
-            ## 사용 가능한 태그: [${availableTags.join(', ')}]
+        ## 추출 기준
+        1.  **고급 어휘:** 일상 대화에서는 자주 쓰이지 않는 학술적, 기술적, 또는 한자 기반의 명사. (예: '온톨로지', '변증법', '개인정보보호법')
+        2.  **전문 용어:** 사용자의 관심 주제와 관련된 특정 분야의 용어. 약어(Acronym)를 포함해. (예: 'GPU', 'AI', 'M&A')
 
-            결과는 반드시 다음 형식의 JSON 객체로 반환해줘:
-            {"words": [{"word": "추출단어1", "tag": "태그1"}, ...]}
+        ## 제외 기준 (매우 중요)
+        - **'스멀스멀', '반갑다'와 같은 의성어, 의태어, 일반적인 형용사, 동사는 절대로 추출하지 마.**
+        - **'경영은 전쟁과 같다'와 같은 비유적 표현이나 문장은 추출하지 마.**
+        - '심각한 논쟁', '분석적 사고'처럼, 각 단어의 의미를 조합하여 뜻을 쉽게 유추할 수 있는 일반적인 명사구는 절대로 추출하지 마.
 
-            ## 분석할 텍스트
-            - 텍스트: "${text}"
-            - 결과:
-        `;
+        ## 점수 기준
+        - 각 단어에 1~10 사이의 정수 점수(score)를 매겨줘. 독자가 뜻을 모를 가능성이 높고 글을 이해하는 데 중요한 단어일수록 높은 점수야.
 
-        const wordExtractionCompletion = await openai.chat.completions.create({
-            model: "gpt-4-turbo",
-            messages: [
-                {"role": "system", "content": "You are an expert in Korean vocabulary analysis and return only a single JSON object with a 'words' key. The value is an array of objects, each with 'word' and 'tag' keys."},
-                {"role": "user", "content": wordExtractionPrompt}
-            ],
-            response_format: { type: "json_object" },
-        });
+        ## 사용자의 관심 주제: [${knownTopics.join(', ')}]
+        ## 사용 가능한 태그: [${availableTags.join(', ')}]
 
-        let extractedWordObjects = [];
-        try {
-            const responseContent = wordExtractionCompletion.choices[0].message.content;
-            const parsedResponse = JSON.parse(responseContent);
-            // .words가 있고 배열인 경우에만 할당, 아닐 경우 빈 배열
-            if (parsedResponse && Array.isArray(parsedResponse.words)) {
-                extractedWordObjects = parsedResponse.words;
-            }
-        } catch (parseError) {
-            console.warn("Failed to parse word extraction response:", parseError);
-        }
-        
-        if (extractedWordObjects.length === 0) {
-            await jobRef.update({
-                status: 'completed',
-                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                result: [],
-            });
-            return;
+        결과는 반드시 다음 형식의 JSON 객체로 반환해줘:
+        {"words": [{"word": "추출단어1", "tag": "태그1", "score": 8}, ...]}
+
+        ## 분석할 텍스트
+        - 텍스트: "${text}"
+        - 결과:
+    `;
+
+    const wordExtractionCompletion = await createChatCompletion({
+        messages: [
+            {"role": "system", "content": "You are an expert in Korean vocabulary analysis and return only a single JSON object with a 'words' key. The value is an array of objects, each with 'word', 'tag' and 'score' keys."},
+            {"role": "user", "content": wordExtractionPrompt}
+        ],
+        response_format: { type: "json_object" },
+    }, { endpoint: 'dictionaryApi', task: 'extraction', userId });
+
+    try {
+        const responseContent = wordExtractionCompletion.choices[0].message.content;
+        const parsedResponse = JSON.parse(responseContent);
+        // .words가 있고 배열인 경우에만 사용, 아닐 경우 빈 배열
+        if (parsedResponse && Array.isArray(parsedResponse.words)) {
+            return parsedResponse.words;
         }
+    } catch (parseError) {
+        console.warn("Failed to parse word extraction response:", parseError);
+    }
+    return [];
+};
 
-        // --- [수정 2] 단어별 문맥 추출을 위한 문장 분리 ---
-        const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
+/**
+ * 조각별 추출 결과를 합쳐 중복을 없애고, 전체 순위 상위 단어만 남김
+ * 순위: 점수(조각 중 가장 높은 값) → 등장한 조각 수 → 처음 등장한 순서
+ * @param {Array<Array<object>>} chunkResults - 조각별 { word, tag, score } 배열
+ * @returns {Array<{word: string, tag: string}>}
+ */
+const rankExtractedTerms = (chunkResults) => {
+    const terms = new Map();
 
-        // 2. 각 단어에 대한 정보 (정의, 이미지 등) 생성 (병렬 처리)
-        const dictionaryDataPromises = extractedWordObjects.map(async (wordObject) => {
+    chunkResults.forEach((wordObjects) => {
+        const seenInChunk = new Set();
+        wordObjects.forEach((wordObject) => {
             // wordObject가 객체이고 word 키가 있는지 확인
-            if (typeof wordObject !== 'object' || !wordObject.word) {
+            if (!wordObject || typeof wordObject !== 'object' || typeof wordObject.word !== 'string' || !wordObject.word.trim()) {
                 console.warn("Invalid word object found:", wordObject);
-                return null; // 유효하지 않은 객체는 건너뜀
+                return; // 유효하지 않은 객체는 건너뜀
             }
-            const { word, tag } = wordObject;
+            const word = wordObject.word.trim().normalize('NFC');
+            const score = Number(wordObject.score) || 0;
+            const existing = terms.get(word);
 
-            // --- [수정 3] 단어의 문맥(문장) 찾기 ---
-            const contextSentence = sentences.find(s => s.includes(word)) || '';
-            
-            // 2a. OpenAI API로 문맥을 고려한 한 줄 정의 및 상세 설명 생성
-            const definitionPrompt = `
-                "${contextSentence}" 라는 문맥 안에서 사용된 한국어 단어 "${word}"에 대해 다음 정보를 JSON 형식으로 제공해줘.
+            if (!existing) {
+                terms.set(word, { word, tag: wordObject.tag, score, chunkCount: 1, order: terms.size });
+            } else {
+                if (score > existing.score) existing.score = score;
+                if (!existing.tag && wordObject.tag) existing.tag = wordObject.tag;
+                if (!seenInChunk.has(word)) existing.chunkCount += 1;
+            }
+            seenInChunk.add(word);
+        });
+    });
 
-                ## 추가 지침 (매우 중요)
-                - **만약 단어가 'GPU', 'AI', 'M&A'와 같은 약어(Acronym)일 경우, 'longDefinition'에 반드시 전체 이름(Full Name)을 포함해서 설명해줘.**
+    return [...terms.values()]
+        .sort((a, b) => (b.score - a.score) || (b.chunkCount - a.chunkCount) || (a.order - b.order))
+        .slice(0, MAX_DICTIONARY_TERMS)
+        .map(({ word, tag }) => ({ word, tag }));
+};
 
-                ## 참고: 사용자의 전문 분야
-                - 사용자는 [${knownTopics.join(', ')}] 분야에 익숙해. 만약 이와 관련된 전문 용어라면, 해당 분야의 의미를 우선적으로 설명해야 해.
+/**
+ * 단어사전 작업을 처리하여 단어 목록을 생성하는 내부 함수 (onDictionaryJobCreated 트리거에서 호출)
+ * @param {string} jobId - Firestore 문서 ID
+ * @param {string} userId - 작업을 요청한 사용자 UID
+ * @param {string} text - 분석할 원문 텍스트 (문단은 빈 줄로 구분)
+ * @returns {Promise<Array<object>>} { term, tag, shortDefinition, longDefinition, imageUrl, contextSentence } 배열
+ */
+const processDictionaryJob = async (jobId, userId, text) => {
+    // --- [수정 1] 사용자 프로필 정보 조회 ---
+    const userProfile = (await loadUserProfile(userId)) || { knownTopics: [] };
+
+    let knownTopics = userProfile.knownTopics || [];
+    // 사용자의 관심 주제(knownTopics)가 비어있는 경우, 모든 주제 목록을 기본값으로 사용
+    if (!knownTopics || knownTopics.length === 0) {
+        console.warn(`[Job ID: ${jobId}] User ID ${userId} has no knownTopics. Falling back to all topics for better extraction and tagging.`);
+        knownTopics = ALLOWED_TOPICS;
+    }
 
-                ## 출력 형식
-                {
-                    "shortDefinition": "한 줄로 요약된 정의 (20자 이내)",
-                    "longDefinition": "문맥과 전문 분야를 고려한 상세한 설명 (100자 이내)"
-                }
+    // 1. 긴 글은 문단 경계에서 조각으로 나누어 조각별로 단어를 추출한 뒤, 중복을 없애고 전체 순위로 자름
+    const paragraphs = text.split(/\n{2,}/).filter(p => p.trim()).map(p => ({ text: p }));
+    const chunks = chunkParagraphsFor('dictionaryApi', paragraphs);
+    const chunkResults = await mapWithConcurrency(chunks, chunk => extractTermsFromChunk(
+        chunk.paragraphs.map(p => p.text).join('\n\n'), knownTopics, userId
+    ));
+    const extractedWordObjects = rankExtractedTerms(chunkResults);
 
-                ## 예시 (약어)
-                문맥: "최신 AI 기술은 빠른 GPU를 필요로 합니다."
-                단어: "GPU"
-                결과: {
-                    "shortDefinition": "그래픽 처리 장치",
-                    "longDefinition": "Graphics Processing Unit의 약자로, 컴퓨터 그래픽을 렌더링하고 이미지 처리를 가속화하는 전문 전자 회로입니다."
-                }
+    if (extractedWordObjects.length === 0) {
+        return [];
+    }
 
-                ## 예시 (IT 문맥)
-                문맥: "부모 클래스의 속성을 상속받습니다."
-                단어: "부모"
-                결과: {
-                    "shortDefinition": "상위 클래스 또는 기반 클래스",
-                    "longDefinition": "객체 지향 프로그래밍에서 다른 클래스에게 속성이나 메서드를 물려주는 상위 클래스를 의미합니다."
-                }
-                
-                ## 예시 (일반 문맥)
-                문맥: "사과와 배는 맛있는 과일입니다."
-                단어: "배"
-                결과: {
-                    "shortDefinition": "먹는 과일의 한 종류",
-                    "longDefinition": "달고 과즙이 풍부하며, 둥글거나 서양배처럼 길쭉한 모양을 가진 과일입니다."
-                }
+    // --- [수정 2] 단어별 문맥 추출을 위한 문장 분리 ---
+    const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
+
+    // 2. 각 단어에 대한 정보 (정의, 이미지 등) 생성 (병렬 처리)
+    const dictionaryDataPromises = extractedWordObjects.map(async ({ word, tag }) => {
 
-                단어: "${word}"
-                문맥: "${contextSentence}"
-                결과:
-            `;
-
-            const definitionCompletion = await openai.chat.completions.create({
-                model: "gpt-4-turbo",
-                messages: [
-                    {"role": "system", "content": "You are an expert in Korean definitions who understands context and returns only a JSON object."},
-                    {"role": "user", "content": definitionPrompt}
-                ],
-                response_format: { type: "json_object" },
-            });
-
-            let shortDefinition = '';
-            let longDefinition = '';
-            try {
-                const defResponse = JSON.parse(definitionCompletion.choices[0].message.content);
-                shortDefinition = defResponse.shortDefinition || '';
-                longDefinition = defResponse.longDefinition || '';
-            } catch (parseError) {
-                console.warn(`Failed to parse definition for "${word}":`, parseError);
-                shortDefinition = `${word}에 대한 정의를 찾을 수 없습니다.`;
-                longDefinition = `${word}에 대한 상세 정의를 찾을 수 없습니다.`;
+        // --- [수정 3] 단어의 문맥(문장) 찾기 ---
+        const contextSentence = sentences.find(s => s.includes(word)) || '';
+        
+        // 2a. OpenAI API로 문맥을 고려한 한 줄 정의 및 상세 설명 생성
+        const definitionPrompt = `
+            "${contextSentence}" 라는 문맥 안에서 사용된 한국어 단어 "${word}"에 대해 다음 정보를 JSON 형식으로 제공해줘.
+
+            ## 추가 지침 (매우 중요)
+            - **만약 단어가 'GPU', 'AI', 'M&A'와 같은 약어(Acronym)일 경우, 'longDefinition'에 반드시 전체 이름(Full Name)을 포함해서 설명해줘.**
+
+            ## 참고: 사용자의 전문 분야
+            - 사용자는 [${knownTopics.join(', ')}] 분야에 익숙해. 만약 이와 관련된 전문 용어라면, 해당 분야의 의미를 우선적으로 설명해야 해.
+
+            ## 출력 형식
+            {
+                "shortDefinition": "한 줄로 요약된 정의 (20자 이내)",
+                "longDefinition": "문맥과 전문 분야를 고려한 상세한 설명 (100자 이내)"
             }
 
-            // 2b. Google Custom Search API로 이미지 URL 검색
-            let imageUrl = '';
-            if (googleCseApiKey && googleCseCx) {
-                // [수정] 검색어에 한 줄 정의를 추가하여 이미지 검색의 정확도 향상
-                const searchQuery = `${word} ${shortDefinition}`;
-                const googleSearchUrl = `https://www.googleapis.com/customsearch/v1?key=${googleCseApiKey}&cx=${googleCseCx}&q=${encodeURIComponent(searchQuery)}&searchType=image&num=1`;
-                try {
-                    const searchResponse = await fetch(googleSearchUrl);
-                    const searchData = await searchResponse.json();
-                    if (searchData.items && searchData.items.length > 0) {
-                        imageUrl = searchData.items[0].link;
-                    }
-                } catch (searchError) {
-                    console.warn(`Failed to fetch image for "${word}":`, searchError);
-                }
+            ## 예시 (약어)
+            문맥: "최신 AI 기술은 빠른 GPU를 필요로 합니다."
+            단어: "GPU"
+            결과: {
+                "shortDefinition": "그래픽 처리 장치",
+                "longDefinition": "Graphics Processing Unit의 약자로, 컴퓨터 그래픽을 렌더링하고 이미지 처리를 가속화하는 전문 전자 회로입니다."
             }
 
-            return {
-                term: word,
-                tag: tag || '일반', // 태그가 없는 경우 '일반'으로 폴백
-                shortDefinition,
-                longDefinition,
-                imageUrl,
-            };
-        });
+            ## 예시 (IT 문맥)
+            문맥: "부모 클래스의 속성을 상속받습니다."
+            단어: "부모"
+            결과: {
+                "shortDefinition": "상위 클래스 또는 기반 클래스",
+                "longDefinition": "객체 지향 프로그래밍에서 다른 클래스에게 속성이나 메서드를 물려주는 상위 클래스를 의미합니다."
+            }
+            
+            ## 예시 (일반 문맥)
+            문맥: "사과와 배는 맛있는 과일입니다."
+            단어: "배"
+            결과: {
+                "shortDefinition": "먹는 과일의 한 종류",
+                "longDefinition": "달고 과즙이 풍부하며, 둥글거나 서양배처럼 길쭉한 모양을 가진 과일입니다."
+            }
 
-        // null 값을 필터링하여 최종 데이터 생성
-        const dictionaryData = (await Promise.all(dictionaryDataPromises)).filter(Boolean);
+            단어: "${word}"
+            문맥: "${contextSentence}"
+            결과:
+        `;
 
-        // 3. Firestore에 결과 업데이트
-        await jobRef.update({
-            status: 'completed',
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-            result: dictionaryData,
-        });
+        const definitionCompletion = await createChatCompletion({
+            messages: [
+                {"role": "system", "content": "You are an expert in Korean definitions who understands context and returns only a JSON object."},
+                {"role": "user", "content": definitionPrompt}
+            ],
+            response_format: { type: "json_object" },
+        }, { endpoint: 'dictionaryApi', task: 'definition', userId });
 
-    } catch (error) {
-        console.error(`[Job ID: ${jobId}] 단어사전 생성 실패:`, error);
-        await jobRef.update({
-            status: 'failed',
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-            error: error.message,
-        });
-    }
+        let shortDefinition = '';
+        let longDefinition = '';
+        try {
+            const defResponse = JSON.parse(definitionCompletion.choices[0].message.content);
+            shortDefinition = defResponse.shortDefinition || '';
+            longDefinition = defResponse.longDefinition || '';
+        } catch (parseError) {
+            console.warn(`Failed to parse definition for "${word}":`, parseError);
+            shortDefinition = `${word}에 대한 정의를 찾을 수 없습니다.`;
+            longDefinition = `${word}에 대한 상세 정의를 찾을 수 없습니다.`;
+        }
+
+        // 2b. Google Custom Search API로 이미지 URL 검색
+        let imageUrl = '';
+        try {
+            // [수정] 검색어에 한 줄 정의를 추가하여 이미지 검색의 정확도 향상
+            const imageItems = await searchGoogle({ query: `${word} ${shortDefinition}`, searchType: 'image', num: 1 });
+            if (imageItems.length > 0) {
+                imageUrl = imageItems[0].link;
+            }
+        } catch (searchError) {
+            console.warn(`Failed to fetch image for "${word}":`, searchError);
+        }
+
+        return {
+            term: word,
+            tag: tag || '일반', // 태그가 없는 경우 '일반'으로 폴백
+            shortDefinition,
+            longDefinition,
+            imageUrl,
+            contextSentence: contextSentence.trim(),
+        };
+    });
+
+    return Promise.all(dictionaryDataPromises);
 };
 
 // ==================================================================
@@ -231,8 +312,10 @@ const dictionaryApi = functions.runWith({ secrets: ["OPENAI_API_KEY", "GOOGLE_CS
             const userId = user.uid;
 
             if (request.method === 'POST') {
-                // --- 작업 생성 ---
-                const { paragraphs } = request.body;
+                // --- 작업 생성 (결과 조회 GET은 요청 한도에 포함하지 않음) ---
+                await enforceRateLimit(userId, 'dictionaryApi');
+
+                const { title, paragraphs } = request.body;
 
                 if (!paragraphs || !Array.isArray(paragraphs) || paragraphs.some(p => typeof p.text !== 'string')) {
                     return response.status(400).json({ status: 'error', message: '유효한 paragraphs 배열이 필요합니다.' });
@@ -244,21 +327,38 @@ const dictionaryApi = functions.runWith({ secrets: ["OPENAI_API_KEY", "GOOGLE_CS
                     return response.status(400).json({ status: 'error', message: '분석할 텍스트가 비어 있습니다.' });
                 }
 
-                const jobId = crypto.randomBytes(16).toString('hex');
-                const jobRef = db.collection('dictionaryJobs').doc(jobId);
-
-                await jobRef.set({
-                    userId: userId,
-                    status: 'processing',
-                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                });
+                // 같은 글, 같은 관심 주제로 만든 단어사전이 있으면 작업 없이 바로 응답
+                const userProfile = (await loadUserProfile(userId)) || {};
+                const cacheKey = buildCacheKey('dictionaryApi', { paragraphs, knownTopics: userProfile.knownTopics || [] });
+                const cachedResult = await getCachedResult('dictionaryApi', cacheKey);
+                if (cachedResult) {
+                    // 결과 조회, 작업 목록에서 쓸 수 있도록 완료된 작업을 만듦 (트리거가 처리하지 않으므로 단어장, 읽기 기록은 여기서 반영)
+                    const jobId = await createDictionaryJob({ userId, title, text: fullText, cacheKey, result: cachedResult.result });
+                    try {
+                        await addTermsToVocabulary(userId, cachedResult.result, { sourceJobId: jobId });
+                    } catch (vocabularyError) {
+                        console.warn("캐시된 단어사전의 단어장 저장 실패:", vocabularyError);
+                    }
+                    await recordDictionaryHistory(userId, {
+                        jobId: jobId,
+                        title: typeof title === 'string' ? title : null,
+                        text: fullText,
+                        terms: cachedResult.result,
+                    });
+                    return response.status(200).json({
+                        status: 'completed',
+                        cached: true,
+                        jobId: jobId,
+                        data: cachedResult.result,
+                        error: null,
+                    });
+                }
 
-                // 백그라운드에서 실제 작업 시작
-                // Note: processDictionaryJob is called without await to run in background
-                processDictionaryJob(jobId, fullText);
+                const jobId = await createDictionaryJob({ userId, title, text: fullText, cacheKey });
 
                 response.status(202).json({
                     status: 'processing',
+                    cached: false,
                     jobId: jobId,
                 });
 
@@ -294,7 +394,10 @@ const dictionaryApi = functions.runWith({ secrets: ["OPENAI_API_KEY", "GOOGLE_CS
             }
 
         } catch (error) {
-            if (error.message.includes('토큰')) {
+            if (error instanceof RateLimitError) {
+                response.set('Retry-After', String(error.retryAfter));
+                response.status(429).json({ status: "error", message: error.message, retryAfter: error.retryAfter, limit: error.details });
+            } else if (error.message.includes('토큰')) {
                 response.status(401).json({ status: "error", message: error.message });
             } else {
                 console.error("Dictionary API 에러:", error);
@@ -304,6 +407,28 @@ const dictionaryApi = functions.runWith({ secrets: ["OPENAI_API_KEY", "GOOGLE_CS
     });
 });
 
+// ==================================================================
+// 21. [Trigger] 단어사전 작업 문서 생성 시 백그라운드 처리 (실패 시 재시도)
+// ==================================================================
+const onDictionaryJobCreated = functions.runWith({ secrets: ["OPENAI_API_KEY", "GOOGLE_CSE_API_KEY", "GOOGLE_CSE_CX"], failurePolicy: true, timeoutSeconds: 300 })
+    .firestore.document('dictionaryJobs/{jobId}')
+    .onCreate((snap, context) => runJob(snap, context, {
+        execute: async (job, jobId) => {
+            const result = await processDictionaryJob(jobId, job.userId, job.text);
+            // 목록 조회(listDictionaryJobs)에서 result 전체를 읽지 않도록 단어 수를 함께 저장
+            return { result, termCount: result.length };
+        },
+        // 추출된 단어를 사용자 단어장에 자동으로 추가하고 결과를 캐시 (완료가 처음 기록될 때 한 번만 실행)
+        onCompleted: async (job, fields, jobId) => {
+            await addTermsToVocabulary(job.userId, fields.result, { sourceJobId: jobId });
+            if (job.cacheKey) {
+                await setCachedResult('dictionaryApi', job.cacheKey, { result: fields.result });
+            }
+            await recordDictionaryHistory(job.userId, { jobId, title: job.title || null, text: job.text, terms: fields.result });
+        },
+    }));
+
 module.exports = {
-    dictionaryApi
+    dictionaryApi,
+    onDictionaryJobCreated
 };
@@ -0,0 +1,298 @@
+// functions/api/documents.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const cors = require('cors')({ origin: true });
+const Busboy = require('busboy');
+
+const { getAuthenticatedUser } = require('../utils/auth');
+const { RateLimitError, getRateLimitedUser } = require('../utils/rateLimit');
+const { MAX_DOCUMENT_BYTES, DocumentTooLargeError, parseDocument } = require('../utils/documentImport');
+const { getJobExpiresAt } = require('../utils/retention');
+
+const db = admin.firestore();
+
+// Firestore 배치 하나에 담을 수 있는 최대 쓰기 수
+const BATCH_SIZE = 500;
+// 전체 글자 수가 이 이하이면 응답에 모든 문단을 바로 담고, 넘으면 장 목록만 반환 (장별 문단은 getImportedChapter로 조회)
+const INLINE_PARAGRAPHS_MAX_CHARS = 30000;
+
+/**
+ * multipart/form-data 요청에서 업로드 파일 하나와 필드를 읽음
+ * Cloud Functions는 요청 본문을 미리 읽어 두므로 rawBody를 busboy에 넘김
+ * @param {object} request - HTTP 요청
+ * @returns {Promise<{ buffer: Buffer|null, fileName: string|null, fields: object, truncated: boolean }>}
+ */
+const readMultipartUpload = (request) => new Promise((resolve, reject) => {
+    const busboy = Busboy({ headers: request.headers, limits: { files: 1, fileSize: MAX_DOCUMENT_BYTES } });
+    const fields = {};
+    const chunks = [];
+    let fileName = null;
+    let truncated = false;
+
+    busboy.on('field', (name, value) => {
+        fields[name] = value;
+    });
+    busboy.on('file', (name, stream, info) => {
+        fileName = info.filename || null;
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('limit', () => {
+            truncated = true;
+        });
+    });
+    busboy.on('error', reject);
+    busboy.on('close', () => resolve({
+        buffer: fileName !== null ? Buffer.concat(chunks) : null,
+        fileName,
+        fields,
+        truncated,
+    }));
+
+    busboy.end(request.rawBody);
+});
+
+/**
+ * Cloud Storage에 올린 파일을 읽음 (본인의 uploads/{uid}/ 경로만 허용)
+ * @param {string} storagePath - 버킷 안의 파일 경로
+ * @param {string} userId - 사용자 UID
+ * @returns {Promise<{ error?: {status: number, message: string}, buffer?: Buffer, fileName?: string, file?: object }>}
+ *          file은 버킷에 있는 본인의 파일 (가져올 수 없을 만큼 큰 파일이어도 포함)
+ */
+const readStorageUpload = async (storagePath, userId) => {
+    const normalizedPath = String(storagePath).replace(/^\/+/, '');
+    if (!normalizedPath.startsWith(`uploads/${userId}/`) || normalizedPath.split('/').includes('..')) {
+        return { error: { status: 403, message: '본인의 uploads 경로에 올린 파일만 가져올 수 있습니다.' } };
+    }
+
+    const file = admin.storage().bucket().file(normalizedPath);
+    const [exists] = await file.exists();
+    if (!exists) {
+        return { error: { status: 404, message: '파일을 찾을 수 없습니다.' } };
+    }
+    const [metadata] = await file.getMetadata();
+    if (Number(metadata.size) > MAX_DOCUMENT_BYTES) {
+        return { error: { status: 413, message: `파일은 ${MAX_DOCUMENT_BYTES / 1024 / 1024}MB 이하여야 합니다.` }, file };
+    }
+
+    const [buffer] = await file.download();
+    return { buffer, fileName: normalizedPath.split('/').pop(), file };
+};
+
+/**
+ * 가져오기에 쓴 Cloud Storage 파일을 삭제 (삭제에 실패해도 가져오기는 계속 진행)
+ * @param {object} file - readStorageUpload가 반환한 파일
+ */
+const deleteStorageUpload = async (file) => {
+    try {
+        await file.delete({ ignoreNotFound: true });
+    } catch (error) {
+        console.warn(`올린 파일 삭제 실패 (${file.name}):`, error);
+    }
+};
+
+/**
+ * 가져온 문서와 장별 문단을 저장
+ * 장별 문단은 문서 하나의 크기 제한(1MB)을 넘지 않도록 documentChapters에 장마다 따로 저장
+ * @param {string} userId - 사용자 UID
+ * @param {object} document - parseDocument 결과
+ * @param {object} meta - { title, fileName, storagePath }
+ * @returns {Promise<{ importId: string, chapters: Array<object> }>}
+ */
+const saveDocumentImport = async (userId, document, { title, fileName, storagePath }) => {
+    const importRef = db.collection('documentImports').doc();
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    const chapters = document.chapters.map(chapter => ({
+        id: chapter.id,
+        index: chapter.index,
+        title: chapter.title,
+        paragraphCount: chapter.paragraphs.length,
+        charCount: chapter.paragraphs.reduce((sum, p) => sum + p.text.length, 0),
+        firstParagraphId: chapter.paragraphs[0].id,
+    }));
+
+    const writes = [
+        batch => batch.set(importRef, {
+            userId: userId,
+            format: document.format,
+            title: title,
+            author: document.author,
+            pageCount: document.pageCount,
+            fileName: fileName,
+            storagePath: storagePath || null,
+            chapters: chapters,
+            paragraphCount: chapters.reduce((sum, chapter) => sum + chapter.paragraphCount, 0),
+            charCount: chapters.reduce((sum, chapter) => sum + chapter.charCount, 0),
+            createdAt: now,
+            expiresAt: getJobExpiresAt('documentImports'),
+        }),
+        ...document.chapters.map(chapter => batch => batch.set(db.collection('documentChapters').doc(`${importRef.id}_${chapter.id}`), {
+            userId: userId,
+            importId: importRef.id,
+            chapterId: chapter.id,
+            index: chapter.index,
+            title: chapter.title,
+            paragraphs: chapter.paragraphs,
+            createdAt: now,
+            expiresAt: getJobExpiresAt('documentChapters'),
+        })),
+    ];
+
+    for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+        const batch = db.batch();
+        writes.slice(start, start + BATCH_SIZE).forEach(write => write(batch));
+        await batch.commit();
+    }
+
+    return { importId: importRef.id, chapters };
+};
+
+// ==================================================================
+// 35. [API] PDF, EPUB 문서 가져오기 API (장별 문단 추출, 머리말, 꼬리말, 쪽 번호 제거)
+// - multipart/form-data: file (PDF 또는 EPUB, 최대 20MB), title (선택)
+// - application/json: storagePath (Cloud Storage의 uploads/{uid}/ 아래 경로), title (선택)
+//   올린 파일은 가져오기에만 쓰므로 읽은 뒤(너무 커서 가져올 수 없는 경우 포함) 바로 삭제
+// - 문단 ID는 'ch3-p12'(3장 12번째 문단) 형식이며, 글이 길면 paragraphs는 null이고 장별 문단은 getImportedChapter로 조회
+// ==================================================================
+const importDocument = functions.runWith({ timeoutSeconds: 300, memory: '1GB' }).https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST') {
+            return response.status(405).send('Only POST requests are allowed.');
+        }
+
+        try {
+            const user = await getRateLimitedUser(request, 'importDocument');
+            const isMultipart = (request.headers['content-type'] || '').startsWith('multipart/form-data');
+
+            let upload;
+            if (isMultipart) {
+                upload = await readMultipartUpload(request);
+                if (!upload.buffer) {
+                    return response.status(400).json({ status: 'error', message: 'file 필드로 PDF 또는 EPUB 파일을 보내야 합니다.' });
+                }
+                if (upload.truncated) {
+                    return response.status(413).json({ status: 'error', message: `파일은 ${MAX_DOCUMENT_BYTES / 1024 / 1024}MB 이하여야 합니다.` });
+                }
+            } else {
+                const { storagePath } = request.body;
+                if (!storagePath || typeof storagePath !== 'string') {
+                    return response.status(400).json({ status: 'error', message: 'multipart 파일 또는 storagePath가 필요합니다.' });
+                }
+                upload = await readStorageUpload(storagePath, user.uid);
+                // 응답을 보낸 뒤에는 작업이 끝까지 실행된다는 보장이 없으므로 파일을 읽은 직후에 삭제
+                if (upload.file) {
+                    await deleteStorageUpload(upload.file);
+                }
+                if (upload.error) {
+                    return response.status(upload.error.status).json({ status: 'error', message: upload.error.message });
+                }
+            }
+
+            let document;
+            try {
+                document = await parseDocument(upload.buffer);
+            } catch (error) {
+                if (error instanceof DocumentTooLargeError) {
+                    return response.status(413).json({ status: 'error', message: error.message });
+                }
+                console.warn("문서 해석 실패:", error);
+                return response.status(422).json({ status: 'error', message: '문서를 읽을 수 없습니다. 손상되었거나 암호가 걸린 파일인지 확인해주세요.' });
+            }
+            if (!document) {
+                return response.status(415).json({ status: 'error', message: 'PDF 또는 EPUB 파일만 가져올 수 있습니다.' });
+            }
+            if (document.chapters.length === 0) {
+                // 스캔한 PDF처럼 글자 정보가 없는 문서
+                return response.status(422).json({ status: 'error', message: '문서에서 텍스트를 찾지 못했습니다.' });
+            }
+
+            const requestTitle = isMultipart ? upload.fields.title : request.body.title;
+            const title = (typeof requestTitle === 'string' && requestTitle.trim())
+                || document.title
+                || (upload.fileName ? upload.fileName.replace(/\.[^.]+$/, '') : null);
+
+            const { importId, chapters } = await saveDocumentImport(user.uid, document, {
+                title,
+                fileName: upload.fileName,
+                storagePath: isMultipart ? null : request.body.storagePath,
+            });
+
+            const paragraphs = document.chapters.flatMap(chapter => chapter.paragraphs);
+            const charCount = chapters.reduce((sum, chapter) => sum + chapter.charCount, 0);
+
+            response.status(200).json({
+                status: 'success',
+                importId: importId,
+                format: document.format,
+                title: title,
+                author: document.author,
+                pageCount: document.pageCount,
+                paragraphCount: paragraphs.length,
+                charCount: charCount,
+                chapters: chapters,
+                paragraphs: charCount <= INLINE_PARAGRAPHS_MAX_CHARS ? paragraphs : null,
+            });
+
+        } catch (error) {
+            console.error("Document import failed:", error);
+            if (error instanceof RateLimitError) {
+                response.set('Retry-After', String(error.retryAfter));
+                response.status(429).json({ status: "error", message: error.message, retryAfter: error.retryAfter, limit: error.details });
+            } else if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+// ==================================================================
+// 36. [API] 가져온 문서의 장별 문단 조회 API
+// - query: importId, chapterId (예: 'ch3')
+// ==================================================================
+const getImportedChapter = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'GET') {
+            return response.status(405).send('Only GET requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const { importId, chapterId } = request.query;
+
+            if (!importId || !chapterId) {
+                return response.status(400).json({ status: 'error', message: 'importId와 chapterId가 필요합니다.' });
+            }
+
+            const chapterSnap = await db.collection('documentChapters').doc(`${importId}_${chapterId}`).get();
+            if (!chapterSnap.exists) {
+                return response.status(404).json({ status: 'error', message: '해당 장을 찾을 수 없습니다.' });
+            }
+
+            const chapter = chapterSnap.data();
+            if (chapter.userId !== user.uid) {
+                return response.status(403).json({ status: 'error', message: '접근 권한이 없습니다.' });
+            }
+
+            response.status(200).json({
+                status: 'success',
+                importId: chapter.importId,
+                chapter: { id: chapter.chapterId, index: chapter.index, title: chapter.title },
+                paragraphs: chapter.paragraphs,
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Imported chapter retrieval failed:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+module.exports = {
+    importDocument,
+    getImportedChapter
+};
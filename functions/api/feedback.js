@@ -0,0 +1,162 @@
+// functions/api/feedback.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const cors = require('cors')({ origin: true });
+
+const { getAuthenticatedUser } = require('../utils/auth');
+const {
+    PROFILE_DIMENSIONS,
+    RATING_SCORES,
+    FLAG_REASONS,
+    recalibrateReadingProfile,
+    rollbackReadingProfileChange,
+} = require('../utils/readingProfile');
+
+const db = admin.firestore();
+
+const RATINGS = Object.keys(RATING_SCORES);
+const ASPECTS = [...PROFILE_DIMENSIONS, 'both'];
+const REASONS = Object.keys(FLAG_REASONS);
+
+// ==================================================================
+// 13. [API] 순화 결과 피드백 제출 및 읽기 프로필 재보정 API
+// ==================================================================
+const submitSimplificationFeedback = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST') {
+            return response.status(405).send('Only POST requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const userId = user.uid;
+            const { jobId, rating, aspect = 'both', flaggedParagraphs = [] } = request.body;
+
+            if (!jobId) {
+                return response.status(400).json({ status: 'error', message: 'jobId가 필요합니다.' });
+            }
+            if (rating !== undefined && !RATINGS.includes(rating)) {
+                return response.status(400).json({ status: 'error', message: `rating은 ${RATINGS.join(', ')} 중 하나여야 합니다.` });
+            }
+            if (!ASPECTS.includes(aspect)) {
+                return response.status(400).json({ status: 'error', message: `aspect는 ${ASPECTS.join(', ')} 중 하나여야 합니다.` });
+            }
+            if (!Array.isArray(flaggedParagraphs) || flaggedParagraphs.some(f => !f || f.id === undefined || !REASONS.includes(f.reason))) {
+                return response.status(400).json({ status: 'error', message: `flaggedParagraphs의 각 항목에는 id와 reason(${REASONS.join(', ')})이 필요합니다.` });
+            }
+            if (rating === undefined && flaggedParagraphs.length === 0) {
+                return response.status(400).json({ status: 'error', message: 'rating 또는 flaggedParagraphs 중 하나는 필요합니다.' });
+            }
+
+            const jobSnap = await db.collection('simplificationJobs').doc(jobId).get();
+            if (!jobSnap.exists) {
+                return response.status(404).json({ status: 'error', message: '해당 작업을 찾을 수 없습니다.' });
+            }
+            if (jobSnap.data().userId !== userId) {
+                return response.status(403).json({ status: 'error', message: '접근 권한이 없습니다.' });
+            }
+
+            const feedbackRef = db.collection('users').doc(userId).collection('readingFeedback').doc();
+            await feedbackRef.set({
+                jobId: jobId,
+                rating: rating || null,
+                aspect: aspect,
+                flaggedParagraphs: flaggedParagraphs.map(f => ({ id: f.id, reason: f.reason })),
+                // 순화 당시 적용된 프로필 (재보정 결과를 해석할 때 참고)
+                readingProfile: jobSnap.data().readingProfile || null,
+                calibrated: false,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+
+            // 피드백이 충분히 쌓였으면 읽기 프로필 재보정
+            const change = await recalibrateReadingProfile(userId);
+
+            response.status(201).json({
+                status: 'success',
+                feedbackId: feedbackRef.id,
+                recalibrated: Boolean(change),
+                change: change,
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Feedback API 에러:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+// ==================================================================
+// 14. [API] 읽기 프로필 변경 이력 조회 API
+// ==================================================================
+const getReadingProfileChanges = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'GET') {
+            return response.status(405).send('Only GET requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const limit = Math.min(parseInt(request.query.limit, 10) || 20, 100);
+
+            const snapshot = await db.collection('users').doc(user.uid).collection('readingProfileChanges')
+                .orderBy('createdAt', 'desc')
+                .limit(limit)
+                .get();
+
+            response.status(200).json({
+                status: 'success',
+                changes: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+// ==================================================================
+// 15. [API] 읽기 프로필 변경 되돌리기 API
+// ==================================================================
+const rollbackReadingProfile = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST') {
+            return response.status(405).send('Only POST requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const { changeId } = request.body || {};
+
+            const result = await rollbackReadingProfileChange(user.uid, changeId);
+            if (!result) {
+                return response.status(404).json({ status: 'error', message: '되돌릴 수 있는 프로필 변경 이력이 없습니다.' });
+            }
+
+            response.status(200).json({
+                status: 'success',
+                ...result,
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+module.exports = {
+    submitSimplificationFeedback,
+    getReadingProfileChanges,
+    rollbackReadingProfile
+};
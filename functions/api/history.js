@@ -0,0 +1,111 @@
+// functions/api/history.js
+const functions = require('firebase-functions');
+const cors = require('cors')({ origin: true });
+
+const { getAuthenticatedUser } = require('../utils/auth');
+const { STATS_PERIODS, getHistoryCollection, loadReadingStats } = require('../utils/history');
+const { toExportable } = require('../utils/account');
+
+// 한 번에 조회할 수 있는 읽기 기록 수
+const DEFAULT_HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 50;
+
+// 한 번에 조회할 수 있는 통계 구간 수
+const DEFAULT_STATS_BUCKETS = { week: 12, month: 6 };
+const MAX_STATS_BUCKETS = 52;
+
+// 쿼리 문자열 값을 1 이상 max 이하의 정수로 읽고, 없거나 잘못된 값이면 기본값 사용
+const readLimit = (value, fallback, max) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed <= 0 ? fallback : Math.min(parsed, max);
+};
+
+// ==================================================================
+// 26. [API] 읽기 기록 조회 API (최근에 읽은 글부터, 커서 기반 페이지 조회)
+// - query: limit (기본 20, 최대 50), cursor (이전 응답의 nextCursor)
+// ==================================================================
+const getReadingHistory = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'GET') {
+            return response.status(405).send('Only GET requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const historyRef = getHistoryCollection(user.uid);
+            const limit = readLimit(request.query.limit, DEFAULT_HISTORY_PAGE_SIZE, MAX_HISTORY_PAGE_SIZE);
+            const { cursor } = request.query;
+
+            let query = historyRef.orderBy('lastReadAt', 'desc');
+            if (cursor) {
+                const cursorSnap = await historyRef.doc(cursor).get();
+                if (!cursorSnap.exists) {
+                    return response.status(400).json({ status: 'error', message: '유효하지 않은 cursor입니다.' });
+                }
+                query = query.startAfter(cursorSnap);
+            }
+
+            // 다음 페이지가 있는지 알기 위해 하나 더 조회
+            const snapshot = await query.limit(limit + 1).get();
+            const docs = snapshot.docs.slice(0, limit);
+
+            response.status(200).json({
+                status: 'success',
+                count: docs.length,
+                items: docs.map(doc => ({ id: doc.id, ...toExportable(doc.data()) })),
+                nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null,
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Reading history API 에러:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+// ==================================================================
+// 27. [API] 읽기 통계 조회 API (전체 + 주별/월별 구간, 트리거가 미리 집계한 값을 읽기만 함)
+// - query: period ('week' | 'month', 기본 'week'), count (구간 수, 기본 주 12 / 월 6, 최대 52)
+// ==================================================================
+const getReadingStats = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'GET') {
+            return response.status(405).send('Only GET requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const period = request.query.period || 'week';
+
+            if (!STATS_PERIODS.includes(period)) {
+                return response.status(400).json({ status: 'error', message: `period는 ${STATS_PERIODS.join(', ')} 중 하나여야 합니다.` });
+            }
+
+            const count = readLimit(request.query.count, DEFAULT_STATS_BUCKETS[period], MAX_STATS_BUCKETS);
+            const stats = await loadReadingStats(user.uid, period, count);
+
+            response.status(200).json({
+                status: 'success',
+                period: period,
+                ...stats,
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Reading stats API 에러:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+module.exports = {
+    getReadingHistory,
+    getReadingStats
+};
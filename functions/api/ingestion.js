@@ -0,0 +1,59 @@
+// functions/api/ingestion.js
+const functions = require('firebase-functions');
+const cors = require('cors')({ origin: true });
+
+const { RateLimitError, getRateLimitedUser } = require('../utils/rateLimit');
+const { IngestionError, normalizeArticleUrl, fetchArticle } = require('../utils/ingestion');
+
+// ==================================================================
+// 34. [API] URL로 글 가져오기 API (본문, 제목, 작성자, 날짜, 대표 이미지 추출)
+// - body: url
+// - 응답의 title, paragraphs는 simplifyText, dictionaryApi 요청에 그대로 사용할 수 있음
+// ==================================================================
+const ingestArticle = functions.runWith({ timeoutSeconds: 60 }).https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST') {
+            return response.status(405).send('Only POST requests are allowed.');
+        }
+
+        try {
+            await getRateLimitedUser(request, 'ingestArticle');
+
+            const url = normalizeArticleUrl(request.body.url);
+            if (!url) {
+                return response.status(400).json({ status: 'error', message: 'http 또는 https URL이 필요합니다.' });
+            }
+
+            const { cached, article } = await fetchArticle(url);
+
+            response.status(200).json({
+                status: 'success',
+                cached: cached,
+                url: article.canonicalUrl,
+                title: article.title,
+                author: article.author,
+                publishedAt: article.publishedAt,
+                leadImage: article.leadImage,
+                siteName: article.siteName,
+                paragraphs: article.paragraphs.map((text, index) => ({ id: `p${index + 1}`, text })),
+            });
+
+        } catch (error) {
+            if (error instanceof IngestionError) {
+                response.status(error.status).json({ status: "error", message: error.message });
+            } else if (error instanceof RateLimitError) {
+                response.set('Retry-After', String(error.retryAfter));
+                response.status(429).json({ status: "error", message: error.message, retryAfter: error.retryAfter, limit: error.details });
+            } else if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Article ingestion failed:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+module.exports = {
+    ingestArticle
+};
@@ -0,0 +1,248 @@
+// functions/api/jobs.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const cors = require('cors')({ origin: true });
+
+const { getAuthenticatedUser } = require('../utils/auth');
+const { toExportable } = require('../utils/account');
+const { loadJobParagraphs, loadJobReport } = require('../utils/jobParts');
+
+const db = admin.firestore();
+
+// 작업 상태 필터로 허용하는 값
+const JOB_STATUSES = ['processing', 'completed', 'failed'];
+
+// 한 번에 조회할 수 있는 작업 수
+const DEFAULT_JOB_PAGE_SIZE = 20;
+const MAX_JOB_PAGE_SIZE = 50;
+
+// 목록에 담을 작업 요약 필드 (원문, 결과 전체를 읽지 않도록 필요한 필드만 조회)
+const SIMPLIFICATION_SUMMARY_FIELDS = ['title', 'status', 'createdAt', 'completedAt', 'error', 'changedSpans'];
+const DICTIONARY_SUMMARY_FIELDS = ['title', 'status', 'createdAt', 'completedAt', 'error', 'termCount'];
+
+/**
+ * 작업 목록 조회 조건을 검증
+ * @param {object} query - 요청 쿼리 ({ status, from, to, limit, cursor })
+ * @returns {{ errors: Array<{field: string, message: string}>, value: object }}
+ */
+const validateJobListQuery = (query) => {
+    const errors = [];
+    const { status, from, to, limit, cursor } = query;
+    const value = { status: null, fromMs: null, toMs: null, limit: DEFAULT_JOB_PAGE_SIZE, cursor: cursor || null };
+
+    if (status !== undefined) {
+        if (!JOB_STATUSES.includes(status)) {
+            errors.push({ field: 'status', message: `${JOB_STATUSES.join(', ')} 중 하나여야 합니다.` });
+        } else {
+            value.status = status;
+        }
+    }
+
+    [['from', from, 'fromMs'], ['to', to, 'toMs']].forEach(([field, raw, key]) => {
+        if (raw === undefined) return;
+        const parsed = Date.parse(raw);
+        if (Number.isNaN(parsed)) {
+            errors.push({ field, message: 'ISO 8601 형식의 날짜여야 합니다.' });
+        } else {
+            value[key] = parsed;
+        }
+    });
+    if (value.fromMs !== null && value.toMs !== null && value.fromMs > value.toMs) {
+        errors.push({ field: 'from', message: 'from은 to보다 이전이어야 합니다.' });
+    }
+
+    if (limit !== undefined) {
+        const parsed = parseInt(limit, 10);
+        if (Number.isNaN(parsed) || parsed <= 0) {
+            errors.push({ field: 'limit', message: '1 이상의 정수여야 합니다.' });
+        } else {
+            value.limit = Math.min(parsed, MAX_JOB_PAGE_SIZE);
+        }
+    }
+
+    return { errors, value };
+};
+
+/**
+ * 사용자의 작업 목록을 최신순으로 조회
+ * 상태, 기간 조건을 쿼리에 넣고 cursor 문서 다음부터 한 페이지만 읽음
+ * (userId + createdAt, userId + status + createdAt 복합 색인 사용, firestore.indexes.json)
+ * @param {string} collectionName - 'simplificationJobs' | 'dictionaryJobs'
+ * @param {string[]} fields - 조회할 필드
+ * @param {string} userId - 사용자 UID
+ * @param {object} options - validateJobListQuery 결과
+ * @returns {Promise<{ docs: Array<FirebaseFirestore.QueryDocumentSnapshot>, nextCursor: string|null }|null>} cursor가 유효하지 않으면 null
+ */
+const listUserJobs = async (collectionName, fields, userId, { status, fromMs, toMs, limit, cursor }) => {
+    const collection = db.collection(collectionName);
+    let query = collection.where('userId', '==', userId);
+    if (status) {
+        query = query.where('status', '==', status);
+    }
+    if (fromMs !== null) {
+        query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromMillis(fromMs));
+    }
+    if (toMs !== null) {
+        query = query.where('createdAt', '<=', admin.firestore.Timestamp.fromMillis(toMs));
+    }
+    // 생성 시각이 같으면 문서 ID 순으로 정렬되어(startAfter가 자동으로 추가) 페이지 경계가 흔들리지 않음
+    query = query.orderBy('createdAt', 'desc');
+
+    if (cursor) {
+        const cursorSnap = await collection.doc(String(cursor)).get();
+        if (!cursorSnap.exists || cursorSnap.get('userId') !== userId || !cursorSnap.get('createdAt')) return null;
+        query = query.startAfter(cursorSnap);
+    }
+
+    // 다음 페이지가 있는지 알기 위해 하나 더 읽음
+    const snapshot = await query.select(...fields).limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+    return {
+        docs,
+        nextCursor: snapshot.size > limit ? docs[docs.length - 1].id : null,
+    };
+};
+
+/**
+ * (헬퍼 함수) 작업 목록 API 핸들러를 생성
+ * @param {string} collectionName - 작업 컬렉션 이름
+ * @param {string[]} fields - 조회할 필드
+ * @param {function(FirebaseFirestore.QueryDocumentSnapshot): object} toSummary - 문서를 목록 항목으로 변환
+ */
+const createJobListHandler = (collectionName, fields, toSummary) => (request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'GET') {
+            return response.status(405).send('Only GET requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const { errors, value } = validateJobListQuery(request.query);
+
+            if (errors.length > 0) {
+                return response.status(400).json({
+                    status: 'error',
+                    message: 'Invalid query parameters.',
+                    errors: errors
+                });
+            }
+
+            const result = await listUserJobs(collectionName, fields, user.uid, value);
+            if (!result) {
+                return response.status(400).json({ status: 'error', message: '유효하지 않은 cursor입니다.' });
+            }
+
+            response.status(200).json({
+                status: 'success',
+                count: result.docs.length,
+                jobs: result.docs.map(doc => ({ jobId: doc.id, ...toExportable(toSummary(doc)) })),
+                nextCursor: result.nextCursor,
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error(`${collectionName} 목록 조회 에러:`, error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+};
+
+// ==================================================================
+// 28. [API] 순화 작업 목록 조회 API
+// - query: status ('processing' | 'completed' | 'failed'), from, to (ISO 8601, 생성 시각 기준),
+//          limit (기본 20, 최대 50), cursor (이전 응답의 nextCursor)
+// ==================================================================
+const listSimplificationJobs = functions.https.onRequest(createJobListHandler(
+    'simplificationJobs',
+    SIMPLIFICATION_SUMMARY_FIELDS,
+    doc => ({
+        title: doc.get('title') || null,
+        status: doc.get('status'),
+        partial: Boolean(doc.get('changedSpans')),
+        createdAt: doc.get('createdAt') || null,
+        completedAt: doc.get('completedAt') || null,
+        error: doc.get('error') || null,
+    })
+));
+
+// ==================================================================
+// 29. [API] 단어사전 작업 목록 조회 API (query는 listSimplificationJobs와 같음)
+// ==================================================================
+const listDictionaryJobs = functions.https.onRequest(createJobListHandler(
+    'dictionaryJobs',
+    DICTIONARY_SUMMARY_FIELDS,
+    doc => ({
+        title: doc.get('title') || null,
+        status: doc.get('status'),
+        termCount: typeof doc.get('termCount') === 'number' ? doc.get('termCount') : null,
+        createdAt: doc.get('createdAt') || null,
+        completedAt: doc.get('completedAt') || null,
+        error: doc.get('error') || null,
+    })
+));
+
+// ==================================================================
+// 30. [API] 순화 작업 상세 조회 API (저장된 순화 결과를 다시 불러옴, LLM 호출 없음)
+// - query: jobId
+// ==================================================================
+const getSimplificationJob = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'GET') {
+            return response.status(405).send('Only GET requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const { jobId } = request.query;
+
+            if (!jobId) {
+                return response.status(400).json({ status: 'error', message: 'jobId가 필요합니다.' });
+            }
+
+            const jobSnap = await db.collection('simplificationJobs').doc(jobId).get();
+            if (!jobSnap.exists) {
+                return response.status(404).json({ status: 'error', message: '해당 작업을 찾을 수 없습니다.' });
+            }
+
+            const job = jobSnap.data();
+            if (job.userId !== user.uid) {
+                return response.status(403).json({ status: 'error', message: '접근 권한이 없습니다.' });
+            }
+
+            const { paragraphs, simplifiedParagraphs } = await loadJobParagraphs(jobId, job);
+
+            response.status(200).json({
+                status: 'success',
+                jobId: jobId,
+                jobStatus: job.status,
+                createdAt: toExportable(job.createdAt || null),
+                readingProfile: job.readingProfile || null,
+                data: {
+                    title: job.title || null,
+                    paragraphs: paragraphs,
+                    simplified_paragraphs: simplifiedParagraphs,
+                    ...(job.changedSpans ? { changed_spans: job.changedSpans } : {}),
+                },
+                // 리포트는 작업이 완료된 뒤에만 있음
+                analysis: job.status === 'completed' ? await loadJobReport(jobId, job) : null,
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Simplification job retrieval failed:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+module.exports = {
+    listSimplificationJobs,
+    listDictionaryJobs,
+    getSimplificationJob
+};
@@ -0,0 +1,80 @@
+// functions/api/maintenance.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+const { JOB_RETENTION, deleteExpiredJobs, failStuckJobs } = require('../utils/retention');
+const { deleteQueryInBatches } = require('../utils/account');
+const { backfillReviewStates } = require('../utils/review');
+
+const db = admin.firestore();
+
+const JOB_COLLECTIONS = Object.keys(JOB_RETENTION);
+
+// ==================================================================
+// 19. [Scheduler] 만료된 작업 문서 및 캐시 정리 (매일 새벽 4시)
+// ==================================================================
+const cleanupExpiredJobs = functions.runWith({ timeoutSeconds: 540 })
+    .pubsub.schedule('0 4 * * *')
+    .timeZone('Asia/Seoul')
+    .onRun(async () => {
+        const report = {};
+        for (const collectionName of JOB_COLLECTIONS) {
+            try {
+                report[collectionName] = await deleteExpiredJobs(collectionName);
+            } catch (error) {
+                console.error(`[${collectionName}] 만료 작업 정리 실패:`, error);
+                report[collectionName] = 'failed';
+            }
+        }
+
+        // 만료된 LLM 결과 캐시도 함께 정리
+        try {
+            report.llmCache = await deleteQueryInBatches(
+                db.collection('llmCache').where('expiresAt', '<=', admin.firestore.Timestamp.now())
+            );
+        } catch (error) {
+            console.error("[llmCache] 만료 캐시 정리 실패:", error);
+            report.llmCache = 'failed';
+        }
+
+        // URL로 가져온 글 캐시도 함께 정리
+        try {
+            report.articleCache = await deleteQueryInBatches(
+                db.collection('articleCache').where('expiresAt', '<=', admin.firestore.Timestamp.now())
+            );
+        } catch (error) {
+            console.error("[articleCache] 만료 캐시 정리 실패:", error);
+            report.articleCache = 'failed';
+        }
+
+        // 복습 기능 이전에 저장된 단어에 복습 상태 채우기 (끝나면 더 이상 읽지 않음)
+        try {
+            report.vocabularyReviewBackfill = await backfillReviewStates(20);
+        } catch (error) {
+            console.error("[vocabulary] 복습 상태 채우기 실패:", error);
+            report.vocabularyReviewBackfill = 'failed';
+        }
+        functions.logger.info("만료 작업 정리 결과:", report);
+    });
+
+// ==================================================================
+// 20. [Scheduler] 처리 중 상태로 멈춘 작업 복구 (15분마다, 마지막 시도 후 45분 넘게 처리 중인 작업을 실패로 처리)
+// ==================================================================
+const recoverStuckJobs = functions.pubsub.schedule('every 15 minutes')
+    .onRun(async () => {
+        const report = {};
+        for (const collectionName of JOB_COLLECTIONS) {
+            try {
+                report[collectionName] = await failStuckJobs(collectionName);
+            } catch (error) {
+                console.error(`[${collectionName}] 멈춘 작업 복구 실패:`, error);
+                report[collectionName] = 'failed';
+            }
+        }
+        functions.logger.info("멈춘 작업 복구 결과:", report);
+    });
+
+module.exports = {
+    cleanupExpiredJobs,
+    recoverStuckJobs
+};
@@ -3,6 +3,13 @@ const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const cors = require('cors')({ origin: true });
 const { getAuthenticatedUser } = require('../utils/auth');
+const { DEFAULT_PLAN } = require('../utils/rateLimit');
+const {
+    CURRENT_SCHEMA_VERSION,
+    DEFAULT_READING_PROFILE,
+    validateProfileInput,
+    loadUserProfile,
+} = require('../utils/profileSchema');
 
 const db = admin.firestore();
 
@@ -15,13 +22,13 @@ const getUserProfile = functions.runWith({ secrets: ["OPENAI_API_KEY"] }).https.
             const user = await getAuthenticatedUser(request);
             const userId = user.uid;
 
-            const userProfileRef = db.collection('users').doc(userId);
-            const userProfileSnap = await userProfileRef.get();
+            // 구버전 스키마의 프로필은 조회 시 현재 버전으로 변환됨
+            const userProfile = await loadUserProfile(userId);
 
-            if (userProfileSnap.exists) {
+            if (userProfile) {
                 response.status(200).json({
                     status: 'found',
-                    profile: userProfileSnap.data()
+                    profile: userProfile
                 });
             } else {
                 response.status(200).json({
@@ -51,26 +58,38 @@ const createUserProfile = functions.runWith({ secrets: ["OPENAI_API_KEY"] }).htt
             const user = await getAuthenticatedUser(request);
             const userId = user.uid;
 
-            const { readingProfile, knownTopics } = request.body;
+            const { errors, value } = validateProfileInput(request.body);
 
-            if (!readingProfile || !knownTopics) {
-                return response.status(400).send('Invalid profile data.');
+            if (errors.length > 0) {
+                return response.status(400).json({
+                    status: 'error',
+                    message: 'Invalid profile data.',
+                    errors: errors
+                });
             }
 
             const userProfileRef = db.collection('users').doc(userId);
-            const userProfileSnap = await userProfileRef.get();
+            const existingProfile = await loadUserProfile(userId);
 
+            // 요청에 없는 값은 기존 프로필 값, 그것도 없으면 기본값 사용
             const profileData = {
-                readingProfile: readingProfile,
-                knownTopics: knownTopics,
+                readingProfile: {
+                    ...DEFAULT_READING_PROFILE,
+                    ...(existingProfile ? existingProfile.readingProfile : {}),
+                    ...value.readingProfile
+                },
+                knownTopics: value.knownTopics || (existingProfile ? existingProfile.knownTopics : []),
+                schemaVersion: CURRENT_SCHEMA_VERSION,
                 email: user.email,
                 displayName: user.name || null,
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             };
 
-            // 프로필이 처음 생성될 때만 getRecommendations를 true로 설정
-            if (!userProfileSnap.exists) {
+            // 프로필이 처음 생성될 때만 getRecommendations를 true로, 요금제를 기본 요금제로 설정
+            // (요금제는 클라이언트 요청으로 바꿀 수 없음)
+            if (!existingProfile) {
                 profileData.getRecommendations = true;
+                profileData.plan = DEFAULT_PLAN;
             }
 
             await userProfileRef.set(profileData, { merge: true });
@@ -0,0 +1,99 @@
+// functions/api/question.js
+const functions = require('firebase-functions');
+const cors = require('cors')({ origin: true });
+
+const { RateLimitError, getRateLimitedUser } = require('../utils/rateLimit');
+const { DEFAULT_READING_PROFILE, loadUserProfile } = require('../utils/profileSchema');
+const { validateQuestionRequest, answerQuestion } = require('../utils/questionAnswering');
+const { buildCacheKey, getCachedResult, setCachedResult } = require('../utils/cache');
+
+/**
+ * 답변의 문단 순서를 요청한 문단 ID로 변환 (캐시에는 순서로 저장)
+ * @param {object} result - answerQuestion 결과
+ * @param {Array<{id: *}>} paragraphs - 요청 문단 배열
+ */
+const toAnswerResponse = (result, paragraphs) => {
+    const toId = index => (paragraphs[index].id === undefined ? null : paragraphs[index].id);
+    const citations = result.citations.map(citation => ({
+        paragraphId: toId(citation.paragraphIndex),
+        paragraphIndex: citation.paragraphIndex,
+        quote: citation.quote,
+    }));
+    return {
+        answerable: result.answerable,
+        answer: result.answer,
+        citations: citations,
+        paragraphIds: [...new Set(result.citations.map(citation => citation.paragraphIndex))]
+            .sort((a, b) => a - b)
+            .map(toId),
+    };
+};
+
+// ==================================================================
+// 31. [API] 글 내용 질의응답 API (답변은 글에 근거하고 근거 문단 ID를 함께 반환)
+// - body: paragraphs ([{ id, text }]), question, history ([{ role: 'user' | 'assistant', content }], 선택)
+// ==================================================================
+const askArticleQuestion = functions.runWith({ secrets: ["OPENAI_API_KEY"], timeoutSeconds: 120 }).https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST') {
+            return response.status(405).send('Only POST requests are allowed.');
+        }
+
+        try {
+            const user = await getRateLimitedUser(request, 'askArticleQuestion');
+            const { paragraphs, question, history } = request.body;
+
+            if (!Array.isArray(paragraphs) || paragraphs.length === 0
+                || paragraphs.some(p => !p || typeof p.text !== 'string')) {
+                return response.status(400).send('Invalid request data.');
+            }
+
+            const { errors, value } = validateQuestionRequest(question, history);
+            if (errors.length > 0) {
+                return response.status(400).json({
+                    status: 'error',
+                    message: 'Invalid question.',
+                    errors: errors
+                });
+            }
+
+            // 프로필이 없으면 기본 읽기 프로필 수준으로 답변
+            const userProfile = await loadUserProfile(user.uid);
+            const readingProfile = (userProfile && userProfile.readingProfile) || DEFAULT_READING_PROFILE;
+
+            const cacheKey = buildCacheKey('askArticleQuestion', { paragraphs, readingProfile, options: value });
+            const cachedResult = await getCachedResult('askArticleQuestion', cacheKey);
+            if (cachedResult) {
+                return response.status(200).json({
+                    status: 'success',
+                    cached: true,
+                    ...toAnswerResponse(cachedResult, paragraphs)
+                });
+            }
+
+            const result = await answerQuestion(paragraphs, value, readingProfile, user.uid);
+            await setCachedResult('askArticleQuestion', cacheKey, result);
+
+            response.status(200).json({
+                status: 'success',
+                cached: false,
+                ...toAnswerResponse(result, paragraphs)
+            });
+
+        } catch (error) {
+            console.error("API call failed or processing error in askArticleQuestion:", error);
+            if (error instanceof RateLimitError) {
+                response.set('Retry-After', String(error.retryAfter));
+                response.status(429).json({ status: "error", message: error.message, retryAfter: error.retryAfter, limit: error.details });
+            } else if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+module.exports = {
+    askArticleQuestion
+};
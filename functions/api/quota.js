@@ -0,0 +1,38 @@
+// functions/api/quota.js
+const functions = require('firebase-functions');
+const cors = require('cors')({ origin: true });
+
+const { getAuthenticatedUser } = require('../utils/auth');
+const { getQuotaStatus } = require('../utils/rateLimit');
+
+// ==================================================================
+// 23. [API] 남은 요청 한도 및 토큰 사용량 조회 API
+// ==================================================================
+const getUsageQuota = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'GET') {
+            return response.status(405).send('Only GET requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const quota = await getQuotaStatus(user.uid);
+
+            response.status(200).json({
+                status: 'success',
+                ...quota,
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+module.exports = {
+    getUsageQuota
+};
@@ -1,35 +1,31 @@
 // functions/api/recommendation.js
 const functions = require('firebase-functions');
-const admin = require('firebase-admin');
-const { OpenAI } = require('openai');
 const cors = require('cors')({ origin: true });
-const ogs = require('open-graph-scraper');
 
-const { getAuthenticatedUser } = require('../utils/auth');
-
-const db = admin.firestore();
+const { RateLimitError, getRateLimitedUser } = require('../utils/rateLimit');
+const { recommendArticles } = require('../utils/recommendation');
+const { normalizeArticleUrl } = require('../utils/ingestion');
+const { DEFAULT_READING_PROFILE, loadUserProfile } = require('../utils/profileSchema');
+const { buildCacheKey, getCachedResult, setCachedResult } = require('../utils/cache');
 
 // ==================================================================
 // 7. [API] 텍스트를 기반으로 '더 읽을 거리'를 추천합니다.
+// - body: paragraphs, url (선택, 읽고 있는 글의 주소)
+// - 후보 글을 내용 유사도와 읽기 프로필에 맞는 난이도로 순위를 매기고, 추천 이유(reason)를 함께 반환
 // ==================================================================
-const getReadingRecommendations = functions.runWith({ secrets: ["OPENAI_API_KEY", "GOOGLE_CSE_API_KEY", "GOOGLE_CSE_CX"] })
+const getReadingRecommendations = functions.runWith({ secrets: ["OPENAI_API_KEY", "GOOGLE_CSE_API_KEY", "GOOGLE_CSE_CX"], timeoutSeconds: 120 })
     .https.onRequest((request, response) => {
         cors(request, response, async () => {
             if (request.method !== 'POST') {
                 return response.status(405).send('Only POST requests are allowed.');
             }
 
-            const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-            const googleCseApiKey = process.env.GOOGLE_CSE_API_KEY;
-            const googleCseCx = process.env.GOOGLE_CSE_CX;
-
             try {
-                const user = await getAuthenticatedUser(request);
+                const user = await getRateLimitedUser(request, 'getReadingRecommendations');
                 const userId = user.uid;
 
                 // 사용자 프로필을 가져와 추천 기능 활성화 여부 확인
-                const userProfileSnap = await db.collection('users').doc(userId).get();
-                const userProfile = userProfileSnap.exists ? userProfileSnap.data() : {};
+                const userProfile = (await loadUserProfile(userId)) || {};
 
                 if (!userProfile.getRecommendations) {
                     return response.status(200).json({
@@ -40,7 +36,7 @@ const getReadingRecommendations = functions.runWith({ secrets: ["OPENAI_API_KEY"
                 }
 
 
-                const { paragraphs } = request.body;
+                const { paragraphs, url } = request.body;
 
                 if (!paragraphs || !Array.isArray(paragraphs) || paragraphs.some(p => typeof p.text !== 'string')) {
                     return response.status(400).json({ status: 'error', message: '유효한 paragraphs 배열이 필요합니다.' });
@@ -52,89 +48,52 @@ const getReadingRecommendations = functions.runWith({ secrets: ["OPENAI_API_KEY"
                     return response.status(400).json({ status: 'error', message: '분석할 텍스트가 비어 있습니다.' });
                 }
 
-                // 1. OpenAI API를 사용하여 핵심 키워드 추출
-                const keywordExtractionPrompt = `
-                    You are an expert in Korean text analysis.
-                    From the given Korean text, extract up to 5 core topics or keywords that best represent the content.
-                    List them in order of importance.
-                    Return the result as a JSON object: {"keywords": ["keyword1", "keyword2", ...]}.
-
-                    ## Text to analyze:
-                    ---
-                    ${fullText}
-                    ---
-                `;
-
-                const keywordCompletion = await openai.chat.completions.create({
-                    model: "gpt-4-turbo",
-                    messages: [
-                        {"role": "system", "content": "You are an expert Korean text analyst that returns only a single JSON object."}, 
-                        {"role": "user", "content": keywordExtractionPrompt}
-                    ],
-                    response_format: { type: "json_object" },
-                });
+                const knownTopics = userProfile.knownTopics || [];
+                const readingProfile = userProfile.readingProfile || DEFAULT_READING_PROFILE;
+                // 읽고 있는 글의 URL (선택, 같은 글이 추천되지 않도록 제외)
+                const sourceUrl = url === undefined ? null : normalizeArticleUrl(url);
+                if (url !== undefined && !sourceUrl) {
+                    return response.status(400).json({ status: 'error', message: 'url은 http 또는 https 주소여야 합니다.' });
+                }
 
-                let keywords = [];
-                try {
-                    const responseContent = keywordCompletion.choices[0].message.content;
-                    const parsedResponse = JSON.parse(responseContent);
-                    if (parsedResponse && Array.isArray(parsedResponse.keywords)) {
-                        keywords = parsedResponse.keywords;
-                    }
-                } catch (parseError) {
-                    console.warn("Failed to parse keyword extraction response:", parseError);
+                // 같은 글, 같은 관심 주제와 읽기 프로필에 대한 추천 결과가 있으면 바로 응답
+                const cacheKey = buildCacheKey('getReadingRecommendations', { paragraphs, readingProfile, knownTopics, options: { sourceUrl } });
+                const cachedResult = await getCachedResult('getReadingRecommendations', cacheKey);
+                if (cachedResult) {
+                    return response.status(200).json({
+                        status: 'success',
+                        cached: true,
+                        ...cachedResult
+                    });
                 }
 
+                // 검색 결과를 모아 중복을 없애고 내용 유사도, 난이도로 순위를 매김
+                const { keywords, candidateCount, recommendations } = await recommendArticles({
+                    fullText, sourceUrl, knownTopics, readingProfile, userId
+                });
+
                 if (keywords.length === 0) {
                     return response.status(404).json({ status: "error", message: "텍스트에서 핵심 키워드를 추출하지 못했습니다." });
                 }
 
-                const knownTopics = userProfile.knownTopics || [];
-
-                // Combine keywords and known topics to form a comprehensive search query
-                let searchQuery = [...new Set([...keywords, ...knownTopics])].join(' ');
-                searchQuery += ' 기사'; // Add "article" to get more relevant results
-
-                // 2. Google Custom Search API로 관련 기사 검색
-                const googleSearchUrl = `https://www.googleapis.com/customsearch/v1?key=${googleCseApiKey}&cx=${googleCseCx}&q=${encodeURIComponent(searchQuery)}&num=5`; // Request up to 5 results
-                
-                const searchResponse = await fetch(googleSearchUrl);
-                const searchData = await searchResponse.json();
-
-                let recommendations = [];
-                if (searchData.items && searchData.items.length > 0) {
-                    const scrapePromises = searchData.items.map(async (item) => {
-                        try {
-                            const { result } = await ogs({ url: item.link });
-                            return {
-                                title: item.title,
-                                link: item.link,
-                                snippet: item.snippet,
-                                image: result.ogImage?.[0]?.url || null
-                            };
-                        } catch (error) {
-                            console.error(`Error scraping ${item.link}:`, error.result ? error.result.error : error.message);
-                            // If scraping fails, return the item without an image
-                            return {
-                                title: item.title,
-                                link: item.link,
-                                snippet: item.snippet,
-                                image: null
-                            };
-                        }
-                    });
-
-                    recommendations = await Promise.all(scrapePromises);
+                if (recommendations.length > 0) {
+                    await setCachedResult('getReadingRecommendations', cacheKey, { keywords, candidateCount, recommendations });
                 }
 
                 response.status(200).json({
                     status: 'success',
+                    cached: false,
+                    keywords: keywords,
+                    candidateCount: candidateCount,
                     recommendations: recommendations
                 });
 
             } catch (error) {
                 console.error("API call failed or processing error in getReadingRecommendations:", error);
-                if (error.message.includes('토큰')) {
+                if (error instanceof RateLimitError) {
+                    response.set('Retry-After', String(error.retryAfter));
+                    response.status(429).json({ status: "error", message: error.message, retryAfter: error.retryAfter, limit: error.details });
+                } else if (error.message.includes('토큰')) {
                     response.status(401).json({ status: "error", message: error.message });
                 } else {
                     response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
@@ -0,0 +1,209 @@
+// functions/api/review.js
+const functions = require('firebase-functions');
+const cors = require('cors')({ origin: true });
+
+const { getAuthenticatedUser } = require('../utils/auth');
+const { getVocabularyCollection } = require('../utils/vocabulary');
+const {
+    getReviewState,
+    scheduleReview,
+    getEndOfToday,
+    shuffle,
+    buildMultipleChoiceQuestion,
+    buildClozeQuestion,
+    gradeQuizAnswer,
+} = require('../utils/review');
+
+const DEFAULT_REVIEW_LIMIT = 20;
+const MAX_REVIEW_LIMIT = 100;
+const QUIZ_TYPES = ['multiple_choice', 'cloze', 'mixed'];
+
+/**
+ * (헬퍼 함수) 오늘까지 복습해야 하는 단어 목록을 복습 예정일 순으로 조회
+ * 학습 완료로 표시한 단어는 쿼리에서 제외 (learned + review.dueAt 복합 색인 사용)
+ * @param {string} userId - 사용자 UID
+ * @param {number} limit - 최대 개수
+ */
+const getDueWords = async (userId, limit) => {
+    const snapshot = await getVocabularyCollection(userId)
+        .where('learned', '==', false)
+        .where('review.dueAt', '<=', getEndOfToday())
+        .orderBy('review.dueAt', 'asc')
+        .limit(limit)
+        .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+};
+
+// 요청의 limit/count 값을 안전한 범위의 정수로 변환
+const parseLimit = (value) => {
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed) || parsed <= 0) return DEFAULT_REVIEW_LIMIT;
+    return Math.min(parsed, MAX_REVIEW_LIMIT);
+};
+
+// 응답으로 보낼 복습 상태 (Timestamp를 ISO 문자열로 변환)
+const serializeReviewState = (state) => ({
+    ...state,
+    dueAt: state.dueAt ? state.dueAt.toDate().toISOString() : null,
+    lastReviewedAt: state.lastReviewedAt ? state.lastReviewedAt.toDate().toISOString() : null,
+});
+
+// ==================================================================
+// 10. [API] 오늘 복습할 단어 조회 API
+// ==================================================================
+const getDueReviews = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'GET') {
+            return response.status(405).send('Only GET requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const dueWords = await getDueWords(user.uid, parseLimit(request.query.limit));
+
+            response.status(200).json({
+                status: 'success',
+                count: dueWords.length,
+                words: dueWords.map(word => ({
+                    ...word,
+                    review: serializeReviewState(getReviewState(word)),
+                })),
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Review API 에러:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+// ==================================================================
+// 11. [API] 복습 퀴즈 생성 API (객관식 / 빈칸 채우기)
+// ==================================================================
+const getReviewQuiz = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'GET') {
+            return response.status(405).send('Only GET requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const type = request.query.type || 'mixed';
+
+            if (!QUIZ_TYPES.includes(type)) {
+                return response.status(400).json({ status: 'error', message: `type은 ${QUIZ_TYPES.join(', ')} 중 하나여야 합니다.` });
+            }
+
+            const count = parseLimit(request.query.count);
+            const dueWords = await getDueWords(user.uid, count);
+
+            if (dueWords.length === 0) {
+                return response.status(200).json({ status: 'success', questions: [] });
+            }
+
+            // 객관식 오답 보기는 단어장 전체에서 고름
+            const poolSnapshot = await getVocabularyCollection(user.uid).get();
+            const pool = poolSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+            const questions = dueWords.map((word, index) => {
+                const preferred = type === 'mixed'
+                    ? (index % 2 === 0 ? 'multiple_choice' : 'cloze')
+                    : type;
+
+                // 원하는 유형을 만들 수 없으면 (보기 부족, 문맥 없음) 다른 유형으로 대체
+                const builders = preferred === 'cloze'
+                    ? [() => buildClozeQuestion(word), () => buildMultipleChoiceQuestion(word, pool)]
+                    : [() => buildMultipleChoiceQuestion(word, pool), () => buildClozeQuestion(word)];
+                const allowed = type === 'mixed' ? builders : builders.slice(0, 1);
+
+                for (const build of allowed) {
+                    const question = build();
+                    if (question) return question;
+                }
+                return null;
+            }).filter(Boolean);
+
+            response.status(200).json({
+                status: 'success',
+                questions: shuffle(questions),
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Review API 에러:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+// ==================================================================
+// 12. [API] 복습 답안 채점 및 일정 갱신 API
+// ==================================================================
+const submitReviewAnswer = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST') {
+            return response.status(405).send('Only POST requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const { termId, grade, type, answer } = request.body;
+
+            if (!termId) {
+                return response.status(400).json({ status: 'error', message: 'termId가 필요합니다.' });
+            }
+
+            // grade(0~5 자기 평가) 또는 퀴즈 답안(type + answer) 중 하나는 있어야 함
+            const hasGrade = Number.isInteger(grade) && grade >= 0 && grade <= 5;
+            const hasAnswer = ['multiple_choice', 'cloze'].includes(type) && typeof answer === 'string';
+            if (!hasGrade && !hasAnswer) {
+                return response.status(400).json({ status: 'error', message: '0~5 사이의 grade 또는 type과 answer가 필요합니다.' });
+            }
+
+            const termRef = getVocabularyCollection(user.uid).doc(termId);
+            const termSnap = await termRef.get();
+            if (!termSnap.exists) {
+                return response.status(404).json({ status: 'error', message: '해당 단어를 찾을 수 없습니다.' });
+            }
+
+            const word = termSnap.data();
+            const result = hasAnswer
+                ? gradeQuizAnswer(word, type, answer)
+                : { correct: grade >= 3, grade: grade, expected: null };
+
+            const nextState = scheduleReview(getReviewState(word), result.grade);
+            await termRef.update({ review: nextState });
+
+            response.status(200).json({
+                status: 'success',
+                termId: termId,
+                correct: result.correct,
+                expected: result.expected,
+                grade: result.grade,
+                review: serializeReviewState(nextState),
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Review API 에러:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+module.exports = {
+    getDueReviews,
+    getReviewQuiz,
+    submitReviewAnswer
+};
@@ -2,200 +2,336 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const crypto = require('crypto');
-const { OpenAI } = require('openai');
 const cors = require('cors')({ origin: true });
 
 const { getAuthenticatedUser } = require('../utils/auth');
+const { RateLimitError, getRateLimitedUser } = require('../utils/rateLimit');
 const { analyzeText } = require('../utils/analysis');
+const { diffParagraphs } = require('../utils/diff');
+const { isSimplificationDisabled } = require('../utils/readingProfile');
+const {
+    PARAGRAPH_STATUS,
+    resolveTargets,
+    simplifyParagraphs,
+    simplifyTargets,
+    streamSimplifiedParagraphs
+} = require('../utils/simplification');
+const { validateSummaryOptions, summarizeParagraphs } = require('../utils/summarization');
+const { DEFAULT_READING_PROFILE, loadUserProfile } = require('../utils/profileSchema');
+const { getJobExpiresAt } = require('../utils/retention');
+const { runJob } = require('../utils/jobQueue');
+const { PART_KINDS, saveJobParts, loadJobParagraphs, saveJobReport, loadJobReport } = require('../utils/jobParts');
+const { buildCacheKey, getCachedResult, setCachedResult } = require('../utils/cache');
+const { READING_ACTIVITY, recordReadingActivity } = require('../utils/history');
 
 const db = admin.firestore();
 
+/**
+ * 원문과 순화문을 비교하여 정량적 리포트와 문단별 문장 비교 결과를 생성
+ * @param {Array<{id: *, text: string}>} paragraphs - 원문 문단 배열
+ * @param {Array<{id: *, text: string, status: string}>} simplifiedParagraphs - 같은 순서의 순화 결과
+ */
+const buildSimplificationReport = (paragraphs, simplifiedParagraphs) => {
+    // 구분자 문자열이 단어로 세어지지 않도록 문단은 빈 줄로 이어서 분석
+    const originalAnalysis = analyzeText(paragraphs.map(p => p.text).join('\n\n'));
+    const simplifiedAnalysis = analyzeText(simplifiedParagraphs.map(p => p.text).join('\n\n'));
+
+    const charCountReduction = originalAnalysis.charCount > 0 
+        ? (originalAnalysis.charCount - simplifiedAnalysis.charCount) / originalAnalysis.charCount 
+        : 0;
+    
+    // 읽기 쉬운 정도는 학년 수준이 낮아진 비율로 계산
+    const readabilityImprovement = originalAnalysis.gradeLevel > 0
+        ? (originalAnalysis.gradeLevel - simplifiedAnalysis.gradeLevel) / originalAnalysis.gradeLevel
+        : 0;
+    const gradeLevelChange = simplifiedAnalysis.gradeLevel - originalAnalysis.gradeLevel;
+
+    return {
+        summary: {
+            readability_improvement_percent: (readabilityImprovement * 100).toFixed(1),
+            char_count_reduction_percent: (charCountReduction * 100).toFixed(1),
+            grade_level: {
+                original: originalAnalysis.gradeLevel,
+                simplified: simplifiedAnalysis.gradeLevel,
+                original_label: originalAnalysis.gradeLabel,
+                simplified_label: simplifiedAnalysis.gradeLabel,
+            },
+            key_message: `텍스트가 약 ${Math.round(charCountReduction * 100)}% 짧아졌고, 읽기 수준이 ${originalAnalysis.gradeLabel || '-'}에서 ${simplifiedAnalysis.gradeLabel || '-'} 수준으로 바뀌었어요.`
+        },
+        quantitative_analysis: {
+            original: originalAnalysis,
+            simplified: simplifiedAnalysis,
+            improvements: {
+                char_count_reduction: charCountReduction,
+                word_count_reduction: originalAnalysis.wordCount > 0 
+                    ? (originalAnalysis.wordCount - simplifiedAnalysis.wordCount) / originalAnalysis.wordCount 
+                    : 0,
+                stopword_reduction_count: originalAnalysis.stopwordCount - simplifiedAnalysis.stopwordCount,
+                readability_improvement: readabilityImprovement,
+                grade_level_change: Math.round(gradeLevelChange * 10) / 10,
+            }
+        },
+        // 문단별로 문장을 대응시킨 비교 결과 (나뉜 문장, 바뀐 표현, 덧붙인 풀이 등)
+        paragraph_diffs: diffParagraphs(paragraphs, simplifiedParagraphs),
+    };
+};
+
+/**
+ * 순화 결과의 리포트를 생성. 부분 순화 결과는 문서 전체가 아니라 바뀐 구간끼리만 비교
+ * @param {Array<{id: *, text: string}>} paragraphs - 원문 문단 배열
+ * @param {Array<{id: *, text: string, status: string}>} simplifiedParagraphs - 같은 순서의 순화 결과
+ * @param {Array<object>|null} changedSpans - simplifyTargets가 반환한 바뀐 구간 목록 (전체 순화는 null)
+ */
+const buildResultReport = (paragraphs, simplifiedParagraphs, changedSpans) => {
+    if (!changedSpans) {
+        return buildSimplificationReport(paragraphs, simplifiedParagraphs);
+    }
+    return buildSimplificationReport(
+        changedSpans.map(span => ({ id: span.id, text: span.original.text })),
+        changedSpans.map(span => ({ id: span.id, text: span.simplified.text, status: span.status }))
+    );
+};
+
+/**
+ * (헬퍼 함수) 순화 요청을 처리할 수 없으면 오류 응답을 보내고 그 응답을 반환 (처리할 수 있으면 null)
+ * @param {object} response - HTTP 응답
+ * @param {object|null} userProfile - loadUserProfile 결과
+ * @param {object} body - 요청 본문 ({ title, paragraphs })
+ */
+const sendSimplificationRequestError = (response, userProfile, body) => {
+    if (!userProfile) {
+        return response.status(404).json({ status: "error", message: "프로필이 없습니다. 먼저 프로필을 설정해주세요." });
+    }
+
+    const { title, paragraphs } = body;
+
+    if (!title || !paragraphs || !Array.isArray(paragraphs)) {
+        return response.status(400).send('Invalid request data.');
+    }
+
+    // [수정] sentence와 vocabulary가 모두 0이면 순화 거절
+    if (isSimplificationDisabled(userProfile.readingProfile || {})) {
+        return response.status(400).json({
+            status: "rejected",
+            message: "읽기 프로필(문장, 어휘)이 모두 설정되지 않아 순화 작업을 진행할 수 없습니다."
+        });
+    }
+
+    return null;
+};
+
+/**
+ * 순화 작업 문서를 생성 (3단계 정량적 리포트는 문서 생성 시 onSimplificationJobCreated 트리거가 생성 및 저장)
+ * 리포트를 함께 넘기면(캐시된 결과) 완료된 작업으로 만들어 트리거가 다시 처리하지 않음
+ * 문단과 문장 비교 결과는 작업 문서 크기 제한을 넘지 않도록 simplificationJobParts에 나누어 저장 (트리거가 읽을 수 있도록 작업 문서보다 먼저 저장)
+ * @param {object} params
+ * @param {string} params.userId - 사용자 UID
+ * @param {string} params.title - 글 제목
+ * @param {Array<{id: *, text: string}>} params.paragraphs - 원문 문단 배열
+ * @param {Array<{id: *, text: string, status: string}>} params.simplifiedParagraphs - 문단별 순화 결과
+ * @param {object} params.readingProfile - 순화에 사용한 읽기 프로필
+ * @param {Array<object>} [params.changedSpans] - 부분 순화에서 바뀐 구간 목록 (리포트는 이 구간만 비교)
+ * @param {object} [params.analysis] - 이미 만든 리포트 (캐시된 결과로 응답할 때)
+ * @returns {Promise<string>} 생성된 작업 ID
+ */
+const createSimplificationJob = async ({ userId, title, paragraphs, simplifiedParagraphs, readingProfile, changedSpans, analysis }) => {
+    const jobId = crypto.randomBytes(16).toString('hex');
+    const jobRef = db.collection('simplificationJobs').doc(jobId);
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    // 문단 단위 결과 (문단 ID와 순화 상태 포함)
+    await saveJobParts(jobId, userId, {
+        [PART_KINDS.PARAGRAPHS]: paragraphs.map(p => ({ id: p.id === undefined ? null : p.id, text: p.text })),
+        [PART_KINDS.SIMPLIFIED_PARAGRAPHS]: simplifiedParagraphs.map(p => ({ id: p.id === undefined ? null : p.id, text: p.text, status: p.status })),
+    });
+    const storedAnalysis = analysis ? await saveJobReport(jobId, userId, analysis) : null;
+
+    await jobRef.set({
+        userId: userId,
+        ...(storedAnalysis
+            ? { status: 'completed', cached: true, analysis: storedAnalysis, completedAt: now }
+            : { status: 'processing' }),
+        attempts: 0,
+        createdAt: now,
+        expiresAt: getJobExpiresAt('simplificationJobs'),
+        title: typeof title === 'string' ? title : null,
+        paragraphCount: paragraphs.length,
+        // 피드백 기반 재보정을 위해 순화 당시의 읽기 프로필을 함께 저장
+        readingProfile: readingProfile,
+        changedSpans: changedSpans || null,
+    });
+
+    return jobId;
+};
+
+/**
+ * 캐시된 순화 결과를 요청 문단의 ID에 맞춰 복원
+ * @param {Array<{id: *}>} paragraphs - 요청 문단 배열 (캐시 키에는 문단 ID가 포함되지 않음)
+ * @param {object} cachedResult - { simplifiedTexts, statuses }
+ */
+const restoreCachedParagraphs = (paragraphs, cachedResult) => paragraphs.map((p, index) => ({
+    id: p.id,
+    text: cachedResult.simplifiedTexts[index],
+    status: cachedResult.statuses[index],
+}));
+
+/**
+ * 캐시된 부분 순화 구간을 요청 문단의 ID에 맞춰 복원 (전체 순화 결과는 null)
+ * @param {Array<{id: *}>} paragraphs - 요청 문단 배열
+ * @param {object} cachedResult - { changedSpans }
+ */
+const restoreCachedSpans = (paragraphs, cachedResult) => (cachedResult.changedSpans
+    ? cachedResult.changedSpans.map((span) => {
+        const id = paragraphs[span.paragraphIndex].id;
+        return { ...span, id: id === undefined ? null : id };
+    })
+    : null);
+
+/**
+ * 원문으로 대체된 문단이 없는 결과만 캐시
+ * @param {string} cacheKey - buildCacheKey로 만든 키
+ * @param {Array<{text: string, status: string}>} simplifiedParagraphs - 문단별 순화 결과
+ * @param {Array<object>} [changedSpans] - 부분 순화에서 바뀐 구간 목록
+ */
+const cacheSimplifiedParagraphs = async (cacheKey, simplifiedParagraphs, changedSpans) => {
+    if (simplifiedParagraphs.some(p => p.status === PARAGRAPH_STATUS.FALLBACK)) return;
+
+    await setCachedResult('simplifyText', cacheKey, {
+        simplifiedTexts: simplifiedParagraphs.map(p => p.text),
+        statuses: simplifiedParagraphs.map(p => p.status),
+        changedSpans: changedSpans || null,
+    });
+};
+
+/**
+ * 순화 결과를 사용자의 읽기 기록과 통계에 반영 (기록 실패가 요청이나 작업을 실패시키지 않도록 함)
+ * @param {string} userId - 사용자 UID
+ * @param {object} params
+ * @param {string|null} params.jobId - 작업 ID
+ * @param {string|null} params.title - 글 제목
+ * @param {Array<{text: string}>} params.paragraphs - 원문 문단 배열
+ * @param {Array<{text: string, status: string}>} params.simplifiedParagraphs - 문단별 순화 결과
+ */
+const recordSimplificationHistory = async (userId, { jobId, title, paragraphs, simplifiedParagraphs }) => {
+    try {
+        await recordReadingActivity(userId, {
+            type: READING_ACTIVITY.SIMPLIFICATION,
+            jobId: jobId,
+            title: title,
+            originalText: paragraphs.map(p => p.text).join('\n\n'),
+            simplifiedText: simplifiedParagraphs.map(p => p.text).join('\n\n'),
+            simplifiedParagraphCount: simplifiedParagraphs.filter(p => p.status !== PARAGRAPH_STATUS.UNCHANGED).length,
+        });
+    } catch (error) {
+        console.warn(`[User ID: ${userId}] 읽기 기록 저장 실패:`, error);
+    }
+};
+
+/**
+ * Server-Sent Events 형식으로 이벤트 하나를 전송
+ * @param {object} response - HTTP 응답
+ * @param {string} event - 이벤트 이름
+ * @param {object} data - JSON으로 직렬화할 데이터
+ */
+const sendEvent = (response, event, data) => {
+    response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
 // ==================================================================
 // 3. [API] 텍스트 순화 및 정량적 리포트 생성 API
+// - targets를 보내면 지정한 문단 또는 문장 범위만 순화 (부분 순화)
+//   targets: [{ id }, { id, start, end }]  start, end는 문단 텍스트 안의 글자 위치 (범위가 걸친 문장 전체를 순화)
+//   대상이 아닌 문단은 status 'unchanged'로 원문 그대로 반환하고, 바뀐 구간은 changed_spans로 함께 반환
 // ==================================================================
-const simplifyText = functions.runWith({ secrets: ["OPENAI_API_KEY"] }).https.onRequest((request, response) => {
+const simplifyText = functions.runWith({ secrets: ["OPENAI_API_KEY"], timeoutSeconds: 300 }).https.onRequest((request, response) => {
     cors(request, response, async () => {
         if (request.method !== 'POST') {
             return response.status(405).send('Only POST requests are allowed.');
         }
 
-        const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
         try {
-            const user = await getAuthenticatedUser(request);
+            const user = await getRateLimitedUser(request, 'simplifyText');
             const userId = user.uid;
-            const userProfileSnap = await db.collection('users').doc(userId).get();
+            const userProfile = await loadUserProfile(userId);
 
-            if (!userProfileSnap.exists) {
-                return response.status(404).json({ status: "error", message: "프로필이 없습니다. 먼저 프로필을 설정해주세요." });
+            if (sendSimplificationRequestError(response, userProfile, request.body)) {
+                return;
             }
-            
-            const userProfile = userProfileSnap.data();
-            const { title, paragraphs } = request.body;
 
-            if (!title || !paragraphs || !Array.isArray(paragraphs)) {
-                return response.status(400).send('Invalid request data.');
-            }
-
-            const guidelineSentences = [];
+            const { title, paragraphs, targets } = request.body;
             const readingProfile = userProfile.readingProfile || {};
 
-            // [수정] sentence와 vocabulary가 모두 0이면 순화 거절
-            if (readingProfile.sentence === 0 && readingProfile.vocabulary === 0) {
-                return response.status(400).json({
-                    status: "rejected",
-                    message: "읽기 프로필(문장, 어휘)이 모두 설정되지 않아 순화 작업을 진행할 수 없습니다."
-                });
-            }
-
-            // 문장 가이드라인
-            if (readingProfile.sentence) {
-                switch (readingProfile.sentence) {
-                    case 1:
-                        guidelineSentences.push('50자를 초과하는 모든 문장은 반드시 2개 이상의 짧은 문장으로 분리하세요. 이때, 원래 문장의 구조나 표현은 거의 그대로 유지하고, 문장을 나누는 작업에만 집중해야 합니다. 불필요한 단어 삭제나 문장 재구성은 하지 마세요.');
-                        break;
-                    case 2:
-                        guidelineSentences.push('50자를 초과하는 모든 문장은 반드시 2개 이상의 짧은 문장으로 분리하세요. 또한, 관형절이나 종속절처럼 복잡한 문장 구조를 적극적으로 해체하여, 주어와 서술어가 명확한 여러 개의 독립된 문장으로 재구성해야 합니다. 원문의 핵심 정보를 유지하는 선에서, 문장의 순서를 바꾸거나 일부 단어를 변경하여 더 이해하기 쉽게 만드는 것을 목표로 합니다.');
-                        break;
+            let targetRanges = null;
+            if (targets !== undefined) {
+                const { errors, value } = resolveTargets(paragraphs, targets);
+                if (errors.length > 0) {
+                    return response.status(400).json({
+                        status: 'error',
+                        message: 'Invalid targets.',
+                        errors: errors
+                    });
                 }
+                targetRanges = value;
             }
 
-            // 어휘 가이드라인
-            if (readingProfile.vocabulary) {
-                switch (readingProfile.vocabulary) {
-                    case 1:
-                        guidelineSentences.push('어려운 한자어나 외래어를 쉬운 우리말로 바꿔주세요.');
-                        break;
-                    case 2:
-                        guidelineSentences.push('어려운 어휘, 전문 용어, 관용구, 비유적 표현 등을 풀어서 설명하거나 직접적인 의미로 해석하여 전달해주세요.');
-                        break;
-                }
+            // 같은 글을 같은 읽기 프로필(과 같은 부분 순화 범위)로 순화한 결과가 있으면 LLM 호출 없이 바로 응답
+            const cacheKey = buildCacheKey('simplifyText', {
+                paragraphs,
+                readingProfile,
+                options: targetRanges ? { targets: targetRanges } : null,
+            });
+            const cachedResult = await getCachedResult('simplifyText', cacheKey);
+            if (cachedResult) {
+                const simplifiedParagraphs = restoreCachedParagraphs(paragraphs, cachedResult);
+                const changedSpans = restoreCachedSpans(paragraphs, cachedResult);
+                const analysis = buildResultReport(paragraphs, simplifiedParagraphs, changedSpans);
+                // 피드백, 리포트 조회, 작업 목록에서 쓸 수 있도록 완료된 작업을 만듦 (트리거가 처리하지 않으므로 읽기 기록은 여기서 반영)
+                const jobId = await createSimplificationJob({ userId, title, paragraphs, simplifiedParagraphs, readingProfile, changedSpans, analysis });
+                await recordSimplificationHistory(userId, { jobId, title, paragraphs, simplifiedParagraphs });
+                return response.status(200).json({
+                    status: "completed",
+                    cached: true,
+                    jobId: jobId,
+                    data: {
+                        title: title,
+                        simplified_paragraphs: simplifiedParagraphs,
+                        ...(changedSpans ? { changed_spans: changedSpans } : {}),
+                    },
+                    analysis: analysis,
+                });
             }
 
-            const simplificationGuidelines = `
-                - 읽기 프로필: ${guidelineSentences.join(' ')}
-            `;
-            
-            // 고유한 문단 구분자 정의
-            const PARAGRAPH_SEPARATOR = "---PARAGRAPH_SEPARATOR---";
-            
-            // 원문 텍스트를 문단 구분자로 연결하여 전송
-            const originalFullText = paragraphs.map(p => p.text).join(`\n${PARAGRAPH_SEPARATOR}\n`);
-
             // --- 1단계: 텍스트 순화 요청 ---
-            const promptForSimplification = `
-                ## 역할 (Persona)
-                당신은 전문 편집자입니다. 사용자의 프로필을 바탕으로 원문 텍스트를 '순화'하는 임무를 맡았습니다. '요약'이 아님에 주의하세요.
-
-                ## 사용자 프로필
-                ${simplificationGuidelines}
-
-                ## 지침
-                - **문단 구조 유지**: 원문 텍스트는 '${PARAGRAPH_SEPARATOR}' 구분자로 나뉘어진 여러 문단으로 구성되어 있습니다. 순화된 결과에서도 반드시 이 구분자를 사용하여 원문과 동일한 수의 문단과 순서를 유지해야 합니다. 각 문단은 개별적으로 순화되어야 합니다.
-                - **정보량 보존**: 원문의 핵심 정보와 세부 사항을 생략하거나 요약하지 마세요. 글의 길이를 인위적으로 줄이는 것이 목표가 아닙니다.
-                - **프로필 기반 순화**: 사용자의 '읽기 프로필'에 명시된 가이드라인을 최우선 순위로 고려하여 엄격하게 순화 작업을 수행하세요. 이 프로필은 순화의 강도와 방향을 결정하는 가장 중요한 기준입니다.
-                - **어투 및 스타일 유지**: 원문의 전반적인 어조, 스타일(예: 경어체, 구어체, 문어체, 유머러스함 등)을 최대한 유지하면서 순화하세요.
-                - 원문의 핵심 의미를 절대 왜곡하지 마세요.
-                - 원문이 한국어이므로, 결과물도 반드시 한국어로 작성하세요.
-                - 순화된 텍스트 외에 어떠한 추가 설명이나 안내 문구도 포함하지 마세요. 오직 순화된 텍스트만 반환해야 합니다.
-
-                ## 원문 텍스트 (Original Text)
-                ---
-                ${originalFullText}
-                ---
-            `;
-
-            const simplificationCompletion = await openai.chat.completions.create({
-                model: "gpt-4-turbo",
-                temperature: 0, // 일관된 답변을 위해 temperature를 0으로 설정
-                messages: [
-                    {"role": "system", "content": "You are an expert editor who processes text and returns only the simplified text, maintaining the specified paragraph structure and using the provided paragraph separator. Do not include any additional explanations or formatting outside of the simplified content."}, 
-                    {"role": "user", "content": promptForSimplification}
-                ],
-            });
-
-            const simplifiedFullText = simplificationCompletion.choices[0].message.content || '';
-
-            // AI 응답을 문단 구분자로 분리하여 simplifiedParagraphs 배열 재구성
-            const simplifiedTexts = simplifiedFullText.split(`\n${PARAGRAPH_SEPARATOR}\n`).map(text => text.trim());
-            
-            // 원본 paragraphs의 ID를 유지하며 순화된 문단 배열 생성
-            const simplifiedParagraphs = paragraphs.map((p, index) => ({
-                id: p.id,
-                text: simplifiedTexts[index] || p.text // AI 응답 문단이 없으면 원본 문단 사용 (비상책)
-            }));
+            // 원본 paragraphs의 ID를 유지하며, 문단별 상태(simplified / retried / fallback / unchanged)를 함께 반환
+            let simplifiedParagraphs;
+            let changedSpans = null;
+            if (targetRanges) {
+                ({ simplifiedParagraphs, changedSpans } = await simplifyTargets(paragraphs, targetRanges, readingProfile, userId));
+            } else {
+                simplifiedParagraphs = await simplifyParagraphs(paragraphs, readingProfile, userId);
+            }
+            await cacheSimplifiedParagraphs(cacheKey, simplifiedParagraphs, changedSpans);
 
             // --- 2단계: 작업 생성 및 클라이언트에게 즉시 응답 ---
-            const jobId = crypto.randomBytes(16).toString('hex');
-            const jobRef = db.collection('simplificationJobs').doc(jobId);
-
-            await jobRef.set({
-                userId: userId,
-                status: 'processing',
-                createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                originalText: originalFullText,
-                simplifiedText: simplifiedFullText,
-            });
+            const jobId = await createSimplificationJob({ userId, title, paragraphs, simplifiedParagraphs, readingProfile, changedSpans });
 
             response.status(200).json({
                 status: "processing",
+                cached: false,
                 jobId: jobId,
                 data: {
                     title: title,
                     simplified_paragraphs: simplifiedParagraphs,
+                    ...(changedSpans ? { changed_spans: changedSpans } : {}),
                 }
             });
 
-            // --- 3단계: 백그라운드에서 정량적 리포트 생성 및 저장 ---
-            const generateAndSaveReport = async () => {
-                try {
-                    const originalAnalysis = analyzeText(originalFullText);
-                    const simplifiedAnalysis = analyzeText(simplifiedFullText);
-
-                    const charCountReduction = originalAnalysis.charCount > 0 
-                        ? (originalAnalysis.charCount - simplifiedAnalysis.charCount) / originalAnalysis.charCount 
-                        : 0;
-                    
-                    const readabilityImprovement = originalAnalysis.readabilityScore > 0
-                        ? (originalAnalysis.readabilityScore - simplifiedAnalysis.readabilityScore) / originalAnalysis.readabilityScore
-                        : 0;
-
-                    const analysisReport = {
-                        summary: {
-                            readability_improvement_percent: (readabilityImprovement * 100).toFixed(1),
-                            char_count_reduction_percent: (charCountReduction * 100).toFixed(1),
-                            key_message: `텍스트가 약 ${Math.round(charCountReduction * 100)}% 짧아졌고, 읽기 쉬운 정도는 약 ${Math.round(readabilityImprovement * 100)}% 향상되었어요.`
-                        },
-                        quantitative_analysis: {
-                            original: originalAnalysis,
-                            simplified: simplifiedAnalysis,
-                            improvements: {
-                                char_count_reduction: charCountReduction,
-                                word_count_reduction: originalAnalysis.wordCount > 0 
-                                    ? (originalAnalysis.wordCount - simplifiedAnalysis.wordCount) / originalAnalysis.wordCount 
-                                    : 0,
-                                stopword_reduction_count: originalAnalysis.stopwordCount - simplifiedAnalysis.stopwordCount,
-                                readability_improvement: readabilityImprovement,
-                            }
-                        }
-                    };
-
-                    await jobRef.update({
-                        status: 'completed',
-                        analysis: analysisReport
-                    });
-
-                } catch (error) {
-                    console.error(`[Job ID: ${jobId}] 정량적 리포트 생성 실패:`, error);
-                    await jobRef.update({ status: 'failed', error: error.message });
-                }
-            };
-
-            generateAndSaveReport();
-
         } catch (error) {
             console.error("API call failed or processing error:", error);
-            if (error.message.includes('토큰')) {
+            if (error instanceof RateLimitError) {
+                response.set('Retry-After', String(error.retryAfter));
+                response.status(429).json({ status: "error", message: error.message, retryAfter: error.retryAfter, limit: error.details });
+            } else if (error.message.includes('토큰')) {
                 response.status(401).json({ status: "error", message: error.message });
             } else {
                 response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
@@ -229,7 +365,7 @@ const getSimplificationReport = functions.https.onRequest((request, response) =>
             if (jobData.status === 'completed') {
                 response.status(200).json({
                     status: 'completed',
-                    analysis: jobData.analysis
+                    analysis: await loadJobReport(jobSnap.id, jobData)
                 });
             } else if (jobData.status === 'processing') {
                 response.status(202).json({ status: 'processing', message: '리포트가 아직 생성 중입니다. 잠시 후 다시 시도해주세요.' });
@@ -250,62 +386,190 @@ const getSimplificationReport = functions.https.onRequest((request, response) =>
 
 // ==================================================================
 // 5. [NEW API] 텍스트 요약 API
+// - body.options: length ('oneLine' | 'standard' | 'custom', 기본 'standard'), maxChars (custom일 때 50 ~ 2000),
+//                 format ('paragraph' | 'bullets' | 'threeLines', 기본 'paragraph'), bySection (섹션별 소제목 요약, 기본 false)
 // ==================================================================
-const summarizeText = functions.runWith({ secrets: ["OPENAI_API_KEY"] }).https.onRequest((request, response) => {
+/**
+ * 요약 결과의 문단 순서를 요청한 문단 ID로 변환
+ * (캐시 키에는 문단 ID가 들어가지 않으므로 캐시에는 순서로 저장하고 응답할 때마다 변환)
+ * @param {Array<object>} sections - summarizeParagraphs 결과의 sections
+ * @param {Array<{id: *}>} paragraphs - 요청 문단 배열
+ */
+const toSummarySections = (sections, paragraphs) => {
+    const toIds = indexes => indexes.map(index => (paragraphs[index].id === undefined ? null : paragraphs[index].id));
+    return sections.map(section => ({
+        heading: section.heading,
+        paragraphIds: toIds(section.paragraphIndexes),
+        points: section.points.map(point => ({ text: point.text, paragraphIds: toIds(point.paragraphIndexes) })),
+    }));
+};
+
+const summarizeText = functions.runWith({ secrets: ["OPENAI_API_KEY"], timeoutSeconds: 300 }).https.onRequest((request, response) => {
     cors(request, response, async () => {
         if (request.method !== 'POST') {
             return response.status(405).send('Only POST requests are allowed.');
         }
 
-        const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
         try {
-            await getAuthenticatedUser(request);
+            const user = await getRateLimitedUser(request, 'summarizeText');
             
-            const { paragraphs } = request.body;
+            const { paragraphs, options } = request.body;
 
-            if (!paragraphs || !Array.isArray(paragraphs)) {
+            if (!paragraphs || !Array.isArray(paragraphs) || paragraphs.length === 0
+                || paragraphs.some(p => !p || typeof p.text !== 'string')) {
                 return response.status(400).send('Invalid request data.');
             }
-            
-            const originalFullText = paragraphs.map(p => p.text).join('\n\n');
-
-            const promptForSummarization = `
-                ## 역할 (Persona)
-                당신은 전문 요약가입니다. 주어진 텍스트의 핵심 내용을 간결하게 요약하세요.
-
-                ## 지침
-                - 전체 텍스트의 핵심 아이디어와 가장 중요한 정보만을 추출하세요.
-                - 결과물은 한 개의 문단으로 구성되어야 합니다.
-                - **분량은 300자 내외로 맞춰주세요.**
-                - 독자가 원문을 읽지 않아도 전체 내용의 개요를 파악할 수 있도록 작성하세요.
-                - 원문이 한국어이므로, 결과물도 반드시 한국어로 작성하세요.
-
-                ## 원문 텍스트 (Original Text)
-                ---
-                ${originalFullText}
-                ---
-            `;
-
-            const summaryCompletion = await openai.chat.completions.create({
-                model: "gpt-4-turbo",
-                messages: [
-                    {"role": "system", "content": "You are an expert summarizer who writes concise and complete summaries."},
-                    {"role": "user", "content": promptForSummarization}
-                ],
-                max_tokens: 700, // 300자 내외의 완전한 문장을 위해 토큰 수 증가
-            });
 
-            const summaryText = summaryCompletion.choices[0].message.content;
+            const { errors, value: summaryOptions } = validateSummaryOptions(options);
+            if (errors.length > 0) {
+                return response.status(400).json({
+                    status: 'error',
+                    message: 'Invalid options.',
+                    errors: errors
+                });
+            }
+
+            // 요약문의 어휘 수준만 읽기 프로필을 따름 (프로필이 없으면 기본 읽기 프로필)
+            const userProfile = await loadUserProfile(user.uid);
+            const readingProfile = (userProfile && userProfile.readingProfile) || DEFAULT_READING_PROFILE;
+            const vocabularyProfile = { vocabulary: readingProfile.vocabulary };
+
+            const cacheKey = buildCacheKey('summarizeText', { paragraphs, readingProfile: vocabularyProfile, options: summaryOptions });
+            const cachedResult = await getCachedResult('summarizeText', cacheKey);
+            if (cachedResult) {
+                return response.status(200).json({
+                    status: 'success',
+                    cached: true,
+                    options: summaryOptions,
+                    summary: cachedResult.summary,
+                    sections: toSummarySections(cachedResult.sections, paragraphs)
+                });
+            }
+
+            // 긴 글은 조각별 부분 요약을 합치는 방식(map-reduce)으로 요약
+            const result = await summarizeParagraphs(paragraphs, summaryOptions, vocabularyProfile, user.uid);
+            await setCachedResult('summarizeText', cacheKey, result);
 
             response.status(200).json({
                 status: 'success',
-                summary: summaryText.trim()
+                cached: false,
+                options: summaryOptions,
+                summary: result.summary,
+                sections: toSummarySections(result.sections, paragraphs)
             });
 
         } catch (error) {
             console.error("API call failed or processing error:", error);
-            if (error.message.includes('토큰')) {
+            if (error instanceof RateLimitError) {
+                response.set('Retry-After', String(error.retryAfter));
+                response.status(429).json({ status: "error", message: error.message, retryAfter: error.retryAfter, limit: error.details });
+            } else if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+// ==================================================================
+// 22. [Trigger] 순화 작업 문서 생성 시 정량적 리포트 생성 (실패 시 재시도) 및 읽기 기록 반영
+// ==================================================================
+const onSimplificationJobCreated = functions.runWith({ failurePolicy: true })
+    .firestore.document('simplificationJobs/{jobId}')
+    .onCreate((snap, context) => runJob(snap, context, {
+        execute: async (job, jobId) => {
+            const { paragraphs, simplifiedParagraphs } = await loadJobParagraphs(jobId, job);
+            const report = buildResultReport(paragraphs, simplifiedParagraphs, job.changedSpans || null);
+            return { analysis: await saveJobReport(jobId, job.userId, report) };
+        },
+        // 읽기 기록과 통계는 완료가 처음 기록될 때 한 번만 반영
+        onCompleted: async (job, fields, jobId) => {
+            const { paragraphs, simplifiedParagraphs } = await loadJobParagraphs(jobId, job);
+            await recordSimplificationHistory(job.userId, {
+                jobId: jobId,
+                title: job.title || null,
+                paragraphs,
+                simplifiedParagraphs,
+            });
+        },
+    }));
+
+// ==================================================================
+// 24. [API] 텍스트 순화 스트리밍 API (Server-Sent Events)
+// - 요청 형식과 한도는 simplifyText와 같음 (부분 순화 targets는 지원하지 않음)
+// - event: paragraph  { id, index, text, status }  순화된 문단이 완성될 때마다 전송 (재요청한 문단은 순서와 상관없이 마지막에 전송)
+// - event: done       { cached, jobId } 또는 { cached, jobId, analysis }  (캐시 적중 시에는 완료된 작업과 리포트를 바로 전송)
+// - event: error      { message }             스트리밍 도중 실패한 경우
+// ==================================================================
+const simplifyTextStream = functions.runWith({ secrets: ["OPENAI_API_KEY"], timeoutSeconds: 300 }).https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST') {
+            return response.status(405).send('Only POST requests are allowed.');
+        }
+
+        let streaming = false;
+        try {
+            const user = await getRateLimitedUser(request, 'simplifyText');
+            const userId = user.uid;
+            const userProfile = await loadUserProfile(userId);
+
+            if (sendSimplificationRequestError(response, userProfile, request.body)) {
+                return;
+            }
+
+            const { title, paragraphs, targets } = request.body;
+            const readingProfile = userProfile.readingProfile || {};
+
+            if (targets !== undefined) {
+                return response.status(400).json({ status: "error", message: "부분 순화(targets)는 simplifyText API에서만 지원합니다." });
+            }
+
+            const cacheKey = buildCacheKey('simplifyText', { paragraphs, readingProfile });
+            const cachedResult = await getCachedResult('simplifyText', cacheKey);
+
+            // 여기부터는 JSON 대신 이벤트 스트림으로 응답
+            response.status(200).set({
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no', // 프록시가 응답을 모아서 보내지 않도록 함
+            });
+            response.flushHeaders();
+            streaming = true;
+
+            const sendParagraph = (index, result) => {
+                sendEvent(response, 'paragraph', { id: result.id, index, text: result.text, status: result.status });
+            };
+
+            if (cachedResult) {
+                const simplifiedParagraphs = restoreCachedParagraphs(paragraphs, cachedResult);
+                const analysis = buildSimplificationReport(paragraphs, simplifiedParagraphs);
+                const jobId = await createSimplificationJob({ userId, title, paragraphs, simplifiedParagraphs, readingProfile, analysis });
+                await recordSimplificationHistory(userId, { jobId, title, paragraphs, simplifiedParagraphs });
+                simplifiedParagraphs.forEach((result, index) => sendParagraph(index, result));
+                sendEvent(response, 'done', { cached: true, jobId: jobId, analysis: analysis });
+                return response.end();
+            }
+
+            // 긴 글은 조각 단위로 순서대로 스트리밍하고, 빠지거나 어긋난 문단은 다시 요청해 전송
+            const simplifiedParagraphs = await streamSimplifiedParagraphs(paragraphs, readingProfile, userId, sendParagraph);
+            await cacheSimplifiedParagraphs(cacheKey, simplifiedParagraphs);
+
+            const jobId = await createSimplificationJob({ userId, title, paragraphs, simplifiedParagraphs, readingProfile });
+
+            sendEvent(response, 'done', { cached: false, jobId: jobId });
+            response.end();
+
+        } catch (error) {
+            console.error("Streaming simplification failed:", error);
+            if (streaming) {
+                sendEvent(response, 'error', { message: "순화 도중 오류가 발생했습니다.", details: error.message });
+                response.end();
+            } else if (error instanceof RateLimitError) {
+                response.set('Retry-After', String(error.retryAfter));
+                response.status(429).json({ status: "error", message: error.message, retryAfter: error.retryAfter, limit: error.details });
+            } else if (error.message.includes('토큰')) {
                 response.status(401).json({ status: "error", message: error.message });
             } else {
                 response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
@@ -316,6 +580,8 @@ const summarizeText = functions.runWith({ secrets: ["OPENAI_API_KEY"] }).https.o
 
 module.exports = {
     simplifyText,
+    simplifyTextStream,
     getSimplificationReport,
-    summarizeText
+    summarizeText,
+    onSimplificationJobCreated
 };
@@ -0,0 +1,148 @@
+// functions/api/vocabulary.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const cors = require('cors')({ origin: true });
+
+const { getAuthenticatedUser } = require('../utils/auth');
+const { MAX_TERMS_PER_SAVE, getVocabularyCollection, addTermsToVocabulary } = require('../utils/vocabulary');
+
+// ==================================================================
+// 8. [API] 단어장 조회(GET), 저장(POST), 삭제(DELETE) API
+// ==================================================================
+const vocabularyApi = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        try {
+            const user = await getAuthenticatedUser(request);
+            const userId = user.uid;
+            const vocabularyRef = getVocabularyCollection(userId);
+
+            if (request.method === 'GET') {
+                // --- 단어장 조회 (태그, 학습 여부 필터) ---
+                const { tag, learned } = request.query;
+
+                let query = vocabularyRef;
+                if (tag) {
+                    query = query.where('tag', '==', tag);
+                }
+                if (learned === 'true' || learned === 'false') {
+                    query = query.where('learned', '==', learned === 'true');
+                }
+
+                const snapshot = await query.get();
+                const words = snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                    // 최근에 추가되거나 다시 찾아본 단어가 먼저 오도록 정렬
+                    .sort((a, b) => (b.updatedAt?.toMillis() || 0) - (a.updatedAt?.toMillis() || 0));
+
+                response.status(200).json({
+                    status: 'success',
+                    count: words.length,
+                    words: words,
+                });
+
+            } else if (request.method === 'POST') {
+                // --- 단어 저장 (dictionaryApi 결과 형식 그대로 저장 가능) ---
+                const { words } = request.body;
+
+                if (!Array.isArray(words) || words.length === 0 || words.some(w => !w || typeof w.term !== 'string' || !w.term.trim())) {
+                    return response.status(400).json({ status: 'error', message: '유효한 words 배열이 필요합니다.' });
+                }
+                if (words.length > MAX_TERMS_PER_SAVE) {
+                    return response.status(400).json({
+                        status: 'error',
+                        message: 'Invalid request body.',
+                        errors: [{ field: 'words', message: `한 번에 최대 ${MAX_TERMS_PER_SAVE}개까지 저장할 수 있습니다.` }]
+                    });
+                }
+
+                const saved = await addTermsToVocabulary(userId, words);
+
+                response.status(201).json({
+                    status: 'success',
+                    words: saved,
+                });
+
+            } else if (request.method === 'DELETE') {
+                // --- 단어 삭제 ---
+                const termId = request.query.termId || (request.body && request.body.termId);
+                if (!termId) {
+                    return response.status(400).json({ status: 'error', message: 'termId가 필요합니다.' });
+                }
+
+                const termRef = vocabularyRef.doc(termId);
+                const termSnap = await termRef.get();
+                if (!termSnap.exists) {
+                    return response.status(404).json({ status: 'error', message: '해당 단어를 찾을 수 없습니다.' });
+                }
+
+                await termRef.delete();
+
+                response.status(200).json({
+                    status: 'success',
+                    termId: termId,
+                });
+
+            } else {
+                response.status(405).send('Only GET, POST or DELETE requests are allowed.');
+            }
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                console.error("Vocabulary API 에러:", error);
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+// ==================================================================
+// 9. [API] 단어 학습 완료 표시/해제 API
+// ==================================================================
+const markVocabularyLearned = functions.https.onRequest((request, response) => {
+    cors(request, response, async () => {
+        if (request.method !== 'POST') {
+            return response.status(405).send('Only POST requests are allowed.');
+        }
+
+        try {
+            const user = await getAuthenticatedUser(request);
+            const { termId, learned } = request.body;
+
+            if (!termId || typeof learned !== 'boolean') {
+                return response.status(400).json({ status: 'error', message: 'termId와 boolean 형식의 learned 값이 필요합니다.' });
+            }
+
+            const termRef = getVocabularyCollection(user.uid).doc(termId);
+            const termSnap = await termRef.get();
+            if (!termSnap.exists) {
+                return response.status(404).json({ status: 'error', message: '해당 단어를 찾을 수 없습니다.' });
+            }
+
+            await termRef.update({
+                learned: learned,
+                learnedAt: learned ? admin.firestore.FieldValue.serverTimestamp() : null,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+
+            response.status(200).json({
+                status: 'success',
+                termId: termId,
+                learned: learned,
+            });
+
+        } catch (error) {
+            if (error.message.includes('토큰')) {
+                response.status(401).json({ status: "error", message: error.message });
+            } else {
+                response.status(500).json({ status: "error", message: "서버 내부 오류", details: error.message });
+            }
+        }
+    });
+});
+
+module.exports = {
+    vocabularyApi,
+    markVocabularyLearned
+};
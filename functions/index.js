@@ -8,6 +8,19 @@ const profileApi = require('./api/profile');
 const simplificationApi = require('./api/simplification');
 const dictionaryApi = require('./api/dictionary');
 const recommendationApi = require('./api/recommendation'); // Added this line
+const vocabularyApi = require('./api/vocabulary');
+const reviewApi = require('./api/review');
+const feedbackApi = require('./api/feedback');
+const accountApi = require('./api/account');
+const maintenanceApi = require('./api/maintenance');
+const quotaApi = require('./api/quota');
+const analysisApi = require('./api/analysis');
+const historyApi = require('./api/history');
+const jobsApi = require('./api/jobs');
+const questionApi = require('./api/question');
+const comprehensionApi = require('./api/comprehension');
+const ingestionApi = require('./api/ingestion');
+const documentApi = require('./api/documents');
 
 // 모든 API 함수들을 한번에 export
 module.exports = {
@@ -15,4 +28,17 @@ module.exports = {
   ...simplificationApi,
   ...dictionaryApi,
   ...recommendationApi, // Added this line
+  ...vocabularyApi,
+  ...reviewApi,
+  ...feedbackApi,
+  ...accountApi,
+  ...maintenanceApi,
+  ...quotaApi,
+  ...analysisApi,
+  ...historyApi,
+  ...jobsApi,
+  ...questionApi,
+  ...comprehensionApi,
+  ...ingestionApi,
+  ...documentApi,
 };
\ No newline at end of file
@@ -0,0 +1,88 @@
+// functions/test/analysis.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitSentences, locateSentences, analyzeText } = require('../utils/analysis');
+
+describe('splitSentences', () => {
+    it('마침표, 물음표, 느낌표에서 문장을 나눔', () => {
+        assert.deepEqual(splitSentences('비가 온다. 우산이 있니? 다행이다!'), ['비가 온다.', '우산이 있니?', '다행이다!']);
+    });
+
+    it('소수점에서는 나누지 않음', () => {
+        assert.deepEqual(splitSentences('물가가 3.5% 올랐다. 금리는 그대로다.'), ['물가가 3.5% 올랐다.', '금리는 그대로다.']);
+    });
+
+    it('한 글자 약어(U.S.)의 마침표에서는 나누지 않음', () => {
+        assert.deepEqual(splitSentences('U.S. 정부가 발표했다. 시장은 잠잠했다.'), ['U.S. 정부가 발표했다.', '시장은 잠잠했다.']);
+        assert.deepEqual(splitSentences('미국(U.S.) 정부가 발표했다.'), ['미국(U.S.) 정부가 발표했다.']);
+        assert.deepEqual(splitSentences('물가가 올랐다. 미국(U.S.)도 마찬가지다.'), ['물가가 올랐다.', '미국(U.S.)도 마찬가지다.']);
+    });
+
+    it('인용문 뒤에 인용 조사가 오면 한 문장으로 봄', () => {
+        assert.deepEqual(splitSentences('그는 "정말 괜찮아?"라고 물었다. 나는 웃었다.'), ['그는 "정말 괜찮아?"라고 물었다.', '나는 웃었다.']);
+        assert.deepEqual(splitSentences('그는 “가자!” 하며 일어섰다. 모두 따라갔다.'), ['그는 “가자!” 하며 일어섰다.', '모두 따라갔다.']);
+    });
+
+    it('인용 조사 없이 끝난 인용문은 따로 한 문장', () => {
+        assert.deepEqual(splitSentences('“가자!” 그가 외쳤다.'), ['“가자!”', '그가 외쳤다.']);
+    });
+
+    it('줄임표는 종결 어미 뒤에서만 문장 끝으로 봄', () => {
+        assert.deepEqual(splitSentences('글쎄요... 잘 모르겠어요.'), ['글쎄요...', '잘 모르겠어요.']);
+        assert.deepEqual(splitSentences('그래서… 결국 떠났다.'), ['그래서… 결국 떠났다.']);
+    });
+
+    it('줄바꿈은 항상 문장 경계', () => {
+        assert.deepEqual(splitSentences('첫째 줄\n둘째 줄입니다'), ['첫째 줄', '둘째 줄입니다']);
+    });
+
+    it('빈 텍스트는 빈 배열', () => {
+        assert.deepEqual(splitSentences(''), []);
+    });
+});
+
+describe('locateSentences', () => {
+    it('각 문장의 문단 안 위치를 함께 반환', () => {
+        const text = '비가 온다.  우산이 있니?';
+        const sentences = locateSentences(text);
+        assert.deepEqual(sentences.map(s => s.text), ['비가 온다.', '우산이 있니?']);
+        sentences.forEach(s => assert.equal(text.slice(s.start, s.end), s.text));
+    });
+});
+
+describe('analyzeText', () => {
+    // 학년 수준 계수는 말뭉치로 보정한 값이 아니므로 글 종류 사이의 순서와 대략의 구간만 확인
+    const FIXTURES = {
+        story: '철수는 아침에 일어났다. 엄마가 밥을 주었다. 철수는 밥을 먹고 학교에 갔다. 친구들과 운동장에서 놀았다. 하늘이 파랗고 바람이 시원했다.',
+        news: '한국은행은 물가 상승 압력이 여전히 높다고 판단해 기준금리를 연 3.5%로 동결했다. 금융통화위원회는 가계부채 증가세와 부동산 시장 동향을 면밀히 점검하겠다고 밝혔다. 시장에서는 하반기 금리 인하 가능성에 대한 관측이 엇갈리고 있다.',
+        paper: '본 연구는 다층적 사회 자본이 지역 공동체의 제도적 신뢰 형성에 미치는 영향을 구조 방정식 모형을 활용하여 실증적으로 분석하였으며, 분석 결과 매개 변수로서의 정치적 효능감이 통계적으로 유의미한 간접 효과를 나타내는 것으로 확인되었다.',
+    };
+
+    it('쉬운 이야기, 신문 기사, 학술 논문 순으로 학년 수준이 높아짐', () => {
+        const story = analyzeText(FIXTURES.story);
+        const news = analyzeText(FIXTURES.news);
+        const paper = analyzeText(FIXTURES.paper);
+
+        assert.ok(story.gradeLevel < news.gradeLevel && news.gradeLevel < paper.gradeLevel);
+        assert.ok(story.gradeLevel <= 6, `story ${story.gradeLevel}`);
+        assert.ok(news.gradeLevel > 6 && news.gradeLevel <= 12, `news ${news.gradeLevel}`);
+        assert.equal(paper.gradeLabel, '대학 이상');
+    });
+
+    it('기초 어휘에 없는 단어도 어원을 짐작해 한자어 비율에 반영', () => {
+        // 압력, 동향, 관측처럼 기초 어휘 밖의 명사는 한자어, 높다고, 엇갈리고처럼 어미가 분명한 용언은 고유어
+        const sinoOnly = analyzeText('압력 동향 관측');
+        assert.equal(sinoOnly.sinoKoreanRatio, 1);
+
+        const nativeOnly = analyzeText('높다고 엇갈리고 파랗고');
+        assert.equal(nativeOnly.sinoKoreanRatio, 0);
+        assert.equal(nativeOnly.rareWordRatio, 1);
+    });
+
+    it('복수 접미사를 뗀 기초 어휘와 숫자는 기초 어휘 밖 단어로 세지 않음', () => {
+        const metrics = analyzeText('친구들 3.5%');
+        assert.equal(metrics.contentWordCount, 1);
+        assert.equal(metrics.rareWordRatio, 0);
+    });
+});
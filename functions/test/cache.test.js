@@ -0,0 +1,58 @@
+// functions/test/cache.test.js
+require('./setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildCacheKey } = require('../utils/cache');
+
+const PARAGRAPHS = [{ id: 'p1', text: '첫 문단입니다.' }, { id: 'p2', text: '둘째 문단입니다.' }];
+const PROFILE = { sentence: 1, vocabulary: 0.5 };
+
+describe('buildCacheKey', () => {
+    it('같은 입력은 같은 키', () => {
+        const key = buildCacheKey('simplifyText', { paragraphs: PARAGRAPHS, readingProfile: PROFILE });
+        assert.match(key, /^[0-9a-f]{64}$/);
+        assert.equal(buildCacheKey('simplifyText', { paragraphs: PARAGRAPHS, readingProfile: PROFILE }), key);
+    });
+
+    it('문단 ID와 공백, 유니코드 정규화 차이는 키에 영향을 주지 않음', () => {
+        const key = buildCacheKey('simplifyText', { paragraphs: PARAGRAPHS, readingProfile: PROFILE });
+        const variant = [
+            { id: 'a', text: '  첫   문단입니다.\n' },
+            { text: '둘째 문단입니다.'.normalize('NFD') },
+        ];
+        assert.equal(buildCacheKey('simplifyText', { paragraphs: variant, readingProfile: PROFILE }), key);
+    });
+
+    it('문단 순서, 내용이 다르면 다른 키', () => {
+        const key = buildCacheKey('simplifyText', { paragraphs: PARAGRAPHS });
+        assert.notEqual(buildCacheKey('simplifyText', { paragraphs: [...PARAGRAPHS].reverse() }), key);
+        assert.notEqual(buildCacheKey('simplifyText', { paragraphs: [PARAGRAPHS[0]] }), key);
+    });
+
+    it('읽기 프로필은 정규화한 수준으로 비교 (0.25 단위, 0~2 범위)', () => {
+        const key = buildCacheKey('simplifyText', { paragraphs: PARAGRAPHS, readingProfile: PROFILE });
+        assert.equal(buildCacheKey('simplifyText', { paragraphs: PARAGRAPHS, readingProfile: { sentence: 1.05, vocabulary: 0.55, extra: 1 } }), key);
+        assert.equal(
+            buildCacheKey('simplifyText', { paragraphs: PARAGRAPHS, readingProfile: { sentence: 5, vocabulary: 0.5 } }),
+            buildCacheKey('simplifyText', { paragraphs: PARAGRAPHS, readingProfile: { sentence: 2, vocabulary: 0.5 } })
+        );
+        assert.notEqual(buildCacheKey('simplifyText', { paragraphs: PARAGRAPHS, readingProfile: { sentence: 1.25, vocabulary: 0.5 } }), key);
+    });
+
+    it('관심 주제는 순서와 관계없이 비교', () => {
+        assert.equal(
+            buildCacheKey('getReadingRecommendations', { paragraphs: PARAGRAPHS, knownTopics: ['경제', '과학'] }),
+            buildCacheKey('getReadingRecommendations', { paragraphs: PARAGRAPHS, knownTopics: ['과학', '경제'] })
+        );
+    });
+
+    it('엔드포인트와 요청 옵션이 다르면 다른 키', () => {
+        const key = buildCacheKey('simplifyText', { paragraphs: PARAGRAPHS });
+        assert.notEqual(buildCacheKey('summarizeText', { paragraphs: PARAGRAPHS }), key);
+        assert.notEqual(
+            buildCacheKey('summarizeText', { paragraphs: PARAGRAPHS, options: { length: 'short' } }),
+            buildCacheKey('summarizeText', { paragraphs: PARAGRAPHS, options: { length: 'long' } })
+        );
+    });
+});
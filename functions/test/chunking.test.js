@@ -0,0 +1,45 @@
+// functions/test/chunking.test.js
+require('./setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { estimateTokens, chunkParagraphs, mergeChunkResults } = require('../utils/chunking');
+
+const SENTENCE = '한국은행은 물가 안정을 위해 기준금리를 결정합니다.';
+
+// 조각 결과를 원문 문자열 그대로 이어 붙이는 merge
+const joinPieces = (results, separators) =>
+    results.map((text, index) => separators[index] + text).join('') + separators[results.length];
+
+const roundTrip = (paragraphs, maxTokens) => {
+    const chunks = chunkParagraphs(paragraphs, maxTokens);
+    const results = chunks.map(chunk => chunk.paragraphs.map(paragraph => paragraph.text));
+    return { chunks, merged: mergeChunkResults(chunks, results, joinPieces) };
+};
+
+describe('chunkParagraphs / mergeChunkResults', () => {
+    it('한도 안의 문단은 나누지 않고 한 조각에 담음', () => {
+        const paragraphs = [{ id: 'a', text: SENTENCE }, { id: 'b', text: SENTENCE }];
+        const { chunks, merged } = roundTrip(paragraphs, 1000);
+        assert.equal(chunks.length, 1);
+        assert.deepEqual(merged, [SENTENCE, SENTENCE]);
+    });
+
+    it('긴 문단은 문장 경계에서 나누고 다시 합치면 원문과 같음', () => {
+        const text = Array.from({ length: 12 }, () => SENTENCE).join(' \n');
+        const maxTokens = estimateTokens(SENTENCE) * 3;
+        const { chunks, merged } = roundTrip([{ id: 'a', text }], maxTokens);
+        assert.ok(chunks.length > 1);
+        chunks.forEach(chunk => chunk.paragraphs.forEach(piece => assert.ok(estimateTokens(piece.text) <= maxTokens)));
+        assert.equal(merged[0], text);
+    });
+
+    it('첫 문장 앞과 마지막 문장 뒤의 공백도 유지', () => {
+        const text = `  \n${Array.from({ length: 8 }, () => SENTENCE).join(' ')}\n\t `;
+        const { chunks, merged } = roundTrip([{ id: 'a', text }, { id: 'b', text: SENTENCE }], estimateTokens(SENTENCE) * 2);
+        assert.ok(chunks.length > 1);
+        assert.equal(merged[0].length, text.length);
+        assert.equal(merged[0], text);
+        assert.equal(merged[1], SENTENCE);
+    });
+});
@@ -0,0 +1,74 @@
+// functions/test/diff.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SENTENCE_CHANGE, WORD_EDIT, diffParagraph, diffParagraphs } = require('../utils/diff');
+
+const sentenceShape = ({ sentences }) => sentences.map(s => [s.type, s.original.length, s.simplified.length]);
+
+describe('diffParagraph', () => {
+    it('같은 문장은 그대로 유지로 대응', () => {
+        const result = diffParagraph('오늘은 날씨가 좋다.', '오늘은 날씨가 좋다.');
+        assert.deepEqual(sentenceShape(result), [[SENTENCE_CHANGE.UNCHANGED, 1, 1]]);
+        assert.deepEqual(result.sentences[0].edits, []);
+    });
+
+    it('긴 문장 하나를 두 문장으로 나눈 경우 나누기로 대응', () => {
+        const result = diffParagraph(
+            '정부는 물가 상승을 억제하기 위해 기준 금리를 인상하고 시중 유동성을 흡수하는 정책을 시행했다.',
+            '정부는 물가 상승을 막기 위해 기준 금리를 올렸다. 그리고 시중 유동성을 흡수하는 정책을 시행했다.'
+        );
+        assert.deepEqual(sentenceShape(result), [[SENTENCE_CHANGE.SPLIT, 1, 2]]);
+        assert.equal(result.stats.split, 1);
+    });
+
+    it('두 문장을 한 문장으로 합친 경우 합치기로 대응', () => {
+        const result = diffParagraph(
+            '정부는 기준 금리를 올렸다. 그리고 시중 유동성을 흡수했다.',
+            '정부는 기준 금리를 올리고 시중 유동성을 흡수했다.'
+        );
+        assert.deepEqual(sentenceShape(result), [[SENTENCE_CHANGE.MERGED, 2, 1]]);
+        assert.equal(result.stats.merged, 1);
+    });
+
+    it('원문에 없던 설명 문장은 나누기가 아니라 추가로 대응', () => {
+        const result = diffParagraph('오늘은 날씨가 좋다.', '오늘은 날씨가 좋다. 하늘이 맑고 바람이 시원하다는 뜻이다.');
+        assert.deepEqual(sentenceShape(result), [[SENTENCE_CHANGE.UNCHANGED, 1, 1], [SENTENCE_CHANGE.ADDED, 0, 1]]);
+    });
+
+    it('순화문에서 빠진 문장은 삭제로 대응', () => {
+        const result = diffParagraph('오늘은 날씨가 좋다. 전혀 관계없는 내용이 여기 있다.', '오늘은 날씨가 좋다.');
+        assert.deepEqual(sentenceShape(result), [[SENTENCE_CHANGE.UNCHANGED, 1, 1], [SENTENCE_CHANGE.REMOVED, 1, 0]]);
+    });
+
+    it('고쳐 쓴 문장에서 바뀐 어절과 위치를 기록', () => {
+        const result = diffParagraph('금리를 인상했다.', '금리를 올렸다.');
+        assert.deepEqual(sentenceShape(result), [[SENTENCE_CHANGE.REWRITTEN, 1, 1]]);
+        assert.deepEqual(result.sentences[0].edits, [{
+            type: WORD_EDIT.REPLACE,
+            original: '인상했다.',
+            simplified: '올렸다.',
+            originalRange: [4, 9],
+            simplifiedRange: [4, 8],
+        }]);
+        assert.equal(result.stats.replacedWords, 1);
+    });
+
+    it('문장 범위는 문단 안의 위치', () => {
+        const original = '첫 문장이다. 둘째 문장이다.';
+        const { sentences } = diffParagraph(original, original);
+        sentences.forEach(({ original: texts, originalRange }) => {
+            assert.equal(original.slice(...originalRange), texts.join(' '));
+        });
+    });
+});
+
+describe('diffParagraphs', () => {
+    it('문단 ID와 순화 상태를 유지하고 바뀐 문단을 표시', () => {
+        const results = diffParagraphs(
+            [{ id: 'p1', text: '오늘은 날씨가 좋다.' }, { text: '금리를 인상했다.' }],
+            [{ id: 'p1', text: '오늘은 날씨가 좋다.', status: 'simplified' }, { text: '금리를 올렸다.', status: 'retried' }]
+        );
+        assert.deepEqual(results.map(r => [r.id, r.status, r.changed]), [['p1', 'simplified', false], [null, 'retried', true]]);
+    });
+});
@@ -0,0 +1,57 @@
+// functions/test/documentImport.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+
+const { DocumentTooLargeError, parseDocument } = require('../utils/documentImport');
+
+const PARAGRAPH = '이 문단은 가져오기 테스트를 위한 본문입니다. 충분히 긴 문장을 두어 빈 문단으로 걸러지지 않도록 합니다.';
+
+/**
+ * 테스트용 EPUB을 만듦
+ * @param {Array<{href: string, body: string}>} chapters - 읽기 순서대로의 본문 문서
+ */
+const buildEpub = async (chapters) => {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml', '<?xml version="1.0"?><container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>');
+    zip.file('OEBPS/content.opf', `<?xml version="1.0"?>
+        <package xmlns:dc="http://purl.org/dc/elements/1.1/">
+            <metadata><dc:title>테스트 책</dc:title><dc:creator>지은이</dc:creator></metadata>
+            <manifest>${chapters.map((chapter, index) => `<item id="c${index}" href="${chapter.href}" media-type="application/xhtml+xml"/>`).join('')}</manifest>
+            <spine>${chapters.map((_, index) => `<itemref idref="c${index}"/>`).join('')}</spine>
+        </package>`);
+    chapters.forEach((chapter) => {
+        if (chapter.body) zip.file(`OEBPS/${chapter.href}`, `<html><body>${chapter.body}</body></html>`);
+    });
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+describe('parseDocument (EPUB)', () => {
+    it('읽기 순서대로 장별 문단을 추출', async () => {
+        const document = await parseDocument(await buildEpub([
+            { href: 'ch1.xhtml', body: `<h1>첫째 장</h1><p>${PARAGRAPH}</p>` },
+            { href: 'ch2.xhtml', body: `<h1>둘째 장</h1><p>${PARAGRAPH}</p>` },
+        ]));
+        assert.equal(document.format, 'epub');
+        assert.equal(document.title, '테스트 책');
+        assert.deepEqual(document.chapters.map(chapter => chapter.title), ['첫째 장', '둘째 장']);
+    });
+
+    it('URL 인코딩이 잘못된 href는 그 항목만 건너뜀', async () => {
+        const document = await parseDocument(await buildEpub([
+            { href: 'ch%E0%A4%A.xhtml', body: null },
+            { href: 'ch2.xhtml', body: `<h1>둘째 장</h1><p>${PARAGRAPH}</p>` },
+        ]));
+        assert.deepEqual(document.chapters.map(chapter => chapter.title), ['둘째 장']);
+    });
+
+    it('헤더에 적힌 압축 해제 크기가 제한을 넘으면 DocumentTooLargeError', async () => {
+        const buffer = await buildEpub([{ href: 'ch1.xhtml', body: `<p>${PARAGRAPH}</p>` }]);
+        // 중앙 디렉터리의 마지막 항목(ch1.xhtml)의 압축 해제 크기(오프셋 24)를 1GB로 바꿈
+        const entryOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+        buffer.writeUInt32LE(1024 * 1024 * 1024, entryOffset + 24);
+
+        await assert.rejects(parseDocument(buffer), DocumentTooLargeError);
+    });
+});
@@ -0,0 +1,60 @@
+// functions/test/ingestion.test.js
+require('./setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isPrivateAddress, resolveCanonicalUrl } = require('../utils/ingestion');
+
+describe('isPrivateAddress', () => {
+    it('사설망, 루프백, 링크 로컬 IPv4 주소를 막음', () => {
+        ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']
+            .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+    });
+
+    it('IPv4 매핑, 호환, NAT64 IPv6 주소는 16진수 표기여도 막음', () => {
+        // new URL('http://[::ffff:127.0.0.1]/')은 호스트를 '::ffff:7f00:1'로 바꿈
+        assert.equal(new URL('http://[::ffff:127.0.0.1]/').hostname, '[::ffff:7f00:1]');
+        ['::ffff:7f00:1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '::ffff:0a00:0001', '::127.0.0.1', '64:ff9b::a9fe:a9fe']
+            .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+    });
+
+    it('루프백, 고유 로컬, 링크 로컬 IPv6 주소를 막음', () => {
+        ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1']
+            .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+    });
+
+    it('공인 주소는 허용', () => {
+        ['8.8.8.8', '211.234.10.5', '2404:6800:4004:80a::200e']
+            .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+    });
+
+    it('IP 주소가 아니면 막음', () => {
+        assert.equal(isPrivateAddress('example.com'), true);
+    });
+});
+
+describe('resolveCanonicalUrl', () => {
+    const FETCHED = 'https://news.example.com/articles/123';
+
+    it('같은 호스트의 정식 URL은 정규화해서 사용', () => {
+        assert.equal(
+            resolveCanonicalUrl('https://news.example.com/articles/123/?utm_source=feed#top', FETCHED),
+            'https://news.example.com/articles/123'
+        );
+    });
+
+    it('다른 호스트를 가리키는 정식 URL은 무시하고 가져온 URL을 사용', () => {
+        assert.equal(resolveCanonicalUrl('https://other.example.org/articles/123', FETCHED), FETCHED);
+        assert.equal(resolveCanonicalUrl('https://example.com/articles/123', FETCHED), FETCHED);
+        assert.equal(resolveCanonicalUrl('https://news.example.com:8443/articles/123', FETCHED), FETCHED);
+    });
+
+    it('기사에서 사이트 첫 페이지를 가리키는 정식 URL은 무시', () => {
+        assert.equal(resolveCanonicalUrl('https://news.example.com/', FETCHED), FETCHED);
+    });
+
+    it('정식 URL이 없거나 http(s)가 아니면 가져온 URL을 사용', () => {
+        assert.equal(resolveCanonicalUrl(null, FETCHED), FETCHED);
+        assert.equal(resolveCanonicalUrl('javascript:alert(1)', FETCHED), FETCHED);
+    });
+});
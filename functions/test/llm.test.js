@@ -0,0 +1,49 @@
+// functions/test/llm.test.js
+require('./setup');
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getModelFor } = require('../utils/llm');
+
+const MODEL_ENV_NAMES = ['LLM_MODEL', 'LLM_EMBEDDING_MODEL', 'LLM_MODEL_SIMPLIFYTEXT', 'LLM_MODEL_DICTIONARYAPI',
+    'LLM_MODEL_DICTIONARYAPI_DEFINITION', 'LLM_MODEL_GETREADINGRECOMMENDATIONS', 'LLM_MODEL_GETREADINGRECOMMENDATIONS_EMBEDDING'];
+
+describe('getModelFor', () => {
+    afterEach(() => MODEL_ENV_NAMES.forEach(name => delete process.env[name]));
+
+    it('설정이 없으면 대화형 작업과 임베딩 작업의 기본 모델을 따로 씀', () => {
+        assert.equal(getModelFor('simplifyText'), 'gpt-4-turbo');
+        assert.equal(getModelFor('getReadingRecommendations', 'embedding'), 'text-embedding-3-small');
+    });
+
+    it('LLM_MODEL은 엔드포인트별 설정이 없는 모든 대화형 작업에 적용', () => {
+        process.env.LLM_MODEL = 'llama-3-8b';
+        assert.equal(getModelFor('simplifyText'), 'llama-3-8b');
+        assert.equal(getModelFor('dictionaryApi', 'definition'), 'llama-3-8b');
+        assert.equal(getModelFor('getReadingRecommendations', 'embedding'), 'text-embedding-3-small');
+    });
+
+    it('LLM_EMBEDDING_MODEL은 임베딩 작업에만 적용', () => {
+        process.env.LLM_EMBEDDING_MODEL = 'nomic-embed-text';
+        assert.equal(getModelFor('getReadingRecommendations', 'embedding'), 'nomic-embed-text');
+        assert.equal(getModelFor('getReadingRecommendations'), 'gpt-4-turbo');
+    });
+
+    it('작업, 엔드포인트 순으로 엔드포인트별 환경 변수가 기본 모델보다 우선', () => {
+        process.env.LLM_MODEL = 'llama-3-8b';
+        process.env.LLM_MODEL_DICTIONARYAPI = 'gpt-4o';
+        assert.equal(getModelFor('dictionaryApi'), 'gpt-4o');
+        assert.equal(getModelFor('dictionaryApi', 'definition'), 'gpt-4o');
+
+        process.env.LLM_MODEL_DICTIONARYAPI_DEFINITION = 'gpt-4o-mini';
+        assert.equal(getModelFor('dictionaryApi', 'definition'), 'gpt-4o-mini');
+    });
+
+    it('임베딩 작업은 엔드포인트의 대화형 모델 설정을 물려받지 않음', () => {
+        process.env.LLM_MODEL_GETREADINGRECOMMENDATIONS = 'gpt-4o';
+        assert.equal(getModelFor('getReadingRecommendations', 'embedding'), 'text-embedding-3-small');
+
+        process.env.LLM_MODEL_GETREADINGRECOMMENDATIONS_EMBEDDING = 'text-embedding-3-large';
+        assert.equal(getModelFor('getReadingRecommendations', 'embedding'), 'text-embedding-3-large');
+    });
+});
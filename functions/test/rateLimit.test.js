@@ -0,0 +1,54 @@
+// functions/test/rateLimit.test.js
+require('./setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_PLAN,
+    PLANS,
+    PLAN_LIMITS,
+    getPlanLimits,
+    getDayKey,
+    getSecondsUntilNextDay,
+} = require('../utils/rateLimit');
+
+describe('getPlanLimits', () => {
+    it('알 수 없는 요금제는 기본 요금제 한도를 사용', () => {
+        assert.equal(getPlanLimits('enterprise'), PLAN_LIMITS[DEFAULT_PLAN]);
+        assert.equal(getPlanLimits(undefined), PLAN_LIMITS[DEFAULT_PLAN]);
+        assert.equal(getPlanLimits('pro'), PLAN_LIMITS.pro);
+    });
+
+    it('모든 요금제가 같은 엔드포인트를 정의하고 분당 한도가 일일 한도를 넘지 않음', () => {
+        const endpoints = Object.keys(PLAN_LIMITS[DEFAULT_PLAN]).sort();
+        for (const plan of PLANS) {
+            assert.deepEqual(Object.keys(PLAN_LIMITS[plan]).sort(), endpoints, plan);
+            for (const endpoint of endpoints) {
+                const { perMinute, perDay } = PLAN_LIMITS[plan][endpoint];
+                assert.ok(Number.isInteger(perMinute) && perMinute > 0, `${plan}.${endpoint}`);
+                assert.ok(perMinute <= perDay, `${plan}.${endpoint}`);
+            }
+        }
+    });
+
+    it('상위 요금제의 한도는 하위 요금제보다 작지 않음', () => {
+        for (const endpoint of Object.keys(PLAN_LIMITS.free)) {
+            assert.ok(PLAN_LIMITS.plus[endpoint].perDay >= PLAN_LIMITS.free[endpoint].perDay, endpoint);
+            assert.ok(PLAN_LIMITS.pro[endpoint].perDay >= PLAN_LIMITS.plus[endpoint].perDay, endpoint);
+        }
+    });
+});
+
+describe('일일 한도 창 (한국 시간 자정 기준)', () => {
+    it('UTC 15시에 날짜가 바뀜', () => {
+        assert.equal(getDayKey(Date.parse('2024-03-01T14:59:59Z')), '2024-03-01');
+        assert.equal(getDayKey(Date.parse('2024-03-01T15:00:00Z')), '2024-03-02');
+    });
+
+    it('다음 자정까지 남은 시간을 초 단위로 올림', () => {
+        assert.equal(getSecondsUntilNextDay(Date.parse('2024-03-01T14:59:59Z')), 1);
+        assert.equal(getSecondsUntilNextDay(Date.parse('2024-03-01T14:59:59.500Z')), 1);
+        assert.equal(getSecondsUntilNextDay(Date.parse('2024-03-01T15:00:00Z')), 24 * 60 * 60);
+        assert.equal(getSecondsUntilNextDay(Date.parse('2024-03-01T03:00:00Z')), 12 * 60 * 60);
+    });
+});
@@ -0,0 +1,68 @@
+// functions/test/review.test.js
+require('./setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createInitialReviewState, scheduleReview, getEndOfToday } = require('../utils/review');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-02T03:00:00Z');
+
+const reviewTimes = (state, grades) => grades.reduce((current, grade) => scheduleReview(current, grade, NOW), state);
+
+describe('scheduleReview (SM-2)', () => {
+    it('기억에 성공하면 간격이 1일, 6일, 이전 간격 × 난이도 계수 순으로 늘어남', () => {
+        const first = scheduleReview(createInitialReviewState(), 4, NOW);
+        assert.equal(first.interval, 1);
+        assert.equal(first.repetitions, 1);
+
+        const second = scheduleReview(first, 4, NOW);
+        assert.equal(second.interval, 6);
+        assert.equal(second.repetitions, 2);
+
+        const third = scheduleReview(second, 4, NOW);
+        assert.equal(third.interval, Math.round(6 * second.easeFactor));
+        assert.equal(third.repetitions, 3);
+    });
+
+    it('다음 복습 시각은 기준 시각에서 간격(일)만큼 뒤', () => {
+        const state = scheduleReview(createInitialReviewState(), 5, NOW);
+        assert.equal(state.dueAt.toMillis(), NOW.getTime() + DAY_MS);
+        assert.equal(state.lastReviewedAt.toMillis(), NOW.getTime());
+        assert.equal(state.lastGrade, 5);
+    });
+
+    it('점수에 따라 난이도 계수가 바뀜 (5점은 +0.1, 4점은 유지, 3점은 -0.14)', () => {
+        const initial = createInitialReviewState();
+        assert.equal(scheduleReview(initial, 5, NOW).easeFactor, 2.6);
+        assert.equal(scheduleReview(initial, 4, NOW).easeFactor, 2.5);
+        assert.equal(scheduleReview(initial, 3, NOW).easeFactor, 2.36);
+    });
+
+    it('기억에 실패하면 반복 횟수를 0으로 되돌리고 다음 날 다시 복습', () => {
+        const learned = reviewTimes(createInitialReviewState(), [5, 5, 5]);
+        assert.ok(learned.interval > 6);
+
+        const forgotten = scheduleReview(learned, 2, NOW);
+        assert.equal(forgotten.repetitions, 0);
+        assert.equal(forgotten.interval, 1);
+        assert.ok(forgotten.easeFactor < learned.easeFactor);
+    });
+
+    it('난이도 계수는 1.3 아래로 내려가지 않음', () => {
+        const state = reviewTimes(createInitialReviewState(), [0, 0, 0, 0, 0, 0, 0, 0]);
+        assert.equal(state.easeFactor, 1.3);
+    });
+});
+
+describe('getEndOfToday', () => {
+    it('한국 시간 기준 다음날 0시를 반환', () => {
+        // 2026-03-02 12:00 (KST) → 2026-03-03 00:00 (KST) = 2026-03-02 15:00 (UTC)
+        assert.equal(getEndOfToday(NOW).toDate().toISOString(), '2026-03-02T15:00:00.000Z');
+    });
+
+    it('UTC로는 전날이어도 한국 시간으로 날짜가 바뀌었으면 다음 날을 기준으로 함', () => {
+        // 2026-03-01 16:00 (UTC) = 2026-03-02 01:00 (KST)
+        assert.equal(getEndOfToday(new Date('2026-03-01T16:00:00Z')).toDate().toISOString(), '2026-03-02T15:00:00.000Z');
+    });
+});
@@ -0,0 +1,7 @@
+// functions/test/setup.js
+// 여러 모듈이 불러올 때 admin.firestore()를 호출하므로, 테스트에서는 요청을 보내지 않는 앱을 먼저 초기화
+const admin = require('firebase-admin');
+
+if (admin.apps.length === 0) {
+    admin.initializeApp({ projectId: 'demo-test' });
+}
@@ -0,0 +1,58 @@
+// functions/test/simplification.test.js
+require('./setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveTargets } = require('../utils/simplification');
+
+// 문장 위치: '첫 문장입니다.' [0, 8), '둘째 문장입니다.' [9, 18), '셋째 문장입니다.' [19, 28)
+const PARAGRAPHS = [
+    { id: 'p1', text: '첫 문장입니다. 둘째 문장입니다. 셋째 문장입니다.' },
+    { id: 'p2', text: '다른 문단입니다.' },
+];
+
+describe('resolveTargets', () => {
+    it('id만 있으면 문단 전체', () => {
+        assert.deepEqual(resolveTargets(PARAGRAPHS, [{ id: 'p2' }]), {
+            errors: [],
+            value: [{ index: 1, start: 0, end: 9 }],
+        });
+    });
+
+    it('글자 범위는 범위가 걸친 문장 전체로 넓힘', () => {
+        assert.deepEqual(resolveTargets(PARAGRAPHS, [{ id: 'p1', start: 10, end: 12 }]).value, [{ index: 0, start: 9, end: 18 }]);
+        assert.deepEqual(resolveTargets(PARAGRAPHS, [{ id: 'p1', start: 5, end: 12 }]).value, [{ index: 0, start: 0, end: 18 }]);
+    });
+
+    it('같은 문단에서 겹치는 구간은 하나로 합침', () => {
+        const { value } = resolveTargets(PARAGRAPHS, [{ id: 'p1', start: 10, end: 12 }, { id: 'p1', start: 0, end: 12 }]);
+        assert.deepEqual(value, [{ index: 0, start: 0, end: 18 }]);
+    });
+
+    it('문단 전체와 그 안의 범위를 함께 보내면 문단 전체 하나로 합침', () => {
+        const { value } = resolveTargets(PARAGRAPHS, [{ id: 'p1' }, { id: 'p1', start: 0, end: 3 }]);
+        assert.deepEqual(value, [{ index: 0, start: 0, end: 28 }]);
+    });
+
+    it('떨어진 구간은 따로 두고 문단 순서, 위치 순으로 정렬', () => {
+        const { value } = resolveTargets(PARAGRAPHS, [
+            { id: 'p2' },
+            { id: 'p1', start: 20, end: 22 },
+            { id: 'p1', start: 0, end: 3 },
+        ]);
+        assert.deepEqual(value, [
+            { index: 0, start: 0, end: 8 },
+            { index: 0, start: 19, end: 28 },
+            { index: 1, start: 0, end: 9 },
+        ]);
+    });
+
+    it('없는 문단 ID와 잘못된 범위는 오류', () => {
+        const { errors } = resolveTargets(PARAGRAPHS, [{ id: 'zz' }, { id: 'p1', start: 5, end: 3 }, { id: 'p1', start: 0, end: 99 }]);
+        assert.deepEqual(errors.map(error => error.field), ['targets[0].id', 'targets[1]', 'targets[2]']);
+    });
+
+    it('targets가 비어 있으면 오류', () => {
+        assert.deepEqual(resolveTargets(PARAGRAPHS, []).errors.map(error => error.field), ['targets']);
+    });
+});
@@ -0,0 +1,154 @@
+// functions/utils/account.js
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+// Firestore 배치 하나에 담을 수 있는 최대 쓰기 수
+const BATCH_SIZE = 500;
+
+// users/{uid} 아래에 있는 사용자 데이터 하위 컬렉션
+// (사용자 데이터를 담는 하위 컬렉션을 새로 만들면 반드시 여기에 추가해야 내보내기/삭제에 포함됨)
+const USER_SUBCOLLECTIONS = [
+    'vocabulary',
+    'readingFeedback',
+    'readingProfileChanges',
+    'usage',
+    'usageDaily',
+    'history',
+    'stats',
+    'comprehensionScores',
+];
+
+// userId 필드로 사용자와 연결된 최상위 컬렉션
+const USER_OWNED_COLLECTIONS = [
+    'dictionaryJobs',
+    'simplificationJobs',
+    'simplificationJobParts',
+    'comprehensionQuizzes',
+    'documentImports',
+    'documentChapters',
+];
+
+/**
+ * Firestore 값을 JSON으로 내보낼 수 있는 형태로 변환 (Timestamp → ISO 문자열 등)
+ * @param {*} value - Firestore 문서의 값
+ */
+const toExportable = (value) => {
+    if (value instanceof admin.firestore.Timestamp) {
+        return value.toDate().toISOString();
+    }
+    if (value instanceof admin.firestore.DocumentReference) {
+        return value.path;
+    }
+    if (Array.isArray(value)) {
+        return value.map(toExportable);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, toExportable(inner)]));
+    }
+    return value;
+};
+
+// 쿼리 결과 문서들을 { id, ...data } 형태로 변환
+const exportDocs = (snapshot) => snapshot.docs.map(doc => ({ id: doc.id, ...toExportable(doc.data()) }));
+
+/**
+ * 사용자와 연결된 모든 문서를 하나의 JSON 객체로 수집
+ * @param {string} userId - 사용자 UID
+ */
+const collectUserData = async (userId) => {
+    const userRef = db.collection('users').doc(userId);
+
+    const [profileSnap, subcollectionSnaps, ownedSnaps] = await Promise.all([
+        userRef.get(),
+        Promise.all(USER_SUBCOLLECTIONS.map(name => userRef.collection(name).get())),
+        Promise.all(USER_OWNED_COLLECTIONS.map(name => db.collection(name).where('userId', '==', userId).get())),
+    ]);
+
+    const subcollections = {};
+    USER_SUBCOLLECTIONS.forEach((name, index) => {
+        subcollections[name] = exportDocs(subcollectionSnaps[index]);
+    });
+
+    const collections = {};
+    USER_OWNED_COLLECTIONS.forEach((name, index) => {
+        collections[name] = exportDocs(ownedSnaps[index]);
+    });
+
+    return {
+        exportedAt: new Date().toISOString(),
+        userId: userId,
+        profile: profileSnap.exists ? toExportable(profileSnap.data()) : null,
+        subcollections,
+        collections,
+    };
+};
+
+/**
+ * 쿼리에 해당하는 문서를 배치 단위로 모두 삭제
+ * @param {FirebaseFirestore.Query} query - 삭제할 문서 쿼리
+ * @returns {Promise<number>} 삭제된 문서 수
+ */
+const deleteQueryInBatches = async (query) => {
+    let deleted = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+        const snapshot = await query.limit(BATCH_SIZE).get();
+        if (snapshot.empty) break;
+
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+
+        deleted += snapshot.size;
+        hasMore = snapshot.size === BATCH_SIZE;
+    }
+
+    return deleted;
+};
+
+/**
+ * 사용자와 연결된 모든 문서와 올린 파일을 삭제하고 컬렉션별 삭제 개수를 반환
+ * @param {string} userId - 사용자 UID
+ * @returns {Promise<object>} { users, vocabulary, ..., dictionaryJobs, ..., uploads } 형태의 삭제 개수
+ */
+const deleteUserData = async (userId) => {
+    const userRef = db.collection('users').doc(userId);
+    const report = {};
+
+    // 하위 컬렉션은 부모 문서를 지워도 남기 때문에 먼저 따로 삭제
+    for (const name of USER_SUBCOLLECTIONS) {
+        report[name] = await deleteQueryInBatches(userRef.collection(name));
+    }
+
+    for (const name of USER_OWNED_COLLECTIONS) {
+        report[name] = await deleteQueryInBatches(db.collection(name).where('userId', '==', userId));
+    }
+
+    // 문서 가져오기용으로 Cloud Storage에 올린 파일
+    const bucket = admin.storage().bucket();
+    const uploadPrefix = `uploads/${userId}/`;
+    const [uploadFiles] = await bucket.getFiles({ prefix: uploadPrefix });
+    if (uploadFiles.length > 0) {
+        await bucket.deleteFiles({ prefix: uploadPrefix });
+    }
+    report.uploads = uploadFiles.length;
+
+    const userSnap = await userRef.get();
+    if (userSnap.exists) {
+        await userRef.delete();
+    }
+    report.users = userSnap.exists ? 1 : 0;
+
+    return report;
+};
+
+module.exports = {
+    USER_SUBCOLLECTIONS,
+    USER_OWNED_COLLECTIONS,
+    toExportable,
+    collectUserData,
+    deleteQueryInBatches,
+    deleteUserData
+};
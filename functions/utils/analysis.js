@@ -1,4 +1,5 @@
 // functions/utils/analysis.js
+const BASIC_VOCABULARY = require('../data/koreanBasicVocabulary.json');
 
 // 한국어 조사를 고려한 불용어 목록
 const KOREAN_STOPWORDS = [
@@ -8,17 +9,308 @@ const KOREAN_STOPWORDS = [
     '있다', '없다', '이다', '아니다', '되다', '하다',
 ];
 
-// 문장 분리 (마침표, 물음표, 느낌표 기준)
-const getSentences = (text) => {
+// 기초 어휘 (단어 → 어원: 'native' | 'sino' | 'loan')
+// 빈도 순위가 없는 손으로 고른 목록이므로, 여기에 없는 단어는 '드문 단어'가 아니라 '기초 어휘 밖 단어'로 셈
+const VOCABULARY_ORIGINS = new Map();
+Object.entries(BASIC_VOCABULARY.words).forEach(([origin, words]) => {
+    words.forEach(word => VOCABULARY_ORIGINS.set(word, origin));
+});
+
+// 어절 끝의 조사 (긴 것부터 검사)
+const PARTICLES = [
+    '에서부터', '으로부터', '에게서', '한테서', '으로서', '으로써', '이라고', '에서는', '에게는', '으로는', '까지는', '에서도', '에게도',
+    '처럼', '보다', '부터', '까지', '에서', '에게', '한테', '께서', '으로', '이나', '이랑', '라고', '에는', '에도', '로는', '로서', '로써',
+    '마다', '조차', '마저', '밖에', '은', '는', '이', '가', '을', '를', '의', '에', '께', '로', '와', '과', '도', '만', '랑',
+];
+
+// 용언 어미 (기본형을 추정할 때 떼어 냄, 긴 것부터 검사)
+// '하/되'로 시작하는 어미는 앞부분이 명사(대부분 한자어)인 '-하다/-되다' 용언을 만듦
+const PREDICATE_ENDINGS = [
+    '하였습니다', '되었습니다', '했습니다', '됐습니다', '합니다', '됩니다', '하였다', '되었다', '하겠다', '시켰다',
+    '했다', '한다', '하는', '하고', '하며', '하면', '해서', '하여', '하지', '하기', '하게', '한', '할', '해',
+    '됐다', '된다', '되는', '되고', '되며', '되면', '되어', '돼서', '된', '될', '돼', '시키는', '시킨',
+    '으셨다', '셨다', '으신', '신다', '시는', '었습니다', '았습니다', '습니다', '었다', '았다', '였다', '는다', '니다', '지만', '면서', '는데', '어서', '아서',
+    '다', '고', '며', '면', '서', '는', '은', '을', '게', '기', '어', '아', '지', '던',
+];
+const HA_DOE_ENDING_PATTERN = /^(하|했|한|할|해|되|됐|된|될|돼|시키|시킨|시켰)/;
+// 한글 음절의 종성 'ㅆ' 번호 (갔다 → 가다 처럼 줄어든 과거형 처리)
+const JONGSEONG_SSANGSIOT = 20;
+
+// 기초 어휘에 없는 단어의 어원을 짐작하는 끝말
+const SINO_SUFFIXES = ['적', '성', '화', '론', '법', '권', '률', '율', '력', '제', '계', '감', '형', '식', '학', '주의', '기관', '산업', '정책', '사업', '위원회'];
+const LOANWORD_ENDINGS = ['션', '즘', '티', '크', '트', '스', '드', '프', '킹', '닝', '링', '팅', '웨어', '레이', '러스', '그램'];
+// 기초 어휘에 없는 용언 중 어미가 분명해 고유어로 보는 형태
+// '-고', '-게', '-며'는 두 글자 한자어 명사(광고, 경고)와 겹치므로 세 글자 이상일 때만, '-기', '-서'는 명사와 겹쳐 제외
+const NATIVE_PREDICATE_ENDINGS = /(다|다고|다는|다며|다가|지만|면서|는데|어서|아서|도록|려고|으며|으면|[가-힣]{2}[고게며])$/;
+
+// 절을 잇는 연결 어미, 관형사형 어미, 인용 어미 (절 깊이 추정에 사용)
+const CONNECTIVE_ENDINGS = /(면서|지만|는데|은데|니까|어서|아서|해서|여서|도록|려고|므로|거나|든지|다가|듯이|라서|고|며|면|자)$/;
+const ADNOMINAL_ENDINGS = /(하는|되는|있는|없는|이는|었던|았던|했던|한|된|할|될|던)$/;
+const QUOTATIVE_ENDINGS = /(라고|다고|냐고|자고|라는|다는)$/;
+
+// 줄임표/줄바꿈으로 문장을 끝낼 수 있는 종결 어미
+const SENTENCE_FINAL_ENDING = /(다|요|까|죠|네|자|라|오|군|구나|니다)["'”’)]*$/;
+// 인용문 뒤에 이어지는 인용 조사 (이 경우 인용문 끝에서 문장을 나누지 않음)
+const QUOTATIVE_PARTICLE = /^\s*(라고|이라고|하고|고\s|며|라며|라는|란|는|은|하며)/;
+
+const OPENING_QUOTES = '“‘「『(《〈[';
+const CLOSING_QUOTES = '”’」』)》〉]';
+const SENTENCE_PUNCTUATION = '.?!…';
+
+// MATTR(이동 평균 어휘 다양도) 창 크기 (어절 수)
+const MATTR_WINDOW = 50;
+
+// 어휘 비율과 학년 수준으로 어려움을 판단하기 위한 최소 내용어 수 (짧은 문장은 값이 크게 흔들림)
+const MIN_CONTENT_WORDS_FOR_RATIO = 3;
+// 문단별 분석 결과에 담을 가장 어려운 문장 수
+const HARDEST_SENTENCE_LIMIT = 5;
+
+// 학년 수준 범위 (1~12: 초1~고3, 13: 대학 이상)
+const GRADE_MIN = 1;
+const GRADE_MAX = 13;
+
+/**
+ * 문장 부호를 유지한 채로 문장을 분리
+ * - 소수점(3.5), 약어(U.S.)의 마침표와 따옴표 안의 문장 부호에서는 나누지 않음
+ * - 줄임표는 앞말이 종결 어미로 끝날 때만 문장 끝으로 봄
+ * - 인용문("...!") 뒤에 '라고', '하며' 같은 인용 조사가 오거나 띄어 쓰지 않고 말이 이어지면 한 문장으로 봄
+ * - 괄호 안 약어('미국(U.S.) 정부')의 마침표에서는 괄호가 닫혀도 나누지 않음
+ * - 줄바꿈은 항상 문장 경계
+ * @param {string} text - 텍스트
+ * @returns {string[]} 앞뒤 공백을 제거한 문장 배열
+ */
+const splitSentences = (text) => {
     if (!text) return [];
-    // 여러 개가 붙어있는 경우를 대비해 정규식 사용, 빈 문장 제거
-    return text.split(/[.?!]+/).filter(s => s.trim().length > 0);
+
+    const sentences = [];
+    // 곧은 따옴표는 짝이 맞을 때만 인용으로 취급
+    const useStraightQuotes = ((text.match(/"/g) || []).length % 2) === 0;
+    let start = 0;
+    let depth = 0;
+    let inStraightQuote = false;
+
+    const pushSentence = (end) => {
+        const sentence = text.slice(start, end).trim();
+        if (sentence) sentences.push(sentence);
+        start = end;
+    };
+    const isQuoted = () => depth > 0 || inStraightQuote;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (ch === '\n') {
+            depth = 0;
+            inStraightQuote = false;
+            pushSentence(i + 1);
+            continue;
+        }
+
+        const closesQuote = CLOSING_QUOTES.includes(ch) || (ch === '"' && useStraightQuotes && inStraightQuote);
+        if (OPENING_QUOTES.includes(ch)) {
+            depth += 1;
+            continue;
+        }
+        if (ch === '"' && useStraightQuotes && !inStraightQuote) {
+            inStraightQuote = true;
+            continue;
+        }
+        if (closesQuote) {
+            if (ch === '"') inStraightQuote = false;
+            else depth = Math.max(0, depth - 1);
+
+            // 문장 부호로 끝난 인용문이 닫히고, 뒤에 인용 조사나 붙여 쓴 말이 없으면 문장 끝 (약어의 마침표는 제외)
+            const previous = text[i - 1];
+            const rest = text.slice(i + 1);
+            const endsWithAbbreviation = previous === '.' && /(^|[\s.(\[])[A-Za-z]\.$/.test(text.slice(start, i));
+            if (!isQuoted() && previous && SENTENCE_PUNCTUATION.includes(previous) && !endsWithAbbreviation
+                && !QUOTATIVE_PARTICLE.test(rest) && !/^[가-힣]/.test(rest)) {
+                pushSentence(i + 1);
+            }
+            continue;
+        }
+
+        if (!SENTENCE_PUNCTUATION.includes(ch) || isQuoted()) continue;
+
+        // 연속된 문장 부호를 한 번에 처리
+        let end = i;
+        while (end + 1 < text.length && SENTENCE_PUNCTUATION.includes(text[end + 1])) end++;
+        const run = text.slice(i, end + 1);
+        const next = text[end + 1];
+
+        if (run === '.' && next !== undefined && !/\s/.test(next) && !CLOSING_QUOTES.includes(next) && next !== '"') {
+            // 3.5, www.example.com 등
+            i = end;
+            continue;
+        }
+        if (run === '.' && /(^|[\s.])[A-Za-z]$/.test(text.slice(start, i))) {
+            // U.S. 같은 한 글자 약어
+            i = end;
+            continue;
+        }
+        if ((run.includes('…') || run.startsWith('..')) && !SENTENCE_FINAL_ENDING.test(text.slice(start, i).trim())) {
+            // 문장 중간의 줄임표
+            i = end;
+            continue;
+        }
+
+        // 문장 부호 뒤에 붙은 닫는 따옴표, 괄호까지 한 문장으로 봄 (인용 조사가 이어지면 계속)
+        let boundary = end + 1;
+        while (boundary < text.length && (CLOSING_QUOTES.includes(text[boundary]) || text[boundary] === "'")) boundary++;
+        if (QUOTATIVE_PARTICLE.test(text.slice(boundary)) && boundary > end + 1) {
+            i = boundary - 1;
+            continue;
+        }
+        pushSentence(boundary);
+        i = boundary - 1;
+    }
+    pushSentence(text.length);
+
+    return sentences;
 };
 
-// 단어 분리 (공백 기준, 구두점 제거)
-const getWords = (text) => {
+/**
+ * 문단을 문단 안 위치 정보가 있는 문장 목록으로 분리
+ * @param {string} text - 문단 텍스트
+ */
+const locateSentences = (text) => {
+    let cursor = 0;
+    return splitSentences(text).map((sentence) => {
+        const start = Math.max(text.indexOf(sentence, cursor), cursor);
+        cursor = start + sentence.length;
+        return { text: sentence, start, end: cursor };
+    });
+};
+
+/**
+ * 어절 분리 (공백 기준, 어절 앞뒤의 문장 부호와 따옴표 제거)
+ * @param {string} text - 텍스트
+ */
+const getEojeols = (text) => {
     if (!text) return [];
-    return text.trim().replace(/[.,?!'"]/g, '').split(/\s+/).filter(w => w.length > 0);
+    return text.trim().split(/\s+/)
+        .map(token => token.replace(/^[^0-9A-Za-z가-힣]+|[^0-9A-Za-z가-힣]+$/g, ''))
+        .filter(token => token.length > 0);
+};
+
+/**
+ * 어절에서 조사를 떼어 낸 어간(체언 부분)을 반환
+ * 기초 어휘에 있는 단어이거나 떼어 내고 남는 부분이 너무 짧으면 그대로 둠 (예: '나이', '국가')
+ * @param {string} eojeol - 어절
+ */
+const stripParticle = (eojeol) => {
+    if (VOCABULARY_ORIGINS.has(eojeol) || !/[가-힣]$/.test(eojeol)) return eojeol;
+
+    for (const particle of PARTICLES) {
+        const stemLength = eojeol.length - particle.length;
+        if (!eojeol.endsWith(particle) || stemLength < 1) continue;
+
+        const stem = eojeol.slice(0, stemLength);
+        if (stemLength >= 2 || particle.length >= 2 || VOCABULARY_ORIGINS.has(stem)) {
+            return stem;
+        }
+    }
+    return eojeol;
+};
+
+/**
+ * 어간의 사전형 후보 (체언 그대로, 용언 어미를 뗀 기본형, '-하다/-되다' 용언의 명사 부분)
+ * @param {string} stem - 조사를 뗀 어간
+ * @returns {{ forms: string[], verbalNoun: string|null }}
+ */
+const getLemmaCandidates = (stem) => {
+    const forms = [stem];
+    let verbalNoun = null;
+
+    for (const ending of PREDICATE_ENDINGS) {
+        if (!stem.endsWith(ending) || stem.length <= ending.length) continue;
+
+        const base = stem.slice(0, -ending.length);
+        forms.push(`${base}다`);
+        if (HA_DOE_ENDING_PATTERN.test(ending)) {
+            forms.push(base, `${base}하다`, `${base}되다`);
+            if (base.length >= 2) verbalNoun = base;
+        }
+        break;
+    }
+
+    // 종성 'ㅆ'으로 줄어든 과거형 (갔다 → 가다)
+    const pastMatch = stem.match(/^(.*)(.)다$/);
+    if (pastMatch) {
+        const code = pastMatch[2].charCodeAt(0) - 0xAC00;
+        if (code >= 0 && code < 11172 && code % 28 === JONGSEONG_SSANGSIOT) {
+            forms.push(`${pastMatch[1]}${String.fromCharCode(0xAC00 + code - JONGSEONG_SSANGSIOT)}다`);
+        }
+    }
+    return { forms, verbalNoun };
+};
+
+/**
+ * 내용어 하나의 어원과 기초 어휘 여부를 판단
+ * 기초 어휘에 없는 단어는 끝말로 어원을 짐작하고, 짐작할 끝말이 없는 한글 단어는 한자어로 봄 (숫자, 기호가 섞인 어간만 null)
+ * @param {string} stem - 조사를 뗀 어간
+ * @returns {{ origin: string|null, common: boolean }} origin: 'native' | 'sino' | 'loan' | null(판단 불가)
+ */
+const classifyWord = (stem) => {
+    if (/[A-Za-z]/.test(stem)) {
+        return { origin: 'loan', common: VOCABULARY_ORIGINS.has(stem) };
+    }
+
+    const { forms, verbalNoun } = getLemmaCandidates(stem);
+    // 복수 접미사 '-들'을 뗀 형태도 확인 (친구들 → 친구)
+    if (stem.length >= 3 && stem.endsWith('들')) forms.push(stem.slice(0, -1));
+    const known = forms.find(form => VOCABULARY_ORIGINS.has(form));
+    if (known) {
+        return { origin: VOCABULARY_ORIGINS.get(known), common: true };
+    }
+
+    // '-하다/-되다' 용언의 명사 부분은 대부분 한자어
+    if (verbalNoun) return { origin: 'sino', common: false };
+    if (stem.length >= 3 && SINO_SUFFIXES.some(suffix => stem.endsWith(suffix))) return { origin: 'sino', common: false };
+    if (stem.length >= 2 && LOANWORD_ENDINGS.some(ending => stem.endsWith(ending))) return { origin: 'loan', common: false };
+    if (NATIVE_PREDICATE_ENDINGS.test(stem)) return { origin: 'native', common: false };
+    // 기초 어휘 밖의 한글 명사와 '-히' 부사(여전히, 면밀히)는 대부분 한자어
+    if (/^[가-힣]+$/.test(stem)) return { origin: 'sino', common: false };
+    return { origin: null, common: false };
+};
+
+/**
+ * 문장 하나의 절 깊이를 추정 (1 + 연결 어미, 관형사형 어미, 인용 어미로 끝나는 어절 수)
+ * 문장의 마지막 어절(서술어)은 제외
+ * @param {string[]} eojeols - 문장의 어절 배열
+ */
+const estimateClauseDepth = (eojeols) => {
+    let depth = 1;
+    eojeols.slice(0, -1).forEach((eojeol) => {
+        // 기초 어휘에 있는 명사('학교', '최고' 등)가 어미처럼 보이는 경우는 제외
+        if (VOCABULARY_ORIGINS.has(eojeol) || eojeol.length < 2) return;
+        if (QUOTATIVE_ENDINGS.test(eojeol) || CONNECTIVE_ENDINGS.test(eojeol) || ADNOMINAL_ENDINGS.test(eojeol)) {
+            depth += 1;
+        }
+    });
+    return depth;
+};
+
+/**
+ * 이동 평균 어휘 다양도 (MATTR). 어절 수가 창보다 적으면 일반 TTR
+ * @param {string[]} stems - 어간 배열
+ */
+const getMattr = (stems) => {
+    if (stems.length === 0) return 0;
+    if (stems.length <= MATTR_WINDOW) return new Set(stems).size / stems.length;
+
+    const counts = new Map();
+    stems.slice(0, MATTR_WINDOW).forEach(stem => counts.set(stem, (counts.get(stem) || 0) + 1));
+    let ratioSum = counts.size / MATTR_WINDOW;
+
+    for (let i = MATTR_WINDOW; i < stems.length; i++) {
+        const removed = stems[i - MATTR_WINDOW];
+        counts.set(removed, counts.get(removed) - 1);
+        if (counts.get(removed) === 0) counts.delete(removed);
+        counts.set(stems[i], (counts.get(stems[i]) || 0) + 1);
+        ratioSum += counts.size / MATTR_WINDOW;
+    }
+    return ratioSum / (stems.length - MATTR_WINDOW + 1);
 };
 
 // 한글 음절 수 계산 (한글 범위: 0xAC00 ~ 0xD7A3)
@@ -33,37 +325,177 @@ const getHangulSyllableCount = (text) => {
     return count;
 };
 
+/**
+ * 학년 수준을 사람이 읽기 쉬운 이름으로 변환
+ * @param {number} gradeLevel - 1~13
+ */
+const getGradeLabel = (gradeLevel) => {
+    const grade = Math.round(gradeLevel);
+    if (grade <= 6) return `초등 ${Math.max(grade, 1)}학년`;
+    if (grade <= 9) return `중학 ${grade - 6}학년`;
+    if (grade <= 12) return `고등 ${grade - 9}학년`;
+    return '대학 이상';
+};
+
+/**
+ * 여러 지표를 합쳐 학년 수준(1~13)을 계산
+ * 계수는 말뭉치로 보정한 값이 아니라 어림값이므로 글끼리의 상대적인 비교에만 씀
+ * (쉬운 동화체, 신문 기사, 학술 논문 문장이 이 순서로 매겨지는지만 테스트로 확인)
+ */
+const computeGradeLevel = ({ avgSentenceLength, avgWordSyllableLength, sinoKoreanRatio, rareWordRatio, avgClauseDepth }) => {
+    const raw = -6.5
+        + 0.35 * avgSentenceLength
+        + 1.6 * avgWordSyllableLength
+        + 5.0 * sinoKoreanRatio
+        + 5.0 * rareWordRatio
+        + 0.8 * avgClauseDepth;
+    return Math.round(Math.min(GRADE_MAX, Math.max(GRADE_MIN, raw)) * 10) / 10;
+};
+
 // 텍스트 분석 함수
 const analyzeText = (text) => {
-    const sentences = getSentences(text);
-    const words = getWords(text);
-    const stopwordCount = words.filter(word => KOREAN_STOPWORDS.includes(word)).length;
-    
+    const sentences = splitSentences(text);
+    const words = getEojeols(text);
+    const stems = words.map(stripParticle);
+    const stopwordCount = words.filter((word, index) => KOREAN_STOPWORDS.includes(word) || KOREAN_STOPWORDS.includes(stems[index])).length;
+
     const charCount = text.length;
     const wordCount = words.length;
     const sentenceCount = sentences.length;
     const syllableCount = getHangulSyllableCount(text);
 
+    // 내용어(불용어, 숫자가 아닌 두 글자 이상의 어간)의 어원과 기초 어휘 여부
+    const contentWords = stems
+        .filter(stem => stem.length >= 2 && !KOREAN_STOPWORDS.includes(stem) && !/^[0-9.,%]+$/.test(stem))
+        .map(classifyWord);
+    const contentWordCount = contentWords.length;
+    const sinoKoreanCount = contentWords.filter(word => word.origin === 'sino').length;
+    const loanwordCount = contentWords.filter(word => word.origin === 'loan').length;
+    const rareWordCount = contentWords.filter(word => !word.common).length;
+
+    const clauseDepths = sentences.map(sentence => estimateClauseDepth(getEojeols(sentence)));
+
     // 0으로 나누는 경우 방지
     const avgSentenceLength = sentenceCount > 0 ? wordCount / sentenceCount : 0;
     const avgWordSyllableLength = wordCount > 0 ? syllableCount / wordCount : 0;
+    const sinoKoreanRatio = contentWordCount > 0 ? sinoKoreanCount / contentWordCount : 0;
+    const loanwordRatio = contentWordCount > 0 ? loanwordCount / contentWordCount : 0;
+    const rareWordRatio = contentWordCount > 0 ? rareWordCount / contentWordCount : 0;
+    const avgClauseDepth = sentenceCount > 0 ? clauseDepths.reduce((sum, depth) => sum + depth, 0) / sentenceCount : 0;
+    const maxClauseDepth = clauseDepths.length > 0 ? Math.max(...clauseDepths) : 0;
 
-    // 가독성 점수 (수치가 낮을수록 읽기 쉬움)
+    // 가독성 점수 (수치가 낮을수록 읽기 쉬움, 이전 리포트와의 호환을 위해 유지)
     // Kincaid 공식을 한국어에 맞게 변형: (0.6 * 평균 문장 길이) + (0.4 * 평균 단어 음절 수)
     const readabilityScore = (0.6 * avgSentenceLength) + (0.4 * avgWordSyllableLength);
 
+    const gradeLevel = wordCount > 0
+        ? computeGradeLevel({ avgSentenceLength, avgWordSyllableLength, sinoKoreanRatio, rareWordRatio, avgClauseDepth })
+        : 0;
+
     return {
         charCount,
         wordCount,
         sentenceCount,
         syllableCount,
         stopwordCount,
+        contentWordCount,
         avgSentenceLength,
         avgWordSyllableLength,
+        sinoKoreanRatio,
+        loanwordRatio,
+        rareWordRatio,
+        lexicalDiversity: getMattr(stems),
+        avgClauseDepth,
+        maxClauseDepth,
         readabilityScore,
+        gradeLevel,
+        gradeLabel: wordCount > 0 ? getGradeLabel(gradeLevel) : null,
+    };
+};
+
+/**
+ * 분석 결과를 읽기 어려움 판단 기준과 비교하여 넘어선 항목을 반환
+ * @param {object} metrics - analyzeText 결과
+ * @param {object} thresholds - getReadabilityThresholds 결과 (null인 기준은 검사하지 않음)
+ * @param {boolean} isSentence - 문장 하나의 분석 결과인지 (문장 길이는 문장 단위로만 검사)
+ * @returns {string[]} 'long_sentence' | 'deep_clause' | 'rare_vocabulary' | 'sino_korean_vocabulary' | 'high_grade_level'
+ */
+const findReadabilityIssues = (metrics, thresholds, isSentence) => {
+    const exceeds = (value, limit) => limit !== null && limit !== undefined && value > limit;
+    const hasEnoughWords = metrics.contentWordCount >= MIN_CONTENT_WORDS_FOR_RATIO;
+    const issues = [];
+
+    if (isSentence && exceeds(metrics.charCount, thresholds.maxSentenceLength)) issues.push('long_sentence');
+    if (exceeds(metrics.maxClauseDepth, thresholds.maxClauseDepth)) issues.push('deep_clause');
+    if (hasEnoughWords && exceeds(metrics.rareWordRatio, thresholds.maxRareWordRatio)) issues.push('rare_vocabulary');
+    if (hasEnoughWords && exceeds(metrics.sinoKoreanRatio, thresholds.maxSinoKoreanRatio)) issues.push('sino_korean_vocabulary');
+    if (hasEnoughWords && exceeds(metrics.gradeLevel, thresholds.maxGradeLevel)) issues.push('high_grade_level');
+    return issues;
+};
+
+/**
+ * 문단 배열을 문서, 문단, 문장 단위로 분석하고 기준을 넘는 문단과 문장을 표시
+ * @param {Array<{id: *, text: string}>} paragraphs - 문단 배열
+ * @param {object} thresholds - getReadabilityThresholds 결과
+ */
+const analyzeParagraphs = (paragraphs, thresholds) => {
+    const paragraphResults = paragraphs.map((paragraph, index) => {
+        const text = String(paragraph.text || '');
+        const sentences = splitSentences(text).map((sentence, sentenceIndex) => {
+            const metrics = analyzeText(sentence);
+            return {
+                index: sentenceIndex,
+                text: sentence,
+                charCount: metrics.charCount,
+                clauseDepth: metrics.maxClauseDepth,
+                rareWordRatio: metrics.rareWordRatio,
+                sinoKoreanRatio: metrics.sinoKoreanRatio,
+                gradeLevel: metrics.gradeLevel,
+                issues: findReadabilityIssues(metrics, thresholds, true),
+            };
+        });
+        const metrics = analyzeText(text);
+        const issues = findReadabilityIssues(metrics, thresholds, false);
+        const flaggedSentenceCount = sentences.filter(sentence => sentence.issues.length > 0).length;
+
+        return {
+            id: paragraph.id === undefined ? null : paragraph.id,
+            index,
+            metrics,
+            issues,
+            flagged: issues.length > 0 || flaggedSentenceCount > 0,
+            flaggedSentenceCount,
+            sentences,
+        };
+    });
+
+    // 넘어선 기준이 많고 학년 수준이 높은 문장 순
+    const hardestSentences = paragraphResults
+        .flatMap(paragraph => paragraph.sentences
+            .filter(sentence => sentence.issues.length > 0)
+            .map(sentence => ({ paragraphId: paragraph.id, paragraphIndex: paragraph.index, ...sentence })))
+        .sort((a, b) => (b.issues.length - a.issues.length) || (b.gradeLevel - a.gradeLevel))
+        .slice(0, HARDEST_SENTENCE_LIMIT);
+
+    const documentMetrics = analyzeText(paragraphs.map(p => String(p.text || '')).join('\n\n'));
+
+    return {
+        document: {
+            metrics: documentMetrics,
+            issues: findReadabilityIssues(documentMetrics, thresholds, false),
+        },
+        paragraphs: paragraphResults,
+        hardestSentences,
+        flaggedParagraphIds: paragraphResults.filter(paragraph => paragraph.flagged).map(paragraph => paragraph.id),
     };
 };
 
 module.exports = {
-    analyzeText
+    analyzeText,
+    analyzeParagraphs,
+    splitSentences,
+    locateSentences,
+    getEojeols,
+    stripParticle,
+    getGradeLabel
 };
@@ -0,0 +1,365 @@
+// functions/utils/articleExtraction.js
+const cheerio = require('cheerio');
+
+// 본문과 관계없는 요소 (점수 계산 전에 통째로 제거)
+const REMOVED_ELEMENTS = 'script, style, noscript, iframe, object, embed, form, button, input, select, textarea, svg, canvas, template, nav, aside, footer, figcaption';
+
+// class, id로 본문이 아닐 가능성이 높은 요소와 본문일 가능성이 높은 요소를 판단 (Readability 방식)
+const UNLIKELY_CANDIDATES = /comment|reply|sidebar|footer|gnb|lnb|snb|menu|nav|breadcrumb|related|recommend|popular|rank|share|sns|social|banner|ad[-_]|ads|advert|sponsor|promo|popup|modal|subscribe|newsletter|copyright|login|tag[-_]?list/i;
+const LIKELY_CANDIDATES = /article|body|content|main|story|text|post|entry|news|view/i;
+const POSITIVE_CLASS = /article|body|content|entry|main|page|post|text|story|news|view/i;
+const NEGATIVE_CLASS = /comment|meta|footer|footnote|sidebar|widget|related|share|sns|ad[-_]|banner|menu|nav|reporter|byline|caption|copyright|photo/i;
+
+// 자식으로 있으면 직접 텍스트 블록이 아닌 것으로 보는 블록 요소
+const BLOCK_ELEMENTS = 'p, div, section, article, table, ul, ol, dl, blockquote, pre, h1, h2, h3, h4, h5, h6, figure, header';
+// 점수를 매기는 텍스트 블록 요소
+const SCORED_ELEMENTS = 'p, pre, td, blockquote, div, section, article';
+
+// 점수를 매길 최소 글자 수와 형제 요소를 본문에 포함하는 기준
+const MIN_SCORED_TEXT_LENGTH = 25;
+const SIBLING_SCORE_RATIO = 0.2;
+const MIN_SIBLING_SCORE = 10;
+// 링크 글자 비율이 이보다 높은 목록, 블록은 관련 기사 목록 등으로 보고 제거
+const MAX_LINK_DENSITY = 0.5;
+
+// 문단 구분 표시 (공백 정리 후에도 남도록 제어 문자를 사용)
+const BLOCK_BREAK = '\u0001';
+const LINE_BREAK = '\u0002';
+
+// 짧은 문단 중 기사 본문이 아닌 안내 문구 (저작권, 기자 연락처, 공유 버튼 등)
+const BOILERPLATE_PATTERNS = [
+    /무단\s*(전재|복제|배포)|재배포\s*금지/,
+    /ⓒ|©|copyright|all rights reserved/i,
+    /^[\w.+-]+@[\w-]+(\.[\w-]+)+$/,
+    /기자\s*[\w.+-]+@[\w-]+/,
+    /^(▶|☞|■|※)?\s*(관련\s*기사|기사\s*제보|구독하기|공유하기|좋아요|댓글|더보기|이전\s*기사|다음\s*기사)/,
+];
+const BOILERPLATE_MAX_LENGTH = 120;
+// 문장 끝 표시 없이 이보다 짧은 문단은 메뉴, 버튼 글자로 보고 제거
+const MIN_PARAGRAPH_LENGTH = 10;
+
+// 제목 끝에 붙는 사이트 이름 구분자 (예: '기사 제목 | 신문사')
+const TITLE_SEPARATOR = /\s+[|\-–—:·]\s+/;
+
+const normalizeWhitespace = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+const getClassAndId = ($el) => `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+
+/**
+ * 요소 텍스트 중 링크 텍스트의 비율
+ * @param {cheerio.CheerioAPI} $ - 문서
+ * @param {cheerio.Element} element - 요소
+ */
+const getLinkDensity = ($, element) => {
+    const textLength = normalizeWhitespace($(element).text()).length;
+    if (textLength === 0) return 0;
+    const linkLength = $(element).find('a').toArray()
+        .reduce((sum, link) => sum + normalizeWhitespace($(link).text()).length, 0);
+    return linkLength / textLength;
+};
+
+// class, id에 따른 가중치
+const getClassWeight = ($el) => {
+    const classAndId = getClassAndId($el);
+    let weight = 0;
+    if (NEGATIVE_CLASS.test(classAndId)) weight -= 25;
+    if (POSITIVE_CLASS.test(classAndId)) weight += 25;
+    return weight;
+};
+
+// 요소 종류에 따른 기본 점수
+const getTagScore = (tagName) => {
+    if (tagName === 'article') return 10;
+    if (tagName === 'div' || tagName === 'section') return 5;
+    if (['pre', 'td', 'blockquote'].includes(tagName)) return 3;
+    if (['ul', 'ol', 'dl', 'form'].includes(tagName)) return -3;
+    if (/^h[1-6]$/.test(tagName) || tagName === 'th') return -5;
+    return 0;
+};
+
+/**
+ * 점수를 매길 요소의 직접 텍스트 (블록 요소를 자식으로 가진 div는 <br>로 나뉜 직접 텍스트만 셈)
+ * @param {cheerio.CheerioAPI} $ - 문서
+ * @param {cheerio.Element} element - 요소
+ */
+const getOwnText = ($, element) => {
+    const $el = $(element);
+    if (['p', 'pre', 'td', 'blockquote'].includes(element.tagName) || $el.find(BLOCK_ELEMENTS).length === 0) {
+        return normalizeWhitespace($el.text());
+    }
+    return normalizeWhitespace($el.contents().toArray()
+        .filter(node => node.type === 'text' || (node.type === 'tag' && !$(node).is(BLOCK_ELEMENTS)))
+        .map(node => $(node).text())
+        .join(' '));
+};
+
+/**
+ * 본문이 아닌 요소를 제거
+ * @param {cheerio.CheerioAPI} $ - 문서
+ */
+const removeBoilerplateElements = ($) => {
+    $(REMOVED_ELEMENTS).remove();
+    $('[hidden], [aria-hidden="true"], [style*="display:none"], [style*="display: none"]').remove();
+    $('div, section, ul, ol, table, span, p, dl').each((_, element) => {
+        const $el = $(element);
+        const classAndId = getClassAndId($el);
+        if (UNLIKELY_CANDIDATES.test(classAndId) && !LIKELY_CANDIDATES.test(classAndId)) {
+            $el.remove();
+        }
+    });
+};
+
+/**
+ * 텍스트 블록의 점수를 부모(전체), 조부모(절반)에 더해 본문 후보를 고름 (Readability 방식)
+ * @param {cheerio.CheerioAPI} $ - 문서
+ * @returns {{ candidate: cheerio.Element|null, scores: Map<cheerio.Element, number> }}
+ */
+const findTopCandidate = ($) => {
+    const scores = new Map();
+    const initialize = (element) => {
+        if (!scores.has(element)) {
+            scores.set(element, getTagScore(element.tagName) + getClassWeight($(element)));
+        }
+    };
+
+    $('body').find(SCORED_ELEMENTS).each((_, element) => {
+        const text = getOwnText($, element);
+        if (text.length < MIN_SCORED_TEXT_LENGTH) return;
+
+        const contentScore = 1 + (text.match(/[,，、]/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+        // <br>로 문단을 나눈 div는 그 자신도 본문 후보
+        if (element.tagName === 'div' || element.tagName === 'section' || element.tagName === 'article') {
+            initialize(element);
+            scores.set(element, scores.get(element) + contentScore);
+        }
+
+        const parent = element.parent && element.parent.type === 'tag' ? element.parent : null;
+        if (!parent || parent.tagName === 'html') return;
+        initialize(parent);
+        scores.set(parent, scores.get(parent) + contentScore);
+
+        const grandparent = parent.parent && parent.parent.type === 'tag' ? parent.parent : null;
+        if (!grandparent || grandparent.tagName === 'html') return;
+        initialize(grandparent);
+        scores.set(grandparent, scores.get(grandparent) + contentScore / 2);
+    });
+
+    let candidate = null;
+    let topScore = -Infinity;
+    scores.forEach((score, element) => {
+        const finalScore = score * (1 - getLinkDensity($, element));
+        scores.set(element, finalScore);
+        if (finalScore > topScore) {
+            topScore = finalScore;
+            candidate = element;
+        }
+    });
+
+    return { candidate, scores };
+};
+
+/**
+ * 본문 후보와, 점수가 충분히 높거나 긴 문단인 형제 요소를 원래 순서대로 모음
+ * @param {cheerio.CheerioAPI} $ - 문서
+ * @param {cheerio.Element} candidate - 본문 후보
+ * @param {Map<cheerio.Element, number>} scores - 요소별 점수
+ */
+const collectContentElements = ($, candidate, scores) => {
+    const parent = candidate.parent;
+    if (!parent || parent.type !== 'tag' || parent.tagName === 'html') return [candidate];
+
+    const threshold = Math.max(MIN_SIBLING_SCORE, scores.get(candidate) * SIBLING_SCORE_RATIO);
+    return $(parent).children().toArray().filter((sibling) => {
+        if (sibling === candidate) return true;
+        if (scores.has(sibling) && scores.get(sibling) >= threshold) return true;
+        if (sibling.tagName !== 'p') return false;
+        const text = normalizeWhitespace($(sibling).text());
+        return text.length > 80 && getLinkDensity($, sibling) < 0.25;
+    });
+};
+
+/**
+ * 줄바꿈(<br>) 하나로 나뉜 줄들을 문단으로 묶음
+ * 앞줄이 문장 끝 표시로 끝나면 새 문단으로, 아니면 한 문장이 줄바꿈된 것으로 보고 이어 붙임
+ * @param {string} block - LINE_BREAK로 나뉜 텍스트
+ */
+const splitLines = (block) => {
+    const paragraphs = [];
+    block.split(LINE_BREAK).map(normalizeWhitespace).filter(Boolean).forEach((line) => {
+        const last = paragraphs[paragraphs.length - 1];
+        if (last && !/[.!?。"”'’)\]다요]$/.test(last)) {
+            paragraphs[paragraphs.length - 1] = `${last} ${line}`;
+        } else {
+            paragraphs.push(line);
+        }
+    });
+    return paragraphs;
+};
+
+/**
+ * 요소들의 텍스트를 문단 배열로 변환 (블록 요소와 <br><br>는 문단 경계)
+ * @param {cheerio.CheerioAPI} $ - 문서
+ * @param {cheerio.Element[]} elements - 본문 요소
+ * @returns {string[]}
+ */
+const toParagraphTexts = ($, elements) => {
+    const texts = elements.map((element) => {
+        const $el = $(element).clone();
+        // 관련 기사 목록처럼 링크가 대부분인 블록 제거
+        $el.find('ul, ol, div, table, section, p').each((_, child) => {
+            if (getLinkDensity($, child) > MAX_LINK_DENSITY) $(child).remove();
+        });
+        $el.find('br').replaceWith(LINE_BREAK);
+        $el.find(`${BLOCK_ELEMENTS}, li, tr`).each((_, child) => {
+            $(child).prepend(BLOCK_BREAK).append(BLOCK_BREAK);
+        });
+        return $el.text();
+    });
+
+    return texts.join(BLOCK_BREAK)
+        .split(new RegExp(`${BLOCK_BREAK}|${LINE_BREAK}\\s*${LINE_BREAK}`))
+        .flatMap(splitLines);
+};
+
+/**
+ * 안내 문구, 메뉴 글자 같은 문단을 제거하고 중복 문단을 합침
+ * @param {string[]} paragraphs - 문단 텍스트 배열
+ */
+const cleanParagraphs = (paragraphs) => {
+    const seen = new Set();
+    return paragraphs.filter((text) => {
+        if (seen.has(text)) return false;
+        seen.add(text);
+        if (text.length <= BOILERPLATE_MAX_LENGTH && BOILERPLATE_PATTERNS.some(pattern => pattern.test(text))) return false;
+        return text.length >= MIN_PARAGRAPH_LENGTH || /[.!?。]$/.test(text);
+    });
+};
+
+/**
+ * 상대 경로를 페이지 URL 기준 절대 URL로 변환 (http, https가 아니면 null)
+ * @param {string} value - URL 또는 상대 경로
+ * @param {string} baseUrl - 페이지 URL
+ */
+const toAbsoluteUrl = (value, baseUrl) => {
+    if (!value) return null;
+    try {
+        const url = new URL(String(value).trim(), baseUrl);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * JSON-LD에서 기사(Article 계열) 항목을 찾음 (@graph 안에 있는 경우 포함)
+ * @param {Array<object>} jsonLD - open-graph-scraper 결과의 jsonLD
+ */
+const findJsonLdArticle = (jsonLD) => {
+    const items = (Array.isArray(jsonLD) ? jsonLD : [])
+        .flatMap(item => (item && Array.isArray(item['@graph']) ? item['@graph'] : [item]))
+        .flatMap(item => (Array.isArray(item) ? item : [item]));
+    return items.find((item) => {
+        const types = item && [].concat(item['@type'] || []);
+        return types && types.some(type => /Article|BlogPosting|Report/.test(String(type)));
+    }) || null;
+};
+
+// JSON-LD 값에서 이름 목록을 읽음 ({ name } 객체, 문자열, 배열 모두 허용)
+const readJsonLdNames = (value) => [].concat(value || [])
+    .map(item => (typeof item === 'string' ? item : item && item.name))
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim());
+
+// JSON-LD 이미지 값에서 URL을 읽음
+const readJsonLdImage = (value) => {
+    const first = [].concat(value || [])[0];
+    return typeof first === 'string' ? first : (first && first.url) || null;
+};
+
+// 날짜 문자열을 ISO 형식으로 변환 (해석할 수 없으면 null)
+const toIsoDate = (value) => {
+    if (!value) return null;
+    const parsed = Date.parse(String(value).trim());
+    return Number.isNaN(parsed) ? null : new Date(parsed).toISOString();
+};
+
+/**
+ * 제목 끝에 붙은 사이트 이름을 떼어 냄 (사이트 이름을 알 때만)
+ * @param {string} title - 페이지 제목
+ * @param {string|null} siteName - 사이트 이름
+ */
+const stripSiteName = (title, siteName) => {
+    if (!siteName) return title;
+    const parts = title.split(TITLE_SEPARATOR);
+    if (parts.length > 1 && normalizeWhitespace(parts[parts.length - 1]) === siteName) {
+        return normalizeWhitespace(parts.slice(0, -1).join(' - '));
+    }
+    return title;
+};
+
+/**
+ * HTML에서 기사 본문과 메타데이터를 추출
+ * 메타데이터는 Open Graph, JSON-LD, 일반 meta 태그 순으로 찾고, 본문은 Readability 방식의 점수로 고른 영역에서 문단을 나눔
+ * @param {string} html - 페이지 HTML
+ * @param {string} pageUrl - 페이지 URL (상대 경로 기준)
+ * @param {object} [openGraph] - open-graph-scraper 결과 (ogTitle, ogImage, jsonLD 등)
+ * @returns {{ title: string|null, author: string|null, publishedAt: string|null, leadImage: string|null,
+ *             siteName: string|null, canonicalUrl: string|null, paragraphs: string[] }}
+ */
+const extractArticle = (html, pageUrl, openGraph = {}) => {
+    const $ = cheerio.load(html);
+    const article = findJsonLdArticle(openGraph.jsonLD);
+    const meta = name => normalizeWhitespace($(`meta[name="${name}"], meta[property="${name}"]`).first().attr('content')) || null;
+
+    const siteName = normalizeWhitespace(openGraph.ogSiteName) || null;
+    const rawTitle = normalizeWhitespace(openGraph.ogTitle)
+        || normalizeWhitespace(article && article.headline)
+        || normalizeWhitespace(openGraph.twitterTitle)
+        || normalizeWhitespace($('title').first().text())
+        || normalizeWhitespace($('h1').first().text());
+
+    // article:author는 작성자 페이지 URL인 경우가 많으므로 URL이 아닐 때만 사용
+    const authorCandidates = [
+        ...readJsonLdNames(article && article.author),
+        openGraph.articleAuthor,
+        openGraph.author,
+        openGraph.dcCreator,
+        meta('byl'),
+    ].map(normalizeWhitespace).filter(name => name && !/^https?:\/\//.test(name));
+
+    const publishedAt = toIsoDate(article && article.datePublished)
+        || toIsoDate(openGraph.articlePublishedTime)
+        || toIsoDate(openGraph.ogDate)
+        || toIsoDate(openGraph.dcDate)
+        || toIsoDate($('time[datetime]').first().attr('datetime'));
+
+    const canonicalUrl = toAbsoluteUrl($('link[rel="canonical"]').attr('href'), pageUrl)
+        || toAbsoluteUrl(openGraph.ogUrl, pageUrl);
+
+    removeBoilerplateElements($);
+    const { candidate, scores } = findTopCandidate($);
+    const contentElements = candidate ? collectContentElements($, candidate, scores) : [$('body').get(0)].filter(Boolean);
+    const title = rawTitle ? stripSiteName(rawTitle, siteName) : null;
+    // 본문 영역 안의 제목(h1)은 문단에서 뺌
+    const paragraphs = cleanParagraphs(toParagraphTexts($, contentElements)).filter(text => text !== title);
+
+    const leadImage = toAbsoluteUrl(openGraph.ogImage && openGraph.ogImage[0] && openGraph.ogImage[0].url, pageUrl)
+        || toAbsoluteUrl(readJsonLdImage(article && article.image), pageUrl)
+        || toAbsoluteUrl(contentElements.length > 0 ? $(contentElements).find('img[src]').first().attr('src') : null, pageUrl);
+
+    return {
+        title,
+        author: authorCandidates[0] || null,
+        publishedAt,
+        leadImage,
+        siteName,
+        canonicalUrl,
+        paragraphs,
+    };
+};
+
+module.exports = {
+    extractArticle,
+    toParagraphTexts,
+    cleanParagraphs
+};
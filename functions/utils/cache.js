@@ -0,0 +1,114 @@
+// functions/utils/cache.js
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const { normalizeLevel, PROFILE_DIMENSIONS } = require('./readingProfile');
+
+const db = admin.firestore();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 엔드포인트별 캐시 설정
+// - enabled: false로 두면 해당 엔드포인트는 캐시를 사용하지 않음
+// - promptVersion: 프롬프트를 바꾸면 반드시 올려서 이전 결과가 재사용되지 않도록 함
+// 환경 변수 LLM_CACHE_DISABLED에 쉼표로 구분된 엔드포인트 이름을 넣어 배포 없이 끌 수도 있음
+const CACHE_CONFIG = {
+    simplifyText: { enabled: true, ttlHours: 72, promptVersion: 'v2' },
+    summarizeText: { enabled: true, ttlHours: 72, promptVersion: 'v2' },
+    dictionaryApi: { enabled: true, ttlHours: 72, promptVersion: 'v2' },
+    getReadingRecommendations: { enabled: true, ttlHours: 12, promptVersion: 'v2' },
+    // 이전 대화까지 같아야 재사용되어 적중률이 낮으므로 기본으로 끔
+    askArticleQuestion: { enabled: false, ttlHours: 24, promptVersion: 'v1' },
+    generateComprehensionQuiz: { enabled: true, ttlHours: 72, promptVersion: 'v1' },
+};
+
+/**
+ * 엔드포인트의 캐시 사용 여부
+ * @param {string} endpoint - CACHE_CONFIG의 키
+ */
+const isCacheEnabled = (endpoint) => {
+    const config = CACHE_CONFIG[endpoint];
+    const disabled = (process.env.LLM_CACHE_DISABLED || '').split(',').map(name => name.trim());
+    return Boolean(config && config.enabled && !disabled.includes(endpoint));
+};
+
+// 공백, 유니코드 정규화 차이로 같은 글이 다른 키를 갖지 않도록 정규화
+const normalizeText = (text) => String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+
+/**
+ * 결과에 영향을 주는 입력값으로 캐시 키(해시)를 생성
+ * 문단 ID는 요청마다 다를 수 있으므로 키에 포함하지 않고, 문단 순서와 내용만 사용
+ * @param {string} endpoint - CACHE_CONFIG의 키
+ * @param {object} inputs
+ * @param {Array<{text: string}>} inputs.paragraphs - 문단 배열
+ * @param {object} [inputs.readingProfile] - { sentence, vocabulary }
+ * @param {string[]} [inputs.knownTopics] - 관심 주제
+ * @param {object} [inputs.options] - 그 밖에 결과에 영향을 주는 요청 옵션
+ * @returns {string} SHA-256 해시
+ */
+const buildCacheKey = (endpoint, { paragraphs, readingProfile, knownTopics, options }) => {
+    const keySource = {
+        endpoint,
+        promptVersion: CACHE_CONFIG[endpoint].promptVersion,
+        paragraphs: paragraphs.map(p => normalizeText(p.text)),
+        readingProfile: readingProfile
+            ? Object.fromEntries(PROFILE_DIMENSIONS.map(dimension => [dimension, normalizeLevel(readingProfile[dimension])]))
+            : null,
+        knownTopics: knownTopics ? [...knownTopics].sort() : null,
+        options: options || null,
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(keySource)).digest('hex');
+};
+
+// 적중/미스 횟수 기록 (통계 기록 실패가 요청을 실패시키지 않도록 함)
+const recordCacheStat = (endpoint, field) =>
+    db.collection('llmCacheStats').doc(endpoint)
+        .set({
+            [field]: admin.firestore.FieldValue.increment(1),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true })
+        .catch(error => console.warn(`[${endpoint}] 캐시 통계 기록 실패:`, error));
+
+/**
+ * 캐시된 결과를 조회
+ * @param {string} endpoint - CACHE_CONFIG의 키
+ * @param {string} cacheKey - buildCacheKey로 만든 키
+ * @returns {Promise<object|null>} 저장된 결과 또는 없거나 만료되었으면 null
+ */
+const getCachedResult = async (endpoint, cacheKey) => {
+    if (!isCacheEnabled(endpoint)) return null;
+
+    const cacheSnap = await db.collection('llmCache').doc(cacheKey).get();
+    const entry = cacheSnap.exists ? cacheSnap.data() : null;
+    const hit = entry && entry.expiresAt.toMillis() > Date.now();
+
+    await recordCacheStat(endpoint, hit ? 'hits' : 'misses');
+    return hit ? entry.value : null;
+};
+
+/**
+ * 결과를 캐시에 저장 (LLM 호출이 이미 끝난 뒤이므로 저장 실패가 요청이나 작업을 실패시키지 않도록 함)
+ * 긴 글의 결과처럼 문서 크기 제한(1MiB)을 넘으면 저장되지 않고 경고만 남김
+ * @param {string} endpoint - CACHE_CONFIG의 키
+ * @param {string} cacheKey - buildCacheKey로 만든 키
+ * @param {object} value - 저장할 결과
+ */
+const setCachedResult = async (endpoint, cacheKey, value) => {
+    if (!isCacheEnabled(endpoint)) return;
+
+    await db.collection('llmCache').doc(cacheKey).set({
+        endpoint,
+        promptVersion: CACHE_CONFIG[endpoint].promptVersion,
+        value,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + CACHE_CONFIG[endpoint].ttlHours * HOUR_MS),
+    }).catch(error => console.warn(`[${endpoint}] 캐시 저장 실패:`, error));
+};
+
+module.exports = {
+    CACHE_CONFIG,
+    isCacheEnabled,
+    buildCacheKey,
+    getCachedResult,
+    setCachedResult
+};
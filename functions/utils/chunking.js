@@ -0,0 +1,157 @@
+// functions/utils/chunking.js
+const { locateSentences } = require('./analysis');
+
+// 엔드포인트별 한 번의 요청에 넣을 원문의 최대 토큰 수 (추정치 기준)
+// 순화는 응답도 원문만큼 길어지므로 모델의 최대 출력 토큰(4,096)을 넘지 않도록 작게 잡음
+const CHUNK_TOKEN_LIMITS = {
+    simplifyText: 1500,
+    summarizeText: 6000,
+    dictionaryApi: 3000,
+    askArticleQuestion: 6000,
+    generateComprehensionQuiz: 6000,
+};
+
+// 한 요청에서 동시에 처리할 조각 수 (환경 변수 LLM_CHUNK_CONCURRENCY로 조정)
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * 텍스트의 토큰 수를 대략 추정 (한글은 글자당 약 1토큰, 그 밖의 문자는 4글자당 약 1토큰)
+ * @param {string} text - 텍스트
+ */
+const estimateTokens = (text) => {
+    const value = String(text || '');
+    const hangulCount = (value.match(/[가-힣ㄱ-ㆎ]/g) || []).length;
+    return Math.ceil(hangulCount + (value.length - hangulCount) / 4);
+};
+
+/**
+ * 한도보다 긴 문단을 문장 경계에서 한도 안의 문단 조각들로 나눔 (한도 안의 문단은 그대로 하나)
+ * 문장 하나가 한도보다 길면 그 문장만 단독 조각으로 둠
+ * 첫 문장 앞의 문자열은 첫 조각의 separator로, 마지막 문장 뒤의 문자열은 마지막 조각의 trailing으로 남겨 원문을 그대로 다시 만들 수 있게 함
+ * @param {{text: string}} paragraph - 문단
+ * @param {number} maxTokens - 조각 하나의 최대 토큰 수
+ * @returns {Array<{paragraph: object, separator: string, trailing: string}>}
+ *          조각 문단(원래 문단의 다른 필드 유지), 원문에서 앞 조각(첫 조각은 문단 시작)과의 사이 문자열, 마지막 조각 뒤의 문자열
+ */
+const splitParagraph = (paragraph, maxTokens) => {
+    const text = String(paragraph.text || '');
+    const sentences = locateSentences(text);
+    if (estimateTokens(text) <= maxTokens || sentences.length < 2) {
+        return [{ paragraph, separator: '', trailing: '' }];
+    }
+
+    const groups = [];
+    sentences.forEach((sentence) => {
+        const last = groups[groups.length - 1];
+        if (last && estimateTokens(text.slice(last.start, sentence.end)) <= maxTokens) {
+            last.end = sentence.end;
+        } else {
+            groups.push({ start: sentence.start, end: sentence.end });
+        }
+    });
+
+    return groups.map((group, index) => ({
+        paragraph: { ...paragraph, text: text.slice(group.start, group.end) },
+        separator: text.slice(index === 0 ? 0 : groups[index - 1].end, group.start),
+        trailing: index === groups.length - 1 ? text.slice(group.end) : '',
+    }));
+};
+
+/**
+ * 문단 경계를 지키면서 문단 배열을 토큰 한도 안의 조각들로 나눔
+ * 한도보다 긴 문단은 문장 경계에서 나누어 여러 조각에 담고, sources로 원래 문단을 알 수 있게 함 (mergeChunkResults로 다시 합침)
+ * @param {Array<{text: string}>} paragraphs - 문단 배열
+ * @param {number} maxTokens - 조각 하나의 최대 토큰 수
+ * @returns {Array<{startIndex: number, paragraphs: Array, sources: Array<{index: number, separator: string, trailing: string}>}>}
+ *          원래 순서를 유지한 조각 배열 (sources[i]는 paragraphs[i]의 원래 문단 순서, 앞 조각과의 사이 문자열, 문단 끝 문자열)
+ */
+const chunkParagraphs = (paragraphs, maxTokens) => {
+    const chunks = [];
+    let current = null;
+    let currentTokens = 0;
+
+    paragraphs.forEach((paragraph, index) => {
+        const pieces = splitParagraph(paragraph, maxTokens);
+        if (pieces.length > 1) {
+            console.warn(`${index + 1}번째 문단이 조각 한도(${maxTokens} 토큰)보다 길어 문장 경계에서 ${pieces.length}개로 나눕니다.`);
+        }
+
+        pieces.forEach(({ paragraph: piece, separator, trailing }) => {
+            const tokens = estimateTokens(piece.text);
+            if (tokens > maxTokens) {
+                console.warn(`${index + 1}번째 문단의 문장이 조각 한도(${maxTokens} 토큰)보다 깁니다. (약 ${tokens} 토큰)`);
+            }
+
+            if (!current || currentTokens + tokens > maxTokens) {
+                current = { startIndex: index, paragraphs: [], sources: [] };
+                currentTokens = 0;
+                chunks.push(current);
+            }
+            current.paragraphs.push(piece);
+            current.sources.push({ index, separator, trailing });
+            currentTokens += tokens;
+        });
+    });
+
+    return chunks;
+};
+
+/**
+ * 조각별 결과를 원래 문단 단위로 합침 (나뉜 문단의 결과는 merge로 하나로 만듦)
+ * @param {Array<object>} chunks - chunkParagraphs 결과
+ * @param {Array<Array<*>>} chunkResults - 조각마다 그 조각 paragraphs와 같은 순서의 결과 배열
+ * @param {function(Array<*>, string[]): *} merge - (한 문단에 속한 결과들, 각 결과 앞의 사이 문자열과 마지막에 문단 끝 문자열을 더한 배열) => 합친 결과
+ * @returns {Array<*>} 원래 문단 순서의 결과
+ */
+const mergeChunkResults = (chunks, chunkResults, merge) => {
+    const groups = [];
+    chunks.forEach((chunk, chunkIndex) => {
+        chunk.sources.forEach((source, i) => {
+            const last = groups[groups.length - 1];
+            if (!last || last.index !== source.index) {
+                groups.push({ index: source.index, results: [], separators: [] });
+            }
+            groups[groups.length - 1].results.push(chunkResults[chunkIndex][i]);
+            groups[groups.length - 1].separators.push(source.separator);
+            groups[groups.length - 1].trailing = source.trailing;
+        });
+    });
+    return groups.map(group => (group.results.length === 1 ? group.results[0] : merge(group.results, [...group.separators, group.trailing])));
+};
+
+/**
+ * 엔드포인트 한도에 맞춰 문단 배열을 조각으로 나눔
+ * @param {string} endpoint - CHUNK_TOKEN_LIMITS의 키
+ * @param {Array<{text: string}>} paragraphs - 문단 배열
+ */
+const chunkParagraphsFor = (endpoint, paragraphs) => chunkParagraphs(paragraphs, CHUNK_TOKEN_LIMITS[endpoint]);
+
+/**
+ * 배열의 각 항목을 동시 실행 수를 제한하여 처리하고, 결과를 원래 순서대로 반환
+ * @param {Array} items - 처리할 항목
+ * @param {function(*, number): Promise<*>} mapper - (항목, 순서) => 결과
+ * @param {number} [concurrency] - 동시에 실행할 최대 개수
+ */
+const mapWithConcurrency = async (items, mapper, concurrency = Number(process.env.LLM_CHUNK_CONCURRENCY) || DEFAULT_CONCURRENCY) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+};
+
+module.exports = {
+    CHUNK_TOKEN_LIMITS,
+    estimateTokens,
+    chunkParagraphs,
+    chunkParagraphsFor,
+    mergeChunkResults,
+    mapWithConcurrency
+};
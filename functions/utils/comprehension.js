@@ -0,0 +1,385 @@
+// functions/utils/comprehension.js
+const { createChatCompletion } = require('./llm');
+const { CHUNK_TOKEN_LIMITS, estimateTokens } = require('./chunking');
+
+const SYSTEM_PROMPT = "You are an experienced Korean reading teacher who writes fair comprehension questions and returns only a JSON object.";
+
+// 문항 유형
+const QUESTION_TYPES = {
+    MULTIPLE_CHOICE: 'multipleChoice',
+    TRUE_FALSE: 'trueFalse',
+    SHORT_ANSWER: 'shortAnswer',
+};
+
+// 읽은 글의 종류 (원문과 순화문을 읽었을 때의 점수를 비교)
+const READING_MODES = ['original', 'simplified'];
+
+// 요청에 counts가 없을 때의 유형별 문항 수
+const DEFAULT_QUESTION_COUNTS = {
+    multipleChoice: 3,
+    trueFalse: 2,
+    shortAnswer: 1,
+};
+const MAX_QUESTIONS_PER_TYPE = 10;
+const MULTIPLE_CHOICE_OPTION_COUNT = 4;
+
+// 서술형 채점에서 인정하는 최대 답안 길이
+const MAX_ANSWER_LENGTH = 1000;
+// 서술형 채점 응답에 빠진 답안이 있을 때 다시 요청하는 횟수를 포함한 최대 시도 횟수
+const MAX_GRADING_ATTEMPTS = 2;
+
+const getParagraphKey = (index) => `P${index + 1}`;
+
+/**
+ * 유형별 문항 수를 검증하고 기본값을 채움
+ * @param {*} counts - 요청의 counts 값 ({ multipleChoice, trueFalse, shortAnswer })
+ * @returns {{ errors: Array<{field: string, message: string}>, value: object }}
+ */
+const validateQuestionCounts = (counts) => {
+    if (counts === undefined || counts === null) {
+        return { errors: [], value: { ...DEFAULT_QUESTION_COUNTS } };
+    }
+    if (typeof counts !== 'object' || Array.isArray(counts)) {
+        return { errors: [{ field: 'counts', message: 'counts는 객체여야 합니다.' }], value: { ...DEFAULT_QUESTION_COUNTS } };
+    }
+
+    const errors = [];
+    const value = {};
+    Object.values(QUESTION_TYPES).forEach((type) => {
+        const count = counts[type] === undefined ? 0 : counts[type];
+        if (!Number.isInteger(count) || count < 0 || count > MAX_QUESTIONS_PER_TYPE) {
+            errors.push({ field: `counts.${type}`, message: `0 ~ ${MAX_QUESTIONS_PER_TYPE} 사이의 정수여야 합니다.` });
+        }
+        value[type] = count;
+    });
+    if (errors.length === 0 && Object.values(value).every(count => count === 0)) {
+        errors.push({ field: 'counts', message: '문항이 하나 이상 필요합니다.' });
+    }
+    return { errors, value };
+};
+
+/**
+ * 문항 생성에 사용할 문단을 선택
+ * 글 전체가 한도 안에 들어오면 모두 넣고, 넘으면 글 전체에서 고르게 문항이 나오도록 같은 간격으로 골라 한도까지 넣음
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ * @returns {number[]} 선택한 문단 순서
+ */
+const selectQuizParagraphs = (paragraphs) => {
+    const maxTokens = CHUNK_TOKEN_LIMITS.generateComprehensionQuiz;
+    const tokens = paragraphs.map(p => estimateTokens(p.text));
+    const totalTokens = tokens.reduce((sum, count) => sum + count, 0);
+    const allIndexes = paragraphs.map((_, index) => index);
+    if (totalTokens <= maxTokens) return allIndexes;
+
+    const stride = Math.ceil(totalTokens / maxTokens);
+    const selected = [];
+    let usedTokens = 0;
+    for (let offset = 0; offset < stride; offset++) {
+        for (let index = offset; index < paragraphs.length; index += stride) {
+            if (selected.includes(index) || usedTokens + tokens[index] > maxTokens) continue;
+            selected.push(index);
+            usedTokens += tokens[index];
+        }
+    }
+    return selected.sort((a, b) => a - b);
+};
+
+const buildQuizPrompt = (sourceText, counts) => `
+                ## 역할 (Persona)
+                당신은 읽기 교사입니다. 학생이 아래 글을 읽고 내용을 제대로 이해했는지 확인하는 문항을 만드세요.
+
+                ## 지침
+                - 객관식(multipleChoice) ${counts.multipleChoice}개, 참/거짓(trueFalse) ${counts.trueFalse}개, 서술형(shortAnswer) ${counts.shortAnswer}개를 만드세요.
+                - 글에 나온 내용만으로 답할 수 있어야 하며, 배경지식이 필요한 문항은 만들지 마세요.
+                - 단어 뜻을 묻기보다 핵심 내용, 인과 관계, 글쓴이의 주장을 이해했는지 확인하세요. 문항들이 글의 여러 부분을 고르게 다루도록 하세요.
+                - 객관식은 보기(choices)를 정확히 ${MULTIPLE_CHOICE_OPTION_COUNT}개 쓰고, answer에는 정답 보기의 번호(0부터 시작)를 넣으세요. 오답 보기도 그럴듯하게 만드세요.
+                - 참/거짓은 question에 판단할 문장을 쓰고, answer에는 true 또는 false를 넣으세요.
+                - 서술형은 answer에 모범 답안을, rubric에 채점 기준(답안에 들어가야 할 핵심 내용) 2~4개를 쓰세요.
+                - 모든 문항의 sources에는 정답의 근거가 된 문단 키(예: "P3")를 넣고, explanation에 정답의 이유를 한 문장으로 쓰세요.
+                - 원문의 각 문단은 [P1], [P2] 같은 문단 키로 시작합니다.
+                - 원문이 한국어이므로, 문항도 반드시 한국어로 작성하세요.
+
+                ## 출력 형식 (JSON)
+                {
+                    "questions": [
+                        { "type": "multipleChoice", "question": "질문", "choices": ["보기1", "보기2", "보기3", "보기4"], "answer": 0, "explanation": "해설", "sources": ["P1"] },
+                        { "type": "trueFalse", "question": "판단할 문장", "answer": true, "explanation": "해설", "sources": ["P2"] },
+                        { "type": "shortAnswer", "question": "질문", "answer": "모범 답안", "rubric": ["채점 기준"], "explanation": "해설", "sources": ["P3"] }
+                    ]
+                }
+
+                ## 원문 텍스트 (Original Text)
+                ---
+                ${sourceText}
+                ---
+            `;
+
+const parseJsonContent = (content, label) => {
+    try {
+        return JSON.parse(content || '{}') || {};
+    } catch (error) {
+        console.warn(`${label} 응답 JSON 파싱 실패:`, error.message);
+        return {};
+    }
+};
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * 생성된 문항 하나를 검증하고 저장 형식으로 변환 (형식이 맞지 않거나 근거 문단이 없으면 null)
+ * @param {*} item - 응답의 문항
+ * @param {number[]} contextIndexes - 프롬프트에 넣은 문단 순서
+ */
+const normalizeQuestion = (item, contextIndexes) => {
+    if (!item || !Object.values(QUESTION_TYPES).includes(item.type) || !isNonEmptyString(item.question)) return null;
+
+    const paragraphIndexes = [...new Set((Array.isArray(item.sources) ? item.sources : [])
+        .map(source => /^P(\d+)$/.exec(String(source).trim()))
+        .filter(Boolean)
+        .map(match => Number(match[1]) - 1)
+        .filter(index => contextIndexes.includes(index)))]
+        .sort((a, b) => a - b);
+    if (paragraphIndexes.length === 0) return null;
+
+    const question = {
+        type: item.type,
+        question: item.question.trim(),
+        explanation: isNonEmptyString(item.explanation) ? item.explanation.trim() : null,
+        paragraphIndexes,
+    };
+
+    if (item.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+        const choices = Array.isArray(item.choices) ? item.choices.filter(isNonEmptyString).map(choice => choice.trim()) : [];
+        if (choices.length !== MULTIPLE_CHOICE_OPTION_COUNT || !Number.isInteger(item.answer)
+            || item.answer < 0 || item.answer >= choices.length) return null;
+        return { ...question, choices, answer: item.answer };
+    }
+    if (item.type === QUESTION_TYPES.TRUE_FALSE) {
+        if (typeof item.answer !== 'boolean') return null;
+        return { ...question, answer: item.answer };
+    }
+
+    const rubric = Array.isArray(item.rubric) ? item.rubric.filter(isNonEmptyString).map(criterion => criterion.trim()) : [];
+    if (!isNonEmptyString(item.answer) || rubric.length === 0) return null;
+    return { ...question, answer: item.answer.trim(), rubric };
+};
+
+/**
+ * 글의 내용 이해 확인 문항을 생성
+ * 형식이 맞지 않는 문항은 버리므로 요청한 수보다 적을 수 있고, 유형별로 요청한 수를 넘는 문항도 버림
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ * @param {object} counts - validateQuestionCounts 결과
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @returns {Promise<Array<object>>} [{ id, type, question, choices?, answer, rubric?, explanation, paragraphIndexes }]
+ */
+const generateQuizQuestions = async (paragraphs, counts, userId) => {
+    const contextIndexes = selectQuizParagraphs(paragraphs);
+    const sourceText = contextIndexes.map(index => `[${getParagraphKey(index)}]\n${paragraphs[index].text}`).join('\n\n');
+    const totalCount = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    const completion = await createChatCompletion({
+        messages: [
+            { "role": "system", "content": SYSTEM_PROMPT },
+            { "role": "user", "content": buildQuizPrompt(sourceText, counts) },
+        ],
+        response_format: { type: "json_object" },
+        max_tokens: Math.min(4000, 300 + totalCount * 250),
+    }, { endpoint: 'generateComprehensionQuiz', task: 'generation', userId });
+
+    const parsed = parseJsonContent(completion.choices[0].message.content, '문항 생성');
+    const remaining = { ...counts };
+
+    return (Array.isArray(parsed.questions) ? parsed.questions : [])
+        .map(item => normalizeQuestion(item, contextIndexes))
+        .filter((question) => {
+            if (!question || remaining[question.type] <= 0) return false;
+            remaining[question.type] -= 1;
+            return true;
+        })
+        .map((question, index) => ({ id: `q${index + 1}`, ...question }));
+};
+
+const buildGradingPrompt = (items) => `
+                ## 역할 (Persona)
+                당신은 읽기 교사입니다. 학생의 서술형 답안을 채점 기준에 따라 공정하게 채점하세요.
+
+                ## 지침
+                - 각 답안이 채점 기준(rubric)의 항목을 충족하는지 하나씩 판단하고, 충족한 항목의 번호(0부터 시작)를 met에 넣으세요.
+                - 표현이 모범 답안과 달라도 의미가 같으면 충족한 것으로 보세요. 맞춤법이나 문장의 매끄러움은 채점하지 마세요.
+                - feedback에는 학생에게 보여줄 짧은 피드백을 한국어 한 문장으로 쓰세요.
+
+                ## 출력 형식 (JSON)
+                { "grades": [{ "id": "문항 ID", "met": [0, 1], "feedback": "피드백" }] }
+
+                ## 답안 (JSON)
+                ${JSON.stringify(items, null, 2)}
+            `;
+
+/**
+ * 서술형 답안을 채점 기준에 따라 LLM으로 채점 (점수 = 충족한 기준 수 / 전체 기준 수)
+ * 응답을 해석하지 못했거나 빠진 답안이 있으면 그 답안만 다시 요청하고, 끝내 채점하지 못하면 0점 처리하지 않고 오류
+ * @param {Array<{question: object, answer: string}>} responses - 채점할 문항과 답안
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @returns {Promise<Map<string, {score: number, feedback: string|null}>>} 문항 ID → 채점 결과
+ */
+const gradeShortAnswers = async (responses, userId) => {
+    const grades = new Map();
+
+    for (let attempt = 1; attempt <= MAX_GRADING_ATTEMPTS; attempt++) {
+        const pending = responses.filter(({ question }) => !grades.has(question.id));
+        if (pending.length === 0) return grades;
+
+        const completion = await createChatCompletion({
+            messages: [
+                { "role": "system", "content": SYSTEM_PROMPT },
+                {
+                    "role": "user",
+                    "content": buildGradingPrompt(pending.map(({ question, answer }) => ({
+                        id: question.id,
+                        question: question.question,
+                        modelAnswer: question.answer,
+                        rubric: question.rubric,
+                        answer,
+                    }))),
+                },
+            ],
+            response_format: { type: "json_object" },
+            max_tokens: 300 + pending.length * 150,
+        }, { endpoint: 'gradeComprehensionQuiz', task: 'shortAnswer', userId });
+
+        const choice = completion.choices[0];
+        const parsed = choice.finish_reason === 'length' ? {} : parseJsonContent(choice.message.content, '서술형 채점');
+        (Array.isArray(parsed.grades) ? parsed.grades : []).forEach((grade) => {
+            const response = grade && pending.find(({ question }) => question.id === grade.id);
+            if (!response || grades.has(grade.id) || !Array.isArray(grade.met)) return;
+
+            const rubricCount = response.question.rubric.length;
+            const met = new Set(grade.met.filter(index => Number.isInteger(index) && index >= 0 && index < rubricCount));
+            grades.set(grade.id, {
+                score: Math.round((met.size / rubricCount) * 100) / 100,
+                feedback: isNonEmptyString(grade.feedback) ? grade.feedback.trim() : null,
+            });
+        });
+
+        const missingCount = responses.length - grades.size;
+        if (missingCount > 0) {
+            console.warn(`서술형 답안 ${missingCount}개를 채점하지 못했습니다. (${attempt}/${MAX_GRADING_ATTEMPTS}번째 시도, finish_reason: ${choice.finish_reason})`);
+        }
+    }
+
+    if (grades.size < responses.length) {
+        throw new Error('서술형 답안을 채점하지 못했습니다. 잠시 후 다시 시도해주세요.');
+    }
+    return grades;
+};
+
+/**
+ * 제출한 답안 목록을 검증
+ * @param {*} answers - 요청의 answers 값 ([{ questionId, answer }])
+ * @param {Array<object>} questions - 퀴즈 문항
+ * @returns {{ errors: Array<{field: string, message: string}>, value: Map<string, *> }} 문항 ID → 답안
+ */
+const validateAnswers = (answers, questions) => {
+    const errors = [];
+    const value = new Map();
+
+    if (!Array.isArray(answers)) {
+        return { errors: [{ field: 'answers', message: 'answers는 배열이어야 합니다.' }], value };
+    }
+
+    answers.forEach((item, index) => {
+        const question = item && questions.find(q => q.id === item.questionId);
+        if (!question) {
+            errors.push({ field: `answers[${index}].questionId`, message: '퀴즈에 없는 문항입니다.' });
+            return;
+        }
+        if (value.has(question.id)) {
+            errors.push({ field: `answers[${index}].questionId`, message: '같은 문항의 답안이 두 번 있습니다.' });
+            return;
+        }
+
+        const { answer } = item;
+        const valid = (question.type === QUESTION_TYPES.MULTIPLE_CHOICE && Number.isInteger(answer))
+            || (question.type === QUESTION_TYPES.TRUE_FALSE && typeof answer === 'boolean')
+            || (question.type === QUESTION_TYPES.SHORT_ANSWER && typeof answer === 'string' && answer.length <= MAX_ANSWER_LENGTH);
+        if (!valid) {
+            errors.push({ field: `answers[${index}].answer`, message: `${question.type} 문항에 맞지 않는 답안입니다.` });
+            return;
+        }
+        value.set(question.id, answer);
+    });
+
+    return { errors, value };
+};
+
+/**
+ * 퀴즈 답안을 채점 (객관식, 참/거짓은 정답과 비교하고 서술형은 LLM으로 채점)
+ * 답하지 않은 문항은 0점
+ * @param {Array<object>} questions - 퀴즈 문항
+ * @param {Map<string, *>} answers - validateAnswers 결과
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @returns {Promise<{ score: number, maxScore: number, ratio: number, byType: object, items: Array<object> }>}
+ */
+const gradeQuiz = async (questions, answers, userId) => {
+    const shortAnswers = questions
+        .filter(question => question.type === QUESTION_TYPES.SHORT_ANSWER && isNonEmptyString(answers.get(question.id)))
+        .map(question => ({ question, answer: answers.get(question.id).trim() }));
+    const shortAnswerGrades = await gradeShortAnswers(shortAnswers, userId);
+
+    const items = questions.map((question) => {
+        const answer = answers.has(question.id) ? answers.get(question.id) : null;
+        let score = 0;
+        let feedback = null;
+
+        if (question.type === QUESTION_TYPES.SHORT_ANSWER) {
+            // 답한 서술형 문항은 모두 채점 결과가 있음 (gradeShortAnswers가 보장)
+            const grade = shortAnswerGrades.get(question.id);
+            if (grade) {
+                score = grade.score;
+                feedback = grade.feedback;
+            }
+        } else {
+            score = answer === question.answer ? 1 : 0;
+        }
+
+        return {
+            questionId: question.id,
+            type: question.type,
+            answer: answer,
+            correctAnswer: question.answer,
+            ...(question.rubric ? { rubric: question.rubric } : {}),
+            score: score,
+            correct: score === 1,
+            feedback: feedback,
+            explanation: question.explanation,
+        };
+    });
+
+    const byType = {};
+    Object.values(QUESTION_TYPES).forEach((type) => {
+        const typeItems = items.filter(item => item.type === type);
+        if (typeItems.length === 0) return;
+        byType[type] = {
+            score: Math.round(typeItems.reduce((sum, item) => sum + item.score, 0) * 100) / 100,
+            maxScore: typeItems.length,
+        };
+    });
+
+    const score = Math.round(items.reduce((sum, item) => sum + item.score, 0) * 100) / 100;
+    return {
+        score,
+        maxScore: items.length,
+        ratio: items.length > 0 ? Math.round((score / items.length) * 1000) / 1000 : 0,
+        byType,
+        items,
+    };
+};
+
+module.exports = {
+    QUESTION_TYPES,
+    READING_MODES,
+    validateQuestionCounts,
+    generateQuizQuestions,
+    validateAnswers,
+    gradeQuiz
+};
@@ -0,0 +1,291 @@
+// functions/utils/diff.js
+const { locateSentences } = require('./analysis');
+
+// 문장 대응 종류
+const SENTENCE_CHANGE = {
+    UNCHANGED: 'unchanged', // 그대로 유지
+    REWRITTEN: 'rewritten', // 한 문장을 한 문장으로 고쳐 씀
+    SPLIT: 'split',         // 한 문장을 여러 문장으로 나눔
+    MERGED: 'merged',       // 여러 문장을 한 문장으로 합침
+    ADDED: 'added',         // 원문에 없던 문장 (덧붙인 설명 등)
+    REMOVED: 'removed',     // 순화문에서 빠진 문장
+};
+
+// 대응된 문장 안의 어절 단위 편집 종류
+const WORD_EDIT = {
+    REPLACE: 'replace',         // 원문 표현을 다른 표현으로 바꿈 (예: 한자어 → 우리말)
+    INSERT: 'insert',           // 원문에 없던 표현을 넣음
+    DELETE: 'delete',           // 원문 표현을 뺌
+    EXPLANATION: 'explanation', // 괄호 등으로 덧붙인 풀이
+};
+
+// 이 유사도보다 낮으면 두 문장(묶음)을 서로 대응하는 것으로 보지 않음
+const MIN_SENTENCE_SIMILARITY = 0.3;
+// 나누기/합치기로 묶는 최대 문장 수
+const MAX_GROUP_SIZE = 3;
+// 묶음 대응은 문장이 하나 늘어날 때마다 이만큼 불리하게 계산 (덧붙인 문장을 나누기로 오인하지 않도록)
+const GROUP_PENALTY = 0.1;
+
+// 공백을 없앤 글자 2-gram 목록
+const getBigrams = (text) => {
+    const compact = text.replace(/\s+/g, '');
+    const bigrams = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+        const bigram = compact.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    return { bigrams, count: Math.max(compact.length - 1, 0) };
+};
+
+/**
+ * 두 텍스트의 글자 2-gram Dice 유사도 (0 ~ 1)
+ * @param {string} a - 텍스트
+ * @param {string} b - 텍스트
+ */
+const getSimilarity = (a, b) => {
+    const left = getBigrams(a);
+    const right = getBigrams(b);
+    if (left.count === 0 || right.count === 0) {
+        return a.replace(/\s+/g, '') === b.replace(/\s+/g, '') ? 1 : 0;
+    }
+
+    let overlap = 0;
+    left.bigrams.forEach((count, bigram) => {
+        overlap += Math.min(count, right.bigrams.get(bigram) || 0);
+    });
+    return (2 * overlap) / (left.count + right.count);
+};
+
+// 괄호 풀이 (예: '금리(돈을 빌릴 때 붙는 이자)를'의 '(돈을 빌릴 때 붙는 이자)')
+const PARENTHETICAL_PATTERN = /\([^()]*\)/g;
+// 어절 패턴: 괄호 풀이는 안에 공백이 있어도 붙어 있는 어절과 함께 한 어절로 봄
+const TOKEN_PATTERN = /[^\s(]*\([^()]*\)\S*|\S+/g;
+
+// 어절 비교용 정규화 (문장 부호와 괄호 풀이 차이는 같은 어절로 봄)
+const normalizeToken = (token) => token.replace(PARENTHETICAL_PATTERN, '').replace(/[.,?!'"“”‘’·…]/g, '');
+
+const hasParenthetical = (text) => /\([^()]*\)/.test(text);
+
+/**
+ * 텍스트를 위치 정보가 있는 어절 목록으로 분리
+ * @param {string} text - 텍스트
+ * @param {number} offset - text가 문단 안에서 시작하는 위치
+ */
+const tokenize = (text, offset) => {
+    const tokens = [];
+    const pattern = new RegExp(TOKEN_PATTERN.source, 'g');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push({ text: match[0], key: normalizeToken(match[0]), start: offset + match.index, end: offset + match.index + match[0].length });
+    }
+    return tokens;
+};
+
+// 여러 문장 묶음을 하나의 텍스트와 어절 목록으로 합침
+const joinSentences = (sentences) => ({
+    text: sentences.map(s => s.text).join(' '),
+    tokens: sentences.flatMap(s => tokenize(s.text, s.start)),
+});
+
+const toRange = (tokens) => (tokens.length > 0 ? [tokens[0].start, tokens[tokens.length - 1].end] : null);
+
+/**
+ * 어절 LCS로 원문과 순화문 사이의 편집 목록을 계산
+ * 위치(range)는 각 문단 텍스트 안의 [시작, 끝) 글자 위치로, 화면에서 바뀐 부분을 강조하거나 원문 표현을 보여줄 때 사용
+ * @param {Array<object>} originalTokens - 원문 어절 목록
+ * @param {Array<object>} simplifiedTokens - 순화문 어절 목록
+ * @returns {Array<{type: string, original: string|null, simplified: string|null, originalRange: number[]|null, simplifiedRange: number[]|null}>}
+ */
+const diffTokens = (originalTokens, simplifiedTokens) => {
+    const m = originalTokens.length;
+    const n = simplifiedTokens.length;
+    const lcs = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+    for (let i = m - 1; i >= 0; i--) {
+        for (let j = n - 1; j >= 0; j--) {
+            lcs[i][j] = originalTokens[i].key === simplifiedTokens[j].key
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const edits = [];
+    let deleted = [];
+    let inserted = [];
+    const flush = () => {
+        if (deleted.length === 0 && inserted.length === 0) return;
+
+        let type = WORD_EDIT.REPLACE;
+        if (deleted.length === 0) {
+            // 괄호만 따로 덧붙인 경우 (예: '금리 (이자의 비율)')
+            type = inserted.every(t => !t.key) && inserted.some(t => hasParenthetical(t.text)) ? WORD_EDIT.EXPLANATION : WORD_EDIT.INSERT;
+        } else if (inserted.length === 0) {
+            type = WORD_EDIT.DELETE;
+        }
+        pushEdit(type, deleted, inserted);
+        deleted = [];
+        inserted = [];
+    };
+    const pushEdit = (type, originalRun, simplifiedRun) => {
+        edits.push({
+            type,
+            original: originalRun.length > 0 ? originalRun.map(t => t.text).join(' ') : null,
+            simplified: simplifiedRun.length > 0 ? simplifiedRun.map(t => t.text).join(' ') : null,
+            originalRange: toRange(originalRun),
+            simplifiedRange: toRange(simplifiedRun),
+        });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < m || j < n) {
+        if (i < m && j < n && originalTokens[i].key === simplifiedTokens[j].key) {
+            flush();
+            // 같은 어절에 괄호 풀이만 덧붙인 경우
+            if (hasParenthetical(simplifiedTokens[j].text) && !hasParenthetical(originalTokens[i].text)) {
+                pushEdit(WORD_EDIT.EXPLANATION, [originalTokens[i]], [simplifiedTokens[j]]);
+            }
+            i++;
+            j++;
+        } else if (j < n && (i === m || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            inserted.push(simplifiedTokens[j++]);
+        } else {
+            deleted.push(originalTokens[i++]);
+        }
+    }
+    flush();
+
+    return edits;
+};
+
+/**
+ * 원문 문장과 순화문 문장을 순서를 유지하며 대응시킴 (1:1, 1:N 나누기, N:1 합치기, 추가, 삭제)
+ * 대응된 문장 묶음의 유사도 합이 가장 커지도록 동적 계획법으로 계산
+ * @param {Array<object>} originalSentences - locateSentences 결과
+ * @param {Array<object>} simplifiedSentences - locateSentences 결과
+ * @returns {Array<{original: Array<object>, simplified: Array<object>, similarity: number|null}>}
+ */
+const alignSentences = (originalSentences, simplifiedSentences) => {
+    const m = originalSentences.length;
+    const n = simplifiedSentences.length;
+    const best = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(-Infinity));
+    const back = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(null));
+    best[0][0] = 0;
+
+    const moves = [[1, 0], [0, 1], [1, 1]];
+    for (let size = 2; size <= MAX_GROUP_SIZE; size++) {
+        moves.push([1, size], [size, 1]);
+    }
+
+    for (let i = 0; i <= m; i++) {
+        for (let j = 0; j <= n; j++) {
+            if (best[i][j] === -Infinity) continue;
+
+            moves.forEach(([di, dj]) => {
+                if (i + di > m || j + dj > n) return;
+
+                let score = best[i][j];
+                let similarity = null;
+                if (di > 0 && dj > 0) {
+                    similarity = getSimilarity(
+                        originalSentences.slice(i, i + di).map(s => s.text).join(' '),
+                        simplifiedSentences.slice(j, j + dj).map(s => s.text).join(' ')
+                    );
+                    if (similarity < MIN_SENTENCE_SIMILARITY) return;
+                    score += similarity - GROUP_PENALTY * (di + dj - 2);
+                }
+
+                if (score > best[i + di][j + dj]) {
+                    best[i + di][j + dj] = score;
+                    back[i + di][j + dj] = { di, dj, similarity };
+                }
+            });
+        }
+    }
+
+    const pairs = [];
+    let i = m;
+    let j = n;
+    while (i > 0 || j > 0) {
+        const { di, dj, similarity } = back[i][j];
+        pairs.unshift({
+            original: originalSentences.slice(i - di, i),
+            simplified: simplifiedSentences.slice(j - dj, j),
+            similarity,
+        });
+        i -= di;
+        j -= dj;
+    }
+    return pairs;
+};
+
+const getChangeType = ({ original, simplified }) => {
+    if (simplified.length === 0) return SENTENCE_CHANGE.REMOVED;
+    if (original.length === 0) return SENTENCE_CHANGE.ADDED;
+    if (original.length > 1) return SENTENCE_CHANGE.MERGED;
+    if (simplified.length > 1) return SENTENCE_CHANGE.SPLIT;
+    return original[0].text.replace(/\s+/g, '') === simplified[0].text.replace(/\s+/g, '')
+        ? SENTENCE_CHANGE.UNCHANGED
+        : SENTENCE_CHANGE.REWRITTEN;
+};
+
+/**
+ * 문단 하나의 원문과 순화문을 문장 단위로 비교
+ * @param {string} originalText - 원문 문단
+ * @param {string} simplifiedText - 순화된 문단
+ * @returns {{ sentences: Array<object>, stats: object }}
+ *          sentences: { type, original: string[], simplified: string[], originalRange, simplifiedRange, edits }
+ */
+const diffParagraph = (originalText, simplifiedText) => {
+    const pairs = alignSentences(locateSentences(originalText || ''), locateSentences(simplifiedText || ''));
+    const stats = Object.fromEntries(Object.values(SENTENCE_CHANGE).map(type => [type, 0]));
+    stats.replacedWords = 0;
+    stats.explanations = 0;
+
+    const sentences = pairs.map((pair) => {
+        const type = getChangeType(pair);
+        stats[type] += 1;
+
+        let edits = [];
+        if (type !== SENTENCE_CHANGE.UNCHANGED && pair.original.length > 0 && pair.simplified.length > 0) {
+            edits = diffTokens(joinSentences(pair.original).tokens, joinSentences(pair.simplified).tokens);
+            stats.replacedWords += edits.filter(edit => edit.type === WORD_EDIT.REPLACE).length;
+            stats.explanations += edits.filter(edit => edit.type === WORD_EDIT.EXPLANATION).length;
+        }
+
+        return {
+            type,
+            original: pair.original.map(s => s.text),
+            simplified: pair.simplified.map(s => s.text),
+            originalRange: pair.original.length > 0 ? [pair.original[0].start, pair.original[pair.original.length - 1].end] : null,
+            simplifiedRange: pair.simplified.length > 0 ? [pair.simplified[0].start, pair.simplified[pair.simplified.length - 1].end] : null,
+            edits,
+        };
+    });
+
+    return { sentences, stats };
+};
+
+/**
+ * 문단별 원문/순화문 비교 결과를 생성 (문단 ID 유지)
+ * @param {Array<{id: *, text: string}>} paragraphs - 원문 문단 배열
+ * @param {Array<{id: *, text: string, status: string}>} simplifiedParagraphs - 같은 순서의 순화 결과
+ */
+const diffParagraphs = (paragraphs, simplifiedParagraphs) => paragraphs.map((paragraph, index) => {
+    const simplified = simplifiedParagraphs[index] || {};
+    const { sentences, stats } = diffParagraph(paragraph.text, simplified.text);
+    return {
+        id: paragraph.id === undefined ? null : paragraph.id,
+        status: simplified.status || null,
+        changed: sentences.some(sentence => sentence.type !== SENTENCE_CHANGE.UNCHANGED),
+        sentences,
+        stats,
+    };
+});
+
+module.exports = {
+    SENTENCE_CHANGE,
+    WORD_EDIT,
+    getSimilarity,
+    diffParagraph,
+    diffParagraphs
+};
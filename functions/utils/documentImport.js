@@ -0,0 +1,476 @@
+// functions/utils/documentImport.js
+const path = require('path');
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+
+const { toParagraphTexts } = require('./articleExtraction');
+
+// 가져올 수 있는 문서 형식
+const DOCUMENT_FORMATS = {
+    PDF: 'pdf',
+    EPUB: 'epub',
+};
+
+// 업로드할 수 있는 최대 파일 크기
+const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
+// EPUB(ZIP)을 풀었을 때의 최대 크기 (작은 파일이 풀리면서 메모리를 다 쓰는 압축 폭탄 방지)
+// 본문은 대부분 텍스트라 압축이 잘 되고 이미지는 거의 압축되지 않으므로, 보통 책은 이 값의 몇 분의 일에 그침
+const MAX_EPUB_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+
+// 한 장(chapter)의 최대 글자 수 (Firestore 문서 하나에 담고, 순화 요청 하나로 보낼 수 있는 크기)
+// 목차가 없는 PDF처럼 장 구분이 없거나 너무 긴 장은 문단 경계에서 나눔
+const MAX_CHAPTER_CHARS = 30000;
+
+// PDF 페이지의 위, 아래에서 머리말, 꼬리말, 쪽 번호를 찾을 줄 수
+const PAGE_EDGE_LINES = 2;
+// 이 비율 이상의 페이지에서 같은 위치에 반복되는 줄은 머리말, 꼬리말로 봄
+const RUNNING_LINE_PAGE_RATIO = 0.5;
+const MIN_PAGES_FOR_RUNNING_LINES = 3;
+// 쪽 번호만 있는 줄 (예: '12', '- 12 -', '12 / 240', 'p. 12', 'xii')
+const PAGE_NUMBER_LINE = /^[-–—\s]*(p\.?\s*)?(\d{1,4}|[ivxlcdm]{1,7})(\s*(\/|of)\s*\d{1,4})?[-–—\s]*$/i;
+// 문장이 끝난 줄 (다음 줄이나 다음 페이지와 이어지지 않음)
+const SENTENCE_END = /[.!?。"”'’)\]다요음함임]$/;
+
+const normalizeWhitespace = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * 풀었을 때 너무 커서 가져올 수 없는 문서
+ */
+class DocumentTooLargeError extends Error {
+    constructor() {
+        super(`압축을 풀면 ${MAX_EPUB_UNCOMPRESSED_BYTES / 1024 / 1024}MB를 넘는 문서는 가져올 수 없습니다.`);
+        this.name = 'DocumentTooLargeError';
+    }
+}
+
+/**
+ * 파일 내용으로 문서 형식을 판단 (확장자, MIME 형식은 믿지 않음)
+ * @param {Buffer} buffer - 파일 내용
+ * @returns {string|null} DOCUMENT_FORMATS 값 또는 지원하지 않는 형식이면 null
+ */
+const detectDocumentFormat = (buffer) => {
+    if (buffer.length >= 5 && buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+        return DOCUMENT_FORMATS.PDF;
+    }
+    // EPUB은 압축을 풀지 않은 첫 파일 'mimetype'에 형식이 들어 있는 ZIP 파일
+    if (buffer.length >= 58 && buffer.readUInt32LE(0) === 0x04034b50
+        && buffer.subarray(30, 58).toString('latin1') === 'mimetypeapplication/epub+zip') {
+        return DOCUMENT_FORMATS.EPUB;
+    }
+    return null;
+};
+
+// ------------------------------------------------------------------
+// PDF
+// ------------------------------------------------------------------
+
+// pdfjs는 불러올 때 canvas 관련 경고를 출력하므로 PDF를 처리할 때만 불러옴
+const loadPdfjs = () => require('pdfjs-dist/legacy/build/pdf.js');
+
+/**
+ * PDF 페이지의 텍스트 조각을 줄 단위로 묶음 (내용 스트림 순서 = 읽기 순서로 보고, 세로 위치가 바뀌면 새 줄)
+ * @param {Array<object>} items - getTextContent().items
+ * @returns {Array<{text: string, x: number, y: number, height: number}>}
+ */
+const groupPdfLines = (items) => {
+    const lines = [];
+    let current = null;
+
+    items.forEach((item) => {
+        if (typeof item.str !== 'string') return;
+        const x = item.transform[4];
+        const y = item.transform[5];
+        const height = item.height || Math.abs(item.transform[3]) || 10;
+
+        if (!current || Math.abs(current.y - y) > height * 0.5) {
+            current = { parts: [], x, y, height };
+            lines.push(current);
+        }
+        current.parts.push(item.str);
+        current.height = Math.max(current.height, height);
+        if (item.hasEOL) current = null;
+    });
+
+    return lines
+        .map(line => ({ text: normalizeWhitespace(line.parts.join('')), x: line.x, y: line.y, height: line.height }))
+        .filter(line => line.text);
+};
+
+// 머리말, 꼬리말 비교용 키 (쪽마다 바뀌는 숫자는 무시)
+const getRunningLineKey = (text) => text.replace(/\d+/g, '#').toLowerCase();
+
+/**
+ * 페이지마다 반복되는 머리말, 꼬리말과 쪽 번호 줄을 제거
+ * @param {Array<Array<object>>} pages - 페이지별 줄 목록
+ */
+const removeRunningLines = (pages) => {
+    const edgeIndexes = (lines) => {
+        const indexes = new Set();
+        for (let i = 0; i < Math.min(PAGE_EDGE_LINES, lines.length); i++) {
+            indexes.add(i);
+            indexes.add(lines.length - 1 - i);
+        }
+        return [...indexes];
+    };
+
+    const keyPageCounts = new Map();
+    pages.forEach((lines) => {
+        new Set(edgeIndexes(lines).map(index => getRunningLineKey(lines[index].text))).forEach((key) => {
+            keyPageCounts.set(key, (keyPageCounts.get(key) || 0) + 1);
+        });
+    });
+    const minRepeats = Math.max(2, Math.ceil(pages.length * RUNNING_LINE_PAGE_RATIO));
+    const isRunning = key => pages.length >= MIN_PAGES_FOR_RUNNING_LINES && keyPageCounts.get(key) >= minRepeats;
+
+    return pages.map((lines) => {
+        const edges = new Set(edgeIndexes(lines));
+        return lines.filter((line, index) => !edges.has(index)
+            || (!PAGE_NUMBER_LINE.test(line.text) && !isRunning(getRunningLineKey(line.text))));
+    });
+};
+
+// 줄을 이어 붙임 (영문 단어가 하이픈으로 끊긴 경우는 하이픈을 지우고 붙임)
+const joinLine = (text, line) => (/[A-Za-z]-$/.test(text) && /^[a-z]/.test(line) ? `${text.slice(0, -1)}${line}` : `${text} ${line}`);
+
+/**
+ * 페이지의 줄을 문단으로 묶음
+ * 줄 간격이 평소보다 넓거나, 앞줄이 문장으로 끝나고 짧거나, 들여쓰기로 시작하면 새 문단
+ * @param {Array<{text: string, x: number, y: number, height: number}>} lines - 한 페이지의 줄
+ * @returns {string[]} 문단 텍스트 (마지막 문단은 다음 페이지로 이어질 수 있음)
+ */
+const buildPdfParagraphs = (lines) => {
+    if (lines.length === 0) return [];
+
+    const gaps = lines.slice(1).map((line, index) => lines[index].y - line.y).filter(gap => gap > 0).sort((a, b) => a - b);
+    // 문단 사이 간격이 섞여 있어도 평소 줄 간격을 고르도록 하위 사분위 값을 사용
+    const typicalGap = gaps.length > 0 ? gaps[Math.floor((gaps.length - 1) / 4)] : 0;
+    const leftMargin = Math.min(...lines.map(line => line.x));
+    const lineWidth = Math.max(...lines.map(line => line.text.length));
+
+    const paragraphs = [];
+    lines.forEach((line, index) => {
+        const previous = lines[index - 1];
+        const startsParagraph = !previous
+            || (typicalGap > 0 && previous.y - line.y > typicalGap * 1.5)
+            || previous.y - line.y < 0
+            || (SENTENCE_END.test(previous.text) && (previous.text.length < lineWidth * 0.8 || line.x > leftMargin + line.height));
+
+        if (startsParagraph) {
+            paragraphs.push(line.text);
+        } else {
+            paragraphs[paragraphs.length - 1] = joinLine(paragraphs[paragraphs.length - 1], line.text);
+        }
+    });
+    return paragraphs;
+};
+
+/**
+ * PDF 목차(outline)의 최상위 항목을 시작 페이지와 함께 읽음
+ * @param {object} pdf - pdfjs 문서
+ * @returns {Promise<Array<{title: string, pageIndex: number}>>} 시작 페이지 순으로 정렬
+ */
+const readPdfOutline = async (pdf) => {
+    const outline = await pdf.getOutline().catch(() => null);
+    if (!Array.isArray(outline)) return [];
+
+    const entries = await Promise.all(outline.map(async (item) => {
+        try {
+            const dest = typeof item.dest === 'string' ? await pdf.getDestination(item.dest) : item.dest;
+            if (!Array.isArray(dest) || !dest[0]) return null;
+            const pageIndex = typeof dest[0] === 'number' ? dest[0] : await pdf.getPageIndex(dest[0]);
+            return { title: normalizeWhitespace(item.title) || null, pageIndex };
+        } catch (error) {
+            return null;
+        }
+    }));
+    return entries.filter(Boolean).sort((a, b) => a.pageIndex - b.pageIndex);
+};
+
+/**
+ * PDF에서 장(chapter)별 문단을 추출 (목차가 있으면 목차의 최상위 항목을 장으로 사용)
+ * @param {Buffer} buffer - PDF 파일 내용
+ * @returns {Promise<{ title: string|null, author: string|null, pageCount: number, chapters: Array<{title: string|null, paragraphs: string[]}> }>}
+ */
+const parsePdf = async (buffer) => {
+    const pdfjs = loadPdfjs();
+    const pdf = await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        isEvalSupported: false,
+        disableFontFace: true,
+        useSystemFonts: false,
+        verbosity: 0,
+    }).promise;
+
+    try {
+        const pageLines = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            pageLines.push(groupPdfLines(content.items));
+            page.cleanup();
+        }
+        const pages = removeRunningLines(pageLines).map(buildPdfParagraphs);
+
+        const outline = await readPdfOutline(pdf);
+        const chapterStarts = outline.length > 0 && outline[0].pageIndex > 0
+            ? [{ title: null, pageIndex: 0 }, ...outline]
+            : outline;
+        if (chapterStarts.length === 0) chapterStarts.push({ title: null, pageIndex: 0 });
+
+        const chapters = chapterStarts.map((start, index) => {
+            const endPage = index + 1 < chapterStarts.length ? chapterStarts[index + 1].pageIndex : pages.length;
+            const paragraphs = [];
+            pages.slice(start.pageIndex, endPage).forEach((pageParagraphs) => {
+                pageParagraphs.forEach((text, paragraphIndex) => {
+                    const last = paragraphs[paragraphs.length - 1];
+                    // 앞 페이지의 마지막 문단이 문장 중간에서 끝났으면 이어 붙임
+                    if (paragraphIndex === 0 && last && !SENTENCE_END.test(last)) {
+                        paragraphs[paragraphs.length - 1] = joinLine(last, text);
+                    } else {
+                        paragraphs.push(text);
+                    }
+                });
+            });
+            return { title: start.title, paragraphs };
+        });
+
+        const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+        return {
+            title: normalizeWhitespace(info && info.Title) || null,
+            author: normalizeWhitespace(info && info.Author) || null,
+            pageCount: pdf.numPages,
+            chapters,
+        };
+    } finally {
+        await pdf.destroy();
+    }
+};
+
+// ------------------------------------------------------------------
+// EPUB
+// ------------------------------------------------------------------
+
+/**
+ * ZIP 안의 경로를 기준 파일 위치에서 해석 (URL 인코딩, 프래그먼트 제거)
+ * @returns {string|null} 해석한 경로 또는 URL 인코딩이 잘못되었으면 null (그 항목만 건너뜀)
+ */
+const resolveZipPath = (basePath, href) => {
+    let withoutFragment;
+    try {
+        withoutFragment = decodeURIComponent(String(href || '').split('#')[0]);
+    } catch (error) {
+        return null;
+    }
+    return path.posix.normalize(path.posix.join(path.posix.dirname(basePath), withoutFragment));
+};
+
+/**
+ * ZIP 안의 텍스트 파일을 읽는 함수를 만듦
+ * 파일 헤더의 크기는 거짓일 수 있으므로 실제로 풀린 바이트 수를 세어, 읽은 파일을 모두 합쳐 제한을 넘으면 중단
+ * @param {JSZip} zip - ZIP 파일
+ * @returns {function(string|null): Promise<string|null>} 경로 → 파일 내용 (없으면 null)
+ */
+const createZipTextReader = (zip) => {
+    let totalBytes = 0;
+    return (filePath) => {
+        const file = filePath ? zip.file(filePath) : null;
+        if (!file) return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            const stream = file.internalStream('uint8array');
+            stream
+                .on('data', (chunk) => {
+                    totalBytes += chunk.length;
+                    if (totalBytes > MAX_EPUB_UNCOMPRESSED_BYTES) {
+                        stream.pause();
+                        reject(new DocumentTooLargeError());
+                        return;
+                    }
+                    chunks.push(chunk);
+                })
+                .on('error', reject)
+                .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+                .resume();
+        });
+    };
+};
+
+/**
+ * EPUB 목차에서 문서 경로별 제목을 읽음 (EPUB 3 nav 문서, 없으면 EPUB 2 NCX)
+ * @param {function(string|null): Promise<string|null>} readZipText - createZipTextReader 결과
+ * @param {cheerio.CheerioAPI} $opf - 패키지 문서
+ * @param {string} opfPath - 패키지 문서 경로
+ * @returns {Promise<Map<string, string>>} 문서 경로 → 제목 (처음 나온 항목 기준)
+ */
+const readEpubToc = async (readZipText, $opf, opfPath) => {
+    const titles = new Map();
+    const addTitle = (basePath, href, title) => {
+        const filePath = resolveZipPath(basePath, href);
+        const text = normalizeWhitespace(title);
+        if (filePath && text && !titles.has(filePath)) titles.set(filePath, text);
+    };
+
+    const navHref = $opf('manifest > item[properties~="nav"]').attr('href');
+    if (navHref) {
+        const navPath = resolveZipPath(opfPath, navHref);
+        const navXml = await readZipText(navPath);
+        if (navXml) {
+            const $nav = cheerio.load(navXml, { xmlMode: true });
+            const tocNav = $nav('nav').filter((_, nav) => /toc/.test($nav(nav).attr('epub:type') || '')).first();
+            (tocNav.length > 0 ? tocNav : $nav('nav').first()).find('a[href]').each((_, link) => {
+                addTitle(navPath, $nav(link).attr('href'), $nav(link).text());
+            });
+        }
+    }
+
+    if (titles.size === 0) {
+        const ncxId = $opf('spine').attr('toc');
+        const ncxHref = ncxId ? $opf(`manifest > item[id="${ncxId}"]`).attr('href') : null;
+        const ncxPath = ncxHref ? resolveZipPath(opfPath, ncxHref) : null;
+        const ncxXml = await readZipText(ncxPath);
+        if (ncxXml) {
+            const $ncx = cheerio.load(ncxXml, { xmlMode: true });
+            $ncx('navPoint').each((_, point) => {
+                const $point = $ncx(point);
+                addTitle(ncxPath, $point.children('content').attr('src'), $point.children('navLabel').first().text());
+            });
+        }
+    }
+
+    return titles;
+};
+
+/**
+ * EPUB에서 장(chapter)별 문단을 추출 (읽기 순서(spine)의 본문 문서 하나를 한 장으로 봄)
+ * 풀었을 때 MAX_EPUB_UNCOMPRESSED_BYTES를 넘으면 DocumentTooLargeError
+ * @param {Buffer} buffer - EPUB 파일 내용
+ * @returns {Promise<{ title: string|null, author: string|null, pageCount: null, chapters: Array<{title: string|null, paragraphs: string[]}> }>}
+ */
+const parseEpub = async (buffer) => {
+    const zip = await JSZip.loadAsync(buffer);
+    // 헤더에 적힌 크기로 먼저 걸러 내고, 읽을 때 실제로 풀린 크기를 다시 셈
+    const declaredBytes = Object.values(zip.files)
+        .reduce((sum, file) => sum + ((file._data && file._data.uncompressedSize) || 0), 0);
+    if (declaredBytes > MAX_EPUB_UNCOMPRESSED_BYTES) {
+        throw new DocumentTooLargeError();
+    }
+    const readZipText = createZipTextReader(zip);
+
+    const containerXml = await readZipText('META-INF/container.xml');
+    const opfPath = containerXml
+        ? cheerio.load(containerXml, { xmlMode: true })('rootfile').first().attr('full-path')
+        : null;
+    const opfXml = await readZipText(opfPath);
+    if (!opfXml) {
+        throw new Error('EPUB 패키지 문서(OPF)를 찾을 수 없습니다.');
+    }
+
+    const $opf = cheerio.load(opfXml, { xmlMode: true });
+    const manifest = new Map();
+    $opf('manifest > item').each((_, item) => {
+        const $item = $opf(item);
+        manifest.set($item.attr('id'), { href: $item.attr('href'), mediaType: $item.attr('media-type') });
+    });
+    const tocTitles = await readEpubToc(readZipText, $opf, opfPath);
+
+    const chapters = [];
+    for (const itemref of $opf('spine > itemref').toArray()) {
+        const $itemref = $opf(itemref);
+        const item = manifest.get($itemref.attr('idref'));
+        if (!item || $itemref.attr('linear') === 'no' || !/html/.test(item.mediaType || '')) continue;
+
+        const filePath = resolveZipPath(opfPath, item.href);
+        const xhtml = await readZipText(filePath);
+        if (!xhtml) continue;
+
+        const $ = cheerio.load(xhtml);
+        $('script, style, nav').remove();
+        // 각주 번호처럼 본문 중간에 끼는 위첨자 링크는 제거
+        $('sup a[href], a[epub\\:type="noteref"]').remove();
+        const title = tocTitles.get(filePath) || normalizeWhitespace($('h1, h2').first().text()) || null;
+        const paragraphs = toParagraphTexts($, $('body').toArray());
+
+        // 장 제목과 같은 첫 문단(제목 줄)은 목차에 있으므로 뺌
+        if (title && paragraphs[0] === title) paragraphs.shift();
+        if (paragraphs.length > 0) {
+            chapters.push({ title, paragraphs });
+        }
+    }
+
+    return {
+        title: normalizeWhitespace($opf('metadata > dc\\:title').first().text()) || null,
+        author: normalizeWhitespace($opf('metadata > dc\\:creator').first().text()) || null,
+        pageCount: null,
+        chapters,
+    };
+};
+
+// ------------------------------------------------------------------
+// 공통
+// ------------------------------------------------------------------
+
+/**
+ * 너무 긴 장을 문단 경계에서 나눔 (나눈 부분의 제목에는 '(2)'처럼 순서를 붙임)
+ * @param {Array<{title: string|null, paragraphs: string[]}>} chapters - 장 목록
+ */
+const splitLongChapters = (chapters) => chapters.flatMap((chapter) => {
+    const parts = [];
+    let current = null;
+    chapter.paragraphs.forEach((text) => {
+        if (!current || (current.charCount > 0 && current.charCount + text.length > MAX_CHAPTER_CHARS)) {
+            current = { paragraphs: [], charCount: 0 };
+            parts.push(current);
+        }
+        current.paragraphs.push(text);
+        current.charCount += text.length;
+    });
+
+    return parts.map((part, index) => ({
+        title: parts.length > 1 && chapter.title ? `${chapter.title} (${index + 1})` : chapter.title,
+        paragraphs: part.paragraphs,
+    }));
+});
+
+/**
+ * PDF, EPUB 파일에서 장별 문단과 안정적인 문단 ID를 만듦
+ * 문단 ID는 'ch{장 번호}-p{장 안의 문단 번호}' 형식으로, 같은 파일을 다시 가져오면 같은 ID가 나옴
+ * @param {Buffer} buffer - 파일 내용
+ * @returns {Promise<{ format: string, title: string|null, author: string|null, pageCount: number|null,
+ *           chapters: Array<{ id: string, index: number, title: string|null, paragraphs: Array<{id: string, text: string}> }> }|null>}
+ *          지원하지 않는 형식이면 null
+ */
+const parseDocument = async (buffer) => {
+    const format = detectDocumentFormat(buffer);
+    if (!format) return null;
+
+    const parsed = format === DOCUMENT_FORMATS.PDF ? await parsePdf(buffer) : await parseEpub(buffer);
+    const chapters = splitLongChapters(parsed.chapters.map(chapter => ({
+        title: chapter.title,
+        paragraphs: chapter.paragraphs.map(normalizeWhitespace).filter(Boolean),
+    })).filter(chapter => chapter.paragraphs.length > 0));
+
+    return {
+        format,
+        title: parsed.title,
+        author: parsed.author,
+        pageCount: parsed.pageCount,
+        chapters: chapters.map((chapter, chapterIndex) => {
+            const chapterId = `ch${chapterIndex + 1}`;
+            return {
+                id: chapterId,
+                index: chapterIndex,
+                title: chapter.title,
+                paragraphs: chapter.paragraphs.map((text, index) => ({ id: `${chapterId}-p${index + 1}`, text })),
+            };
+        }),
+    };
+};
+
+module.exports = {
+    DOCUMENT_FORMATS,
+    MAX_DOCUMENT_BYTES,
+    DocumentTooLargeError,
+    detectDocumentFormat,
+    parseDocument
+};
@@ -0,0 +1,226 @@
+// functions/utils/history.js
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const { analyzeText } = require('./analysis');
+
+const db = admin.firestore();
+
+// 한국 시간(UTC+9) 기준으로 주, 월을 나눔
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// 읽기 기록 종류
+const READING_ACTIVITY = {
+    SIMPLIFICATION: 'simplification',
+    DICTIONARY: 'dictionary',
+};
+
+// 통계 집계 단위 (stats 문서 ID는 'total', 'week-2025-W07', 'month-2025-02' 형식)
+const STATS_PERIODS = ['week', 'month'];
+const STATS_TOTAL_KEY = 'total';
+
+const getHistoryCollection = (userId) => db.collection('users').doc(userId).collection('history');
+const getStatsCollection = (userId) => db.collection('users').doc(userId).collection('stats');
+
+/**
+ * 글 내용으로 읽기 기록 문서 ID를 생성 (같은 글을 순화하고 단어를 찾아보면 한 기록으로 합쳐짐)
+ * 문단을 잇는 방식이 달라도 같은 키가 나오도록 공백을 정규화
+ * @param {string} text - 원문 전체 텍스트
+ */
+const getArticleKey = (text) => crypto.createHash('sha256')
+    .update(String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim())
+    .digest('hex')
+    .slice(0, 32);
+
+/**
+ * 한국 시간 기준 ISO 주차 키 (예: week-2025-W07)
+ * @param {number} nowMs - 기준 시각 (ms)
+ */
+const getWeekKey = (nowMs) => {
+    const date = new Date(nowMs + KST_OFFSET_MS);
+    // ISO 주차는 그 주의 목요일이 속한 연도를 따름
+    const day = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - day);
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((date.getTime() - yearStart) / DAY_MS + 1) / 7);
+    return `week-${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * 한국 시간 기준 월 키 (예: month-2025-02)
+ * @param {number} nowMs - 기준 시각 (ms)
+ */
+const getMonthKey = (nowMs) => `month-${new Date(nowMs + KST_OFFSET_MS).toISOString().slice(0, 7)}`;
+
+/**
+ * 최근 count개 구간의 통계 문서 키 (최신 구간부터)
+ * @param {string} period - 'week' | 'month'
+ * @param {number} count - 구간 수
+ * @param {number} nowMs - 기준 시각 (ms)
+ */
+const getRecentStatsKeys = (period, count, nowMs) => {
+    if (period === 'week') {
+        return Array.from({ length: count }, (_, i) => getWeekKey(nowMs - i * WEEK_MS));
+    }
+    const kstNow = new Date(nowMs + KST_OFFSET_MS);
+    return Array.from({ length: count }, (_, i) => {
+        const monthStart = Date.UTC(kstNow.getUTCFullYear(), kstNow.getUTCMonth() - i, 1);
+        return getMonthKey(monthStart - KST_OFFSET_MS);
+    });
+};
+
+/**
+ * 찾아본 단어를 태그별로 셈
+ * @param {Array<{term: string, tag: string}>} terms - 단어사전 결과
+ */
+const countTermsByTag = (terms) => {
+    const counts = {};
+    terms.forEach((term) => {
+        const tag = term.tag || '일반';
+        counts[tag] = (counts[tag] || 0) + 1;
+    });
+    return counts;
+};
+
+/**
+ * 순화 또는 단어사전 작업 하나를 읽기 기록과 주/월/전체 통계에 반영
+ * 통계는 매 요청마다 기록을 훑지 않도록 증가값으로만 갱신하며, 같은 글을 처음 읽은 경우에만 읽은 글 수에 더함
+ * @param {string} userId - 사용자 UID
+ * @param {object} activity
+ * @param {string} activity.type - READING_ACTIVITY 값
+ * @param {string|null} activity.jobId - 작업 ID (캐시된 결과로 응답한 경우 null)
+ * @param {string|null} [activity.title] - 글 제목
+ * @param {string} activity.originalText - 원문 전체 텍스트
+ * @param {string} [activity.simplifiedText] - 순화된 전체 텍스트 (순화 작업)
+ * @param {number} [activity.simplifiedParagraphCount] - 실제로 순화된 문단 수 (순화 작업)
+ * @param {Array<{term: string, tag: string}>} [activity.terms] - 찾아본 단어 (단어사전 작업)
+ */
+const recordReadingActivity = async (userId, activity) => {
+    const { type, jobId, title, originalText, simplifiedText } = activity;
+    const nowMs = Date.now();
+    const historyRef = getHistoryCollection(userId).doc(getArticleKey(originalText));
+    const statsCollection = getStatsCollection(userId);
+
+    const original = analyzeText(originalText);
+    const simplified = simplifiedText ? analyzeText(simplifiedText) : null;
+    const terms = (activity.terms || []).filter(term => term && typeof term.term === 'string');
+    const termsByTag = countTermsByTag(terms);
+
+    const { increment, arrayUnion, serverTimestamp } = admin.firestore.FieldValue;
+    const incrementAll = (counts) => Object.fromEntries(Object.entries(counts).map(([key, value]) => [key, increment(value)]));
+
+    await db.runTransaction(async (transaction) => {
+        const historySnap = await transaction.get(historyRef);
+        const isNewArticle = !historySnap.exists;
+        const now = serverTimestamp();
+
+        const historyUpdate = {
+            articleKey: historyRef.id,
+            title: (historySnap.exists && historySnap.get('title')) || title || null,
+            wordCount: original.wordCount,
+            charCount: original.charCount,
+            gradeLevel: original.gradeLevel,
+            gradeLabel: original.gradeLabel,
+            lastReadAt: now,
+        };
+        const statsUpdate = { updatedAt: now };
+
+        if (isNewArticle) {
+            Object.assign(historyUpdate, { firstReadAt: now, simplificationCount: 0, dictionaryLookupCount: 0 });
+            // 읽은 글의 난이도 추이 (구간 평균 = gradeLevelSum / gradeLevelCount)
+            Object.assign(statsUpdate, {
+                articlesRead: increment(1),
+                wordsRead: increment(original.wordCount),
+                gradeLevelSum: increment(original.gradeLevel),
+                gradeLevelCount: increment(1),
+            });
+        }
+        if (jobId) {
+            historyUpdate.jobIds = arrayUnion(jobId);
+        }
+
+        if (type === READING_ACTIVITY.SIMPLIFICATION) {
+            Object.assign(historyUpdate, {
+                simplificationCount: increment(1),
+                simplifiedGradeLevel: simplified ? simplified.gradeLevel : null,
+                lastSimplifiedAt: now,
+            });
+            Object.assign(statsUpdate, {
+                simplifications: increment(1),
+                paragraphsSimplified: increment(activity.simplifiedParagraphCount || 0),
+                simplifiedGradeLevelSum: increment(simplified ? simplified.gradeLevel : 0),
+                simplifiedGradeLevelCount: increment(simplified ? 1 : 0),
+            });
+        } else if (type === READING_ACTIVITY.DICTIONARY) {
+            Object.assign(historyUpdate, { dictionaryLookupCount: increment(1), lastLookedUpAt: now });
+            Object.assign(statsUpdate, { dictionaryLookups: increment(1), termsLookedUp: increment(terms.length) });
+            // 빈 맵을 병합하면 기존 태그별 집계를 덮어쓰므로 찾아본 단어가 있을 때만 기록
+            if (terms.length > 0) {
+                historyUpdate.termsByTag = incrementAll(termsByTag);
+                historyUpdate.lookedUpTerms = arrayUnion(...terms.map(term => term.term));
+                statsUpdate.termsByTag = incrementAll(termsByTag);
+            }
+        }
+
+        transaction.set(historyRef, historyUpdate, { merge: true });
+        [
+            { key: STATS_TOTAL_KEY, period: 'total' },
+            { key: getWeekKey(nowMs), period: 'week' },
+            { key: getMonthKey(nowMs), period: 'month' },
+        ].forEach(({ key, period }) => {
+            transaction.set(statsCollection.doc(key), { ...statsUpdate, period }, { merge: true });
+        });
+    });
+};
+
+/**
+ * 통계 문서를 응답 형식으로 변환 (없는 구간은 0으로 채움)
+ * @param {string} key - 통계 문서 ID
+ * @param {object|null} data - 통계 문서 데이터
+ */
+const formatStatsBucket = (key, data) => {
+    const stats = data || {};
+    const average = (sum, count) => (count > 0 ? Math.round((sum / count) * 10) / 10 : null);
+    return {
+        key: key,
+        articlesRead: stats.articlesRead || 0,
+        wordsRead: stats.wordsRead || 0,
+        simplifications: stats.simplifications || 0,
+        paragraphsSimplified: stats.paragraphsSimplified || 0,
+        dictionaryLookups: stats.dictionaryLookups || 0,
+        termsLookedUp: stats.termsLookedUp || 0,
+        termsByTag: stats.termsByTag || {},
+        avgGradeLevel: average(stats.gradeLevelSum, stats.gradeLevelCount),
+        avgSimplifiedGradeLevel: average(stats.simplifiedGradeLevelSum, stats.simplifiedGradeLevelCount),
+    };
+};
+
+/**
+ * 전체 통계와 최근 구간별 통계를 조회
+ * @param {string} userId - 사용자 UID
+ * @param {string} period - 'week' | 'month'
+ * @param {number} count - 조회할 구간 수
+ * @returns {Promise<{ total: object, buckets: Array<object> }>} buckets는 오래된 구간부터 정렬
+ */
+const loadReadingStats = async (userId, period, count) => {
+    const statsCollection = getStatsCollection(userId);
+    const keys = getRecentStatsKeys(period, count, Date.now()).reverse();
+    const snaps = await db.getAll(statsCollection.doc(STATS_TOTAL_KEY), ...keys.map(key => statsCollection.doc(key)));
+
+    const [totalSnap, ...bucketSnaps] = snaps;
+    return {
+        total: formatStatsBucket(STATS_TOTAL_KEY, totalSnap.exists ? totalSnap.data() : null),
+        buckets: bucketSnaps.map((snap, index) => formatStatsBucket(keys[index], snap.exists ? snap.data() : null)),
+    };
+};
+
+module.exports = {
+    READING_ACTIVITY,
+    STATS_PERIODS,
+    getArticleKey,
+    getHistoryCollection,
+    recordReadingActivity,
+    loadReadingStats
+};
@@ -0,0 +1,362 @@
+// functions/utils/ingestion.js
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const ogs = require('open-graph-scraper');
+const { Agent, fetch } = require('undici');
+
+const { extractArticle } = require('./articleExtraction');
+const { isMockProvider } = require('./llm');
+
+const db = admin.firestore();
+
+const HOUR_MS = 60 * 60 * 1000;
+// 목(mock) 제공자 환경에서 네트워크 대신 읽는 페이지 픽스처 (index.json: 정규화된 URL → HTML 파일 이름)
+const ARTICLE_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'articles');
+
+// 추출한 글을 재사용하는 기간 (기사는 발행 후 수정되기도 하므로 짧게 둠)
+const ARTICLE_CACHE_TTL_HOURS = 24;
+// 페이지 요청 제한 시간 (초)
+const FETCH_TIMEOUT_SECONDS = 10;
+// 따라갈 최대 리다이렉트 횟수
+const MAX_REDIRECTS = 5;
+// 받을 최대 응답 본문 크기 (바이트, 이보다 크면 기사 페이지가 아닌 것으로 봄)
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+// 본문으로 인정할 최소 글자 수 (이보다 짧으면 목록, 로그인 페이지 등으로 봄)
+const MIN_ARTICLE_LENGTH = 200;
+
+// 같은 글을 가리키는 URL이 서로 다른 키를 갖지 않도록 제거하는 추적용 쿼리 파라미터
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|igshid|mc_cid|mc_eid|ref|ref_src|from|cmpid|ncid)$/i;
+
+/**
+ * 사용자에게 보여줄 수 있는 수집 실패 에러 (잘못된 URL, 가져올 수 없는 페이지, 본문 없음)
+ */
+class IngestionError extends Error {
+    /**
+     * @param {string} message - 사용자에게 보여줄 메시지
+     * @param {number} status - HTTP 상태 코드
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'IngestionError';
+        this.status = status;
+    }
+}
+
+/**
+ * URL을 캐시 키로 쓸 수 있게 정규화 (http, https가 아니면 null)
+ * 프래그먼트, 추적용 파라미터, 기본 포트, 경로 끝의 '/'를 없애고 파라미터를 정렬
+ * @param {string} value - URL
+ */
+const normalizeArticleUrl = (value) => {
+    let url;
+    try {
+        url = new URL(String(value || '').trim());
+    } catch (error) {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+
+    url.hash = '';
+    url.username = '';
+    url.password = '';
+    const params = [...url.searchParams.entries()]
+        .filter(([key]) => !TRACKING_PARAMS.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+    url.search = new URLSearchParams(params).toString();
+    if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+        url.pathname = url.pathname.replace(/\/+$/, '');
+    }
+    return url.href;
+};
+
+// 외부에서 접근할 수 없는 IPv4 주소 대역 (IPv4 매핑 IPv6 주소 ::ffff:7f00:1 등에도 적용됨)
+const BLOCKED_IPV4 = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([network, prefix]) => BLOCKED_IPV4.addSubnet(network, prefix, 'ipv4'));
+
+// 외부에서 접근할 수 없거나 IPv4 주소를 담고 있어 내부망으로 이어질 수 있는 IPv6 주소 대역
+// (IPv4 매핑 주소 대역은 IPv4 주소 자체와도 일치하므로 IPv6 주소에만 적용)
+const BLOCKED_IPV6 = new net.BlockList();
+[
+    ['::', 96], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 32],
+    ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED_IPV6.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * 사설망, 루프백, 링크 로컬 등 외부에서 접근할 수 없는 주소인지 (IP 주소가 아니면 true)
+ * @param {string} address - IPv4 또는 IPv6 주소
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+    switch (net.isIP(address)) {
+        case 4:
+            return BLOCKED_IPV4.check(address, 'ipv4');
+        case 6:
+            return BLOCKED_IPV4.check(address, 'ipv6') || BLOCKED_IPV6.check(address, 'ipv6');
+        default:
+            return true;
+    }
+};
+
+/**
+ * 서버가 내부망 주소를 대신 요청하지 않도록 URL의 호스트가 공인 주소인지 확인
+ * @param {string} url - 정규화된 URL
+ * @returns {Promise<Array<{ address: string, family: number }>>} 확인한 주소 (요청은 이 주소로만 연결)
+ */
+const assertPublicUrl = async (url) => {
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+        throw new IngestionError('가져올 수 없는 주소입니다.', 400);
+    }
+
+    let addresses;
+    try {
+        addresses = net.isIP(host)
+            ? [{ address: host, family: net.isIP(host) }]
+            : await dns.lookup(host, { all: true });
+    } catch (error) {
+        throw new IngestionError('페이지를 찾을 수 없습니다.', 422);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new IngestionError('가져올 수 없는 주소입니다.', 400);
+    }
+    return addresses;
+};
+
+/**
+ * 확인한 주소로만 연결하는 HTTP 에이전트 (요청할 때 DNS를 다시 조회하면 그 사이 내부망 주소로 바뀔 수 있음)
+ * @param {Array<{ address: string, family: number }>} addresses - assertPublicUrl 결과
+ */
+const createPinnedAgent = (addresses) => new Agent({
+    connect: {
+        lookup: (hostname, options, callback) => {
+            if (options && options.all) {
+                callback(null, addresses);
+            } else {
+                callback(null, addresses[0].address, addresses[0].family);
+            }
+        },
+    },
+});
+
+// 읽지 않을 응답 본문을 취소 (연결을 붙잡아 두지 않도록)
+const discardBody = (response) => (response.body ? response.body.cancel().catch(() => {}) : Promise.resolve());
+
+/**
+ * 응답 본문을 크기 제한까지만 읽음 (Content-Length가 제한보다 크거나 받는 도중 제한을 넘으면 요청을 중단)
+ * @param {Response} response - fetch 응답
+ * @returns {Promise<Buffer>}
+ */
+const readLimitedBody = async (response) => {
+    if (Number(response.headers.get('content-length')) > MAX_PAGE_BYTES) {
+        await discardBody(response);
+        throw new IngestionError('페이지가 너무 큽니다.', 422);
+    }
+    if (!response.body) return Buffer.alloc(0);
+
+    const chunks = [];
+    let totalBytes = 0;
+    // 반복을 도중에 멈추면 스트림이 취소되어 나머지 본문을 받지 않음
+    for await (const chunk of response.body) {
+        totalBytes += chunk.byteLength;
+        if (totalBytes > MAX_PAGE_BYTES) {
+            throw new IngestionError('페이지가 너무 큽니다.', 422);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+/**
+ * 응답 본문을 문자열로 변환 (Content-Type 헤더나 meta 태그의 charset을 따르고, 없으면 UTF-8)
+ * @param {Buffer} buffer - 응답 본문
+ * @param {string} contentType - Content-Type 헤더
+ * @returns {string}
+ */
+const decodeHtml = (buffer, contentType) => {
+    const headerCharset = /charset=["']?([\w-]+)/i.exec(contentType || '');
+    const metaCharset = /<meta[^>]+charset=["']?([\w-]+)/i.exec(buffer.subarray(0, 2048).toString('latin1'));
+    const charset = (headerCharset || metaCharset || [])[1];
+
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(buffer);
+    } catch (error) {
+        // 알 수 없는 charset
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+};
+
+// Open Graph 정보는 이미 받은 HTML에서만 읽음 (open-graph-scraper가 다시 요청하지 않도록)
+const readOpenGraph = async (html) => {
+    const { result } = await ogs({ html }).catch(error => ({ result: error.result }));
+    return result || {};
+};
+
+/**
+ * 목(mock) 제공자 환경에서 fixtures/articles의 HTML로 페이지를 대신함 (픽스처가 없는 URL은 가져올 수 없는 페이지)
+ * @param {string} url - 정규화된 URL
+ * @returns {Promise<{ html: string, openGraph: object, finalUrl: string }>}
+ */
+const fetchFixturePage = async (url) => {
+    const index = JSON.parse(fs.readFileSync(path.join(ARTICLE_FIXTURES_DIR, 'index.json'), 'utf8'));
+    if (!index[url]) {
+        throw new IngestionError('페이지를 가져오지 못했습니다. (HTTP 404)', 422);
+    }
+    const html = fs.readFileSync(path.join(ARTICLE_FIXTURES_DIR, index[url]), 'utf8');
+    return { html, openGraph: await readOpenGraph(html), finalUrl: url };
+};
+
+/**
+ * 페이지를 가져와 HTML과 Open Graph 정보를 읽음 (목 제공자 환경에서는 fixtures/articles로 응답)
+ * 리다이렉트는 자동으로 따라가지 않고, 다음 주소도 공인 주소인지 확인한 뒤에 확인한 주소로만 연결
+ * 본문은 상태 코드와 Content-Type을 확인한 뒤에 MAX_PAGE_BYTES까지만 읽음
+ * @param {string} url - 정규화된 URL
+ * @returns {Promise<{ html: string, openGraph: object, finalUrl: string }>}
+ */
+const fetchPage = async (url) => {
+    if (isMockProvider()) return fetchFixturePage(url);
+
+    let currentUrl = url;
+    for (let redirectCount = 0; redirectCount <= MAX_REDIRECTS; redirectCount++) {
+        const agent = createPinnedAgent(await assertPublicUrl(currentUrl));
+
+        try {
+            let response;
+            try {
+                response = await fetch(currentUrl, {
+                    redirect: 'manual',
+                    dispatcher: agent,
+                    signal: AbortSignal.timeout(FETCH_TIMEOUT_SECONDS * 1000),
+                    headers: { Accept: 'text/html,application/xhtml+xml' },
+                });
+            } catch (error) {
+                console.warn(`[ingestArticle] 페이지 요청 실패 (${currentUrl}):`, error.message);
+                throw new IngestionError(`페이지를 가져오지 못했습니다. (${error.message})`, 422);
+            }
+
+            if (response.status >= 300 && response.status < 400) {
+                await discardBody(response);
+                const location = response.headers.get('location');
+                const nextUrl = location && normalizeArticleUrl(new URL(location, currentUrl).href);
+                if (!nextUrl) {
+                    throw new IngestionError('가져올 수 없는 주소로 이동합니다.', 422);
+                }
+                currentUrl = nextUrl;
+                continue;
+            }
+
+            if (!response.ok) {
+                await discardBody(response);
+                throw new IngestionError(`페이지를 가져오지 못했습니다. (HTTP ${response.status})`, 422);
+            }
+            const contentType = response.headers.get('content-type') || '';
+            if (contentType && !/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+                await discardBody(response);
+                throw new IngestionError('HTML 페이지가 아닙니다.', 422);
+            }
+
+            let body;
+            try {
+                body = await readLimitedBody(response);
+            } catch (error) {
+                if (error instanceof IngestionError) throw error;
+                console.warn(`[ingestArticle] 페이지 본문 읽기 실패 (${currentUrl}):`, error.message);
+                throw new IngestionError(`페이지를 가져오지 못했습니다. (${error.message})`, 422);
+            }
+
+            const html = decodeHtml(body, contentType);
+            return { html, openGraph: await readOpenGraph(html), finalUrl: currentUrl };
+        } finally {
+            agent.close().catch(() => {});
+        }
+    }
+    throw new IngestionError('리다이렉트가 너무 많습니다.', 422);
+};
+
+/**
+ * 추출 결과에서 캐시 키로 쓸 정식 URL을 고름
+ * 다른 사이트의 글을 정식 URL로 밝혀 그 글의 캐시를 덮어쓰지 못하도록 가져온 URL과 호스트가 같을 때만 인정하고,
+ * canonical이 사이트 첫 페이지를 가리키는 등 다른 페이지로 보이면 실제로 가져온 URL을 사용
+ * @param {string|null} canonicalUrl - 페이지가 밝힌 정식 URL
+ * @param {string} finalUrl - 실제로 가져온 URL
+ */
+const resolveCanonicalUrl = (canonicalUrl, finalUrl) => {
+    const normalized = normalizeArticleUrl(canonicalUrl);
+    if (!normalized) return finalUrl;
+    const canonical = new URL(normalized);
+    const fetched = new URL(finalUrl);
+    if (canonical.host !== fetched.host) return finalUrl;
+    if (canonical.pathname === '/' && fetched.pathname !== '/') return finalUrl;
+    return normalized;
+};
+
+const getArticleCacheRef = (canonicalUrl) => db.collection('articleCache')
+    .doc(crypto.createHash('sha256').update(canonicalUrl).digest('hex'));
+
+/**
+ * 요청 URL(정규화된 값)로 캐시된 글을 조회
+ * 한 글을 여러 URL로 요청할 수 있으므로 요청에 쓰인 URL들을 urls 배열에 모아 두고 array-contains로 찾음
+ * @param {string} url - 정규화된 요청 URL
+ * @returns {Promise<object|null>} 캐시된 글 또는 없거나 만료되었으면 null
+ */
+const getCachedArticle = async (url) => {
+    const snapshot = await db.collection('articleCache').where('urls', 'array-contains', url).limit(1).get();
+    const entry = snapshot.empty ? null : snapshot.docs[0].data();
+    if (!entry || entry.expiresAt.toMillis() <= Date.now()) return null;
+    return entry;
+};
+
+/**
+ * 추출한 글을 정식 URL 기준으로 캐시 (캐시 저장 실패가 요청을 실패시키지 않도록 함)
+ * 조회에 쓰는 urls에는 이번에 실제로 가져온 URL만 담음 (이전에 다른 페이지가 남긴 URL은 병합하지 않고 덮어씀)
+ * @param {object} article - fetchArticle 결과
+ * @param {string[]} urls - 이번에 요청하고 가져온 정규화된 URL 목록 (요청 URL, 리다이렉트 후 URL)
+ */
+const cacheArticle = (article, urls) => getArticleCacheRef(article.canonicalUrl)
+    .set({
+        ...article,
+        urls: [...new Set(urls)],
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + ARTICLE_CACHE_TTL_HOURS * HOUR_MS),
+    })
+    .catch(error => console.warn("[articleCache] 캐시 저장 실패:", error));
+
+/**
+ * URL의 글을 가져와 본문과 메타데이터를 추출 (정식 URL 기준으로 캐시)
+ * @param {string} url - 정규화된 요청 URL
+ * @returns {Promise<{ cached: boolean, article: { canonicalUrl: string, title: string|null, author: string|null,
+ *           publishedAt: string|null, leadImage: string|null, siteName: string|null, paragraphs: string[] } }>}
+ */
+const fetchArticle = async (url) => {
+    const cachedArticle = await getCachedArticle(url);
+    if (cachedArticle) {
+        const { urls, createdAt, expiresAt, ...article } = cachedArticle;
+        return { cached: true, article };
+    }
+
+    const { html, openGraph, finalUrl } = await fetchPage(url);
+    const { canonicalUrl, ...extracted } = extractArticle(html, finalUrl, openGraph);
+
+    if (extracted.paragraphs.join('').length < MIN_ARTICLE_LENGTH) {
+        throw new IngestionError('페이지에서 기사 본문을 찾지 못했습니다.', 422);
+    }
+
+    const article = { canonicalUrl: resolveCanonicalUrl(canonicalUrl, finalUrl), ...extracted };
+    await cacheArticle(article, [url, finalUrl]);
+    return { cached: false, article };
+};
+
+module.exports = {
+    IngestionError,
+    normalizeArticleUrl,
+    isPrivateAddress,
+    resolveCanonicalUrl,
+    fetchArticle
+};
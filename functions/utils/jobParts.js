@@ -0,0 +1,157 @@
+// functions/utils/jobParts.js
+const admin = require('firebase-admin');
+
+const { getJobExpiresAt } = require('./retention');
+const { splitParagraphTexts } = require('./simplification');
+
+const db = admin.firestore();
+
+// 순화 작업의 문단, 문장 비교 결과를 나누어 담는 컬렉션
+// 긴 글은 작업 문서 하나의 크기 제한(1MiB)을 넘으므로 documentChapters처럼 최상위 컬렉션에 따로 저장
+const JOB_PARTS_COLLECTION = 'simplificationJobParts';
+
+// 조각 하나에 담을 최대 크기 (JSON 기준 바이트, 필드 이름과 색인 여유를 남김)
+const PART_MAX_BYTES = 512 * 1024;
+// Firestore 배치 하나에 담을 수 있는 최대 쓰기 수
+const BATCH_SIZE = 500;
+
+// 조각으로 나누어 저장하는 값의 종류
+const PART_KINDS = {
+    PARAGRAPHS: 'paragraphs',
+    SIMPLIFIED_PARAGRAPHS: 'simplifiedParagraphs',
+    PARAGRAPH_DIFFS: 'paragraphDiffs',
+};
+
+/**
+ * 배열을 크기 제한 안에 들어가는 조각들로 나눔 (항목 하나가 제한보다 크면 그 항목만 따로 한 조각)
+ * @param {Array<*>} items - 나눌 배열
+ * @returns {Array<Array<*>>}
+ */
+const splitIntoParts = (items) => {
+    const parts = [];
+    let current = [];
+    let currentBytes = 0;
+
+    items.forEach((item) => {
+        const bytes = Buffer.byteLength(JSON.stringify(item));
+        if (current.length > 0 && currentBytes + bytes > PART_MAX_BYTES) {
+            parts.push(current);
+            current = [];
+            currentBytes = 0;
+        }
+        current.push(item);
+        currentBytes += bytes;
+    });
+    if (current.length > 0) parts.push(current);
+    return parts;
+};
+
+/**
+ * 작업의 값을 조각으로 나누어 저장 (같은 값을 다시 저장하면 같은 문서를 덮어씀)
+ * @param {string} jobId - 순화 작업 ID
+ * @param {string} userId - 사용자 UID (계정 삭제, 내보내기에 포함되도록 저장)
+ * @param {Object<string, Array<*>>} values - PART_KINDS의 값 → 배열
+ * @returns {Promise<Object<string, number>>} 종류별 조각 수
+ */
+const saveJobParts = async (jobId, userId, values) => {
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const partCounts = {};
+    const writes = [];
+
+    Object.entries(values).forEach(([kind, items]) => {
+        const parts = splitIntoParts(items);
+        partCounts[kind] = parts.length;
+        parts.forEach((part, index) => writes.push(batch => batch.set(db.collection(JOB_PARTS_COLLECTION).doc(`${jobId}_${kind}_${index}`), {
+            userId: userId,
+            jobId: jobId,
+            kind: kind,
+            index: index,
+            items: part,
+            createdAt: now,
+            expiresAt: getJobExpiresAt(JOB_PARTS_COLLECTION),
+        })));
+    });
+
+    for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+        const batch = db.batch();
+        writes.slice(start, start + BATCH_SIZE).forEach(write => write(batch));
+        await batch.commit();
+    }
+    return partCounts;
+};
+
+/**
+ * 작업의 한 종류 조각들을 읽어 하나의 배열로 합침
+ * 같은 종류의 조각 수는 많지 않으므로 등호 조건으로만 조회하고 순서는 메모리에서 맞춤 (복합 색인 불필요)
+ * @param {string} jobId - 순화 작업 ID
+ * @param {string} kind - PART_KINDS의 값
+ * @returns {Promise<Array<*>>}
+ */
+const loadJobPart = async (jobId, kind) => {
+    const snapshot = await db.collection(JOB_PARTS_COLLECTION)
+        .where('jobId', '==', jobId)
+        .where('kind', '==', kind)
+        .get();
+    return snapshot.docs
+        .map(doc => doc.data())
+        .sort((a, b) => a.index - b.index)
+        .flatMap(part => part.items);
+};
+
+/**
+ * 순화 작업의 원문, 순화 문단을 읽음
+ * 문단을 작업 문서에 함께 저장하던 이전 작업은 문서의 값을 쓰고, 문단 단위 결과도 없으면 전체 텍스트를 문단 구분자로 나눔 (문단 ID는 null)
+ * @param {string} jobId - 순화 작업 ID
+ * @param {object} job - 작업 문서 데이터
+ * @returns {Promise<{ paragraphs: Array<object>, simplifiedParagraphs: Array<object> }>}
+ */
+const loadJobParagraphs = async (jobId, job) => {
+    if (job.paragraphs || typeof job.originalText === 'string') {
+        return {
+            paragraphs: job.paragraphs || splitParagraphTexts(job.originalText),
+            simplifiedParagraphs: job.simplifiedParagraphs || splitParagraphTexts(job.simplifiedText),
+        };
+    }
+
+    const [paragraphs, simplifiedParagraphs] = await Promise.all([
+        loadJobPart(jobId, PART_KINDS.PARAGRAPHS),
+        loadJobPart(jobId, PART_KINDS.SIMPLIFIED_PARAGRAPHS),
+    ]);
+    return { paragraphs, simplifiedParagraphs };
+};
+
+/**
+ * 리포트의 문장 비교 결과(paragraph_diffs)를 조각으로 저장하고, 작업 문서에 남길 나머지 리포트를 반환
+ * @param {string} jobId - 순화 작업 ID
+ * @param {string} userId - 사용자 UID
+ * @param {object} report - buildResultReport 결과
+ * @returns {Promise<object>}
+ */
+const saveJobReport = async (jobId, userId, report) => {
+    const { paragraph_diffs: paragraphDiffs, ...analysis } = report;
+    await saveJobParts(jobId, userId, { [PART_KINDS.PARAGRAPH_DIFFS]: paragraphDiffs });
+    return analysis;
+};
+
+/**
+ * 완료된 순화 작업의 리포트를 읽음 (문장 비교 결과는 조각에서 읽어 paragraph_diffs로 되돌림)
+ * @param {string} jobId - 순화 작업 ID
+ * @param {object} job - 작업 문서 데이터
+ * @returns {Promise<object|null>}
+ */
+const loadJobReport = async (jobId, job) => {
+    if (!job.analysis) return null;
+    // 문장 비교 결과를 리포트에 함께 저장하던 이전 작업
+    if (job.analysis.paragraph_diffs) return job.analysis;
+
+    return { ...job.analysis, paragraph_diffs: await loadJobPart(jobId, PART_KINDS.PARAGRAPH_DIFFS) };
+};
+
+module.exports = {
+    JOB_PARTS_COLLECTION,
+    PART_KINDS,
+    saveJobParts,
+    loadJobParagraphs,
+    saveJobReport,
+    loadJobReport
+};
@@ -0,0 +1,145 @@
+// functions/utils/jobQueue.js
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+// 작업 하나당 최대 시도 횟수
+const MAX_ATTEMPTS = 3;
+// 재시도 대기 시간 (지수 백오프: 2초, 4초, 8초 ... 최대 30초)
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 30000;
+// 이보다 오래된 이벤트는 재시도하지 않고 버림 (재시도가 무한히 이어지는 것 방지)
+const MAX_EVENT_AGE_MS = 30 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 시도 횟수에 따른 재시도 대기 시간 (지터 포함)
+ * @param {number} attempt - 방금 실패한 시도 번호 (1부터 시작)
+ */
+const getBackoffDelay = (attempt) => {
+    const exponential = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+};
+
+/**
+ * 작업 문서를 이번 시도로 선점하고 시도 횟수를 증가
+ * @returns {Promise<number|null>} 이번 시도 번호, 이미 끝난 작업이면 null
+ */
+const claimJob = (jobRef) => db.runTransaction(async (transaction) => {
+    const jobSnap = await transaction.get(jobRef);
+    if (!jobSnap.exists) return null;
+
+    const job = jobSnap.data();
+    if (job.status === 'completed' || job.status === 'failed') return null;
+
+    const attempt = (job.attempts || 0) + 1;
+    if (attempt > MAX_ATTEMPTS) {
+        transaction.update(jobRef, {
+            status: 'failed',
+            error: job.lastError || '최대 재시도 횟수를 초과했습니다.',
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return null;
+    }
+
+    transaction.update(jobRef, {
+        attempts: attempt,
+        lastAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return attempt;
+});
+
+/**
+ * 작업을 완료 상태로 기록. 이미 완료된 작업이면 아무것도 쓰지 않음 (재시도 시 결과 중복 방지)
+ * @returns {Promise<boolean>} 이번 호출로 완료 처리했으면 true
+ */
+const completeJob = (jobRef, fields) => db.runTransaction(async (transaction) => {
+    const jobSnap = await transaction.get(jobRef);
+    if (!jobSnap.exists || jobSnap.data().status === 'completed') return false;
+
+    transaction.update(jobRef, {
+        ...fields,
+        status: 'completed',
+        error: admin.firestore.FieldValue.delete(),
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+});
+
+/**
+ * Firestore onCreate 트리거에서 작업을 실행. 실패하면 백오프 후 예외를 던져 재시도를 요청하고,
+ * 최대 시도 횟수에 도달하면 'failed'로 기록
+ * (트리거는 runWith({ failurePolicy: true })로 배포되어야 재시도됨)
+ *
+ * @param {FirebaseFirestore.DocumentSnapshot} snap - 생성된 작업 문서
+ * @param {object} context - 트리거 이벤트 컨텍스트
+ * @param {object} handlers
+ * @param {function(object, string): Promise<object>} handlers.execute - 작업 데이터와 jobId를 받아 결과 필드를 반환
+ * @param {function(object, object, string): Promise<void>} [handlers.onCompleted] - 완료가 처음 기록되었을 때만 실행되는 후처리
+ */
+const runJob = async (snap, context, { execute, onCompleted }) => {
+    const jobRef = snap.ref;
+    const jobId = snap.id;
+
+    const eventAge = Date.now() - Date.parse(context.timestamp);
+    if (eventAge > MAX_EVENT_AGE_MS) {
+        console.error(`[Job ID: ${jobId}] 이벤트가 너무 오래되어 재시도를 중단합니다. (${Math.round(eventAge / 1000)}초)`);
+        const currentSnap = await jobRef.get();
+        if (currentSnap.exists && currentSnap.data().status === 'processing') {
+            await jobRef.update({
+                status: 'failed',
+                error: '작업 재시도 시간이 초과되었습니다.',
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+        return;
+    }
+
+    const attempt = await claimJob(jobRef);
+    if (attempt === null) {
+        return;
+    }
+
+    let fields;
+    try {
+        fields = await execute(snap.data(), jobId);
+    } catch (error) {
+        console.error(`[Job ID: ${jobId}] ${attempt}번째 시도 실패:`, error);
+
+        if (attempt >= MAX_ATTEMPTS) {
+            await jobRef.update({
+                status: 'failed',
+                error: error.message,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            return;
+        }
+
+        await jobRef.update({
+            lastError: error.message,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        await sleep(getBackoffDelay(attempt));
+        throw error; // 예외를 던져 Cloud Functions가 이벤트를 다시 전달하도록 함
+    }
+
+    const completedNow = await completeJob(jobRef, fields);
+    if (completedNow && onCompleted) {
+        try {
+            await onCompleted(snap.data(), fields, jobId);
+        } catch (error) {
+            // 후처리 실패가 이미 완료된 작업 결과를 바꾸지는 않도록 함
+            console.warn(`[Job ID: ${jobId}] 완료 후처리 실패:`, error);
+        }
+    }
+};
+
+module.exports = {
+    MAX_ATTEMPTS,
+    MAX_EVENT_AGE_MS,
+    getBackoffDelay,
+    runJob
+};
@@ -0,0 +1,286 @@
+// functions/utils/llm.js
+const fs = require('fs');
+const path = require('path');
+const { OpenAI } = require('openai');
+
+const { recordTokenUsage } = require('./rateLimit');
+
+const DEFAULT_MODEL = 'gpt-4-turbo';
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+// 목 제공자가 스트리밍 응답을 나누어 보내는 조각 길이 (글자 수)
+const MOCK_STREAM_CHUNK_SIZE = 16;
+// 목 제공자가 만드는 임베딩 벡터의 차원 수
+const MOCK_EMBEDDING_DIMENSIONS = 256;
+
+// 임베딩을 만드는 작업 이름 (대화형 모델이 아닌 임베딩 모델의 기본값을 씀)
+const EMBEDDING_TASK = 'embedding';
+
+// 엔드포인트(또는 '엔드포인트.작업')별 모델 설정 (null이면 기본 모델)
+// 기본 모델은 대화형 작업이 LLM_MODEL, 임베딩 작업이 LLM_EMBEDDING_MODEL이고, 둘 다 없으면 DEFAULT_MODEL, DEFAULT_EMBEDDING_MODEL
+// 환경 변수 LLM_MODEL_<이름> (예: LLM_MODEL_SIMPLIFYTEXT, LLM_MODEL_DICTIONARYAPI_DEFINITION)로 덮어쓸 수 있음
+const MODEL_CONFIG = {
+    simplifyText: null,
+    summarizeText: null,
+    dictionaryApi: null,
+    getReadingRecommendations: null,
+    'getReadingRecommendations.embedding': null,
+    askArticleQuestion: null,
+    generateComprehensionQuiz: null,
+    gradeComprehensionQuiz: null,
+};
+
+/**
+ * 사용할 LLM 제공자 이름
+ * - LLM_PROVIDER가 있으면 그 값 ('openai' | 'openai-compatible' | 'mock')
+ * - 에뮬레이터에서 OPENAI_API_KEY가 없으면 'mock'
+ * - 그 외에는 'openai'
+ */
+const getProviderName = () => {
+    if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+    if (process.env.FUNCTIONS_EMULATOR === 'true' && !process.env.OPENAI_API_KEY) return 'mock';
+    return 'openai';
+};
+
+const isMockProvider = () => getProviderName() === 'mock';
+
+/**
+ * 호출에 사용할 모델 이름을 결정
+ * '엔드포인트.작업', 엔드포인트 순으로 환경 변수와 MODEL_CONFIG를 확인하고, 정해진 값이 없으면 기본 모델을 씀
+ * 임베딩 작업은 엔드포인트의 대화형 모델 설정을 물려받지 않음
+ * @param {string} endpoint - 엔드포인트 이름
+ * @param {string} [task] - 한 엔드포인트 안의 세부 작업 이름 (예: 'definition', 'embedding')
+ */
+const getModelFor = (endpoint, task) => {
+    const isEmbedding = task === EMBEDDING_TASK;
+    const keys = task ? [`${endpoint}.${task}`] : [];
+    if (!isEmbedding) keys.push(endpoint);
+
+    for (const key of keys) {
+        const envValue = process.env[`LLM_MODEL_${key.replace('.', '_').toUpperCase()}`];
+        if (envValue) return envValue;
+        if (MODEL_CONFIG[key]) return MODEL_CONFIG[key];
+    }
+    return isEmbedding
+        ? process.env.LLM_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL
+        : process.env.LLM_MODEL || DEFAULT_MODEL;
+};
+
+// ------------------------------------------------------------------
+// 제공자 구현: 모두 createChatCompletion(params)로 OpenAI 형식의 응답을 반환하고,
+// streamChatCompletion(params)로 { content, usage } 조각을 차례로 내보내며,
+// createEmbeddings(params)로 OpenAI 형식의 임베딩 응답({ data: [{ index, embedding }], usage })을 반환
+// ------------------------------------------------------------------
+
+/**
+ * OpenAI 또는 OpenAI 호환 서버(로컬 서버 등)를 사용하는 제공자
+ * @param {object} options - { apiKey, baseURL }
+ */
+const createOpenAIProvider = ({ apiKey, baseURL }) => {
+    const client = new OpenAI({ apiKey, baseURL });
+    return {
+        name: baseURL ? 'openai-compatible' : 'openai',
+        createChatCompletion: (params) => client.chat.completions.create(params),
+        streamChatCompletion: async function* (params) {
+            // include_usage: 마지막 조각에 토큰 사용량을 포함
+            const stream = await client.chat.completions.create({
+                ...params,
+                stream: true,
+                stream_options: { include_usage: true },
+            });
+            for await (const chunk of stream) {
+                yield {
+                    content: chunk.choices[0]?.delta?.content || '',
+                    usage: chunk.usage || null,
+                };
+            }
+        },
+        createEmbeddings: (params) => client.embeddings.create(params),
+    };
+};
+
+// 픽스처 파일 캐시 (엔드포인트 이름 → 픽스처 내용)
+const fixtureCache = new Map();
+
+const loadFixture = (endpoint) => {
+    if (!fixtureCache.has(endpoint)) {
+        const fixturePath = path.join(FIXTURES_DIR, `${endpoint}.json`);
+        fixtureCache.set(endpoint, fs.existsSync(fixturePath)
+            ? JSON.parse(fs.readFileSync(fixturePath, 'utf8'))
+            : { responses: [], default: '' });
+    }
+    return fixtureCache.get(endpoint);
+};
+
+/**
+ * 텍스트의 글자 바이그램 빈도를 해시하여 고정 차원 벡터로 만듦 (목 제공자용)
+ * 글자를 많이 공유하는 텍스트일수록 코사인 유사도가 높아 순위 흐름을 확인하기에 충분함
+ * @param {string} text - 임베딩할 텍스트
+ * @returns {number[]} 길이가 1인 벡터
+ */
+const buildMockEmbedding = (text) => {
+    const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+    for (let i = 0; i < normalized.length - 1; i++) {
+        // FNV-1a 해시
+        let hash = 0x811c9dc5;
+        for (const char of normalized.slice(i, i + 2)) {
+            hash ^= char.charCodeAt(0);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        vector[(hash >>> 0) % MOCK_EMBEDDING_DIMENSIONS] += 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+};
+
+/**
+ * 네트워크 없이 픽스처 파일로 응답하는 결정적(deterministic) 제공자
+ * fixtures/llm/<endpoint>.json 형식:
+ * { "responses": [{ "task": "작업 이름(선택)", "match": "프롬프트에 포함된 문자열(선택)", "content": 문자열 또는 JSON }], "default": ... }
+ * 위에서부터 처음 조건이 맞는 응답을 사용하고, 없으면 default를 사용
+ */
+const createMockProvider = () => {
+    const createChatCompletion = async (params, { endpoint, task } = {}) => {
+        const fixture = loadFixture(endpoint);
+        const prompt = params.messages.map(message => message.content).join('\n');
+
+        const matched = (fixture.responses || []).find(entry =>
+            (!entry.task || entry.task === task) && (!entry.match || prompt.includes(entry.match))
+        );
+        const content = matched ? matched.content : fixture.default;
+        const text = typeof content === 'string' ? content : JSON.stringify(content);
+
+        // 토큰 수는 글자 수로 대략 계산 (사용량 기록 흐름 확인용)
+        const promptTokens = Math.ceil(prompt.length / 2);
+        const completionTokens = Math.ceil(text.length / 2);
+
+        return {
+            id: `mock-${endpoint}`,
+            object: 'chat.completion',
+            model: params.model,
+            choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: text } }],
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens,
+            },
+        };
+    };
+
+    return {
+        name: 'mock',
+        createChatCompletion,
+        // 같은 픽스처 응답을 일정한 길이의 조각으로 나누어 스트리밍을 흉내 냄
+        streamChatCompletion: async function* (params, meta) {
+            const completion = await createChatCompletion(params, meta);
+            const text = completion.choices[0].message.content;
+            for (let offset = 0; offset < text.length; offset += MOCK_STREAM_CHUNK_SIZE) {
+                yield { content: text.slice(offset, offset + MOCK_STREAM_CHUNK_SIZE), usage: null };
+            }
+            yield { content: '', usage: completion.usage };
+        },
+        // 임베딩은 픽스처 없이 입력 텍스트로부터 결정적으로 계산
+        createEmbeddings: async (params) => {
+            const inputs = Array.isArray(params.input) ? params.input : [params.input];
+            const promptTokens = Math.ceil(inputs.join('').length / 2);
+            return {
+                object: 'list',
+                model: params.model,
+                data: inputs.map((input, index) => ({ object: 'embedding', index, embedding: buildMockEmbedding(input) })),
+                usage: { prompt_tokens: promptTokens, total_tokens: promptTokens },
+            };
+        },
+    };
+};
+
+let cachedProvider = null;
+
+/**
+ * 환경 설정에 맞는 LLM 제공자를 반환 (인스턴스 안에서 재사용)
+ */
+const getProvider = () => {
+    const name = getProviderName();
+    if (cachedProvider && cachedProvider.name === name) {
+        return cachedProvider;
+    }
+
+    switch (name) {
+        case 'mock':
+            cachedProvider = createMockProvider();
+            break;
+        case 'openai-compatible':
+            if (!process.env.LLM_BASE_URL) {
+                throw new Error('openai-compatible 제공자를 사용하려면 LLM_BASE_URL이 필요합니다.');
+            }
+            cachedProvider = createOpenAIProvider({
+                apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || 'not-needed',
+                baseURL: process.env.LLM_BASE_URL,
+            });
+            break;
+        case 'openai':
+            cachedProvider = createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+            break;
+        default:
+            throw new Error(`알 수 없는 LLM 제공자입니다: ${name}`);
+    }
+    return cachedProvider;
+};
+
+/**
+ * 채팅 완성 요청. 모델은 엔드포인트 설정으로 정해지고, userId가 있으면 토큰 사용량을 기록
+ * @param {object} params - model을 제외한 chat.completions.create 파라미터 (messages, temperature 등)
+ * @param {object} options
+ * @param {string} options.endpoint - 엔드포인트 이름 (모델 설정, 사용량 기록, 목 픽스처에 사용)
+ * @param {string} [options.task] - 엔드포인트 안의 세부 작업 이름
+ * @param {string} [options.userId] - 토큰 사용량을 기록할 사용자 UID
+ */
+const createChatCompletion = async (params, { endpoint, task, userId }) => {
+    const completion = await getProvider().createChatCompletion(
+        { ...params, model: getModelFor(endpoint, task) },
+        { endpoint, task }
+    );
+    await recordTokenUsage(userId, endpoint, completion.usage);
+    return completion;
+};
+
+/**
+ * 스트리밍 채팅 완성 요청. 응답 텍스트 조각을 도착하는 대로 내보내고, 끝나면 토큰 사용량을 기록
+ * @param {object} params - model, stream을 제외한 chat.completions.create 파라미터
+ * @param {object} options - createChatCompletion과 같음 ({ endpoint, task, userId })
+ * @returns {AsyncGenerator<string>} 응답 텍스트 조각
+ */
+const streamChatCompletion = async function* (params, { endpoint, task, userId }) {
+    let usage = null;
+    const stream = getProvider().streamChatCompletion(
+        { ...params, model: getModelFor(endpoint, task) },
+        { endpoint, task }
+    );
+    for await (const chunk of stream) {
+        if (chunk.usage) usage = chunk.usage;
+        if (chunk.content) yield chunk.content;
+    }
+    await recordTokenUsage(userId, endpoint, usage);
+};
+
+/**
+ * 텍스트 임베딩 요청. 모델은 '<엔드포인트>.embedding' 설정으로 정해지고, userId가 있으면 토큰 사용량을 기록
+ * @param {string[]} input - 임베딩할 텍스트 배열
+ * @param {object} options - createChatCompletion과 같음 ({ endpoint, userId })
+ * @returns {Promise<number[][]>} 입력 순서대로의 임베딩 벡터
+ */
+const createEmbeddings = async (input, { endpoint, userId }) => {
+    const result = await getProvider().createEmbeddings({ input, model: getModelFor(endpoint, EMBEDDING_TASK) });
+    await recordTokenUsage(userId, endpoint, result.usage);
+    return [...result.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+};
+
+module.exports = {
+    MODEL_CONFIG,
+    getProviderName,
+    isMockProvider,
+    getModelFor,
+    createChatCompletion,
+    streamChatCompletion,
+    createEmbeddings
+};
@@ -0,0 +1,188 @@
+// functions/utils/profileSchema.js
+const admin = require('firebase-admin');
+
+const { LEVEL_MIN, LEVEL_MAX, LEVEL_STEP, PROFILE_DIMENSIONS, normalizeLevel } = require('./readingProfile');
+const { DEFAULT_PLAN, PLANS } = require('./rateLimit');
+
+const db = admin.firestore();
+
+// 현재 프로필 스키마 버전 (schemaVersion 필드가 없는 문서는 버전 1로 간주)
+const CURRENT_SCHEMA_VERSION = 3;
+
+// 허용되는 관심 주제 목록
+const ALLOWED_TOPICS = ['정치', '경제', '사회', '생활/문화', 'IT', '과학'];
+
+// 자주 들어오는 표기 변형을 표준 주제로 매핑
+const TOPIC_ALIASES = {
+    '생활': '생활/문화',
+    '문화': '생활/문화',
+    '생활문화': '생활/문화',
+    '생활·문화': '생활/문화',
+    'it': 'IT',
+    'IT/과학': 'IT',
+};
+
+const DEFAULT_READING_PROFILE = {
+    sentence: 1,
+    vocabulary: 1,
+};
+
+/**
+ * 관심 주제 값을 표준 주제로 변환. 허용되지 않는 값이면 null
+ * @param {*} topic - 관심 주제
+ */
+const normalizeTopic = (topic) => {
+    if (typeof topic !== 'string') return null;
+    const trimmed = topic.trim();
+    if (ALLOWED_TOPICS.includes(trimmed)) return trimmed;
+    return TOPIC_ALIASES[trimmed] || TOPIC_ALIASES[trimmed.toLowerCase()] || null;
+};
+
+/**
+ * 클라이언트가 보낸 프로필 입력값을 검증
+ * @param {object} input - { readingProfile, knownTopics }
+ * @returns {{ errors: Array<{field: string, message: string}>, value: object }}
+ *          value에는 검증을 통과한 (요청에 포함된) 필드만 담김 (빠진 값은 저장 시 기존 값 또는 기본값 사용)
+ */
+const validateProfileInput = (input) => {
+    const errors = [];
+    const value = {};
+    const { readingProfile, knownTopics } = input || {};
+
+    if (readingProfile !== undefined) {
+        if (!readingProfile || typeof readingProfile !== 'object' || Array.isArray(readingProfile)) {
+            errors.push({ field: 'readingProfile', message: 'readingProfile은 객체여야 합니다.' });
+        } else {
+            Object.keys(readingProfile)
+                .filter(key => !PROFILE_DIMENSIONS.includes(key))
+                .forEach(key => errors.push({ field: `readingProfile.${key}`, message: '알 수 없는 필드입니다.' }));
+
+            const levels = {};
+            PROFILE_DIMENSIONS.forEach((dimension) => {
+                const level = readingProfile[dimension];
+                if (level === undefined) return;
+
+                if (typeof level !== 'number' || Number.isNaN(level) || level < LEVEL_MIN || level > LEVEL_MAX) {
+                    errors.push({ field: `readingProfile.${dimension}`, message: `${LEVEL_MIN} ~ ${LEVEL_MAX} 사이의 숫자여야 합니다.` });
+                } else if (normalizeLevel(level) !== level) {
+                    errors.push({ field: `readingProfile.${dimension}`, message: `${LEVEL_STEP} 단위의 값이어야 합니다.` });
+                } else {
+                    levels[dimension] = level;
+                }
+            });
+            value.readingProfile = levels;
+        }
+    }
+
+    if (knownTopics !== undefined) {
+        if (!Array.isArray(knownTopics)) {
+            errors.push({ field: 'knownTopics', message: 'knownTopics는 배열이어야 합니다.' });
+        } else {
+            knownTopics.forEach((topic, index) => {
+                if (!ALLOWED_TOPICS.includes(topic)) {
+                    errors.push({ field: `knownTopics[${index}]`, message: `허용되지 않는 주제입니다. (${ALLOWED_TOPICS.join(', ')})` });
+                }
+            });
+            value.knownTopics = [...new Set(knownTopics)];
+        }
+    }
+
+    return { errors, value };
+};
+
+// ------------------------------------------------------------------
+// 스키마 마이그레이션: MIGRATIONS[n]은 버전 n 문서를 버전 n+1로 변환
+// ------------------------------------------------------------------
+const MIGRATIONS = {
+    // v1 → v2: 문자열 수준 값을 숫자로 변환하고, 허용되지 않는 주제를 정리
+    1: (data) => {
+        const readingProfile = {};
+        const legacyProfile = data.readingProfile && typeof data.readingProfile === 'object' ? data.readingProfile : {};
+        PROFILE_DIMENSIONS.forEach((dimension) => {
+            const raw = legacyProfile[dimension];
+            const level = normalizeLevel(typeof raw === 'string' ? parseFloat(raw) : raw);
+            readingProfile[dimension] = level === null ? DEFAULT_READING_PROFILE[dimension] : level;
+        });
+
+        const legacyTopics = Array.isArray(data.knownTopics) ? data.knownTopics : [];
+        const knownTopics = [...new Set(legacyTopics.map(normalizeTopic).filter(Boolean))];
+        const droppedTopics = legacyTopics.filter(topic => !normalizeTopic(topic));
+        if (droppedTopics.length > 0) {
+            console.warn(`프로필 마이그레이션 중 허용되지 않는 주제 제거: ${droppedTopics.join(', ')}`);
+        }
+
+        return {
+            ...data,
+            readingProfile,
+            knownTopics,
+            getRecommendations: typeof data.getRecommendations === 'boolean' ? data.getRecommendations : true,
+            schemaVersion: 2,
+        };
+    },
+
+    // v2 → v3: 요청 한도에 사용할 요금제(plan) 추가
+    2: (data) => ({
+        ...data,
+        plan: PLANS.includes(data.plan) ? data.plan : DEFAULT_PLAN,
+        schemaVersion: 3,
+    }),
+};
+
+/**
+ * 프로필 문서를 현재 스키마 버전으로 변환
+ * @param {object} data - Firestore에 저장된 프로필 데이터
+ * @returns {{ data: object, migrated: boolean }}
+ */
+const migrateProfile = (data) => {
+    let migrated = { ...data };
+    let version = migrated.schemaVersion || 1;
+    const startVersion = version;
+
+    while (version < CURRENT_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`프로필 스키마 v${version}에 대한 마이그레이션이 없습니다.`);
+        }
+        migrated = migrate(migrated);
+        version = migrated.schemaVersion;
+    }
+
+    return { data: migrated, migrated: version !== startVersion };
+};
+
+/**
+ * 사용자 프로필을 조회. 구버전 문서는 현재 스키마로 변환한 뒤 저장
+ * @param {string} userId - 사용자 UID
+ * @returns {Promise<object|null>} 프로필 데이터 또는 프로필이 없으면 null
+ */
+const loadUserProfile = async (userId) => {
+    const userProfileRef = db.collection('users').doc(userId);
+    const userProfileSnap = await userProfileRef.get();
+
+    if (!userProfileSnap.exists) {
+        return null;
+    }
+
+    const { data, migrated } = migrateProfile(userProfileSnap.data());
+    if (migrated) {
+        await userProfileRef.set({
+            readingProfile: data.readingProfile,
+            knownTopics: data.knownTopics,
+            getRecommendations: data.getRecommendations,
+            plan: data.plan,
+            schemaVersion: data.schemaVersion,
+            migratedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+    }
+
+    return data;
+};
+
+module.exports = {
+    CURRENT_SCHEMA_VERSION,
+    ALLOWED_TOPICS,
+    DEFAULT_READING_PROFILE,
+    validateProfileInput,
+    migrateProfile,
+    loadUserProfile
+};
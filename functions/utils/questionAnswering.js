@@ -0,0 +1,217 @@
+// functions/utils/questionAnswering.js
+const { createChatCompletion } = require('./llm');
+const { CHUNK_TOKEN_LIMITS, estimateTokens } = require('./chunking');
+const { getEojeols, stripParticle } = require('./analysis');
+const { buildSimplificationGuidelines } = require('./readingProfile');
+
+const SYSTEM_PROMPT = "You are a careful reading assistant who answers questions only from the given article and returns only a JSON object.";
+
+// 글에서 근거를 찾지 못했을 때의 답변
+const NOT_IN_TEXT_ANSWER = '글에서 이 질문에 대한 내용을 찾을 수 없습니다.';
+
+const MAX_QUESTION_LENGTH = 500;
+// 이전 대화는 최근 것부터 이 개수까지만 사용 (질문 + 답변 한 쌍이 2개)
+const MAX_HISTORY_MESSAGES = 10;
+const MAX_HISTORY_MESSAGE_LENGTH = 2000;
+const HISTORY_ROLES = ['user', 'assistant'];
+
+// 질문과 문단의 관련도를 셀 때 무시하는 짧은 어간 (한 글자 단어는 너무 흔함)
+const MIN_KEYWORD_LENGTH = 2;
+
+const getParagraphKey = (index) => `P${index + 1}`;
+
+// 인용문 비교용 정규화 (공백, 유니코드 정규화 차이 무시)
+const normalizeQuote = (text) => String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+
+/**
+ * 질문과 이전 대화를 검증
+ * @param {*} question - 요청의 question 값
+ * @param {*} history - 요청의 history 값 ([{ role: 'user' | 'assistant', content }])
+ * @returns {{ errors: Array<{field: string, message: string}>, value: { question: string, history: Array<{role: string, content: string}> } }}
+ */
+const validateQuestionRequest = (question, history) => {
+    const errors = [];
+    const value = { question: typeof question === 'string' ? question.trim() : '', history: [] };
+
+    if (!value.question) {
+        errors.push({ field: 'question', message: '질문이 필요합니다.' });
+    } else if (value.question.length > MAX_QUESTION_LENGTH) {
+        errors.push({ field: 'question', message: `질문은 ${MAX_QUESTION_LENGTH}자 이하여야 합니다.` });
+    }
+
+    if (history !== undefined && history !== null) {
+        if (!Array.isArray(history)) {
+            errors.push({ field: 'history', message: 'history는 배열이어야 합니다.' });
+        } else {
+            history.forEach((message, index) => {
+                if (!message || !HISTORY_ROLES.includes(message.role) || typeof message.content !== 'string') {
+                    errors.push({ field: `history[${index}]`, message: `role(${HISTORY_ROLES.join(', ')})과 content 문자열이 필요합니다.` });
+                }
+            });
+            if (errors.length === 0) {
+                value.history = history
+                    .slice(-MAX_HISTORY_MESSAGES)
+                    .map(message => ({ role: message.role, content: message.content.slice(0, MAX_HISTORY_MESSAGE_LENGTH) }));
+            }
+        }
+    }
+
+    return { errors, value };
+};
+
+// 텍스트의 어간(조사를 뗀 어절) 집합
+const getKeywords = (text) => new Set(getEojeols(text)
+    .map(stripParticle)
+    .filter(keyword => keyword.length >= MIN_KEYWORD_LENGTH));
+
+/**
+ * 프롬프트에 넣을 문단을 선택
+ * 글 전체가 한도 안에 들어오면 모두 넣고, 넘으면 질문(과 직전 질문)의 어간이 많이 겹치는 문단부터 한도까지 골라 원문 순서로 정렬
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ * @param {string} question - 질문
+ * @param {Array<{role: string, content: string}>} history - 이전 대화
+ * @returns {number[]} 선택한 문단 순서
+ */
+const selectContextParagraphs = (paragraphs, question, history) => {
+    const maxTokens = CHUNK_TOKEN_LIMITS.askArticleQuestion;
+    const tokens = paragraphs.map(p => estimateTokens(p.text));
+    const allIndexes = paragraphs.map((_, index) => index);
+    if (tokens.reduce((sum, count) => sum + count, 0) <= maxTokens) return allIndexes;
+
+    // "그건 왜 그래?" 같은 이어지는 질문은 직전 질문의 단어로도 문단을 찾음
+    const previousQuestion = [...history].reverse().find(message => message.role === 'user');
+    const questionKeywords = getKeywords(`${question} ${previousQuestion ? previousQuestion.content : ''}`);
+    const scores = paragraphs.map((p) => {
+        const paragraphKeywords = getKeywords(p.text);
+        return [...questionKeywords].filter(keyword => paragraphKeywords.has(keyword)).length;
+    });
+
+    const selected = [];
+    let usedTokens = 0;
+    allIndexes
+        .sort((a, b) => (scores[b] - scores[a]) || (a - b))
+        .forEach((index) => {
+            if (usedTokens + tokens[index] > maxTokens) return;
+            selected.push(index);
+            usedTokens += tokens[index];
+        });
+
+    return selected.sort((a, b) => a - b);
+};
+
+/**
+ * 질의응답 요청 메시지 (이전 대화는 질문 앞에 그대로 이어 붙임)
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ * @param {number[]} contextIndexes - 프롬프트에 넣을 문단 순서
+ * @param {string} question - 질문
+ * @param {Array<{role: string, content: string}>} history - 이전 대화
+ */
+const buildQuestionMessages = (readingProfile, paragraphs, contextIndexes, question, history) => {
+    const guidelineSentences = buildSimplificationGuidelines(readingProfile);
+    const articleText = contextIndexes.map(index => `[${getParagraphKey(index)}]\n${paragraphs[index].text}`).join('\n\n');
+
+    const instruction = `
+                ## 역할 (Persona)
+                당신은 독자가 지금 읽고 있는 글에 대한 질문에 답하는 읽기 도우미입니다.
+
+                ## 지침
+                - **글에 근거한 답변**: 아래 원문 텍스트에 있는 내용만으로 답하세요. 배경지식이나 추측으로 내용을 보태지 마세요.
+                - **근거 인용**: 답의 근거가 되는 문단 키(예: "P3")와, 그 문단에서 그대로 옮겨 적은 짧은 인용문(quote)을 citations에 넣으세요. 인용문은 원문의 글자를 바꾸지 말고 한 문장 이내로 쓰세요.
+                - **근거가 없는 질문**: 원문에서 답을 찾을 수 없으면 answerable을 false로 하고 answer에 "${NOT_IN_TEXT_ANSWER}"라고 쓰세요. citations는 빈 배열로 두세요.
+                - 이전 대화가 있으면 이어지는 질문으로 보고 답하세요.${guidelineSentences.length > 0 ? `
+                - **독자 수준에 맞는 답변**: 독자의 읽기 프로필에 맞춰 답을 쓰세요. ${guidelineSentences.join(' ')}` : ''}
+                - 원문이 한국어이므로, 답변도 반드시 한국어로 작성하세요.
+
+                ## 출력 형식 (JSON)
+                { "answerable": true, "answer": "답변", "citations": [{ "source": "P3", "quote": "원문에서 그대로 옮긴 문장" }] }
+
+                ## 원문 텍스트 (Original Text)
+                원문의 각 문단은 [P1], [P2] 같은 문단 키로 시작합니다.${contextIndexes.length < paragraphs.length ? ' 글이 길어 질문과 관련된 문단만 실었습니다.' : ''}
+                ---
+                ${articleText}
+                ---
+            `;
+
+    return [
+        { "role": "system", "content": SYSTEM_PROMPT },
+        { "role": "user", "content": instruction },
+        ...history,
+        { "role": "user", "content": question },
+    ];
+};
+
+/**
+ * 응답의 인용을 검증 (프롬프트에 넣은 문단 키이고, 인용문이 그 문단에 실제로 있을 때만 인정)
+ * @param {*} citations - 응답의 citations 값
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ * @param {number[]} contextIndexes - 프롬프트에 넣은 문단 순서
+ * @returns {Array<{paragraphIndex: number, quote: string}>}
+ */
+const validateCitations = (citations, paragraphs, contextIndexes) => {
+    if (!Array.isArray(citations)) return [];
+    const seen = new Set();
+
+    return citations
+        .map((citation) => {
+            const match = citation && /^P(\d+)$/.exec(String(citation.source || '').trim());
+            if (!match) return null;
+            const paragraphIndex = Number(match[1]) - 1;
+            if (!contextIndexes.includes(paragraphIndex)) return null;
+
+            const quote = normalizeQuote(citation.quote);
+            if (!quote || !normalizeQuote(paragraphs[paragraphIndex].text).includes(quote)) {
+                console.warn(`[askArticleQuestion] 원문에 없는 인용문을 제외합니다. (${getParagraphKey(paragraphIndex)})`);
+                return null;
+            }
+            return { paragraphIndex, quote };
+        })
+        .filter((citation) => {
+            if (!citation) return false;
+            const key = `${citation.paragraphIndex}:${citation.quote}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+};
+
+/**
+ * 글에 대한 질문에 답변
+ * 검증된 인용이 하나도 없으면 답변을 믿을 수 없으므로 "글에서 찾을 수 없음"으로 응답
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ * @param {object} request - validateQuestionRequest 결과
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @returns {Promise<{ answerable: boolean, answer: string, citations: Array<{paragraphIndex: number, quote: string}> }>}
+ *          paragraphIndex는 원문 문단 순서 (문단 ID는 호출하는 쪽에서 붙임)
+ */
+const answerQuestion = async (paragraphs, { question, history }, readingProfile, userId) => {
+    const contextIndexes = selectContextParagraphs(paragraphs, question, history);
+
+    const completion = await createChatCompletion({
+        messages: buildQuestionMessages(readingProfile, paragraphs, contextIndexes, question, history),
+        response_format: { type: "json_object" },
+        max_tokens: 1000,
+    }, { endpoint: 'askArticleQuestion', userId });
+
+    let parsed = {};
+    try {
+        parsed = JSON.parse(completion.choices[0].message.content || '{}') || {};
+    } catch (error) {
+        console.warn("질의응답 응답 JSON 파싱 실패:", error.message);
+    }
+
+    const citations = parsed.answerable === false ? [] : validateCitations(parsed.citations, paragraphs, contextIndexes);
+    const answer = typeof parsed.answer === 'string' ? parsed.answer.trim() : '';
+
+    if (citations.length === 0 || !answer) {
+        return { answerable: false, answer: NOT_IN_TEXT_ANSWER, citations: [] };
+    }
+    return { answerable: true, answer, citations };
+};
+
+module.exports = {
+    NOT_IN_TEXT_ANSWER,
+    validateQuestionRequest,
+    answerQuestion
+};
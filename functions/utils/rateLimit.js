@@ -0,0 +1,253 @@
+// functions/utils/rateLimit.js
+const admin = require('firebase-admin');
+
+const { getAuthenticatedUser } = require('./auth');
+
+const db = admin.firestore();
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 일일 한도는 한국 시간(UTC+9) 자정에 초기화
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const DEFAULT_PLAN = 'free';
+
+// 요금제별, 엔드포인트별 요청 한도
+const PLAN_LIMITS = {
+    free: {
+        simplifyText: { perMinute: 5, perDay: 30 },
+        summarizeText: { perMinute: 5, perDay: 30 },
+        dictionaryApi: { perMinute: 5, perDay: 30 },
+        getReadingRecommendations: { perMinute: 3, perDay: 20 },
+        askArticleQuestion: { perMinute: 10, perDay: 50 },
+        generateComprehensionQuiz: { perMinute: 3, perDay: 20 },
+        gradeComprehensionQuiz: { perMinute: 10, perDay: 50 },
+        ingestArticle: { perMinute: 10, perDay: 50 },
+        importDocument: { perMinute: 2, perDay: 10 },
+    },
+    plus: {
+        simplifyText: { perMinute: 10, perDay: 200 },
+        summarizeText: { perMinute: 10, perDay: 200 },
+        dictionaryApi: { perMinute: 10, perDay: 200 },
+        getReadingRecommendations: { perMinute: 5, perDay: 100 },
+        askArticleQuestion: { perMinute: 20, perDay: 300 },
+        generateComprehensionQuiz: { perMinute: 5, perDay: 100 },
+        gradeComprehensionQuiz: { perMinute: 20, perDay: 300 },
+        ingestArticle: { perMinute: 20, perDay: 300 },
+        importDocument: { perMinute: 5, perDay: 50 },
+    },
+    pro: {
+        simplifyText: { perMinute: 30, perDay: 1000 },
+        summarizeText: { perMinute: 30, perDay: 1000 },
+        dictionaryApi: { perMinute: 30, perDay: 1000 },
+        getReadingRecommendations: { perMinute: 10, perDay: 500 },
+        askArticleQuestion: { perMinute: 60, perDay: 1500 },
+        generateComprehensionQuiz: { perMinute: 10, perDay: 500 },
+        gradeComprehensionQuiz: { perMinute: 60, perDay: 1500 },
+        ingestArticle: { perMinute: 60, perDay: 1500 },
+        importDocument: { perMinute: 10, perDay: 200 },
+    },
+};
+
+const PLANS = Object.keys(PLAN_LIMITS);
+
+/**
+ * 요청 한도를 초과했을 때 던지는 에러 (HTTP 429로 응답)
+ */
+class RateLimitError extends Error {
+    /**
+     * @param {string} message - 사용자에게 보여줄 메시지
+     * @param {number} retryAfter - 다시 시도할 수 있을 때까지 남은 시간 (초)
+     * @param {object} details - { endpoint, window, limit }
+     */
+    constructor(message, retryAfter, details) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.status = 429;
+        this.retryAfter = retryAfter;
+        this.details = details;
+    }
+}
+
+// 분 단위 창 번호 (epoch 기준)
+const getMinuteWindow = (nowMs) => Math.floor(nowMs / MINUTE_MS);
+
+// 한국 시간 기준 날짜 문자열 (YYYY-MM-DD)
+const getDayKey = (nowMs) => new Date(nowMs + KST_OFFSET_MS).toISOString().slice(0, 10);
+
+// 한국 시간 기준 다음 자정까지 남은 시간 (초)
+const getSecondsUntilNextDay = (nowMs) => {
+    const kstNow = nowMs + KST_OFFSET_MS;
+    return Math.ceil((Math.floor(kstNow / DAY_MS) * DAY_MS + DAY_MS - kstNow) / 1000);
+};
+
+/**
+ * 사용자 프로필에 저장된 요금제의 한도를 반환
+ * @param {string} plan - 요금제 이름
+ */
+const getPlanLimits = (plan) => PLAN_LIMITS[plan] || PLAN_LIMITS[DEFAULT_PLAN];
+
+const getUsageRef = (userId, endpoint) => db.collection('users').doc(userId).collection('usage').doc(endpoint);
+const getDailyUsageRef = (userId, dayKey) => db.collection('users').doc(userId).collection('usageDaily').doc(dayKey);
+
+/**
+ * 엔드포인트 요청 한도를 확인하고 사용량을 1 증가. 한도를 넘으면 RateLimitError를 던짐
+ * @param {string} userId - 사용자 UID
+ * @param {string} endpoint - PLAN_LIMITS에 정의된 엔드포인트 이름
+ */
+const enforceRateLimit = async (userId, endpoint) => {
+    const userRef = db.collection('users').doc(userId);
+    const usageRef = getUsageRef(userId, endpoint);
+
+    await db.runTransaction(async (transaction) => {
+        const [userSnap, usageSnap] = await Promise.all([
+            transaction.get(userRef),
+            transaction.get(usageRef),
+        ]);
+
+        const plan = userSnap.exists ? userSnap.get('plan') : DEFAULT_PLAN;
+        const limits = getPlanLimits(plan)[endpoint];
+        if (!limits) {
+            throw new Error(`요청 한도가 정의되지 않은 엔드포인트입니다: ${endpoint}`);
+        }
+
+        const nowMs = Date.now();
+        const minuteWindow = getMinuteWindow(nowMs);
+        const dayKey = getDayKey(nowMs);
+        const usage = usageSnap.exists ? usageSnap.data() : {};
+
+        const minuteCount = usage.minuteWindow === minuteWindow ? usage.minuteCount : 0;
+        const dayCount = usage.dayKey === dayKey ? usage.dayCount : 0;
+
+        if (dayCount >= limits.perDay) {
+            throw new RateLimitError(
+                `오늘 사용할 수 있는 요청 횟수(${limits.perDay}회)를 모두 사용했습니다.`,
+                getSecondsUntilNextDay(nowMs),
+                { endpoint, window: 'day', limit: limits.perDay }
+            );
+        }
+        if (minuteCount >= limits.perMinute) {
+            throw new RateLimitError(
+                `요청이 너무 많습니다. 1분에 최대 ${limits.perMinute}회까지 요청할 수 있습니다.`,
+                Math.ceil(((minuteWindow + 1) * MINUTE_MS - nowMs) / 1000),
+                { endpoint, window: 'minute', limit: limits.perMinute }
+            );
+        }
+
+        transaction.set(usageRef, {
+            minuteWindow,
+            minuteCount: minuteCount + 1,
+            dayKey,
+            dayCount: dayCount + 1,
+            totalRequests: admin.firestore.FieldValue.increment(1),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+    });
+};
+
+/**
+ * (헬퍼 함수) getAuthenticatedUser로 인증한 뒤 엔드포인트 요청 한도를 적용
+ * @param {object} request - HTTP 요청
+ * @param {string} endpoint - PLAN_LIMITS에 정의된 엔드포인트 이름
+ * @returns {Promise<object>} 인증된 사용자 정보 (decoded token)
+ */
+const getRateLimitedUser = async (request, endpoint) => {
+    const user = await getAuthenticatedUser(request);
+    await enforceRateLimit(user.uid, endpoint);
+    return user;
+};
+
+/**
+ * OpenAI 응답의 토큰 사용량을 일별로 기록 (기록 실패가 요청을 실패시키지 않도록 함)
+ * @param {string} userId - 사용자 UID
+ * @param {string} endpoint - 엔드포인트 이름
+ * @param {object} [usage] - completion.usage ({ prompt_tokens, completion_tokens, total_tokens })
+ */
+const recordTokenUsage = async (userId, endpoint, usage) => {
+    if (!userId || !usage) return;
+
+    const tokens = usage.total_tokens || 0;
+    const increment = admin.firestore.FieldValue.increment;
+    try {
+        await Promise.all([
+            getDailyUsageRef(userId, getDayKey(Date.now())).set({
+                [endpoint]: {
+                    promptTokens: increment(usage.prompt_tokens || 0),
+                    completionTokens: increment(usage.completion_tokens || 0),
+                    totalTokens: increment(tokens),
+                },
+                totalTokens: increment(tokens),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            }, { merge: true }),
+            getUsageRef(userId, endpoint).set({
+                totalTokens: increment(tokens),
+            }, { merge: true }),
+        ]);
+    } catch (error) {
+        console.warn(`[User ID: ${userId}] 토큰 사용량 기록 실패:`, error);
+    }
+};
+
+/**
+ * 사용자의 엔드포인트별 남은 요청 횟수와 오늘의 토큰 사용량을 조회
+ * @param {string} userId - 사용자 UID
+ */
+const getQuotaStatus = async (userId) => {
+    const nowMs = Date.now();
+    const minuteWindow = getMinuteWindow(nowMs);
+    const dayKey = getDayKey(nowMs);
+
+    const userSnap = await db.collection('users').doc(userId).get();
+    const plan = userSnap.exists && PLANS.includes(userSnap.get('plan')) ? userSnap.get('plan') : DEFAULT_PLAN;
+    const limits = getPlanLimits(plan);
+    const endpoints = Object.keys(limits);
+
+    const [usageSnaps, dailySnap] = await Promise.all([
+        Promise.all(endpoints.map(endpoint => getUsageRef(userId, endpoint).get())),
+        getDailyUsageRef(userId, dayKey).get(),
+    ]);
+    const daily = dailySnap.exists ? dailySnap.data() : {};
+
+    const quotas = {};
+    endpoints.forEach((endpoint, index) => {
+        const usage = usageSnaps[index].exists ? usageSnaps[index].data() : {};
+        const usedThisMinute = usage.minuteWindow === minuteWindow ? usage.minuteCount : 0;
+        const usedToday = usage.dayKey === dayKey ? usage.dayCount : 0;
+
+        quotas[endpoint] = {
+            perMinute: {
+                limit: limits[endpoint].perMinute,
+                used: usedThisMinute,
+                remaining: Math.max(0, limits[endpoint].perMinute - usedThisMinute),
+            },
+            perDay: {
+                limit: limits[endpoint].perDay,
+                used: usedToday,
+                remaining: Math.max(0, limits[endpoint].perDay - usedToday),
+            },
+            tokensToday: daily[endpoint] ? daily[endpoint].totalTokens : 0,
+        };
+    });
+
+    return {
+        plan,
+        day: dayKey,
+        resetsInSeconds: getSecondsUntilNextDay(nowMs),
+        tokensToday: daily.totalTokens || 0,
+        quotas,
+    };
+};
+
+module.exports = {
+    DEFAULT_PLAN,
+    PLANS,
+    PLAN_LIMITS,
+    RateLimitError,
+    getPlanLimits,
+    getDayKey,
+    getSecondsUntilNextDay,
+    enforceRateLimit,
+    getRateLimitedUser,
+    recordTokenUsage,
+    getQuotaStatus
+};
@@ -0,0 +1,304 @@
+// functions/utils/readingProfile.js
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+// 읽기 프로필 수준은 0 ~ 2 사이를 0.25 단위로 표현 (0: 순화 안 함, 2: 가장 적극적인 순화)
+const LEVEL_MIN = 0;
+const LEVEL_MAX = 2;
+const LEVEL_STEP = 0.25;
+const PROFILE_DIMENSIONS = ['sentence', 'vocabulary'];
+
+// 재보정에 필요한 최소 피드백 개수
+const MIN_FEEDBACK_FOR_RECALIBRATION = 3;
+
+// 피드백 평가값 → 수준 조정 방향 (어렵다 = 더 많이 순화해야 함)
+const RATING_SCORES = {
+    too_easy: -1,
+    just_right: 0,
+    too_hard: 1,
+};
+
+// 문단 단위 신고 사유 → 차원별 조정 방향
+const FLAG_REASONS = {
+    hard_sentence: { sentence: 0.5 },
+    hard_vocabulary: { vocabulary: 0.5 },
+    too_simple: { sentence: -0.5, vocabulary: -0.5 },
+};
+
+// 수준별 문장 가이드라인 (정수 수준 1, 2는 기존 가이드라인과 동일)
+const SENTENCE_GUIDELINES = {
+    0.25: '80자를 초과하는 매우 긴 문장만 2개 이상의 짧은 문장으로 분리하세요. 원래 문장의 구조나 표현은 그대로 유지하고, 문장을 나누는 작업에만 집중해야 합니다.',
+    0.5: '70자를 초과하는 긴 문장은 2개 이상의 짧은 문장으로 분리하세요. 원래 문장의 구조나 표현은 그대로 유지하고, 문장을 나누는 작업에만 집중해야 합니다.',
+    0.75: '60자를 초과하는 문장은 2개 이상의 짧은 문장으로 분리하세요. 원래 문장의 구조나 표현은 거의 그대로 유지하고, 문장을 나누는 작업에만 집중해야 합니다.',
+    1: '50자를 초과하는 모든 문장은 반드시 2개 이상의 짧은 문장으로 분리하세요. 이때, 원래 문장의 구조나 표현은 거의 그대로 유지하고, 문장을 나누는 작업에만 집중해야 합니다. 불필요한 단어 삭제나 문장 재구성은 하지 마세요.',
+    1.25: '50자를 초과하는 모든 문장은 반드시 2개 이상의 짧은 문장으로 분리하세요. 관형절이 여러 겹 중첩되어 이해하기 어려운 문장에 한해서만 구조를 해체하고, 그 외에는 원래 문장의 구조와 표현을 유지하세요.',
+    1.5: '50자를 초과하는 모든 문장은 반드시 2개 이상의 짧은 문장으로 분리하세요. 관형절이나 종속절처럼 복잡한 문장 구조는 주어와 서술어가 명확한 독립된 문장으로 재구성하되, 문장의 순서와 단어 선택은 원문을 최대한 유지하세요.',
+    1.75: '50자를 초과하는 모든 문장은 반드시 2개 이상의 짧은 문장으로 분리하세요. 관형절이나 종속절처럼 복잡한 문장 구조를 적극적으로 해체하여, 주어와 서술어가 명확한 여러 개의 독립된 문장으로 재구성해야 합니다. 이해를 돕는 경우에 한해 일부 단어를 변경할 수 있습니다.',
+    2: '50자를 초과하는 모든 문장은 반드시 2개 이상의 짧은 문장으로 분리하세요. 또한, 관형절이나 종속절처럼 복잡한 문장 구조를 적극적으로 해체하여, 주어와 서술어가 명확한 여러 개의 독립된 문장으로 재구성해야 합니다. 원문의 핵심 정보를 유지하는 선에서, 문장의 순서를 바꾸거나 일부 단어를 변경하여 더 이해하기 쉽게 만드는 것을 목표로 합니다.',
+};
+
+// 수준별 어휘 가이드라인 (정수 수준 1, 2는 기존 가이드라인과 동일)
+const VOCABULARY_GUIDELINES = {
+    0.25: '일상에서 거의 쓰이지 않는 매우 어려운 한자어만 쉬운 우리말로 바꿔주세요.',
+    0.5: '어려운 한자어를 쉬운 우리말로 바꿔주세요. 외래어는 그대로 두어도 됩니다.',
+    0.75: '어려운 한자어나 외래어를 쉬운 우리말로 바꿔주세요. 전문 용어는 그대로 유지하세요.',
+    1: '어려운 한자어나 외래어를 쉬운 우리말로 바꿔주세요.',
+    1.25: '어려운 한자어나 외래어를 쉬운 우리말로 바꿔주세요. 전문 용어는 처음 등장할 때 괄호 안에 짧은 설명을 덧붙여 주세요.',
+    1.5: '어려운 한자어나 외래어를 쉬운 우리말로 바꾸고, 전문 용어와 관용구는 풀어서 설명해주세요.',
+    1.75: '어려운 어휘, 전문 용어, 관용구는 풀어서 설명하고, 비유적 표현은 가능한 경우 직접적인 의미로 바꿔주세요.',
+    2: '어려운 어휘, 전문 용어, 관용구, 비유적 표현 등을 풀어서 설명하거나 직접적인 의미로 해석하여 전달해주세요.',
+};
+
+/**
+ * 수준 값을 0 ~ 2 범위의 0.25 단위로 보정. 숫자가 아니면 null
+ * @param {*} value - 프로필에 저장된 수준 값
+ */
+const normalizeLevel = (value) => {
+    if (typeof value !== 'number' || Number.isNaN(value)) return null;
+    const clamped = Math.min(LEVEL_MAX, Math.max(LEVEL_MIN, value));
+    return Math.round(clamped / LEVEL_STEP) * LEVEL_STEP;
+};
+
+/**
+ * 읽기 프로필이 순화를 전혀 요구하지 않는지 (문장, 어휘 수준이 모두 0)
+ * @param {object} readingProfile - { sentence, vocabulary }
+ */
+const isSimplificationDisabled = (readingProfile) =>
+    normalizeLevel(readingProfile.sentence) === 0 && normalizeLevel(readingProfile.vocabulary) === 0;
+
+/**
+ * 읽기 프로필 수준에 맞는 순화 가이드라인 문장 목록을 생성
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @returns {string[]}
+ */
+const buildSimplificationGuidelines = (readingProfile) => {
+    const guidelineSentences = [];
+
+    const sentenceLevel = normalizeLevel(readingProfile.sentence);
+    if (sentenceLevel) {
+        guidelineSentences.push(SENTENCE_GUIDELINES[sentenceLevel]);
+    }
+
+    const vocabularyLevel = normalizeLevel(readingProfile.vocabulary);
+    if (vocabularyLevel) {
+        guidelineSentences.push(VOCABULARY_GUIDELINES[vocabularyLevel]);
+    }
+
+    return guidelineSentences;
+};
+
+/**
+ * 읽기 프로필의 어휘 수준에 맞는 가이드라인 문장 (요약, 질의응답처럼 순화가 아닌 생성 결과에도 적용). 수준이 0이면 null
+ * @param {object} readingProfile - { vocabulary }
+ * @returns {string|null}
+ */
+const buildVocabularyGuideline = (readingProfile) => {
+    const vocabularyLevel = normalizeLevel(readingProfile.vocabulary);
+    return vocabularyLevel ? VOCABULARY_GUIDELINES[vocabularyLevel] : null;
+};
+
+// 수준별 한 문장의 최대 글자 수 (문장 가이드라인의 분리 기준과 같음)
+const SENTENCE_LENGTH_LIMITS = {
+    0.25: 80,
+    0.5: 70,
+    0.75: 60,
+};
+const DEFAULT_SENTENCE_LENGTH_LIMIT = 50;
+
+/**
+ * 읽기 프로필 수준에 맞는 읽기 어려움 판단 기준을 계산 (수준이 0인 차원의 기준은 null)
+ * - sentence: 문장 길이(글자 수)와 절 깊이
+ * - vocabulary: 기초 어휘 밖 단어 비율과 한자어 비율
+ * - gradeLevel: 두 차원 중 높은 수준을 기준으로 한 최대 학년 수준 (수준 1: 고등 1학년, 수준 2: 초등 6학년)
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @returns {{ maxSentenceLength: number|null, maxClauseDepth: number|null, maxRareWordRatio: number|null, maxSinoKoreanRatio: number|null, maxGradeLevel: number|null }}
+ */
+const getReadabilityThresholds = (readingProfile) => {
+    const sentenceLevel = normalizeLevel(readingProfile.sentence) || 0;
+    const vocabularyLevel = normalizeLevel(readingProfile.vocabulary) || 0;
+    const highestLevel = Math.max(sentenceLevel, vocabularyLevel);
+
+    return {
+        maxSentenceLength: sentenceLevel ? (SENTENCE_LENGTH_LIMITS[sentenceLevel] || DEFAULT_SENTENCE_LENGTH_LIMIT) : null,
+        // 관형절, 종속절 해체를 요구하는 수준(1.25 이상)부터 더 얕은 절 구조를 요구
+        maxClauseDepth: sentenceLevel ? (sentenceLevel >= 1.25 ? 3 : 4) : null,
+        maxRareWordRatio: vocabularyLevel ? Math.round((0.6 - 0.15 * vocabularyLevel) * 100) / 100 : null,
+        maxSinoKoreanRatio: vocabularyLevel ? Math.round((0.75 - 0.15 * vocabularyLevel) * 100) / 100 : null,
+        maxGradeLevel: highestLevel ? 14 - 4 * highestLevel : null,
+    };
+};
+
+/**
+ * 피드백 목록으로부터 차원별 수준 조정값을 계산
+ * @param {Array<object>} feedbackList - { rating, aspect, flaggedParagraphs } 배열
+ * @returns {{ sentence: number, vocabulary: number }} 0.25 단위의 조정값
+ */
+const computeLevelAdjustment = (feedbackList) => {
+    const totals = { sentence: 0, vocabulary: 0 };
+
+    feedbackList.forEach((feedback) => {
+        const ratingScore = RATING_SCORES[feedback.rating] || 0;
+        const aspects = feedback.aspect && feedback.aspect !== 'both' ? [feedback.aspect] : PROFILE_DIMENSIONS;
+        aspects.forEach((dimension) => {
+            totals[dimension] += ratingScore;
+        });
+
+        // 문단 신고는 피드백 한 건당 차원별로 최대 ±1까지만 반영
+        const flagTotals = { sentence: 0, vocabulary: 0 };
+        (feedback.flaggedParagraphs || []).forEach((flag) => {
+            const weights = FLAG_REASONS[flag.reason] || {};
+            Object.entries(weights).forEach(([dimension, weight]) => {
+                flagTotals[dimension] += weight;
+            });
+        });
+        PROFILE_DIMENSIONS.forEach((dimension) => {
+            totals[dimension] += Math.max(-1, Math.min(1, flagTotals[dimension]));
+        });
+    });
+
+    const adjustment = {};
+    PROFILE_DIMENSIONS.forEach((dimension) => {
+        const average = feedbackList.length > 0 ? totals[dimension] / feedbackList.length : 0;
+        // 평균이 뚜렷할 때만 조정 (반 단계 이상), 한 번에 최대 두 단계까지
+        if (Math.abs(average) < 0.5) {
+            adjustment[dimension] = 0;
+        } else {
+            adjustment[dimension] = Math.sign(average) * (Math.abs(average) >= 1 ? 2 : 1) * LEVEL_STEP;
+        }
+    });
+    return adjustment;
+};
+
+/**
+ * 아직 반영되지 않은 피드백을 모아 읽기 프로필 수준을 재보정하고 변경 이력을 남김
+ * @param {string} userId - 사용자 UID
+ * @returns {Promise<object|null>} 변경 이력 ({ changeId, previous, next }) 또는 변경이 없으면 null
+ */
+const recalibrateReadingProfile = async (userId) => {
+    const userRef = db.collection('users').doc(userId);
+    const pendingQuery = userRef.collection('readingFeedback')
+        .where('calibrated', '==', false)
+        .limit(50);
+
+    return db.runTransaction(async (transaction) => {
+        const [userSnap, pendingSnap] = await Promise.all([
+            transaction.get(userRef),
+            transaction.get(pendingQuery),
+        ]);
+
+        if (!userSnap.exists || pendingSnap.size < MIN_FEEDBACK_FOR_RECALIBRATION) {
+            return null;
+        }
+
+        const previous = userSnap.data().readingProfile || {};
+        const adjustment = computeLevelAdjustment(pendingSnap.docs.map(doc => doc.data()));
+
+        const next = { ...previous };
+        PROFILE_DIMENSIONS.forEach((dimension) => {
+            const current = normalizeLevel(previous[dimension]) || 0;
+            next[dimension] = normalizeLevel(current + adjustment[dimension]);
+        });
+
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        const feedbackIds = pendingSnap.docs.map(doc => doc.id);
+
+        // 반영한 피드백은 다음 재보정에서 다시 쓰지 않도록 표시
+        pendingSnap.docs.forEach((doc) => {
+            transaction.update(doc.ref, { calibrated: true, calibratedAt: now });
+        });
+
+        const changed = PROFILE_DIMENSIONS.some(dimension => next[dimension] !== previous[dimension]);
+        if (!changed) {
+            return null;
+        }
+
+        const changeRef = userRef.collection('readingProfileChanges').doc();
+        transaction.set(changeRef, {
+            reason: 'feedback',
+            previous: previous,
+            next: next,
+            feedbackIds: feedbackIds,
+            rolledBack: false,
+            createdAt: now,
+        });
+        transaction.update(userRef, { readingProfile: next, updatedAt: now });
+
+        return { changeId: changeRef.id, previous, next };
+    });
+};
+
+/**
+ * 읽기 프로필 변경을 되돌림. changeId가 없으면 가장 최근의 되돌리지 않은 변경을 대상으로 함
+ * 대상 변경 이전의 프로필로 돌아가므로 그 뒤에 쌓인 변경도 함께 되돌린 것으로 표시
+ * @param {string} userId - 사용자 UID
+ * @param {string} [changeId] - readingProfileChanges 문서 ID
+ * @returns {Promise<object|null>} 되돌린 결과 ({ changeId, rollbackChangeId, rolledBackChangeIds, readingProfile }) 또는 대상이 없으면 null
+ */
+const rollbackReadingProfileChange = async (userId, changeId) => {
+    const userRef = db.collection('users').doc(userId);
+    const changesRef = userRef.collection('readingProfileChanges');
+
+    let targetRef;
+    if (changeId) {
+        targetRef = changesRef.doc(changeId);
+    } else {
+        const latestSnap = await changesRef.orderBy('createdAt', 'desc').limit(20).get();
+        const latest = latestSnap.docs.find(doc => !doc.data().rolledBack && doc.data().reason !== 'rollback');
+        if (!latest) return null;
+        targetRef = latest.ref;
+    }
+
+    return db.runTransaction(async (transaction) => {
+        const [userSnap, targetSnap] = await Promise.all([
+            transaction.get(userRef),
+            transaction.get(targetRef),
+        ]);
+
+        if (!userSnap.exists || !targetSnap.exists || targetSnap.data().rolledBack || targetSnap.data().reason === 'rollback') {
+            return null;
+        }
+
+        // 대상 이후의 변경 (재보정과 다른 되돌리기 모두 포함, 이미 되돌린 변경은 제외)
+        const newerSnap = await transaction.get(changesRef.where('createdAt', '>', targetSnap.get('createdAt')));
+        const newerDocs = newerSnap.docs.filter(doc => !doc.get('rolledBack'));
+
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        const current = userSnap.data().readingProfile || {};
+        const restored = targetSnap.data().previous || {};
+        const rolledBackChangeIds = [targetRef.id, ...newerDocs.map(doc => doc.id)];
+
+        const rollbackRef = changesRef.doc();
+        transaction.set(rollbackRef, {
+            reason: 'rollback',
+            previous: current,
+            next: restored,
+            rollbackOf: targetRef.id,
+            rolledBackChangeIds: rolledBackChangeIds,
+            rolledBack: false,
+            createdAt: now,
+        });
+        transaction.update(targetRef, { rolledBack: true, rolledBackAt: now, rolledBackBy: rollbackRef.id });
+        newerDocs.forEach(doc => transaction.update(doc.ref, { rolledBack: true, rolledBackAt: now, rolledBackBy: rollbackRef.id }));
+        transaction.update(userRef, { readingProfile: restored, updatedAt: now });
+
+        return { changeId: targetRef.id, rollbackChangeId: rollbackRef.id, rolledBackChangeIds, readingProfile: restored };
+    });
+};
+
+module.exports = {
+    LEVEL_MIN,
+    LEVEL_MAX,
+    LEVEL_STEP,
+    PROFILE_DIMENSIONS,
+    RATING_SCORES,
+    FLAG_REASONS,
+    normalizeLevel,
+    isSimplificationDisabled,
+    buildSimplificationGuidelines,
+    buildVocabularyGuideline,
+    getReadabilityThresholds,
+    computeLevelAdjustment,
+    recalibrateReadingProfile,
+    rollbackReadingProfileChange
+};
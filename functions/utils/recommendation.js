@@ -0,0 +1,282 @@
+// functions/utils/recommendation.js
+const { createChatCompletion, createEmbeddings } = require('./llm');
+const { searchGoogle } = require('./search');
+const { normalizeArticleUrl, fetchArticle } = require('./ingestion');
+const { analyzeText, getGradeLabel } = require('./analysis');
+const { getReadabilityThresholds } = require('./readingProfile');
+const { mapWithConcurrency } = require('./chunking');
+
+// 추천 결과 개수
+const RECOMMENDATION_COUNT = 5;
+// 키워드 검색어 수 (상위 키워드 묶음 1개 + 개별 키워드)
+const KEYWORD_QUERY_COUNT = 3;
+// 관심 주제 검색어 수 (주제마다 검색어 하나, 전부 한 검색어에 넣으면 결과가 주제와 무관해짐)
+const TOPIC_QUERY_COUNT = 2;
+// 본문을 가져와 평가할 후보 수 (검색 결과를 검색어별로 번갈아 채움)
+const MAX_CANDIDATES = 15;
+// 후보 글 본문을 동시에 가져올 최대 개수
+const ARTICLE_FETCH_CONCURRENCY = 4;
+// 한 사이트에서 추천할 최대 글 수
+const MAX_PER_DOMAIN = 1;
+// 임베딩에 넣을 최대 글자 수 (글의 앞부분이 주제를 가장 잘 드러냄)
+const EMBEDDING_MAX_CHARS = 2000;
+// 최종 점수에서 내용 유사도와 난이도 적합도의 비중
+const SIMILARITY_WEIGHT = 0.7;
+const DIFFICULTY_WEIGHT = 0.3;
+// 읽기 프로필의 최대 학년 수준보다 이만큼 아래까지는 알맞은 난이도로 봄
+const COMFORTABLE_GRADE_RANGE = 3;
+// 최대 학년 수준을 이보다 많이 넘는 글은 추천하지 않음
+const MAX_GRADE_OVERSHOOT = 2;
+
+/**
+ * 글에서 핵심 키워드를 중요한 순서로 추출 (최대 5개)
+ * @param {string} fullText - 전체 텍스트
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @returns {Promise<string[]>}
+ */
+const extractKeywords = async (fullText, userId) => {
+    const keywordExtractionPrompt = `
+        You are an expert in Korean text analysis.
+        From the given Korean text, extract up to 5 core topics or keywords that best represent the content.
+        List them in order of importance.
+        Return the result as a JSON object: {"keywords": ["keyword1", "keyword2", ...]}.
+
+        ## Text to analyze:
+        ---
+        ${fullText}
+        ---
+    `;
+
+    const completion = await createChatCompletion({
+        messages: [
+            { "role": "system", "content": "You are an expert Korean text analyst that returns only a single JSON object." },
+            { "role": "user", "content": keywordExtractionPrompt }
+        ],
+        response_format: { type: "json_object" },
+    }, { endpoint: 'getReadingRecommendations', task: 'keywords', userId });
+
+    try {
+        const parsed = JSON.parse(completion.choices[0].message.content);
+        return Array.isArray(parsed.keywords)
+            ? [...new Set(parsed.keywords.filter(keyword => typeof keyword === 'string' && keyword.trim()).map(keyword => keyword.trim()))].slice(0, 5)
+            : [];
+    } catch (parseError) {
+        console.warn("Failed to parse keyword extraction response:", parseError);
+        return [];
+    }
+};
+
+/**
+ * 키워드와 관심 주제로 검색어 목록을 만듦
+ * @param {string[]} keywords - 중요한 순서의 키워드
+ * @param {string[]} knownTopics - 관심 주제
+ * @returns {Array<{ query: string, topic: string|null }>}
+ */
+const buildSearchQueries = (keywords, knownTopics) => {
+    const queries = [
+        keywords.slice(0, 3).join(' '),
+        ...keywords.slice(0, KEYWORD_QUERY_COUNT - 1),
+    ].map(query => ({ query: `${query} 기사`, topic: null }));
+
+    knownTopics.slice(0, TOPIC_QUERY_COUNT).forEach((topic) => {
+        queries.push({ query: `${keywords[0]} ${topic} 기사`, topic });
+    });
+
+    const seen = new Set();
+    return queries.filter(({ query }) => !seen.has(query) && seen.add(query));
+};
+
+// 도메인 비교용 호스트 이름 (www. 제거)
+const getDomain = (url) => new URL(url).hostname.replace(/^www\./, '');
+
+/**
+ * 여러 검색어의 결과를 모아 URL 기준으로 중복을 없앤 후보 목록을 만듦
+ * 한 검색어의 결과가 후보를 독차지하지 않도록 검색어별 순위를 번갈아 가며 채움
+ * @param {Array<{ query: string, topic: string|null }>} queries - buildSearchQueries 결과
+ * @param {string|null} sourceUrl - 읽고 있는 글의 정규화된 URL (추천에서 제외)
+ * @returns {Promise<Array<{ url: string, title: string, snippet: string, topic: string|null }>>}
+ */
+const collectCandidates = async (queries, sourceUrl) => {
+    const resultLists = await Promise.all(queries.map(({ query }) => searchGoogle({ query, num: 10 }).catch((error) => {
+        console.warn(`[getReadingRecommendations] 검색 실패 (${query}):`, error.message);
+        return [];
+    })));
+
+    const candidates = new Map();
+    const maxLength = Math.max(0, ...resultLists.map(items => items.length));
+    for (let rank = 0; rank < maxLength && candidates.size < MAX_CANDIDATES; rank++) {
+        resultLists.forEach((items, queryIndex) => {
+            const item = items[rank];
+            const url = item && normalizeArticleUrl(item.link);
+            if (!url || url === sourceUrl || candidates.has(url) || candidates.size >= MAX_CANDIDATES) return;
+            candidates.set(url, { url, title: item.title, snippet: item.snippet || '', topic: queries[queryIndex].topic });
+        });
+    }
+    return [...candidates.values()];
+};
+
+/**
+ * 후보 글의 본문을 ARTICLE_FETCH_CONCURRENCY개씩 가져옴 (가져올 수 없거나 본문이 없는 글은 제외)
+ * @param {Array<object>} candidates - collectCandidates 결과
+ * @returns {Promise<Array<object>>} canonicalUrl, text, image, siteName이 추가된 후보
+ */
+const loadCandidateArticles = async (candidates) => {
+    const results = await mapWithConcurrency(candidates, async (candidate) => {
+        try {
+            const { article } = await fetchArticle(candidate.url);
+            return {
+                ...candidate,
+                title: article.title || candidate.title,
+                canonicalUrl: article.canonicalUrl,
+                text: article.paragraphs.join('\n\n'),
+                image: article.leadImage,
+                siteName: article.siteName,
+            };
+        } catch (error) {
+            console.warn(`[getReadingRecommendations] 후보 글 제외 (${candidate.url}):`, error.message);
+            return null;
+        }
+    }, ARTICLE_FETCH_CONCURRENCY);
+
+    // 서로 다른 URL이 같은 글(정식 URL)을 가리키면 검색 순위가 높은 쪽만 남김
+    const seen = new Set();
+    return results.filter(candidate => candidate && candidate.text.trim()
+        && !seen.has(candidate.canonicalUrl) && seen.add(candidate.canonicalUrl));
+};
+
+const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * 학년 수준이 읽기 프로필에 얼마나 맞는지 (0~1). 너무 어려운 글이면 null (추천에서 제외)
+ * @param {number} gradeLevel - 후보 글의 학년 수준
+ * @param {number|null} maxGradeLevel - 읽기 프로필의 최대 학년 수준 (null이면 난이도 제한 없음)
+ */
+const getDifficultyFit = (gradeLevel, maxGradeLevel) => {
+    if (maxGradeLevel === null) return 1;
+    const over = gradeLevel - maxGradeLevel;
+    if (over > MAX_GRADE_OVERSHOOT) return null;
+    if (over > 0) return 1 - 0.3 * over;
+    const under = -over;
+    return under <= COMFORTABLE_GRADE_RANGE ? 1 : Math.max(0.5, 1 - 0.1 * (under - COMFORTABLE_GRADE_RANGE));
+};
+
+/**
+ * 추천 이유 문장을 만듦 (다루는 키워드, 관심 주제, 난이도)
+ * @param {object} candidate - 점수를 매긴 후보
+ * @param {string[]} keywords - 읽고 있는 글의 키워드
+ * @param {number|null} maxGradeLevel - 읽기 프로필의 최대 학년 수준
+ */
+const buildReason = (candidate, keywords, maxGradeLevel) => {
+    const haystack = `${candidate.title}\n${candidate.text}`;
+    const matchedKeywords = keywords.filter(keyword => haystack.includes(keyword)).slice(0, 2);
+
+    const parts = [matchedKeywords.length > 0
+        ? `읽고 있는 글의 핵심어 ${matchedKeywords.map(keyword => `'${keyword}'`).join(', ')}에 관한 글이에요.`
+        : '읽고 있는 글과 내용이 비슷한 글이에요.'];
+
+    if (candidate.topic) {
+        parts.push(`관심 주제 '${candidate.topic}' 관련 검색에서 찾았어요.`);
+    }
+
+    const label = getGradeLabel(candidate.gradeLevel);
+    if (maxGradeLevel === null) {
+        parts.push(`난이도는 ${label} 수준이에요.`);
+    } else if (candidate.gradeLevel > maxGradeLevel) {
+        parts.push(`${label} 수준으로 조금 어렵지만 순화해서 읽기 좋아요.`);
+    } else if (maxGradeLevel - candidate.gradeLevel > COMFORTABLE_GRADE_RANGE) {
+        parts.push(`${label} 수준으로 가볍게 읽을 수 있어요.`);
+    } else {
+        parts.push(`${label} 수준이라 읽기 프로필에 잘 맞아요.`);
+    }
+    return parts.join(' ');
+};
+
+/**
+ * 읽고 있는 글과 관련된 기사를 찾아 내용 유사도와 난이도로 순위를 매김
+ * 1. 키워드와 관심 주제로 여러 번 검색해 후보를 모으고 URL, 정식 URL 기준으로 중복 제거
+ * 2. 후보 본문을 가져와 임베딩 유사도와 학년 수준(analyzeText)을 계산
+ * 3. 읽기 프로필보다 너무 어려운 글은 빼고 점수순으로 사이트마다 최대 MAX_PER_DOMAIN개씩 고름
+ * @param {object} params
+ * @param {string} params.fullText - 읽고 있는 글의 전체 텍스트
+ * @param {string|null} params.sourceUrl - 읽고 있는 글의 정규화된 URL
+ * @param {string[]} params.knownTopics - 관심 주제
+ * @param {object} params.readingProfile - { sentence, vocabulary }
+ * @param {string} params.userId - 사용자 UID
+ * @returns {Promise<{ keywords: string[], candidateCount: number, recommendations: Array<object> }>}
+ */
+const recommendArticles = async ({ fullText, sourceUrl, knownTopics, readingProfile, userId }) => {
+    const keywords = await extractKeywords(fullText, userId);
+    if (keywords.length === 0) {
+        return { keywords, candidateCount: 0, recommendations: [] };
+    }
+
+    const candidates = await loadCandidateArticles(
+        await collectCandidates(buildSearchQueries(keywords, knownTopics), sourceUrl)
+    );
+    if (candidates.length === 0) {
+        return { keywords, candidateCount: 0, recommendations: [] };
+    }
+
+    const [sourceEmbedding, ...candidateEmbeddings] = await createEmbeddings([
+        fullText.slice(0, EMBEDDING_MAX_CHARS),
+        ...candidates.map(candidate => `${candidate.title}\n${candidate.text}`.slice(0, EMBEDDING_MAX_CHARS)),
+    ], { endpoint: 'getReadingRecommendations', userId });
+
+    const { maxGradeLevel } = getReadabilityThresholds(readingProfile);
+    const ranked = candidates
+        .map((candidate, index) => {
+            const { gradeLevel } = analyzeText(candidate.text);
+            const similarity = cosineSimilarity(sourceEmbedding, candidateEmbeddings[index]);
+            const difficultyFit = getDifficultyFit(gradeLevel, maxGradeLevel);
+            return {
+                ...candidate,
+                gradeLevel,
+                similarity,
+                difficultyFit,
+                score: difficultyFit === null ? null : SIMILARITY_WEIGHT * similarity + DIFFICULTY_WEIGHT * difficultyFit,
+            };
+        })
+        .filter(candidate => candidate.score !== null)
+        .sort((a, b) => b.score - a.score);
+
+    const domainCounts = new Map();
+    const selected = ranked.filter((candidate) => {
+        const domain = getDomain(candidate.canonicalUrl);
+        const count = domainCounts.get(domain) || 0;
+        if (count >= MAX_PER_DOMAIN) return false;
+        domainCounts.set(domain, count + 1);
+        return true;
+    }).slice(0, RECOMMENDATION_COUNT);
+
+    const round = value => Math.round(value * 1000) / 1000;
+    return {
+        keywords,
+        candidateCount: candidates.length,
+        recommendations: selected.map(candidate => ({
+            title: candidate.title,
+            link: candidate.canonicalUrl,
+            snippet: candidate.snippet,
+            image: candidate.image,
+            siteName: candidate.siteName,
+            gradeLevel: candidate.gradeLevel,
+            gradeLabel: getGradeLabel(candidate.gradeLevel),
+            similarity: round(candidate.similarity),
+            score: round(candidate.score),
+            reason: buildReason(candidate, keywords, maxGradeLevel),
+        })),
+    };
+};
+
+module.exports = {
+    recommendArticles
+};
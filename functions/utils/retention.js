@@ -0,0 +1,145 @@
+// functions/utils/retention.js
+const admin = require('firebase-admin');
+
+const { deleteQueryInBatches } = require('./account');
+const { MAX_EVENT_AGE_MS } = require('./jobQueue');
+
+const db = admin.firestore();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const BATCH_SIZE = 500;
+
+// 환경 변수 값을 양의 정수로 읽고, 없거나 잘못된 값이면 기본값 사용
+const readPositiveInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+// 컬렉션별 작업 문서 보관 기간 (일)
+// expiresAt 필드는 Firestore TTL 정책에도 그대로 등록할 수 있음
+const JOB_RETENTION = {
+    dictionaryJobs: {
+        ttlDays: readPositiveInt(process.env.DICTIONARY_JOB_TTL_DAYS, 7),
+    },
+    simplificationJobs: {
+        ttlDays: readPositiveInt(process.env.SIMPLIFICATION_JOB_TTL_DAYS, 30),
+    },
+    // 순화 작업의 문단, 문장 비교 결과 조각은 작업과 함께 만료되어야 하므로 같은 값을 사용
+    simplificationJobParts: {
+        ttlDays: readPositiveInt(process.env.SIMPLIFICATION_JOB_TTL_DAYS, 30),
+    },
+    // 채점 결과는 사용자 문서 아래에 따로 남으므로 퀴즈(문항, 정답)는 순화 작업과 같은 기간만 보관
+    comprehensionQuizzes: {
+        ttlDays: readPositiveInt(process.env.COMPREHENSION_QUIZ_TTL_DAYS, 30),
+    },
+    // 가져온 문서와 장별 문단은 함께 만료되어야 하므로 같은 값을 사용
+    documentImports: {
+        ttlDays: readPositiveInt(process.env.DOCUMENT_IMPORT_TTL_DAYS, 30),
+    },
+    documentChapters: {
+        ttlDays: readPositiveInt(process.env.DOCUMENT_IMPORT_TTL_DAYS, 30),
+    },
+};
+
+// Cloud Functions(1세대) 함수 하나의 최대 실행 시간 (분)
+const MAX_FUNCTION_TIMEOUT_MINUTES = 9;
+// 트리거가 재시도하는 동안에는 실패로 바꾸지 않도록, 재시도 기간에 마지막 시도의 실행 시간을 더한 값보다 짧게 설정할 수 없음
+const MIN_PROCESSING_TIMEOUT_MINUTES = MAX_EVENT_AGE_MS / MINUTE_MS + MAX_FUNCTION_TIMEOUT_MINUTES;
+// 마지막으로 선점되거나 갱신된 뒤 'processing' 상태로 이 시간(분) 이상 머문 작업은 실패로 처리
+const PROCESSING_TIMEOUT_MINUTES = Math.max(
+    readPositiveInt(process.env.JOB_PROCESSING_TIMEOUT_MINUTES, 45),
+    MIN_PROCESSING_TIMEOUT_MINUTES
+);
+
+/**
+ * 새 작업 문서에 저장할 만료 시각을 계산
+ * @param {string} collectionName - JOB_RETENTION의 키
+ * @returns {admin.firestore.Timestamp}
+ */
+const getJobExpiresAt = (collectionName) => {
+    const retention = JOB_RETENTION[collectionName];
+    if (!retention) {
+        throw new Error(`보관 정책이 없는 컬렉션입니다: ${collectionName}`);
+    }
+    return admin.firestore.Timestamp.fromMillis(Date.now() + retention.ttlDays * DAY_MS);
+};
+
+/**
+ * 만료된 작업 문서를 배치 단위로 삭제
+ * expiresAt이 없는 이전 문서는 createdAt과 보관 기간으로 만료 여부를 판단
+ * @param {string} collectionName - 작업 컬렉션 이름
+ * @returns {Promise<number>} 삭제된 문서 수
+ */
+const deleteExpiredJobs = async (collectionName) => {
+    const collection = db.collection(collectionName);
+    const now = admin.firestore.Timestamp.now();
+
+    let deleted = await deleteQueryInBatches(collection.where('expiresAt', '<=', now));
+
+    // expiresAt 필드가 생기기 전에 만들어진 문서 정리
+    const cutoff = admin.firestore.Timestamp.fromMillis(now.toMillis() - JOB_RETENTION[collectionName].ttlDays * DAY_MS);
+    let lastDoc = null;
+    let hasMore = true;
+
+    while (hasMore) {
+        let query = collection.where('createdAt', '<=', cutoff).orderBy('createdAt').limit(BATCH_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+
+        const legacyDocs = snapshot.docs.filter(doc => !doc.get('expiresAt'));
+        if (legacyDocs.length > 0) {
+            const batch = db.batch();
+            legacyDocs.forEach(doc => batch.delete(doc.ref));
+            await batch.commit();
+            deleted += legacyDocs.length;
+        }
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        hasMore = snapshot.size === BATCH_SIZE;
+    }
+
+    return deleted;
+};
+
+/**
+ * 'processing' 상태로 제한 시간을 넘긴 작업을 'failed'로 변경
+ * 생성 시각이 아니라 마지막 시도(또는 갱신) 시각을 기준으로 하므로 재시도 중인 작업은 실패로 바꾸지 않음
+ * @param {string} collectionName - 작업 컬렉션 이름
+ * @returns {Promise<number>} 실패 처리된 문서 수
+ */
+const failStuckJobs = async (collectionName) => {
+    const cutoffMs = Date.now() - PROCESSING_TIMEOUT_MINUTES * MINUTE_MS;
+
+    // 처리 중인 작업은 많지 않으므로 status로만 조회하고 시각은 메모리에서 비교 (복합 색인 불필요)
+    const snapshot = await db.collection(collectionName).where('status', '==', 'processing').get();
+    const stuckDocs = snapshot.docs.filter((doc) => {
+        const lastActiveAt = doc.get('updatedAt') || doc.get('lastAttemptAt') || doc.get('createdAt');
+        return lastActiveAt && lastActiveAt.toMillis() <= cutoffMs;
+    });
+
+    // 조회 이후 작업이 완료되었거나 다시 시도되었다면 문서가 바뀌었으므로 덮어쓰지 않음 (lastUpdateTime 전제 조건)
+    const results = await Promise.all(stuckDocs.map(doc => doc.ref.update({
+        status: 'failed',
+        error: `작업이 ${PROCESSING_TIMEOUT_MINUTES}분 넘게 완료되지 않아 실패로 처리되었습니다. 다시 요청해주세요.`,
+        failedReason: 'timeout',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { lastUpdateTime: doc.updateTime }).then(() => true, (error) => {
+        // 9: FAILED_PRECONDITION (그 사이 문서가 바뀜)
+        if (error.code === 9) return false;
+        throw error;
+    })));
+
+    return results.filter(Boolean).length;
+};
+
+module.exports = {
+    JOB_RETENTION,
+    PROCESSING_TIMEOUT_MINUTES,
+    getJobExpiresAt,
+    deleteExpiredJobs,
+    failStuckJobs
+};
@@ -0,0 +1,223 @@
+// functions/utils/review.js
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// '오늘'의 기준은 한국 시간(UTC+9)
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+// 이 점수 이상이면 기억에 성공한 것으로 간주 (SM-2 기준 0~5점 중 3점)
+const PASSING_GRADE = 3;
+// 복습 상태 채우기 작업에서 한 번에 읽을 단어 수
+const BACKFILL_BATCH_SIZE = 500;
+// 복습 상태 채우기 작업의 진행 위치를 저장하는 문서
+const BACKFILL_STATE_PATH = 'maintenanceState/vocabularyReviewBackfill';
+
+/**
+ * 새로 저장되는 단어의 초기 복습 상태 (바로 복습 대상이 됨)
+ */
+const createInitialReviewState = () => ({
+    easeFactor: DEFAULT_EASE_FACTOR,
+    interval: 0,
+    repetitions: 0,
+    dueAt: admin.firestore.Timestamp.now(),
+    lastReviewedAt: null,
+    lastGrade: null,
+});
+
+/**
+ * 단어 문서에서 복습 상태를 읽어옴 (복습 상태가 없는 단어는 초기 상태로 간주)
+ * @param {object} wordData - vocabulary 문서 데이터
+ */
+const getReviewState = (wordData) => ({
+    ...createInitialReviewState(),
+    ...(wordData.review || {}),
+});
+
+/**
+ * SM-2 알고리즘으로 다음 복습 일정을 계산
+ * @param {object} state - 현재 복습 상태 { easeFactor, interval, repetitions }
+ * @param {number} grade - 0(완전히 잊음) ~ 5(완벽히 기억) 사이의 정수
+ * @param {Date} [now] - 기준 시각
+ * @returns {object} 갱신된 복습 상태
+ */
+const scheduleReview = (state, grade, now = new Date()) => {
+    let { easeFactor, interval, repetitions } = state;
+
+    if (grade >= PASSING_GRADE) {
+        if (repetitions === 0) {
+            interval = 1;
+        } else if (repetitions === 1) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * easeFactor);
+        }
+        repetitions += 1;
+    } else {
+        // 기억에 실패하면 처음부터 다시 학습
+        repetitions = 0;
+        interval = 1;
+    }
+
+    easeFactor = Math.max(
+        MIN_EASE_FACTOR,
+        easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+    );
+
+    return {
+        easeFactor: Number(easeFactor.toFixed(2)),
+        interval,
+        repetitions,
+        dueAt: admin.firestore.Timestamp.fromMillis(now.getTime() + interval * DAY_MS),
+        lastReviewedAt: admin.firestore.Timestamp.fromDate(now),
+        lastGrade: grade,
+    };
+};
+
+/**
+ * 한국 시간 기준 오늘 자정(다음날 0시)의 Timestamp를 반환
+ * @param {Date} [now] - 기준 시각
+ */
+const getEndOfToday = (now = new Date()) => {
+    const kstNow = now.getTime() + KST_OFFSET_MS;
+    const kstEndOfDay = Math.floor(kstNow / DAY_MS) * DAY_MS + DAY_MS;
+    return admin.firestore.Timestamp.fromMillis(kstEndOfDay - KST_OFFSET_MS);
+};
+
+// 배열을 무작위로 섞은 새 배열 반환 (Fisher-Yates)
+const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// 정규식 특수문자 이스케이프
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 객관식 문제 생성: 다른 저장 단어의 shortDefinition을 오답 보기로 사용
+ * @param {object} word - 출제할 단어 ({ id, term, shortDefinition, ... })
+ * @param {Array<object>} pool - 오답 보기를 고를 전체 단어 목록
+ * @param {number} [optionCount] - 보기 개수
+ * @returns {object|null} 보기를 충분히 만들 수 없으면 null
+ */
+const buildMultipleChoiceQuestion = (word, pool, optionCount = 4) => {
+    if (!word.shortDefinition) return null;
+
+    const distractors = shuffle([...new Set(
+        pool
+            .filter(other => other.id !== word.id && other.shortDefinition && other.shortDefinition !== word.shortDefinition)
+            .map(other => other.shortDefinition)
+    )]).slice(0, optionCount - 1);
+
+    if (distractors.length < optionCount - 1) return null;
+
+    return {
+        type: 'multiple_choice',
+        termId: word.id,
+        question: `'${word.term}'의 뜻으로 알맞은 것은?`,
+        options: shuffle([word.shortDefinition, ...distractors]),
+    };
+};
+
+/**
+ * 빈칸 채우기 문제 생성: 저장된 문맥 문장에서 단어를 빈칸으로 바꿈
+ * @param {object} word - 출제할 단어 ({ id, term, contextSentence, ... })
+ * @returns {object|null} 문맥 문장에 단어가 없으면 null
+ */
+const buildClozeQuestion = (word) => {
+    const sentence = [word.contextSentence, ...(word.contextSentences || [])]
+        .find(s => s && s.includes(word.term));
+    if (!sentence) return null;
+
+    return {
+        type: 'cloze',
+        termId: word.id,
+        question: sentence.trim().replace(new RegExp(escapeRegExp(word.term), 'g'), '_____'),
+        hint: word.shortDefinition || '',
+    };
+};
+
+/**
+ * 퀴즈 답안을 채점하여 SM-2 점수로 변환
+ * @param {object} word - 정답 단어 데이터
+ * @param {string} type - 'multiple_choice' | 'cloze'
+ * @param {string} answer - 사용자가 고른 보기 또는 입력한 단어
+ * @returns {{ correct: boolean, grade: number, expected: string }}
+ */
+const gradeQuizAnswer = (word, type, answer) => {
+    const normalize = (text) => String(text || '').replace(/\s+/g, '').normalize('NFC');
+    const expected = type === 'cloze' ? word.term : word.shortDefinition;
+    const correct = normalize(answer) === normalize(expected);
+
+    return {
+        correct,
+        // 정답은 '약간 고민 후 기억'(4), 오답은 '보고 나서야 기억'(1)으로 간주
+        grade: correct ? 4 : 1,
+        expected,
+    };
+};
+
+/**
+ * 복습 상태(review)가 없는 이전 단어(복습 기능 이전에 저장된 단어)에 초기 복습 상태를 채움
+ * 필드가 없는 문서는 쿼리로 찾을 수 없으므로 모든 단어장을 문서 경로 순으로 한 번 훑고, 진행 위치를 저장해 다음 실행에서 이어감
+ * @param {number} maxBatches - 이번 실행에서 읽을 최대 배치 수
+ * @returns {Promise<{ updated: number, completed: boolean }>}
+ */
+const backfillReviewStates = async (maxBatches) => {
+    const stateRef = db.doc(BACKFILL_STATE_PATH);
+    const stateSnap = await stateRef.get();
+    if (stateSnap.exists && stateSnap.get('completedAt')) {
+        return { updated: 0, completed: true };
+    }
+
+    let lastPath = stateSnap.exists ? stateSnap.get('lastPath') : null;
+    let updated = 0;
+    for (let batchIndex = 0; batchIndex < maxBatches; batchIndex++) {
+        let query = db.collectionGroup('vocabulary')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(BACKFILL_BATCH_SIZE);
+        if (lastPath) {
+            query = query.startAfter(lastPath);
+        }
+        const snapshot = await query.get();
+
+        const legacyDocs = snapshot.docs.filter(doc => !doc.get('review'));
+        if (legacyDocs.length > 0) {
+            const batch = db.batch();
+            legacyDocs.forEach(doc => batch.update(doc.ref, {
+                review: createInitialReviewState(),
+                // 학습 완료 여부가 없는 문서도 복습 대기열(learned == false) 쿼리에 잡히도록 채움
+                ...(typeof doc.get('learned') === 'boolean' ? {} : { learned: false }),
+            }));
+            await batch.commit();
+            updated += legacyDocs.length;
+        }
+
+        if (snapshot.size < BACKFILL_BATCH_SIZE) {
+            await stateRef.set({ lastPath, completedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+            return { updated, completed: true };
+        }
+        lastPath = snapshot.docs[snapshot.docs.length - 1].ref.path;
+        await stateRef.set({ lastPath, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    }
+    return { updated, completed: false };
+};
+
+module.exports = {
+    createInitialReviewState,
+    getReviewState,
+    scheduleReview,
+    getEndOfToday,
+    shuffle,
+    buildMultipleChoiceQuestion,
+    buildClozeQuestion,
+    gradeQuizAnswer,
+    backfillReviewStates
+};
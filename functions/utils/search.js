@@ -0,0 +1,41 @@
+// functions/utils/search.js
+const fs = require('fs');
+const path = require('path');
+
+const { isMockProvider } = require('./llm');
+
+const SEARCH_FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'search.json');
+
+/**
+ * Google Custom Search API로 검색. 목(mock) 제공자를 쓰는 환경에서는 fixtures/search.json으로 응답
+ * @param {object} options
+ * @param {string} options.query - 검색어
+ * @param {string} [options.searchType] - 'image'이면 이미지 검색
+ * @param {number} [options.num] - 결과 개수 (최대 10)
+ * @returns {Promise<Array<{title: string, link: string, snippet: string}>>} 검색 결과 (CSE의 items)
+ */
+const searchGoogle = async ({ query, searchType, num = 10 }) => {
+    if (isMockProvider()) {
+        const fixture = JSON.parse(fs.readFileSync(SEARCH_FIXTURE_PATH, 'utf8'));
+        return (searchType === 'image' ? fixture.image : fixture.web).slice(0, num);
+    }
+
+    const googleCseApiKey = process.env.GOOGLE_CSE_API_KEY;
+    const googleCseCx = process.env.GOOGLE_CSE_CX;
+    if (!googleCseApiKey || !googleCseCx) {
+        return [];
+    }
+
+    let googleSearchUrl = `https://www.googleapis.com/customsearch/v1?key=${googleCseApiKey}&cx=${googleCseCx}&q=${encodeURIComponent(query)}&num=${num}`;
+    if (searchType) {
+        googleSearchUrl += `&searchType=${searchType}`;
+    }
+
+    const searchResponse = await fetch(googleSearchUrl);
+    const searchData = await searchResponse.json();
+    return searchData.items || [];
+};
+
+module.exports = {
+    searchGoogle
+};
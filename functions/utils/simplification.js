@@ -0,0 +1,544 @@
+// functions/utils/simplification.js
+const { createChatCompletion, streamChatCompletion } = require('./llm');
+const { buildSimplificationGuidelines } = require('./readingProfile');
+const { chunkParagraphsFor, mergeChunkResults, estimateTokens, mapWithConcurrency } = require('./chunking');
+const { locateSentences } = require('./analysis');
+
+// 작업 문서와 리포트에 저장하는 전체 텍스트의 문단 구분자
+const PARAGRAPH_SEPARATOR = "---PARAGRAPH_SEPARATOR---";
+
+// 응답 문단별 처리 결과
+const PARAGRAPH_STATUS = {
+    SIMPLIFIED: 'simplified', // 한 번의 요청으로 순화됨
+    RETRIED: 'retried',       // 정렬 검사에 실패해 해당 문단만 다시 요청하여 순화됨
+    FALLBACK: 'fallback',     // 재요청도 실패해 원문을 그대로 사용
+    UNCHANGED: 'unchanged',   // 부분 순화 요청에서 대상이 아니어서 원문을 그대로 둠
+};
+
+// 한 문단 안에 여러 구간의 상태가 섞여 있을 때 문단 상태로 쓸 우선순위
+const SPAN_STATUS_PRIORITY = [PARAGRAPH_STATUS.FALLBACK, PARAGRAPH_STATUS.RETRIED, PARAGRAPH_STATUS.SIMPLIFIED];
+
+// 부분 순화에서 순화할 구간과 함께 보내는 앞뒤 문맥의 최대 토큰 수 (추정치 기준)
+const CONTEXT_TOKEN_LIMIT = 800;
+
+// 순화문 길이가 원문 대비 이 범위를 벗어나면 문단이 합쳐지거나 잘린 것으로 보고 재요청
+// (짧은 문단은 길이 비율이 크게 흔들리므로 검사하지 않음)
+const MIN_LENGTH_RATIO = 0.3;
+const MAX_LENGTH_RATIO = 2.5;
+const LENGTH_CHECK_MIN_CHARS = 40;
+
+// 스트리밍 응답에서 각 문단 앞에 붙는 표시 (예: [[P3]])
+const PARAGRAPH_MARKER_PATTERN = /\[\[P(\d+)\]\]/g;
+
+const SYSTEM_PROMPT = "You are an expert editor who processes text and returns only the simplified text, keeping every paragraph under its original key. Do not include any additional explanations or formatting outside of the simplified content.";
+
+/**
+ * 프롬프트 안에서 문단을 가리키는 키 (클라이언트의 문단 ID는 형식이 제각각이므로 순서 기반 키를 사용)
+ * @param {number} index - 문단 순서 (0부터)
+ */
+const getParagraphKey = (index) => `P${index + 1}`;
+
+/**
+ * 문단 텍스트들을 문단 구분자로 연결
+ * @param {string[]} texts - 문단 텍스트 배열
+ */
+const joinParagraphTexts = (texts) => texts.join(`\n${PARAGRAPH_SEPARATOR}\n`);
+
+/**
+ * joinParagraphTexts로 연결한 텍스트를 다시 문단 배열로 나눔 (문단 ID는 알 수 없으므로 null)
+ * @param {string} fullText - 문단 구분자로 연결된 텍스트
+ */
+const splitParagraphTexts = (fullText) => String(fullText || '')
+    .split(PARAGRAPH_SEPARATOR)
+    .map(text => ({ id: null, text: text.trim() }));
+
+/**
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @param {string} structureGuideline - 입력, 출력 형식에 대한 지침
+ * @param {string} originalText - 순화할 원문
+ * @param {string} [contextText] - 순화하지 않고 참고만 할 앞뒤 문맥 (부분 순화용)
+ */
+const buildPrompt = (readingProfile, structureGuideline, originalText, contextText) => {
+    // 문장, 어휘 가이드라인 (0.25 단위의 세분화된 수준 지원)
+    const guidelineSentences = buildSimplificationGuidelines(readingProfile);
+
+    return `
+                ## 역할 (Persona)
+                당신은 전문 편집자입니다. 사용자의 프로필을 바탕으로 원문 텍스트를 '순화'하는 임무를 맡았습니다. '요약'이 아님에 주의하세요.
+
+                ## 사용자 프로필
+                - 읽기 프로필: ${guidelineSentences.join(' ')}
+
+                ## 지침
+                - **문단 구조 유지**: ${structureGuideline}
+                - **정보량 보존**: 원문의 핵심 정보와 세부 사항을 생략하거나 요약하지 마세요. 글의 길이를 인위적으로 줄이는 것이 목표가 아닙니다.
+                - **프로필 기반 순화**: 사용자의 '읽기 프로필'에 명시된 가이드라인을 최우선 순위로 고려하여 엄격하게 순화 작업을 수행하세요. 이 프로필은 순화의 강도와 방향을 결정하는 가장 중요한 기준입니다.
+                - **어투 및 스타일 유지**: 원문의 전반적인 어조, 스타일(예: 경어체, 구어체, 문어체, 유머러스함 등)을 최대한 유지하면서 순화하세요.
+                - 원문의 핵심 의미를 절대 왜곡하지 마세요.
+                - 원문이 한국어이므로, 결과물도 반드시 한국어로 작성하세요.
+                - 순화된 텍스트 외에 어떠한 추가 설명이나 안내 문구도 포함하지 마세요.${contextText ? `
+
+                ## 앞뒤 문맥 (Context)
+                아래는 순화할 부분의 앞뒤 내용입니다. 내용을 이해하는 데에만 참고하고, 순화하거나 결과에 포함하지 마세요.
+                ---
+                ${contextText}
+                ---` : ''}
+
+                ## 원문 텍스트 (Original Text)
+                ---
+                ${originalText}
+                ---
+            `;
+};
+
+/**
+ * 문단 키를 속성 이름으로 하는 JSON 객체로 순화 결과를 받는 요청 메시지 (버퍼 응답용)
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ * @param {string} [contextText] - 참고용 앞뒤 문맥 (부분 순화용)
+ */
+const buildJsonSimplificationMessages = (readingProfile, paragraphs, contextText) => {
+    const originalJson = JSON.stringify(
+        Object.fromEntries(paragraphs.map((p, index) => [getParagraphKey(index), p.text])),
+        null,
+        2
+    );
+    const structureGuideline = "원문은 문단 키(P1, P2, ...)를 속성 이름으로, 문단 텍스트를 값으로 하는 JSON 객체입니다. 결과도 반드시 같은 키를 모두 가진 JSON 객체로 반환하고, 각 키의 값에는 그 문단만 순화하여 넣으세요. 문단을 합치거나 나누지 마세요.";
+
+    return [
+        { "role": "system", "content": SYSTEM_PROMPT },
+        { "role": "user", "content": buildPrompt(readingProfile, structureGuideline, originalJson, contextText) },
+    ];
+};
+
+/**
+ * 각 문단 앞에 [[P1]] 형식의 표시를 붙여 순화 결과를 받는 요청 메시지 (스트리밍용)
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ */
+const buildMarkedSimplificationMessages = (readingProfile, paragraphs) => {
+    const originalText = paragraphs.map((p, index) => `[[${getParagraphKey(index)}]]\n${p.text}`).join('\n\n');
+    const structureGuideline = "원문의 각 문단은 [[P1]], [[P2]] 같은 문단 표시 줄로 시작합니다. 결과에서도 각 문단 앞에 원문과 같은 문단 표시 줄을 그대로 쓰고, 그 아래에 해당 문단만 순화하여 쓰세요. 원문과 같은 순서로 모든 문단을 빠짐없이 쓰고, 문단을 합치거나 나누지 마세요.";
+
+    return [
+        { "role": "system", "content": SYSTEM_PROMPT },
+        { "role": "user", "content": buildPrompt(readingProfile, structureGuideline, originalText) },
+    ];
+};
+
+/**
+ * 문단 하나만 다시 순화하는 요청 메시지 (정렬 검사에 실패한 문단 재요청용)
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @param {string} paragraphText - 원문 문단
+ */
+const buildParagraphSimplificationMessages = (readingProfile, paragraphText) => {
+    const structureGuideline = "원문은 한 개의 문단입니다. 결과도 한 개의 문단으로, 순화된 텍스트만 반환하세요.";
+
+    return [
+        { "role": "system", "content": "You are an expert editor who returns only the simplified paragraph without any additional explanations." },
+        { "role": "user", "content": buildPrompt(readingProfile, structureGuideline, paragraphText) },
+    ];
+};
+
+/**
+ * 순화문이 원문 문단 하나에 대응하는 결과로 보이는지 확인 (비어 있거나 길이가 크게 어긋나면 false)
+ * @param {string} originalText - 원문 문단
+ * @param {string} simplifiedText - 순화된 문단
+ */
+const isPlausibleSimplification = (originalText, simplifiedText) => {
+    if (typeof simplifiedText !== 'string' || !simplifiedText.trim()) return false;
+    if (originalText.length < LENGTH_CHECK_MIN_CHARS) return true;
+
+    const ratio = simplifiedText.trim().length / originalText.length;
+    return ratio >= MIN_LENGTH_RATIO && ratio <= MAX_LENGTH_RATIO;
+};
+
+/**
+ * JSON 형식의 순화 응답을 문단 순서대로 정렬 (대응하는 결과가 없거나 검사에 실패한 문단은 null)
+ * @param {string} content - 모델 응답
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ * @returns {Array<string|null>}
+ */
+const alignJsonSimplification = (content, paragraphs) => {
+    let parsed = {};
+    try {
+        parsed = JSON.parse(content) || {};
+    } catch (error) {
+        console.warn("순화 응답 JSON 파싱 실패:", error.message);
+    }
+
+    const expectedKeys = paragraphs.map((p, index) => getParagraphKey(index));
+    const unexpectedKeys = Object.keys(parsed).filter(key => !expectedKeys.includes(key));
+    if (unexpectedKeys.length > 0) {
+        console.warn(`순화 응답에 원문에 없는 문단 키가 있습니다: ${unexpectedKeys.join(', ')}`);
+    }
+
+    return paragraphs.map((p, index) => {
+        const text = parsed[getParagraphKey(index)];
+        return isPlausibleSimplification(p.text, text) ? text.trim() : null;
+    });
+};
+
+/**
+ * 문단 표시가 붙은 스트리밍 응답을 조각 단위로 받아, 문단이 끝날 때마다 알려주는 파서
+ * 다음 문단 표시가 도착해야 앞 문단이 끝난 것으로 보며, 마지막 문단은 end()에서 처리
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ * @param {function(number, string): void} onParagraph - 검사를 통과한 문단의 (순서, 순화문)을 받는 콜백
+ * @returns {{ push: function(string): void, end: function(): Array<string|null> }}
+ *          end()는 문단 순서대로 정렬된 결과를 반환 (대응하는 결과가 없는 문단은 null)
+ */
+const createMarkedStreamParser = (paragraphs, onParagraph) => {
+    const texts = paragraphs.map(() => null);
+    let buffer = '';
+    let currentIndex = null;
+
+    const finishParagraph = (text) => {
+        // 중복된 표시는 첫 번째 결과만 사용
+        if (currentIndex === null || texts[currentIndex] !== null) return;
+        if (!isPlausibleSimplification(paragraphs[currentIndex].text, text)) return;
+
+        texts[currentIndex] = text.trim();
+        onParagraph(currentIndex, texts[currentIndex]);
+    };
+
+    const setCurrentIndex = (paragraphNumber) => {
+        const index = paragraphNumber - 1;
+        if (index >= 0 && index < paragraphs.length) {
+            currentIndex = index;
+        } else {
+            console.warn(`순화 응답에 원문에 없는 문단 표시가 있습니다: P${paragraphNumber}`);
+            currentIndex = null;
+        }
+    };
+
+    return {
+        push: (chunk) => {
+            buffer += chunk;
+
+            let lastEnd = 0;
+            let match;
+            PARAGRAPH_MARKER_PATTERN.lastIndex = 0;
+            while ((match = PARAGRAPH_MARKER_PATTERN.exec(buffer)) !== null) {
+                finishParagraph(buffer.slice(lastEnd, match.index));
+                setCurrentIndex(Number(match[1]));
+                lastEnd = match.index + match[0].length;
+            }
+            buffer = buffer.slice(lastEnd);
+        },
+        end: () => {
+            finishParagraph(buffer);
+            buffer = '';
+            currentIndex = null;
+            return texts;
+        },
+    };
+};
+
+/**
+ * 정렬 검사에 실패한 문단만 하나씩 다시 순화. 재요청도 실패하면 원문을 사용
+ * @param {Array<{id: *, text: string}>} paragraphs - 원문 문단 배열
+ * @param {Array<string|null>} alignedTexts - 문단 순서대로 정렬된 순화 결과
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @param {function(number, object): void} [onParagraph] - 재요청으로 확정된 문단의 (순서, 결과)를 받는 콜백
+ * @returns {Promise<Array<{id: *, text: string, status: string}>>}
+ */
+const resolveMissingParagraphs = async (paragraphs, alignedTexts, readingProfile, userId, onParagraph) => {
+    const missingIndexes = paragraphs.map((p, index) => index).filter(index => alignedTexts[index] === null);
+    if (missingIndexes.length > 0) {
+        console.warn(`순화 결과가 원문 문단과 맞지 않아 ${missingIndexes.length}개 문단을 다시 요청합니다: ${missingIndexes.map(getParagraphKey).join(', ')}`);
+    }
+
+    const results = paragraphs.map((p, index) => alignedTexts[index] === null
+        ? null
+        : { id: p.id, text: alignedTexts[index], status: PARAGRAPH_STATUS.SIMPLIFIED });
+
+    await mapWithConcurrency(missingIndexes, async (index) => {
+        const paragraph = paragraphs[index];
+        let result = { id: paragraph.id, text: paragraph.text, status: PARAGRAPH_STATUS.FALLBACK };
+        try {
+            const completion = await createChatCompletion({
+                temperature: 0,
+                messages: buildParagraphSimplificationMessages(readingProfile, paragraph.text),
+            }, { endpoint: 'simplifyText', task: 'paragraph', userId });
+
+            const text = completion.choices[0].message.content;
+            if (isPlausibleSimplification(paragraph.text, text)) {
+                result = { id: paragraph.id, text: text.trim(), status: PARAGRAPH_STATUS.RETRIED };
+            }
+        } catch (error) {
+            console.warn(`[${getParagraphKey(index)}] 문단 재요청 실패, 원문을 사용합니다:`, error.message);
+        }
+        results[index] = result;
+        if (onParagraph) onParagraph(index, result);
+    });
+
+    return results;
+};
+
+/**
+ * 조각 하나를 순화 (JSON 응답을 문단별로 정렬하고, 어긋난 문단만 재요청)
+ * @param {Array<{id: *, text: string}>} paragraphs - 조각에 속한 원문 문단 배열
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @param {string} [contextText] - 참고용 앞뒤 문맥 (부분 순화용)
+ */
+const simplifyChunk = async (paragraphs, readingProfile, userId, contextText) => {
+    const completion = await createChatCompletion({
+        temperature: 0, // 일관된 답변을 위해 temperature를 0으로 설정
+        response_format: { type: "json_object" },
+        messages: buildJsonSimplificationMessages(readingProfile, paragraphs, contextText),
+    }, { endpoint: 'simplifyText', userId });
+
+    const alignedTexts = alignJsonSimplification(completion.choices[0].message.content || '', paragraphs);
+    return resolveMissingParagraphs(paragraphs, alignedTexts, readingProfile, userId);
+};
+
+/**
+ * 문장 경계에서 나누어 순화한 문단 조각들의 결과를 원래 문단 하나로 합침 (조각 사이의 원문 공백, 줄바꿈은 유지)
+ * @param {Array<{id: *, text: string, status: string}>} results - 조각 순서의 순화 결과
+ * @param {string[]} separators - 각 조각 앞의 원문 사이 문자열과 마지막 조각 뒤의 문자열 (mergeChunkResults가 전달)
+ * @returns {{id: *, text: string, status: string}}
+ */
+const mergeSimplifiedPieces = (results, separators) => ({
+    id: results[0].id,
+    text: results.map((result, index) => separators[index] + result.text).join('') + separators[results.length],
+    status: SPAN_STATUS_PRIORITY.find(candidate => results.some(result => result.status === candidate)),
+});
+
+/**
+ * 문단 배열을 읽기 프로필에 맞춰 순화. 긴 글은 문단 경계에서 조각으로 나누어 동시에 처리한 뒤 순서대로 합침
+ * (조각 한도보다 긴 문단은 문장 경계에서 나누어 순화한 뒤 다시 합침)
+ * @param {Array<{id: *, text: string}>} paragraphs - 원문 문단 배열
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @returns {Promise<Array<{id: *, text: string, status: string}>>}
+ */
+const simplifyParagraphs = async (paragraphs, readingProfile, userId) => {
+    const chunks = chunkParagraphsFor('simplifyText', paragraphs);
+    const chunkResults = await mapWithConcurrency(chunks, chunk => simplifyChunk(chunk.paragraphs, readingProfile, userId));
+    return mergeChunkResults(chunks, chunkResults, mergeSimplifiedPieces);
+};
+
+/**
+ * 글자 범위를 범위가 걸친 문장 전체로 넓힘 (문장 중간에서 잘린 조각을 순화하지 않도록)
+ * @param {string} text - 문단 텍스트
+ * @param {number} start - 시작 위치
+ * @param {number} end - 끝 위치 (포함하지 않음)
+ */
+const expandToSentences = (text, start, end) => {
+    const sentences = locateSentences(text).filter(sentence => sentence.end > start && sentence.start < end);
+    if (sentences.length === 0) return { start, end };
+    return { start: sentences[0].start, end: sentences[sentences.length - 1].end };
+};
+
+/**
+ * 부분 순화 대상(targets)을 검증하고 순화할 구간 목록으로 변환
+ * - { id }: 문단 전체
+ * - { id, start, end }: 문단 텍스트 안의 [start, end) 글자 범위 (범위가 걸친 문장 전체로 넓힘)
+ * 같은 문단에서 겹치거나 맞닿은 구간은 하나로 합침
+ * @param {Array<{id: *, text: string}>} paragraphs - 원문 문단 배열
+ * @param {*} targets - 요청의 targets 값
+ * @returns {{ errors: Array<{field: string, message: string}>, value: Array<{index: number, start: number, end: number}> }}
+ *          value는 문단 순서, 문단 안 위치 순으로 정렬됨
+ */
+const resolveTargets = (paragraphs, targets) => {
+    if (!Array.isArray(targets) || targets.length === 0) {
+        return { errors: [{ field: 'targets', message: 'targets는 비어 있지 않은 배열이어야 합니다.' }], value: [] };
+    }
+
+    const errors = [];
+    const rangesByIndex = new Map();
+    targets.forEach((target, targetIndex) => {
+        const field = `targets[${targetIndex}]`;
+        const index = target && target.id !== undefined && target.id !== null
+            ? paragraphs.findIndex(p => p.id !== undefined && p.id !== null && String(p.id) === String(target.id))
+            : -1;
+        if (index === -1) {
+            errors.push({ field: `${field}.id`, message: '요청한 문단 중에 없는 문단 ID입니다.' });
+            return;
+        }
+
+        const text = String(paragraphs[index].text || '');
+        let range = { start: 0, end: text.length };
+        if (target.start !== undefined || target.end !== undefined) {
+            const { start, end } = target;
+            if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > text.length || start >= end) {
+                errors.push({ field, message: `start, end는 0 ~ ${text.length} 사이의 정수이고 start가 end보다 작아야 합니다.` });
+                return;
+            }
+            range = expandToSentences(text, start, end);
+        }
+
+        if (!rangesByIndex.has(index)) rangesByIndex.set(index, []);
+        rangesByIndex.get(index).push(range);
+    });
+
+    const value = [...rangesByIndex.entries()]
+        .sort(([a], [b]) => a - b)
+        .flatMap(([index, ranges]) => {
+            const merged = [];
+            ranges.sort((a, b) => a.start - b.start).forEach((range) => {
+                const last = merged[merged.length - 1];
+                if (last && range.start <= last.end) {
+                    last.end = Math.max(last.end, range.end);
+                } else {
+                    merged.push({ index, ...range });
+                }
+            });
+            return merged;
+        });
+
+    return { errors, value };
+};
+
+/**
+ * 부분 순화할 구간들의 앞뒤 문맥 텍스트 (토큰 한도 안에서)
+ * 문단 일부만 순화하는 경우 그 문단을, 그리고 바로 앞뒤 문단을 순서대로 포함 (통째로 순화하는 문단은 제외)
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ * @param {Array<{index: number, start: number, end: number}>} segments - 순화할 구간 배열
+ */
+const buildTargetContext = (paragraphs, segments) => {
+    const wholeIndexes = new Set(segments
+        .filter(segment => segment.start === 0 && segment.end === String(paragraphs[segment.index].text || '').length)
+        .map(segment => segment.index));
+    const candidates = [...new Set(segments.flatMap(segment => [segment.index, segment.index - 1, segment.index + 1]))]
+        .filter(index => index >= 0 && index < paragraphs.length && !wholeIndexes.has(index));
+
+    let remainingTokens = CONTEXT_TOKEN_LIMIT;
+    const selected = candidates.filter((index) => {
+        const tokens = estimateTokens(paragraphs[index].text);
+        if (tokens > remainingTokens) return false;
+        remainingTokens -= tokens;
+        return true;
+    });
+
+    return selected.sort((a, b) => a - b).map(index => paragraphs[index].text).join('\n\n');
+};
+
+/**
+ * 지정한 구간만 순화하고 나머지는 원문을 유지. 앞뒤 문단을 문맥으로 함께 보냄
+ * @param {Array<{id: *, text: string}>} paragraphs - 원문 문단 배열
+ * @param {Array<{index: number, start: number, end: number}>} targetRanges - resolveTargets 결과
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @returns {Promise<{ simplifiedParagraphs: Array<{id: *, text: string, status: string}>, changedSpans: Array<object> }>}
+ *          changedSpans: [{ paragraphIndex, id, status, original: {start, end, text}, simplified: {start, end, text} }]
+ *          (simplified의 위치는 순화된 문단 텍스트 안의 위치)
+ */
+const simplifyTargets = async (paragraphs, targetRanges, readingProfile, userId) => {
+    const segments = targetRanges.map(range => ({
+        ...range,
+        text: String(paragraphs[range.index].text || '').slice(range.start, range.end),
+    }));
+
+    const chunks = chunkParagraphsFor('simplifyText', segments);
+    const chunkResults = await mapWithConcurrency(chunks, chunk => simplifyChunk(
+        chunk.paragraphs, readingProfile, userId, buildTargetContext(paragraphs, chunk.paragraphs)
+    ));
+    const segmentResults = mergeChunkResults(chunks, chunkResults, mergeSimplifiedPieces);
+
+    const changedSpans = segments.map((segment, i) => {
+        const id = paragraphs[segment.index].id;
+        return {
+            paragraphIndex: segment.index,
+            id: id === undefined ? null : id,
+            status: segmentResults[i].status,
+            original: { start: segment.start, end: segment.end, text: segment.text },
+            simplified: { start: null, end: null, text: segmentResults[i].text },
+        };
+    });
+
+    // 구간을 앞에서부터 바꿔 끼우며 순화된 문단 안의 위치를 기록
+    const simplifiedParagraphs = paragraphs.map((p, index) => {
+        const spans = changedSpans.filter(span => span.paragraphIndex === index);
+        if (spans.length === 0) {
+            return { id: p.id, text: p.text, status: PARAGRAPH_STATUS.UNCHANGED };
+        }
+
+        const originalText = String(p.text || '');
+        let text = '';
+        let cursor = 0;
+        spans.forEach((span) => {
+            text += originalText.slice(cursor, span.original.start);
+            span.simplified.start = text.length;
+            text += span.simplified.text;
+            span.simplified.end = text.length;
+            cursor = span.original.end;
+        });
+        text += originalText.slice(cursor);
+
+        const status = SPAN_STATUS_PRIORITY.find(candidate => spans.some(span => span.status === candidate));
+        return { id: p.id, text, status };
+    });
+
+    return { simplifiedParagraphs, changedSpans };
+};
+
+/**
+ * 문단 배열을 스트리밍으로 순화하며, 문단이 확정될 때마다 onParagraph를 호출
+ * 긴 글은 조각으로 나누되, 앞 문단부터 화면에 나오도록 조각을 순서대로 하나씩 처리
+ * 문장 경계에서 나뉜 긴 문단은 모든 부분이 확정된 뒤에 합쳐서 한 번만 전송
+ * @param {Array<{id: *, text: string}>} paragraphs - 원문 문단 배열
+ * @param {object} readingProfile - { sentence, vocabulary }
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @param {function(number, {id: *, text: string, status: string}): void} onParagraph - (전체 문단 순서, 결과)를 받는 콜백
+ * @returns {Promise<Array<{id: *, text: string, status: string}>>}
+ */
+const streamSimplifiedParagraphs = async (paragraphs, readingProfile, userId, onParagraph) => {
+    const chunks = chunkParagraphsFor('simplifyText', paragraphs);
+    const chunkResults = chunks.map(chunk => chunk.paragraphs.map(() => null));
+
+    // 원래 문단 순서 → 그 문단에 속한 [조각 순서, 조각 안 순서] 목록
+    const piecesByIndex = new Map();
+    chunks.forEach((chunk, chunkIndex) => chunk.sources.forEach((source, i) => {
+        if (!piecesByIndex.has(source.index)) piecesByIndex.set(source.index, []);
+        piecesByIndex.get(source.index).push([chunkIndex, i]);
+    }));
+
+    for (const [chunkIndex, chunk] of chunks.entries()) {
+        const emit = (i, result) => {
+            chunkResults[chunkIndex][i] = result;
+            const { index } = chunk.sources[i];
+            const pieces = piecesByIndex.get(index);
+            if (pieces.length === 1) {
+                onParagraph(index, result);
+            } else if (pieces.every(([c, p]) => chunkResults[c][p])) {
+                const [lastChunk, lastPiece] = pieces[pieces.length - 1];
+                onParagraph(index, mergeSimplifiedPieces(
+                    pieces.map(([c, p]) => chunkResults[c][p]),
+                    [...pieces.map(([c, p]) => chunks[c].sources[p].separator), chunks[lastChunk].sources[lastPiece].trailing]
+                ));
+            }
+        };
+
+        // 다음 문단 표시가 도착할 때마다 그 앞까지를 한 문단으로 전송
+        const parser = createMarkedStreamParser(chunk.paragraphs, (index, text) => {
+            emit(index, { id: chunk.paragraphs[index].id, text, status: PARAGRAPH_STATUS.SIMPLIFIED });
+        });
+        const stream = streamChatCompletion({
+            temperature: 0,
+            messages: buildMarkedSimplificationMessages(readingProfile, chunk.paragraphs),
+        }, { endpoint: 'simplifyText', task: 'stream', userId });
+
+        for await (const content of stream) {
+            parser.push(content);
+        }
+
+        // 빠지거나 어긋난 문단만 다시 요청해 전송
+        await resolveMissingParagraphs(chunk.paragraphs, parser.end(), readingProfile, userId, emit);
+    }
+
+    return mergeChunkResults(chunks, chunkResults, mergeSimplifiedPieces);
+};
+
+module.exports = {
+    PARAGRAPH_SEPARATOR,
+    PARAGRAPH_STATUS,
+    joinParagraphTexts,
+    splitParagraphTexts,
+    resolveTargets,
+    simplifyParagraphs,
+    simplifyTargets,
+    streamSimplifiedParagraphs
+};
@@ -0,0 +1,345 @@
+// functions/utils/summarization.js
+const { createChatCompletion } = require('./llm');
+const { CHUNK_TOKEN_LIMITS, chunkParagraphs, mapWithConcurrency } = require('./chunking');
+const { buildVocabularyGuideline } = require('./readingProfile');
+
+const SYSTEM_PROMPT = "You are an expert summarizer who writes concise and complete summaries and returns only a JSON object.";
+
+// 요약 분량 (oneLine: 한 문장, standard: 300자 내외, custom: maxChars 글자 이내)
+const SUMMARY_LENGTHS = ['oneLine', 'standard', 'custom'];
+// 요약 형식 (paragraph: 한 문단, bullets: 핵심 항목 목록, threeLines: 세줄요약)
+const SUMMARY_FORMATS = ['paragraph', 'bullets', 'threeLines'];
+
+const DEFAULT_SUMMARY_OPTIONS = {
+    length: 'standard',
+    format: 'paragraph',
+    bySection: false,
+    maxChars: null,
+};
+
+const ONE_LINE_MAX_CHARS = 80;
+const STANDARD_MAX_CHARS = 300;
+const CUSTOM_MIN_CHARS = 50;
+const CUSTOM_MAX_CHARS = 2000;
+// 응답이 잘렸거나 JSON 형식을 따르지 않았을 때 다시 요청하는 횟수를 포함한 최대 요청 수
+const MAX_SUMMARY_ATTEMPTS = 2;
+
+/**
+ * 프롬프트 안에서 문단을 가리키는 키 (문단 순서 기반, 원문 문단 ID로는 응답에서 되돌림)
+ * @param {number} index - 문단 순서 (0부터)
+ */
+const getParagraphKey = (index) => `P${index + 1}`;
+
+/**
+ * 요약 옵션을 검증하고 기본값을 채움
+ * @param {*} options - 요청의 options 값
+ * @returns {{ errors: Array<{field: string, message: string}>, value: object }}
+ */
+const validateSummaryOptions = (options) => {
+    const errors = [];
+    const value = { ...DEFAULT_SUMMARY_OPTIONS };
+
+    if (options === undefined || options === null) {
+        return { errors, value };
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        return { errors: [{ field: 'options', message: 'options는 객체여야 합니다.' }], value };
+    }
+
+    const { length, format, bySection, maxChars } = options;
+    if (length !== undefined) {
+        if (!SUMMARY_LENGTHS.includes(length)) {
+            errors.push({ field: 'options.length', message: `${SUMMARY_LENGTHS.join(', ')} 중 하나여야 합니다.` });
+        } else {
+            value.length = length;
+        }
+    }
+    if (format !== undefined) {
+        if (!SUMMARY_FORMATS.includes(format)) {
+            errors.push({ field: 'options.format', message: `${SUMMARY_FORMATS.join(', ')} 중 하나여야 합니다.` });
+        } else {
+            value.format = format;
+        }
+    }
+    if (bySection !== undefined) {
+        if (typeof bySection !== 'boolean') {
+            errors.push({ field: 'options.bySection', message: 'boolean 값이어야 합니다.' });
+        } else {
+            value.bySection = bySection;
+        }
+    }
+
+    if (value.length === 'custom') {
+        if (!Number.isInteger(maxChars) || maxChars < CUSTOM_MIN_CHARS || maxChars > CUSTOM_MAX_CHARS) {
+            errors.push({ field: 'options.maxChars', message: `length가 custom이면 ${CUSTOM_MIN_CHARS} ~ ${CUSTOM_MAX_CHARS} 사이의 정수가 필요합니다.` });
+        } else {
+            value.maxChars = maxChars;
+        }
+    } else if (maxChars !== undefined) {
+        errors.push({ field: 'options.maxChars', message: 'maxChars는 length가 custom일 때만 사용할 수 있습니다.' });
+    }
+
+    // 한 문장 요약은 항목이나 섹션으로 나눌 수 없음
+    if (value.length === 'oneLine' && (value.format !== 'paragraph' || value.bySection)) {
+        errors.push({ field: 'options.length', message: 'oneLine은 format이 paragraph이고 bySection이 false일 때만 사용할 수 있습니다.' });
+    }
+
+    return { errors, value };
+};
+
+/**
+ * 요약 전체의 최대 글자 수
+ * @param {object} options - validateSummaryOptions 결과
+ */
+const getMaxChars = (options) => {
+    if (options.length === 'oneLine') return ONE_LINE_MAX_CHARS;
+    if (options.length === 'custom') return options.maxChars;
+    return STANDARD_MAX_CHARS;
+};
+
+// 분량과 JSON 형식(출처 키 포함)을 담을 수 있는 최대 출력 토큰 수 (한글은 글자당 약 1토큰)
+const getMaxTokens = (options) => Math.min(4000, Math.ceil(getMaxChars(options) * 1.5) + (options.bySection ? 600 : 400));
+
+/**
+ * 형식별 points 작성 지침
+ * @param {object} options - validateSummaryOptions 결과
+ */
+const buildFormatGuideline = (options) => {
+    const scope = options.bySection ? '각 섹션의 ' : '';
+    if (options.format === 'bullets') {
+        return `${scope}points에는 핵심 내용을 하나씩 담은 짧은 글머리표 항목을 중요한 순서대로 3~7개 작성하세요.`;
+    }
+    if (options.format === 'threeLines') {
+        return `${scope}points에는 정확히 3개의 항목을 작성하세요. 각 항목은 한 줄짜리 문장이며, 세 줄을 차례로 읽으면 글 전체(또는 섹션)의 흐름이 드러나야 합니다. (세줄요약)`;
+    }
+    if (options.length === 'oneLine') {
+        return 'points에는 글 전체의 핵심을 담은 한 문장만 작성하세요.';
+    }
+    return `${scope}points에는 요약문을 이루는 문장을 순서대로 나누어 작성하세요. 문장들을 이어 읽으면 자연스러운 한 개의 문단이 되어야 합니다.`;
+};
+
+/**
+ * 최종 요약 요청 프롬프트
+ * @param {string} sourceText - 문단 키가 붙은 원문 또는 부분 요약 항목들
+ * @param {boolean} fromPartials - sourceText가 부분 요약 항목들인지 여부
+ * @param {object} options - validateSummaryOptions 결과
+ * @param {string|null} vocabularyGuideline - 읽기 프로필의 어휘 지침
+ */
+const buildFinalPrompt = (sourceText, fromPartials, options, vocabularyGuideline) => `
+                ## 역할 (Persona)
+                당신은 전문 요약가입니다. 주어진 텍스트의 핵심 내용을 간결하게 요약하세요.
+
+                ## 지침
+                - 전체 텍스트의 핵심 아이디어와 가장 중요한 정보만을 추출하세요.
+                - **분량은 전체 ${getMaxChars(options)}자 이내로 맞춰주세요.**
+                - ${buildFormatGuideline(options)}
+                - 독자가 원문을 읽지 않아도 전체 내용의 개요를 파악할 수 있도록 작성하세요.
+                - 각 항목의 sources에는 그 내용의 근거가 된 문단 키(예: "P3")를 모두 넣으세요. 원문에 없는 키는 쓰지 마세요.
+                - 원문이 한국어이므로, 결과물도 반드시 한국어로 작성하세요.${vocabularyGuideline ? `
+                - 독자의 어휘 수준에 맞춰 쓰세요: ${vocabularyGuideline}` : ''}${options.bySection ? `
+                - 글을 내용이 이어지는 문단끼리 묶어 2~6개의 섹션으로 나누고, 섹션마다 짧은 소제목(heading)을 붙인 뒤 섹션별로 요약하세요. 섹션은 원문 순서를 따르고, 모든 문단이 하나의 섹션에 속해야 합니다.` : ''}${fromPartials ? `
+                - 아래 텍스트는 긴 글을 앞에서부터 순서대로 나누어 요약한 부분 요약 항목들입니다. 각 항목 앞의 괄호에 근거 문단 키가 있습니다. 글 전체의 흐름이 드러나도록 하나의 요약으로 합치세요.` : `
+                - 원문의 각 문단은 [P1], [P2] 같은 문단 키로 시작합니다.`}
+
+                ## 출력 형식 (JSON)
+                {
+                    "sections": [
+                        {
+                            "heading": ${options.bySection ? '"섹션 소제목"' : 'null'},
+                            "sources": ["이 섹션에 속한 문단 키", "..."],
+                            "points": [{ "text": "요약 항목", "sources": ["P1"] }]
+                        }
+                    ]
+                }${options.bySection ? '' : `
+                섹션으로 나누지 않으므로 sections에는 항목 하나만 넣으세요.`}
+
+                ## 원문 텍스트 (Original Text)
+                ---
+                ${sourceText}
+                ---
+            `;
+
+/**
+ * 긴 글의 한 부분을 요약하는 프롬프트 (map 단계)
+ * @param {string} sourceText - 문단 키가 붙은 부분 텍스트
+ */
+const buildPartialPrompt = (sourceText) => `
+                ## 역할 (Persona)
+                당신은 전문 요약가입니다. 주어진 텍스트는 긴 글의 일부입니다. 나중에 다른 부분의 요약과 합쳐질 부분 요약을 작성하세요.
+
+                ## 지침
+                - 이 부분의 핵심 주장, 사건, 수치 등 중요한 정보를 빠짐없이 담으세요.
+                - 전체 500자 이내의 항목들로 작성하고, 각 항목의 sources에는 근거가 된 문단 키(예: "P3")를 모두 넣으세요.
+                - 원문의 각 문단은 [P1], [P2] 같은 문단 키로 시작합니다.
+                - 원문이 한국어이므로, 결과물도 반드시 한국어로 작성하세요.
+
+                ## 출력 형식 (JSON)
+                { "points": [{ "text": "요약 항목", "sources": ["P1"] }] }
+
+                ## 원문 텍스트 (Original Text)
+                ---
+                ${sourceText}
+                ---
+            `;
+
+const parseJsonContent = (content) => {
+    try {
+        return JSON.parse(content) || {};
+    } catch (error) {
+        console.warn("요약 응답 JSON 파싱 실패:", error.message);
+        return null;
+    }
+};
+
+/**
+ * 응답의 문단 키 목록을 실제 문단 순서 목록으로 변환 (원문에 없는 키는 버림)
+ * @param {*} sources - 응답의 sources 값
+ * @param {number} paragraphCount - 원문 문단 수
+ */
+const toParagraphIndexes = (sources, paragraphCount) => {
+    if (!Array.isArray(sources)) return [];
+    const indexes = sources
+        .map(source => /^P(\d+)$/.exec(String(source).trim()))
+        .filter(Boolean)
+        .map(match => Number(match[1]) - 1)
+        .filter(index => index >= 0 && index < paragraphCount);
+    return [...new Set(indexes)].sort((a, b) => a - b);
+};
+
+/**
+ * 응답의 요약 항목 목록을 검증 (비어 있는 항목은 버림)
+ * @param {*} points - 응답의 points 값
+ * @param {number} paragraphCount - 원문 문단 수
+ * @returns {Array<{text: string, paragraphIndexes: number[]}>}
+ */
+const normalizePoints = (points, paragraphCount) => (Array.isArray(points) ? points : [])
+    .filter(point => point && typeof point.text === 'string' && point.text.trim())
+    .map(point => ({ text: point.text.trim(), paragraphIndexes: toParagraphIndexes(point.sources, paragraphCount) }));
+
+/**
+ * 섹션의 요약 항목을 형식에 맞는 텍스트로 이어 붙임
+ * @param {Array<{text: string}>} points - 요약 항목
+ * @param {string} format - SUMMARY_FORMATS 값
+ */
+const renderPoints = (points, format) => {
+    if (format === 'bullets') return points.map(point => `- ${point.text}`).join('\n');
+    if (format === 'threeLines') return points.map(point => point.text).join('\n');
+    return points.map(point => point.text).join(' ');
+};
+
+/**
+ * 구조화된 요약을 하나의 텍스트로 변환 (섹션 요약은 소제목을 붙여 빈 줄로 구분)
+ * @param {Array<{heading: string|null, points: Array}>} sections - 요약 섹션
+ * @param {object} options - validateSummaryOptions 결과
+ */
+const renderSummary = (sections, options) => sections
+    .map(section => (section.heading
+        ? `## ${section.heading}\n${renderPoints(section.points, options.format)}`
+        : renderPoints(section.points, options.format)))
+    .join('\n\n');
+
+/**
+ * 요약을 요청하고 응답을 해석. 응답이 max_tokens에서 잘렸거나 해석 결과가 비어 있으면 다시 요청하고,
+ * 끝내 실패하면 예외를 던짐 (깨진 응답이 요약으로 보이거나 캐시되지 않도록 함)
+ * @param {string} prompt - 사용자 프롬프트
+ * @param {object} options - { task, userId, maxTokens }
+ * @param {function(object): Array} parse - 해석한 JSON에서 결과를 꺼냄 (비어 있으면 실패로 봄)
+ * @returns {Promise<Array>} parse 결과
+ */
+const requestSummary = async (prompt, { task, userId, maxTokens }, parse) => {
+    for (let attempt = 1; attempt <= MAX_SUMMARY_ATTEMPTS; attempt++) {
+        const completion = await createChatCompletion({
+            messages: [
+                {"role": "system", "content": SYSTEM_PROMPT},
+                {"role": "user", "content": prompt}
+            ],
+            response_format: { type: "json_object" },
+            max_tokens: maxTokens,
+        }, { endpoint: 'summarizeText', task, userId });
+
+        const choice = completion.choices[0];
+        const parsed = choice.finish_reason === 'length' ? null : parseJsonContent(choice.message.content || '');
+        const result = parsed ? parse(parsed) : [];
+        if (result.length > 0) return result;
+
+        console.warn(`요약 응답을 해석하지 못했습니다. (${attempt}/${MAX_SUMMARY_ATTEMPTS}번째 시도, finish_reason: ${choice.finish_reason})`);
+    }
+    throw new Error('요약 응답을 해석하지 못했습니다. 잠시 후 다시 시도해주세요.');
+};
+
+/**
+ * 긴 글의 한 조각을 부분 요약 (map 단계)
+ * @param {Array<{key: string, text: string}>} sources - 문단 키가 붙은 원문 문단
+ * @param {number} paragraphCount - 원문 전체 문단 수
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @returns {Promise<Array<{text: string, paragraphIndexes: number[]}>>}
+ */
+const summarizePartial = async (sources, paragraphCount, userId) => {
+    return requestSummary(
+        buildPartialPrompt(sources.map(source => `[${source.key}]\n${source.text}`).join('\n\n')),
+        { task: 'map', userId, maxTokens: 700 },
+        parsed => normalizePoints(parsed.points, paragraphCount)
+    );
+};
+
+/**
+ * 문단 배열을 옵션에 맞춰 요약. 한 번에 넣을 수 없는 긴 글은 조각별로 부분 요약(map)한 뒤 합쳐서 요약(reduce)
+ * 부분 요약들도 한도를 넘으면 한도 안에 들어올 때까지 같은 과정을 반복
+ * @param {Array<{text: string}>} paragraphs - 원문 문단 배열
+ * @param {object} options - validateSummaryOptions 결과
+ * @param {object} readingProfile - { vocabulary } (요약문의 어휘 수준)
+ * @param {string} userId - 토큰 사용량을 기록할 사용자 UID
+ * @returns {Promise<{ summary: string, sections: Array<{heading: string|null, paragraphIndexes: number[], points: Array<{text: string, paragraphIndexes: number[]}>}> }>}
+ *          paragraphIndexes는 원문 문단 순서 (문단 ID는 호출하는 쪽에서 붙임)
+ */
+const summarizeParagraphs = async (paragraphs, options, readingProfile, userId) => {
+    const maxTokens = CHUNK_TOKEN_LIMITS.summarizeText;
+    const paragraphCount = paragraphs.length;
+    // 부분 요약 항목은 근거 문단 키를 괄호로 앞에 붙여 다음 단계에 넘김
+    let sources = paragraphs.map((p, index) => ({ key: getParagraphKey(index), text: p.text }));
+    let fromPartials = false;
+    const formatSource = source => (fromPartials ? `- (${source.key}) ${source.text}` : `[${source.key}]\n${source.text}`);
+
+    let chunks = chunkParagraphs(sources, maxTokens);
+    while (chunks.length > 1) {
+        const partials = await mapWithConcurrency(chunks, chunk => summarizePartial(chunk.paragraphs, paragraphCount, userId));
+        sources = partials.flat().map(point => ({
+            key: point.paragraphIndexes.map(getParagraphKey).join(', '),
+            text: point.text,
+        }));
+        fromPartials = true;
+
+        // 부분 요약을 다시 나눠도 조각 수가 줄지 않으면 더 반복하지 않고 그대로 합침
+        const previousCount = chunks.length;
+        chunks = chunkParagraphs(sources, maxTokens);
+        if (chunks.length >= previousCount) break;
+    }
+
+    const sections = await requestSummary(
+        buildFinalPrompt(sources.map(formatSource).join(fromPartials ? '\n' : '\n\n'), fromPartials, options, buildVocabularyGuideline(readingProfile)),
+        { task: fromPartials ? 'reduce' : undefined, userId, maxTokens: getMaxTokens(options) },
+        parsed => (Array.isArray(parsed.sections) ? parsed.sections : [])
+            .map(section => ({
+                heading: options.bySection && section && typeof section.heading === 'string' && section.heading.trim() ? section.heading.trim() : null,
+                paragraphIndexes: toParagraphIndexes(section && section.sources, paragraphCount),
+                points: normalizePoints(section && section.points, paragraphCount),
+            }))
+            .filter(section => section.points.length > 0)
+    );
+
+    // 섹션 출처가 비어 있으면 항목 출처를 모아서 채움
+    sections.forEach((section) => {
+        if (section.paragraphIndexes.length === 0) {
+            section.paragraphIndexes = [...new Set(section.points.flatMap(point => point.paragraphIndexes))].sort((a, b) => a - b);
+        }
+    });
+
+    return { summary: renderSummary(sections, options), sections };
+};
+
+module.exports = {
+    SUMMARY_LENGTHS,
+    SUMMARY_FORMATS,
+    validateSummaryOptions,
+    summarizeParagraphs
+};
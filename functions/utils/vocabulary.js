@@ -0,0 +1,113 @@
+// functions/utils/vocabulary.js
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const { createInitialReviewState } = require('./review');
+
+const db = admin.firestore();
+
+// 단어별로 보관할 문맥 문장의 최대 개수
+const MAX_CONTEXT_SENTENCES = 5;
+// 한 번에 저장할 수 있는 최대 단어 수 (트랜잭션 쓰기 한도 500개 안에서 단어당 문서 1개씩 씀)
+const MAX_TERMS_PER_SAVE = 200;
+
+/**
+ * 사용자의 단어장 컬렉션 참조를 반환
+ * @param {string} userId - 사용자 UID
+ */
+const getVocabularyCollection = (userId) => db.collection('users').doc(userId).collection('vocabulary');
+
+/**
+ * 단어를 정규화하여 문서 ID로 사용할 해시를 생성 (같은 단어는 항상 같은 문서로 병합됨)
+ * @param {string} term - 단어
+ */
+const getTermId = (term) => crypto.createHash('sha1').update(term.trim().normalize('NFC')).digest('hex');
+
+/**
+ * 단어장에 단어 목록을 추가. 이미 저장된 단어는 새 문서를 만들지 않고 기존 문서에 병합
+ * @param {string} userId - 사용자 UID
+ * @param {Array<object>} entries - { term, tag, shortDefinition, longDefinition, imageUrl, contextSentence } 배열
+ * @param {object} [options]
+ * @param {string} [options.sourceJobId] - 단어를 추출한 dictionaryJobs 문서 ID
+ * @returns {Promise<Array<object>>} 저장된 단어 문서 ({ id, term, merged }) 목록
+ */
+const addTermsToVocabulary = async (userId, entries, options = {}) => {
+    // 같은 요청 안의 중복 단어는 먼저 하나로 합침
+    const uniqueEntries = new Map();
+    entries
+        .filter(entry => entry && typeof entry.term === 'string' && entry.term.trim())
+        .forEach(entry => {
+            const id = getTermId(entry.term);
+            if (!uniqueEntries.has(id)) {
+                uniqueEntries.set(id, entry);
+            }
+        });
+
+    if (uniqueEntries.size === 0) {
+        return [];
+    }
+
+    const collection = getVocabularyCollection(userId);
+    const ids = [...uniqueEntries.keys()];
+    const refs = ids.map(id => collection.doc(id));
+
+    return db.runTransaction(async (transaction) => {
+        const snaps = await transaction.getAll(...refs);
+        const now = admin.firestore.FieldValue.serverTimestamp();
+
+        return snaps.map((snap, index) => {
+            const entry = uniqueEntries.get(ids[index]);
+            const contextSentence = (entry.contextSentence || '').trim();
+
+            if (!snap.exists) {
+                transaction.set(refs[index], {
+                    term: entry.term.trim(),
+                    tag: entry.tag || '일반',
+                    shortDefinition: entry.shortDefinition || '',
+                    longDefinition: entry.longDefinition || '',
+                    imageUrl: entry.imageUrl || '',
+                    contextSentence: contextSentence,
+                    contextSentences: contextSentence ? [contextSentence] : [],
+                    sourceJobIds: options.sourceJobId ? [options.sourceJobId] : [],
+                    lookupCount: 1,
+                    learned: false,
+                    learnedAt: null,
+                    review: createInitialReviewState(),
+                    createdAt: now,
+                    updatedAt: now,
+                });
+                return { id: ids[index], term: entry.term.trim(), merged: false };
+            }
+
+            // 기존 단어와 병합: 비어 있는 정보만 채우고, 새 문맥 문장은 최근 것부터 보관
+            const existing = snap.data();
+            const contextSentences = existing.contextSentences || [];
+            const mergedContexts = contextSentence && !contextSentences.includes(contextSentence)
+                ? [contextSentence, ...contextSentences].slice(0, MAX_CONTEXT_SENTENCES)
+                : contextSentences;
+
+            const update = {
+                shortDefinition: existing.shortDefinition || entry.shortDefinition || '',
+                longDefinition: existing.longDefinition || entry.longDefinition || '',
+                imageUrl: existing.imageUrl || entry.imageUrl || '',
+                contextSentence: contextSentence || existing.contextSentence || '',
+                contextSentences: mergedContexts,
+                lookupCount: admin.firestore.FieldValue.increment(1),
+                updatedAt: now,
+            };
+            if (options.sourceJobId) {
+                update.sourceJobIds = admin.firestore.FieldValue.arrayUnion(options.sourceJobId);
+            }
+
+            transaction.update(refs[index], update);
+            return { id: ids[index], term: existing.term, merged: true };
+        });
+    });
+};
+
+module.exports = {
+    MAX_TERMS_PER_SAVE,
+    getVocabularyCollection,
+    getTermId,
+    addTermsToVocabulary
+};